@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+// Scan pages for fonts from a terminal, a build script or CI.
+//
+//   font-finder scan example.com
+//   font-finder scan --file urls.txt --format markdown > fonts.md
+//   font-finder scan example.com --approved "Inter,Lora"      exits 1 if the page loads another family
+//   font-finder scan example.com --policy brand.json          exits 1 if the page breaks the brand policy
+//   font-finder scan localhost:3000 --allow-private           scan a local server
+//
+// Exit codes: 0 when every page was scanned and passed the checks, 1 when a page loads a
+// family that isn't approved or breaks the policy, 2 for invalid arguments, 3 when a page
+// couldn't be scanned.
+import { readFile } from 'node:fs/promises';
+import { isIP } from 'node:net';
+import { parseArgs } from 'node:util';
+import {
+  checkCompliance,
+  createResourceFetcher,
+  detectFonts,
+  DETECTION_MODES,
+  exportFonts,
+  findUnapprovedFamilies,
+  normalizePolicy,
+  summarizeFonts
+} from '../src/lib/index.js';
+import { mapWithConcurrency } from '../src/lib/concurrency.js';
+import { getBlockedRange, normalizeUrl } from '../src/lib/safe-fetch.js';
+
+const OUTPUT_FORMATS = ['table', 'json', 'markdown'];
+const EXIT_CODES = { ok: 0, checkFailed: 1, usage: 2, scanFailed: 3 };
+// Rendered mode runs a browser per page
+const DEFAULT_CONCURRENCY = { static: 4, rendered: 2 };
+
+const USAGE = `Usage: font-finder scan <url...> [options]
+       font-finder scan --file urls.txt [options]
+
+Options:
+  -f, --file <path>           Read URLs from a file, one per line (# starts a comment)
+      --format <format>       ${OUTPUT_FORMATS.join(', ')} (default: table)
+      --mode <mode>           ${DETECTION_MODES.join(', ')} (default: static)
+      --approved <families>   Comma-separated approved families; others fail the check (repeatable)
+      --approved-file <path>  Approved families, one per line
+      --policy <path>         Check against a brand policy in a JSON file (approvedFamilies,
+                              allowedWeights, allowedProviders, requireFontDisplay, allowedFontDisplay)
+      --no-font-files         Don't download font files to read their metadata
+      --no-audit              Skip the font loading performance audit
+      --concurrency <n>       Pages scanned at once (default: ${DEFAULT_CONCURRENCY.static}, ${DEFAULT_CONCURRENCY.rendered} in rendered mode)
+      --allow-private         Allow private and local addresses on any port
+  -v, --verbose               Log warnings from the scans
+  -h, --help                  Show this help
+
+Exit codes: 0 ok, 1 a family isn't approved or the policy is broken, 2 invalid arguments, 3 a page couldn't be scanned`;
+
+/**
+ * @param {string} message
+ */
+function fail(message) {
+  process.stderr.write(`font-finder: ${message}\n\n${USAGE}\n`);
+  process.exit(EXIT_CODES.usage);
+}
+
+/**
+ * Add a scheme to a URL given without one: http:// for local and private hosts
+ * (localhost:3000, 192.168.1.20), which rarely serve HTTPS, https:// for the rest
+ * @param {string} url
+ * @returns {string}
+ */
+function toScanUrl(url) {
+  const normalized = normalizeUrl(url);
+  // Given with a scheme, which is kept
+  if (normalized === url.trim()) return normalized;
+
+  let hostname;
+  try {
+    hostname = new URL(normalized).hostname.replace(/^\[|\]$/g, '');
+  } catch {
+    return normalized;
+  }
+  const local = hostname === 'localhost' || hostname.endsWith('.localhost') || (isIP(hostname) !== 0 && getBlockedRange(hostname) !== null);
+  return local ? normalized.replace(/^https:/, 'http:') : normalized;
+}
+
+/**
+ * @param {string} filePath
+ * @returns {Promise<Array<string>>} - The file's non-empty lines, without # comments
+ */
+async function readList(filePath) {
+  let text;
+  try {
+    text = await readFile(filePath, 'utf8');
+  } catch (error) {
+    fail(`could not read ${filePath}: ${error.message}`);
+  }
+  return text.split('\n').map(line => line.replace(/#.*/, '').trim()).filter(Boolean);
+}
+
+/**
+ * @param {string} filePath
+ * @returns {Promise<Object>} - The normalized policy
+ */
+async function readPolicy(filePath) {
+  let policy;
+  try {
+    policy = JSON.parse(await readFile(filePath, 'utf8'));
+  } catch (error) {
+    fail(`could not read the policy in ${filePath}: ${error.message}`);
+  }
+  try {
+    return normalizePolicy(policy);
+  } catch (error) {
+    fail(`invalid policy in ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * @param {Object} violation - From checkCompliance
+ * @returns {string} - The violation and where it is declared
+ */
+function describeViolation({ message, stylesheet, selector, line, resource }) {
+  const location = stylesheet
+    ? `${stylesheet}${line ? `:${line}` : ''}${selector ? ` ${selector}` : ''}`
+    : resource;
+  return location ? `${message} (${location})` : message;
+}
+
+/**
+ * Pad the cells of each column to the widest one
+ * @param {Array<Array<string>>} rows - The header row first
+ * @returns {string}
+ */
+function formatTable(rows) {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+  return rows
+    .map(row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd())
+    .join('\n');
+}
+
+/**
+ * @param {Array} results - `{ url, fonts, summary, unapproved, compliance, error }` per page
+ * @param {Array<string>|null} approved
+ * @returns {string}
+ */
+function formatTableOutput(results, approved) {
+  return results.map(({ url, summary, unapproved, compliance, error }) => {
+    if (error) return `${url}\n  Scan failed: ${error}`;
+    const policyLines = !compliance ? ''
+      : compliance.compliant ? `\n  Policy ${compliance.policy.name}: compliant`
+        : `\n  Policy ${compliance.policy.name}: ${compliance.violations.length} violations\n${compliance.violations.map(violation => `    ${describeViolation(violation)}`).join('\n')}`;
+    if (summary.families.length === 0) return `${url}\n  No fonts found${policyLines}`;
+
+    const unapprovedNames = new Set(unapproved.map(family => family.name));
+    // Fallbacks only named in font-family stacks aren't checked
+    const approval = (family) => (unapprovedNames.has(family.name) ? 'NO'
+      : family.via.every(via => via === 'font-family') ? '-' : 'yes');
+    const rows = [
+      ['Family', 'Found via', ...(approved ? ['Approved'] : [])],
+      ...summary.families.map(family => [family.name, family.via.join(', '), ...(approved ? [approval(family)] : [])])
+    ];
+    const providers = summary.providers.length > 0 ? summary.providers.join(', ') : 'none';
+    return `${url}\n${formatTable(rows).replace(/^/gm, '  ')}\n  Providers: ${providers}${policyLines}`;
+  }).join('\n\n');
+}
+
+/**
+ * @param {Array} results
+ * @param {Array<string>|null} approved
+ * @returns {string}
+ */
+function formatMarkdownOutput(results, approved) {
+  return results.map(({ url, fonts, unapproved, compliance, error }) => {
+    if (error) return `# Fonts on ${url}\n\nScan failed: ${error}\n`;
+    let report = exportFonts(fonts, 'markdown', { url }).body;
+    if (approved) {
+      const check = unapproved.length > 0
+        ? `## Families not approved\n\n${unapproved.map(family => `- ${family.name} (${family.via.join(', ')})`).join('\n')}\n`
+        : '## Families not approved\n\nNone: every family the page loads is approved.\n';
+      report = `${report.trimEnd()}\n\n${check}`;
+    }
+    if (compliance) {
+      const check = compliance.compliant
+        ? `## Brand compliance: ${compliance.policy.name}\n\nNo violations.\n`
+        : `## Brand compliance: ${compliance.policy.name}\n\n${compliance.violations.map(violation => `- ${describeViolation(violation)}`).join('\n')}\n`;
+      report = `${report.trimEnd()}\n\n${check}`;
+    }
+    return report;
+  }).join('\n');
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  if (!command || command === '-h' || command === '--help') {
+    process.stdout.write(`${USAGE}\n`);
+    return EXIT_CODES.ok;
+  }
+  if (command !== 'scan') fail(`unknown command "${command}"`);
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: rest,
+      allowPositionals: true,
+      options: {
+        file: { type: 'string', short: 'f' },
+        format: { type: 'string', default: 'table' },
+        mode: { type: 'string', default: 'static' },
+        approved: { type: 'string', multiple: true },
+        'approved-file': { type: 'string' },
+        policy: { type: 'string' },
+        'no-font-files': { type: 'boolean', default: false },
+        'no-audit': { type: 'boolean', default: false },
+        concurrency: { type: 'string' },
+        'allow-private': { type: 'boolean', default: false },
+        verbose: { type: 'boolean', short: 'v', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    fail(error.message);
+  }
+  const { values: options, positionals } = parsed;
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return EXIT_CODES.ok;
+  }
+
+  if (!OUTPUT_FORMATS.includes(options.format)) {
+    fail(`unknown format "${options.format}", expected one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  if (!DETECTION_MODES.includes(options.mode)) {
+    fail(`unknown mode "${options.mode}", expected one of: ${DETECTION_MODES.join(', ')}`);
+  }
+  const concurrency = options.concurrency === undefined ? DEFAULT_CONCURRENCY[options.mode] : Number(options.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    fail('--concurrency must be a whole number of at least 1');
+  }
+
+  const urls = [...positionals, ...(options.file ? await readList(options.file) : [])].map(toScanUrl);
+  if (urls.length === 0) fail('no URLs to scan: pass them as arguments or with --file');
+
+  let approved = null;
+  if (options.approved || options['approved-file']) {
+    approved = [
+      ...(options.approved || []).flatMap(list => list.split(',')),
+      ...(options['approved-file'] ? await readList(options['approved-file']) : [])
+    ].map(name => name.trim().replace(/^(['"])(.*)\1$/, '$2')).filter(Boolean);
+  }
+
+  const policy = options.policy ? await readPolicy(options.policy) : null;
+
+  if (options['allow-private']) {
+    process.env.FONT_FINDER_ALLOW_PRIVATE_NETWORKS = 'true';
+    process.env.FONT_FINDER_ALLOWED_PORTS = '*';
+  }
+  // Pages of one site share most of their stylesheets and font files
+  const fetcher = createResourceFetcher();
+  const progress = process.stderr.isTTY && urls.length > 1;
+  let done = 0;
+  const results = await mapWithConcurrency(urls, concurrency, async (url) => {
+    let result;
+    try {
+      const fonts = await detectFonts(url, {
+        mode: options.mode,
+        analyzeFontFiles: !options['no-font-files'],
+        auditPerformance: !options['no-audit'],
+        fetcher,
+        // The scan logs every stylesheet it couldn't load; a CLI user only needs the outcome
+        logger: options.verbose ? console : null
+      });
+      result = {
+        url,
+        summary: summarizeFonts(fonts),
+        unapproved: approved ? findUnapprovedFamilies(fonts, approved) : [],
+        ...(policy && { compliance: checkCompliance(fonts, policy) }),
+        fonts
+      };
+    } catch (error) {
+      process.stderr.write(`font-finder: could not scan ${url}: ${error.message}\n`);
+      result = { url, error: error.message };
+    }
+    done++;
+    if (progress) process.stderr.write(`Scanned ${done} of ${urls.length}: ${url}\n`);
+    return result;
+  });
+
+  if (options.format === 'json') {
+    process.stdout.write(`${JSON.stringify({ results }, null, 2)}\n`);
+  } else if (options.format === 'markdown') {
+    process.stdout.write(formatMarkdownOutput(results, approved));
+  } else {
+    process.stdout.write(`${formatTableOutput(results, approved)}\n`);
+  }
+
+  const unapprovedPages = results.filter(result => result.unapproved?.length > 0);
+  for (const { url, unapproved } of unapprovedPages) {
+    process.stderr.write(`font-finder: ${url} loads families that aren't approved: ${unapproved.map(family => family.name).join(', ')}\n`);
+  }
+
+  const nonCompliantPages = results.filter(result => result.compliance && !result.compliance.compliant);
+  for (const { url, compliance } of nonCompliantPages) {
+    process.stderr.write(`font-finder: ${url} breaks the ${compliance.policy.name} policy ${compliance.violations.length} times\n`);
+  }
+
+  if (results.some(result => result.error)) return EXIT_CODES.scanFailed;
+  if (unapprovedPages.length > 0 || nonCompliantPages.length > 0) return EXIT_CODES.checkFailed;
+  return EXIT_CODES.ok;
+}
+
+process.exitCode = await main();
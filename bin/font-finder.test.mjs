@@ -0,0 +1,128 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('./font-finder.mjs', import.meta.url));
+
+// One page loading Inter from a self-hosted face
+const PAGE = `<!doctype html><html><head><style>
+  @font-face { font-family: Inter; src: url(/inter.woff2); font-display: swap }
+  body { font-family: Inter, sans-serif }
+</style></head><body><p>Hello</p></body></html>`;
+
+// Unbalanced braces and strings, an unclosed url() and a stylesheet that isn't there
+const BROKEN_PAGE = `<!doctype html><html><head>
+<link rel="stylesheet" href="/missing.css">
+<style>
+  @font-face { font-family: Inter; src: url(/inter.woff2
+  body { font-family: Inter, sans-serif; } } }
+  h1 { font-family: "Lora
+  @media {{{ .a { color: red
+</style></head><body><h1>Hello</h1></body></html>`;
+
+let server;
+let origin;
+let directory;
+
+before(async () => {
+  server = createServer((request, response) => {
+    if (request.url === '/' || request.url === '/broken') {
+      response.writeHead(200, { 'Content-Type': 'text/html' });
+      response.end(request.url === '/' ? PAGE : BROKEN_PAGE);
+    } else {
+      response.writeHead(404, { 'Content-Type': 'text/html' });
+      response.end('Not found');
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+  directory = await mkdtemp(join(tmpdir(), 'font-finder-'));
+});
+
+after(async () => {
+  server.closeAllConnections();
+  server.close();
+  await rm(directory, { recursive: true, force: true });
+});
+
+/**
+ * Run the CLI without font file downloads or the audit, which these checks don't need
+ * @param {string[]} args
+ * @returns {Promise<{ code: number, stdout: string, stderr: string }>}
+ */
+function run(args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [CLI, ...args, '--no-font-files', '--no-audit'], { timeout: 30000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+/**
+ * @param {Object} policy
+ * @returns {Promise<string>} - Path of the policy file
+ */
+async function writePolicy(policy) {
+  const path = join(directory, `policy-${Math.random().toString(36).slice(2)}.json`);
+  await writeFile(path, JSON.stringify(policy));
+  return path;
+}
+
+describe('font-finder scan', () => {
+  test('exits 0 when the page passes its checks', async () => {
+    const { code, stdout } = await run(['scan', `${origin}/`, '--allow-private', '--approved', 'Inter', '--format', 'json']);
+    assert.equal(code, 0);
+    const [result] = JSON.parse(stdout).results;
+    assert.deepEqual(result.unapproved, []);
+  });
+
+  test('exits 1 when the page loads a family that is not approved', async () => {
+    const { code, stderr } = await run(['scan', `${origin}/`, '--allow-private', '--approved', 'Lora']);
+    assert.equal(code, 1);
+    assert.match(stderr, /loads families that aren't approved: Inter/);
+  });
+
+  test('exits 1 when the page breaks the brand policy', async () => {
+    const policy = await writePolicy({ name: 'Brand', approvedFamilies: ['Lora'] });
+    const { code, stderr } = await run(['scan', `${origin}/`, '--allow-private', '--policy', policy]);
+    assert.equal(code, 1);
+    assert.match(stderr, /breaks the Brand policy/);
+
+    const kept = await writePolicy({ name: 'Brand', approvedFamilies: ['Inter'], requireFontDisplay: true });
+    assert.equal((await run(['scan', `${origin}/`, '--allow-private', '--policy', kept])).code, 0);
+  });
+
+  test('exits 2 on a policy it cannot read or a bad option', async () => {
+    const broken = await writePolicy({ allowedProviders: ['nope'] });
+    assert.equal((await run(['scan', `${origin}/`, '--allow-private', '--policy', broken])).code, 2);
+    assert.equal((await run(['scan', `${origin}/`, '--concurrency', '0'])).code, 2);
+  });
+
+  test('exits 3 when a page cannot be scanned, even if others fail their checks', async () => {
+    const { code, stderr } = await run(['scan', `${origin}/`, `${origin}/missing`, '--allow-private', '--approved', 'Lora']);
+    assert.equal(code, 3);
+    assert.match(stderr, /could not scan .*\/missing/);
+  });
+
+  test('keeps stderr clean on a page with broken CSS unless asked to be verbose', async () => {
+    const quiet = await run(['scan', `${origin}/broken`, '--allow-private', '--format', 'json']);
+    assert.equal(quiet.code, 0);
+    assert.equal(quiet.stderr, '');
+    assert.equal(JSON.parse(quiet.stdout).results[0].error, undefined);
+
+    const verbose = await run(['scan', `${origin}/broken`, '--allow-private', '--format', 'json', '--verbose']);
+    assert.equal(verbose.code, 0);
+    assert.match(verbose.stderr, /missing\.css/);
+  });
+
+  test('refuses local addresses without --allow-private', async () => {
+    const { code, stderr } = await run(['scan', `${origin}/`]);
+    assert.equal(code, 3);
+    assert.match(stderr, /could not scan/);
+  });
+});
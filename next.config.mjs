@@ -1,4 +1,7 @@
 /** @type {import('next').NextConfig} */
-const nextConfig = {};
+const nextConfig = {
+  // Ships its own Chromium binary, which must not go through the bundler
+  serverExternalPackages: ['chrome-aws-lambda'],
+};
 
 export default nextConfig;
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+// Create an API key for the detection API.
+//
+//   npm run api-key -- design-tools                          60 requests a minute, 1000 scans a day
+//   npm run api-key -- ci --rate 10 --quota 200
+//   npm run api-key -- nightly-report --quota unlimited
+//
+// Hand the key to whoever calls the API and add the printed entry to the FONT_FINDER_API_KEYS
+// JSON array; only the key's hash is stored there.
+import { DEFAULT_KEY_LIMITS, generateApiKey, hashApiKey } from '../src/lib/api-keys.js';
+
+const args = process.argv.slice(2);
+const name = args.find((arg, index) => !arg.startsWith('--') && !args[index - 1]?.startsWith('--'));
+if (!name) {
+  console.error('Usage: npm run api-key -- <name> [--rate <requests per minute>] [--quota <scans per day>|unlimited]');
+  process.exit(1);
+}
+
+/**
+ * @param {string} flag
+ * @param {number} fallback
+ * @returns {number|null}
+ */
+function readLimit(flag, fallback) {
+  const index = args.indexOf(flag);
+  if (index === -1) return fallback;
+  const value = args[index + 1];
+  if (value === 'unlimited') return null;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    console.error(`${flag} must be a whole number of at least 1, or "unlimited"`);
+    process.exit(1);
+  }
+  return limit;
+}
+
+const key = generateApiKey();
+const entry = {
+  name,
+  keyHash: hashApiKey(key),
+  requestsPerMinute: readLimit('--rate', DEFAULT_KEY_LIMITS.requestsPerMinute),
+  dailyQuota: readLimit('--quota', DEFAULT_KEY_LIMITS.dailyQuota)
+};
+
+console.log(`API key for ${name} (shown once):\n\n  ${key}\n`);
+console.log('Send it as "Authorization: Bearer <key>" or "X-API-Key: <key>".\n');
+console.log(`Add this to FONT_FINDER_API_KEYS:\n\n  ${JSON.stringify(entry)}`);
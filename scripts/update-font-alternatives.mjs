@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+// Refresh the open-licence fonts suggested as alternatives to commercial families
+// (src/data/font-alternatives.json).
+//
+//   npm run update-alternatives                      Re-measure every font in the file
+//   npm run update-alternatives -- --add jost hind   Add Fontsource packages by id
+//
+// Each font is measured from the regular latin file of its @fontsource package on the
+// npm registry, with the same code the scanner uses on a site's own font files. Only
+// fonts that are on Google Fonts are kept, so the UI can load them for previews.
+import { readFile, writeFile } from 'node:fs/promises';
+import { gunzipSync } from 'node:zlib';
+import { readFontMetadata } from '../src/lib/font-binary.js';
+
+const DATA_PATH = new URL('../src/data/font-alternatives.json', import.meta.url);
+const REGISTRY = 'https://registry.npmjs.org';
+
+const CATEGORIES = {
+  'sans-serif': 'sans',
+  serif: 'serif',
+  monospace: 'mono',
+  display: 'display',
+  handwriting: 'display'
+};
+
+const LICENSES = {
+  'ofl-1.1': 'ofl',
+  'apache-2.0': 'apache',
+  'ufl-1.0': 'ufl'
+};
+
+/**
+ * Read the files of a .tgz package
+ * @param {Buffer} tarball
+ * @returns {Map<string, Buffer>} - File contents by path
+ */
+function readTarball(tarball) {
+  const archive = gunzipSync(tarball);
+  const files = new Map();
+  let offset = 0;
+  while (offset + 512 <= archive.length) {
+    const header = archive.subarray(offset, offset + 512);
+    const field = (start, length) => header.subarray(start, start + length).toString('utf8').replace(/\0.*$/s, '');
+    const name = field(0, 100);
+    if (!name) break;
+
+    const size = parseInt(field(124, 12).trim() || '0', 8);
+    const prefix = field(345, 155);
+    files.set(prefix ? `${prefix}/${name}` : name, archive.subarray(offset + 512, offset + 512 + size));
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return files;
+}
+
+/**
+ * Download a Fontsource package and measure its regular latin font
+ * @param {string} id - Fontsource id, e.g. "source-serif-4"
+ * @returns {Promise<Object>} - A font-alternatives entry
+ */
+async function measureFontsourcePackage(id) {
+  const response = await fetch(`${REGISTRY}/@fontsource/${id}/latest`);
+  if (!response.ok) {
+    throw new Error(`@fontsource/${id} answered ${response.status}`);
+  }
+  const { dist } = await response.json();
+  const files = readTarball(Buffer.from(await (await fetch(dist.tarball)).arrayBuffer()));
+
+  const metadata = JSON.parse(files.get('package/metadata.json').toString('utf8'));
+  const license = LICENSES[String(metadata.license?.type || '').toLowerCase()];
+  if (metadata.type !== 'google' || !license) {
+    throw new Error(`@fontsource/${id} is not an open-licence Google font`);
+  }
+
+  // The regular weight, or the one closest to it for display faces that only ship one
+  const weights = [...metadata.weights].sort((a, b) => Math.abs(a - 400) - Math.abs(b - 400));
+  const fontFile = weights
+    .map(weight => files.get(`package/files/${id}-latin-${weight}-normal.woff2`))
+    .find(Boolean);
+  if (!fontFile) {
+    throw new Error(`@fontsource/${id} has no latin woff2 file`);
+  }
+
+  const { metrics } = readFontMetadata(fontFile);
+  return {
+    name: metadata.family,
+    id,
+    category: CATEGORIES[metadata.category] || 'display',
+    license,
+    weights: [Math.min(...metadata.weights), Math.max(...metadata.weights)],
+    italic: metadata.styles.includes('italic'),
+    variable: Boolean(metadata.variable),
+    metrics
+  };
+}
+
+async function main() {
+  const addIndex = process.argv.indexOf('--add');
+  const added = addIndex !== -1 ? process.argv.slice(addIndex + 1) : [];
+  if (addIndex !== -1 && added.length === 0) {
+    throw new Error('--add needs one or more Fontsource ids');
+  }
+
+  let data;
+  try {
+    data = JSON.parse(await readFile(DATA_PATH, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    data = { version: null, fonts: [] };
+  }
+
+  const ids = added.length > 0 ? added : data.fonts.map(font => font.id);
+  const measured = new Map();
+  for (const id of ids) {
+    try {
+      measured.set(id, await measureFontsourcePackage(id));
+      console.log(`Measured ${id}`);
+    } catch (error) {
+      console.error(`Skipped ${id}: ${error.message}`);
+    }
+  }
+
+  // Keep the existing order, which is how ties are broken, and append new fonts
+  const fonts = data.fonts.map(font => measured.get(font.id) || font);
+  for (const [id, font] of measured) {
+    if (!data.fonts.some(existing => existing.id === id)) fonts.push(font);
+  }
+
+  data.version = new Date().toISOString().slice(0, 10);
+  data.fonts = fonts;
+  await writeFile(DATA_PATH, `${JSON.stringify(data, null, 2)}\n`);
+  console.log(`Wrote ${fonts.length} fonts to ${DATA_PATH.pathname}`);
+}
+
+main().catch(error => {
+  console.error(`Could not update the font alternatives: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+// Refresh the bundled font catalog (src/data/font-catalog.json).
+//
+//   npm run update-catalog                      Add the open-source families listed by Fontsource
+//   npm run update-catalog -- --merge fonts.json Merge a local file of catalog entries, e.g. the
+//                                                foundries and licences your legal team tracks
+//
+// Hand-written entries always win over generated ones; entries from --merge replace
+// any entry with the same name. The app only ever reads the bundled file, so scans
+// never depend on these services.
+import { readFile, writeFile } from 'node:fs/promises';
+
+const CATALOG_PATH = new URL('../src/data/font-catalog.json', import.meta.url);
+const FONTSOURCE_API = 'https://api.fontsource.org/v1/fonts';
+
+const LICENSES = {
+  'ofl-1.1': 'ofl',
+  'apache-2.0': 'apache',
+  'apache license, version 2.0': 'apache',
+  'ufl-1.0': 'ufl'
+};
+
+/**
+ * @param {string} name
+ * @returns {string} - The name without case, spacing or punctuation
+ */
+function toKey(name) {
+  return name.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Fetch Fontsource's font list as catalog entries
+ * @returns {Promise<Array>}
+ */
+async function fetchFontsourceFamilies() {
+  const response = await fetch(FONTSOURCE_API);
+  if (!response.ok) {
+    throw new Error(`${FONTSOURCE_API} answered ${response.status}`);
+  }
+
+  const fonts = await response.json();
+  return fonts
+    .filter(font => LICENSES[String(font.license || '').toLowerCase()])
+    .map(font => ({
+      name: font.family,
+      aliases: [],
+      foundry: null,
+      license: LICENSES[String(font.license).toLowerCase()],
+      homepage: font.type === 'google'
+        ? `https://fonts.google.com/specimen/${font.family.replace(/ /g, '+')}`
+        : `https://fontsource.org/fonts/${font.id}`,
+      source: 'fontsource'
+    }));
+}
+
+/**
+ * @param {string} path
+ * @returns {Promise<Array>} - The entries of a local catalog file
+ */
+async function readMergeFile(path) {
+  const data = JSON.parse(await readFile(path, 'utf8'));
+  const families = Array.isArray(data) ? data : data.families;
+  if (!Array.isArray(families)) {
+    throw new Error(`${path} must hold an array of families or a { families } object`);
+  }
+  for (const family of families) {
+    if (!family.name || !family.license) {
+      throw new Error(`Every family in ${path} needs a name and a license, got ${JSON.stringify(family)}`);
+    }
+  }
+  return families.map(family => ({
+    name: family.name,
+    aliases: family.aliases || [],
+    foundry: family.foundry || null,
+    license: family.license,
+    // Commercial families can name their classification and open-licence look-alikes
+    ...(family.category ? { category: family.category } : {}),
+    homepage: family.homepage || null,
+    ...(family.similar ? { similar: family.similar } : {})
+  }));
+}
+
+async function main() {
+  const mergeIndex = process.argv.indexOf('--merge');
+  const mergePath = mergeIndex !== -1 ? process.argv[mergeIndex + 1] : null;
+  if (mergeIndex !== -1 && !mergePath) {
+    throw new Error('--merge needs a file path');
+  }
+
+  const catalog = JSON.parse(await readFile(CATALOG_PATH, 'utf8'));
+  let families = catalog.families;
+
+  if (mergePath) {
+    const merged = await readMergeFile(mergePath);
+    const mergedKeys = new Set(merged.map(family => toKey(family.name)));
+    families = [...families.filter(family => !mergedKeys.has(toKey(family.name))), ...merged];
+    console.log(`Merged ${merged.length} families from ${mergePath}`);
+  } else {
+    const curated = families.filter(family => family.source !== 'fontsource');
+    const known = new Set(curated.flatMap(family => [family.name, ...(family.aliases || [])]).map(toKey));
+    const generated = (await fetchFontsourceFamilies()).filter(family => !known.has(toKey(family.name)));
+    families = [...curated, ...generated];
+    console.log(`${curated.length} curated and ${generated.length} Fontsource families`);
+  }
+
+  catalog.version = new Date().toISOString().slice(0, 10);
+  catalog.families = families;
+  await writeFile(CATALOG_PATH, `${JSON.stringify(catalog, null, 2)}\n`);
+  console.log(`Wrote ${families.length} families to ${CATALOG_PATH.pathname}`);
+}
+
+main().catch(error => {
+  console.error(`Could not update the font catalog: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+// Print the change alerts the monitor sends, to try webhooks without a real endpoint.
+//
+//   npm run webhook-receiver                  Listen on http://localhost:4000
+//   npm run webhook-receiver -- --port 4100
+//
+// Use http://localhost:4000 as a watch's webhook URL (or FONT_FINDER_WEBHOOK_URL). The app only
+// sends to localhost when it runs with FONT_FINDER_ALLOW_PRIVATE_NETWORKS=true and port 4000 in
+// FONT_FINDER_ALLOWED_PORTS (e.g. 80,443,4000). When FONT_FINDER_WEBHOOK_SECRET is set here too,
+// each alert's signature is checked.
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { createServer } from 'node:http';
+
+const portIndex = process.argv.indexOf('--port');
+const port = portIndex !== -1 ? Number(process.argv[portIndex + 1]) : 4000;
+const secret = process.env.FONT_FINDER_WEBHOOK_SECRET;
+
+/**
+ * @param {string} body - The raw request body
+ * @param {string|undefined} signature - The X-Font-Finder-Signature header
+ * @returns {string} - How the signature checked out
+ */
+function checkSignature(body, signature) {
+  if (!secret) return 'not checked (FONT_FINDER_WEBHOOK_SECRET is not set)';
+  if (!signature) return 'MISSING';
+  const expected = Buffer.from(`sha256=${createHmac('sha256', secret).update(body).digest('hex')}`);
+  const received = Buffer.from(signature);
+  return expected.length === received.length && timingSafeEqual(expected, received) ? 'valid' : 'INVALID';
+}
+
+const server = createServer((request, response) => {
+  let body = '';
+  request.on('data', chunk => { body += chunk; });
+  request.on('end', () => {
+    console.log(`\n${new Date().toISOString()} ${request.method} ${request.url}`);
+    console.log(`Signature: ${checkSignature(body, request.headers['x-font-finder-signature'])}`);
+    try {
+      const payload = JSON.parse(body);
+      console.log(payload.text || JSON.stringify(payload, null, 2));
+    } catch {
+      console.log(body);
+    }
+    response.writeHead(204).end();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Waiting for font change alerts on http://localhost:${port}`);
+});
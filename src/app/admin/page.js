@@ -0,0 +1,123 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+
+export default function Admin() {
+  const [adminKey, setAdminKey] = useState('');
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/admin/usage', {
+        headers: { Authorization: `Bearer ${adminKey}` }
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load usage');
+      }
+      setReport(data);
+    } catch (err) {
+      setReport(null);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatLimit = (limit, unit) => (limit === null ? 'Unlimited' : `${limit} ${unit}`);
+
+  return (
+    <div className="min-h-screen p-8 max-w-4xl mx-auto">
+      <header className="flex flex-col items-center mb-12 text-center">
+        <h1 className="text-3xl font-bold mb-4">API Usage</h1>
+        <p className="text-lg text-gray-600 dark:text-gray-300">
+          Requests and scans per API key
+        </p>
+        <Link href="/" className="mt-2 text-sm text-blue-600 dark:text-blue-400 hover:underline">
+          Back to Font Finder
+        </Link>
+      </header>
+
+      <main className="space-y-8">
+        <form onSubmit={handleSubmit} className="flex flex-col sm:flex-row gap-4">
+          <input
+            type="password"
+            value={adminKey}
+            onChange={(e) => setAdminKey(e.target.value)}
+            placeholder="Admin key (FONT_FINDER_ADMIN_KEY)"
+            className="flex-1 p-3 border rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+            required
+          />
+          <button
+            type="submit"
+            disabled={loading}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-medium py-3 px-6 rounded-md transition duration-200 disabled:opacity-70"
+          >
+            {loading ? 'Loading...' : report ? 'Refresh' : 'Show usage'}
+          </button>
+        </form>
+
+        {error && (
+          <div className="bg-red-50 dark:bg-red-900/20 border-l-4 border-red-500 p-4">
+            <p className="text-red-700 dark:text-red-300">{error}</p>
+          </div>
+        )}
+
+        {report && (
+          <section>
+            <h2 className="text-xl font-semibold border-b pb-2 mb-3">Usage</h2>
+            <p className="text-sm text-gray-600 dark:text-gray-300 mb-3">
+              Counted in the {report.store} store. Scans per day are in UTC; a batch or crawl counts each URL it scans.
+            </p>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left border-b">
+                    <th className="py-2 pr-4">Key</th>
+                    <th className="py-2 pr-4">Rate limit</th>
+                    <th className="py-2 pr-4">This minute</th>
+                    <th className="py-2 pr-4">Scans today</th>
+                    <th className="py-2">Last 7 days</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.usage.map(client => (
+                    <tr key={client.name} className="border-b border-gray-100 dark:border-gray-800 align-top">
+                      <td className="py-2 pr-4 font-medium">
+                        {client.name}
+                        {client.anonymous && (
+                          <span className="block text-xs font-normal text-gray-500 dark:text-gray-400">Calls without a key; limits apply per IP</span>
+                        )}
+                      </td>
+                      <td className="py-2 pr-4">{formatLimit(client.requestsPerMinute, '/ min')}</td>
+                      <td className="py-2 pr-4">{client.thisMinute}</td>
+                      <td className="py-2 pr-4">
+                        {client.today}
+                        {client.dailyQuota !== null && !client.anonymous && (
+                          <span className={client.today >= client.dailyQuota ? 'text-red-600 dark:text-red-400' : 'text-gray-500 dark:text-gray-400'}>
+                            {' '}/ {client.dailyQuota}
+                          </span>
+                        )}
+                      </td>
+                      <td className="py-2 font-mono text-xs text-gray-600 dark:text-gray-300">
+                        {client.days.slice().reverse().map(day => (
+                          <span key={day.date} title={day.date} className="inline-block w-10 text-right">{day.scans}</span>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </section>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+import { NextResponse } from 'next/server';
+import { isAdminRequest } from '@/lib/api-keys';
+import { getUsageReport } from '@/lib/rate-limit';
+
+// Requests and scans per API key, for whoever holds FONT_FINDER_ADMIN_KEY
+export async function GET(request) {
+  const admin = isAdminRequest(request);
+  if (admin === null) {
+    return NextResponse.json(
+      { error: 'The usage view is off: set FONT_FINDER_ADMIN_KEY to turn it on' },
+      { status: 404 }
+    );
+  }
+  if (!admin) {
+    return NextResponse.json(
+      { error: 'Send the admin key as "Authorization: Bearer <key>"' },
+      { status: 401, headers: { 'WWW-Authenticate': 'Bearer' } }
+    );
+  }
+
+  try {
+    return NextResponse.json({
+      store: process.env.FONT_FINDER_USAGE_STORE || 'memory',
+      usage: await getUsageReport()
+    });
+  } catch (error) {
+    console.error('Error reading API usage:', error);
+    return NextResponse.json(
+      { error: `Failed to read usage: ${error.message}` },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,86 @@
+import { NextResponse } from 'next/server';
+import { detectFontsCached, DETECTION_MODES } from '@/lib/detect-fonts';
+import { mapWithConcurrency } from '@/lib/concurrency';
+import { summarizeFonts } from '@/lib/font-summary';
+import { limitApiRequest } from '@/lib/rate-limit';
+import { normalizeUrl } from '@/lib/safe-fetch';
+import { MAX_BATCH_URLS, summarizeBatch } from '@/lib/batch';
+
+// Every rendered scan runs its own browser, so those go one at a time
+const BATCH_CONCURRENCY = { static: 4, rendered: 1 };
+
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const { urls, mode = 'static', analyzeFontFiles = false, audit = false, details = false, fresh = false } = body;
+
+    if (!Array.isArray(urls) || urls.length === 0) {
+      return NextResponse.json(
+        { error: 'urls must be a non-empty array' },
+        { status: 400 }
+      );
+    }
+
+    if (!DETECTION_MODES.includes(mode)) {
+      return NextResponse.json(
+        { error: `Unknown mode "${mode}", expected one of: ${DETECTION_MODES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const uniqueUrls = Array.from(new Set(
+      urls.filter(url => typeof url === 'string').map(url => url.trim()).filter(Boolean)
+    ));
+    if (uniqueUrls.length === 0) {
+      return NextResponse.json(
+        { error: 'urls must contain at least one URL' },
+        { status: 400 }
+      );
+    }
+    if (uniqueUrls.length > MAX_BATCH_URLS[mode]) {
+      return NextResponse.json(
+        { error: `A ${mode} batch can hold at most ${MAX_BATCH_URLS[mode]} URLs, got ${uniqueUrls.length}; send longer lists in several requests` },
+        { status: 400 }
+      );
+    }
+
+    const limited = await limitApiRequest(request, { cost: uniqueUrls.length });
+    if (limited) return limited;
+
+    // One failing site must not fail the batch, so errors are reported per URL
+    const results = await mapWithConcurrency(uniqueUrls, BATCH_CONCURRENCY[mode], async (url) => {
+      const normalizedUrl = normalizeUrl(url);
+      try {
+        const { fonts: fontData, cache } = await detectFontsCached(normalizedUrl, {
+          mode,
+          analyzeFontFiles,
+          auditPerformance: audit,
+          fresh: Boolean(fresh)
+        });
+        return {
+          url,
+          normalizedUrl,
+          status: 'ok',
+          ...summarizeFonts(fontData),
+          ...(details ? { fonts: fontData } : {}),
+          cache: cache.scan,
+          error: null
+        };
+      } catch (error) {
+        console.error(`Font detection error for ${normalizedUrl}:`, error.message);
+        return { url, normalizedUrl, status: 'error', families: [], providers: [], cache: null, error: error.message };
+      }
+    });
+
+    return NextResponse.json({
+      results,
+      summary: summarizeBatch(results)
+    });
+  } catch (error) {
+    console.error('Batch font detection error:', error);
+    return NextResponse.json(
+      { error: `Failed to run batch: ${error.message}` },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,79 @@
+import { NextResponse } from 'next/server';
+import { detectFontsCached, DETECTION_MODES } from '@/lib/detect-fonts';
+import { mapWithConcurrency } from '@/lib/concurrency';
+import { diffFonts } from '@/lib/font-diff';
+import { summarizeFonts } from '@/lib/font-summary';
+import { limitApiRequest } from '@/lib/rate-limit';
+import { BlockedRequestError, normalizeUrl } from '@/lib/safe-fetch';
+
+// Every rendered scan runs its own browser, so those go one at a time
+const COMPARE_CONCURRENCY = { static: 2, rendered: 1 };
+
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const { before, after, mode = 'static', details = false, fresh = false } = body;
+
+    for (const [name, value] of [['before', before], ['after', after]]) {
+      if (typeof value !== 'string' || !value.trim()) {
+        return NextResponse.json(
+          { error: `${name} must be a URL` },
+          { status: 400 }
+        );
+      }
+    }
+
+    if (!DETECTION_MODES.includes(mode)) {
+      return NextResponse.json(
+        { error: `Unknown mode "${mode}", expected one of: ${DETECTION_MODES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const limited = await limitApiRequest(request, { cost: 2 });
+    if (limited) return limited;
+
+    // Font file metadata and the performance audit play no part in the diff
+    const [first, second] = await mapWithConcurrency([before, after], COMPARE_CONCURRENCY[mode], async (url) => {
+      const trimmedUrl = url.trim();
+      const normalizedUrl = normalizeUrl(trimmedUrl);
+      try {
+        const { fonts: fontData, cache } = await detectFontsCached(normalizedUrl, {
+          mode,
+          analyzeFontFiles: false,
+          auditPerformance: false,
+          fresh: Boolean(fresh)
+        });
+        return { url: trimmedUrl, normalizedUrl, fontData, cache: cache.scan };
+      } catch (error) {
+        if (error instanceof BlockedRequestError) throw error;
+        throw new Error(`${normalizedUrl}: ${error.message}`);
+      }
+    });
+
+    const describe = ({ url, normalizedUrl, fontData, cache }) => ({
+      url,
+      normalizedUrl,
+      ...summarizeFonts(fontData),
+      ...(details ? { fonts: fontData } : {}),
+      cache
+    });
+    return NextResponse.json({
+      before: describe(first),
+      after: describe(second),
+      diff: diffFonts(first.fontData, second.fontData)
+    });
+  } catch (error) {
+    if (error instanceof BlockedRequestError) {
+      return NextResponse.json(
+        { error: error.message, blocked: { url: error.url, reason: error.reason } },
+        { status: 403 }
+      );
+    }
+    console.error('Font comparison error:', error);
+    return NextResponse.json(
+      { error: `Failed to compare fonts: ${error.message}` },
+      { status: 500 }
+    );
+  }
+}
@@ -1,11 +1,27 @@
 import { NextResponse } from 'next/server';
-import axios from 'axios';
-import { load } from 'cheerio';
+import { detectFonts, detectFontsCached, DETECTION_MODES } from '@/lib/detect-fonts';
+import { createResourceFetcher } from '@/lib/cache';
+import { BlockedRequestError, checkUrl, normalizeUrl } from '@/lib/safe-fetch';
+import { crawlSite, DEFAULT_CRAWL_OPTIONS, MAX_CRAWL_DEPTH } from '@/lib/crawler';
+import { MAX_CRAWL_PAGES } from '@/lib/batch';
+import { exportFonts, EXPORT_FORMATS } from '@/lib/exporters';
+import { limitApiRequest } from '@/lib/rate-limit';
+import { checkCompliance, PolicyError, resolvePolicy } from '@/lib/policy';
 
 export async function POST(request) {
   try {
     const body = await request.json();
-    const { url } = body;
+    const {
+      url,
+      mode = 'static',
+      analyzeFontFiles = true,
+      audit = true,
+      crawl = false,
+      stream = false,
+      format = null,
+      fresh = false,
+      policy: policyInput = null
+    } = body;
     
     if (!url) {
       return NextResponse.json(
@@ -14,393 +30,193 @@ export async function POST(request) {
       );
     }
 
-    // Normalize URL (add https:// if not present)
-    const normalizedUrl = url.startsWith('http') ? url : `https://${url}`;
-    
-    const fontData = await detectFonts(normalizedUrl);
-    
-    return NextResponse.json({ fonts: fontData });
-  } catch (error) {
-    console.error('Font detection error:', error);
-    return NextResponse.json(
-      { error: `Failed to detect fonts: ${error.message}` },
-      { status: 500 }
-    );
-  }
-}
-
-async function detectFonts(url) {
-  try {
-    // Fetch the HTML content of the page
-    const response = await axios.get(url, {
-      timeout: 15000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36'
-      }
-    });
+    if (!DETECTION_MODES.includes(mode)) {
+      return NextResponse.json(
+        { error: `Unknown mode "${mode}", expected one of: ${DETECTION_MODES.join(', ')}` },
+        { status: 400 }
+      );
+    }
 
-    // Extract data using cheerio
-    const $ = load(response.data);
-    
-    // Store all font data
-    const googleFonts = [];
-    const adobeFonts = [];
-    const cssImportFonts = [];
-    const preloadedFonts = [];
-    
-    // NEW: Keep track of CSS source files and their font-family declarations
-    const cssSourceFiles = [];
+    if (format !== null && !EXPORT_FORMATS.includes(format)) {
+      return NextResponse.json(
+        { error: `Unknown format "${format}", expected one of: ${EXPORT_FORMATS.join(', ')}` },
+        { status: 400 }
+      );
+    }
 
-    // Extract Google Fonts
-    $('link[rel="stylesheet"]').each((_, el) => {
-      const href = $(el).attr('href');
-      if (href && href.includes('fonts.googleapis.com')) {
-        const fontNames = href.match(/family=([^&]+)/i)?.[1];
-        if (fontNames) {
-          const families = fontNames.split('|').map(font => {
-            const baseName = font.split(':')[0].replace(/\+/g, ' ');
-            return {
-              name: baseName,
-              url: href,
-              type: 'google-font'
-            };
-          });
-          googleFonts.push(...families);
-        }
-      }
-    });
+    if (format !== null && (crawl || stream)) {
+      return NextResponse.json(
+        { error: 'format can only be used for a single, non-streamed scan' },
+        { status: 400 }
+      );
+    }
 
-    // Extract Adobe Fonts (TypeKit)
-    const typekitLinks = [];
-    $('link[rel="stylesheet"]').each((_, el) => {
-      const href = $(el).attr('href');
-      if (href && (href.includes('use.typekit.net') || href.includes('use.edgefonts.net'))) {
-        typekitLinks.push(href);
-      }
-    });
+    if (policyInput !== null && (crawl || format !== null)) {
+      return NextResponse.json(
+        { error: 'policy can only be used for a single scan without format' },
+        { status: 400 }
+      );
+    }
 
-    // Fetch and parse Adobe font CSS content
-    for (const typekitUrl of typekitLinks) {
+    // A saved policy's id or a policy object; checked before spending a scan on it
+    let policy = null;
+    if (policyInput !== null) {
       try {
-        const response = await axios.get(typekitUrl, {
-          timeout: 5000,
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36'
-          }
-        });
-        
-        if (response.status === 200) {
-          const cssContent = response.data;
-          
-          // Extract font families from the CSS content
-          const fontFamilyRegex = /@font-face\s*{[^}]*font-family\s*:\s*["']([^"']+)["'][^}]*}/g;
-          const fontWeightRegex = /font-weight\s*:\s*(\d+|normal|bold|lighter|bolder)/;
-          const fontStyleRegex = /font-style\s*:\s*(normal|italic|oblique)/;
-          
-          let match;
-          const extractedFonts = new Set();
-          const fontDetails = [];
-          
-          while ((match = fontFamilyRegex.exec(cssContent)) !== null) {
-            const fontFamilyMatch = match[0];
-            const fontFamily = match[1];
-            
-            // If we haven't seen this font family yet, add it
-            if (!extractedFonts.has(fontFamily)) {
-              extractedFonts.add(fontFamily);
-              
-              // Extract weight and style if available
-              const weightMatch = fontFamilyMatch.match(fontWeightRegex);
-              const styleMatch = fontFamilyMatch.match(fontStyleRegex);
-              
-              fontDetails.push({
-                name: fontFamily,
-                weight: weightMatch ? weightMatch[1] : 'normal',
-                style: styleMatch ? styleMatch[1] : 'normal'
-              });
-            }
-          }
-          
-          // Add the Adobe Fonts with extracted details
-          adobeFonts.push({
-            type: 'adobe-font',
-            url: typekitUrl,
-            projectId: typekitUrl.split('/').pop().split('.')[0],
-            fonts: fontDetails
-          });
-        }
+        policy = await resolvePolicy(policyInput);
       } catch (error) {
-        console.error(`Error fetching Adobe Fonts CSS: ${error.message}`);
+        if (!(error instanceof PolicyError)) throw error;
+        return NextResponse.json(
+          { error: error.message },
+          { status: 400 }
+        );
       }
     }
 
-    // Extract preloaded fonts
-    $('link[rel="preload"][as="font"]').each((_, el) => {
-      const href = $(el).attr('href');
-      if (href) {
-        preloadedFonts.push({
-          url: href,
-          type: 'preloaded-font',
-          format: $(el).attr('type')?.replace('font/', '') || 
-                 href.match(/\.([^.?]+)($|\?)/i)?.[1] || 'unknown'
-        });
-      }
-    });
-
-    // Collect all stylesheets
-    const stylesheetUrls = [];
-    $('link[rel="stylesheet"]').each((_, el) => {
-      const href = $(el).attr('href');
-      if (href && href !== '') {
-        // Convert to absolute URL if needed
-        try {
-          const absoluteUrl = new URL(href, url).href;
-          stylesheetUrls.push(absoluteUrl);
-        } catch (e) {
-          console.error(`Error creating absolute URL from ${href}: ${e.message}`);
+    const normalizedUrl = normalizeUrl(url);
+
+    if (crawl) {
+      // A crawl has to finish within the function time limit, and rendered pages take longer
+      const limits = { maxPages: MAX_CRAWL_PAGES[mode], maxDepth: MAX_CRAWL_DEPTH };
+      const crawlOptions = {
+        ...DEFAULT_CRAWL_OPTIONS,
+        maxPages: Math.min(DEFAULT_CRAWL_OPTIONS.maxPages, limits.maxPages),
+        ...(typeof crawl === 'object' ? crawl : {})
+      };
+      for (const option of ['maxPages', 'maxDepth']) {
+        const value = crawlOptions[option];
+        if (!Number.isInteger(value) || value < 0 || value > limits[option] || (option === 'maxPages' && value === 0)) {
+          return NextResponse.json(
+            { error: `crawl.${option} must be a whole number up to ${limits[option]} in ${mode} mode` },
+            { status: 400 }
+          );
         }
       }
-    });
 
-    // Extract style tags
-    const styleTags = [];
-    $('style').each((_, el) => {
-      const content = $(el).html();
-      if (content) {
-        styleTags.push(content);
-        
-        // Add inline style tags to CSS source files
-        cssSourceFiles.push({
-          source: 'inline <style> tag',
-          url: null,
-          content,
-          fontFamilies: extractFontFamiliesFromCSS(content)
-        });
-      }
-    });
-
-    // Extract CSS @import fonts from style tags
-    const cssImportRegex = /@import\s+(?:url\()?['"]([^'"]+)['"]\)?;/g;
-    for (const styleTag of styleTags) {
-      let importMatch;
-      while ((importMatch = cssImportRegex.exec(styleTag)) !== null) {
-        const importUrl = importMatch[1];
-        if (
-          importUrl.includes('fonts.googleapis.com') || 
-          importUrl.includes('fonts.') ||
-          importUrl.includes('/fonts/') ||
-          importUrl.match(/\.(woff2?|ttf|otf|eot)($|\?)/i)
-        ) {
-          cssImportFonts.push({
-            url: importUrl,
-            type: 'css-import-font'
-          });
-        }
-      }
+      // A crawl may scan up to maxPages pages, and is counted as that many scans
+      const limited = await limitApiRequest(request, { cost: crawlOptions.maxPages });
+      if (limited) return limited;
+
+      // A crawl reports failed pages without failing, so a blocked start URL is caught here
+      await checkUrl(normalizedUrl);
+
+      // Pages of a site share most of their stylesheets, so they share one resource fetcher
+      const fetcher = createResourceFetcher({ fresh: Boolean(fresh) });
+      const site = await crawlSite(normalizedUrl, {
+        ...crawlOptions,
+        // Font file metadata isn't part of the inventory, and downloading every file of every page is slow
+        scanPage: (pageUrl, html) => detectFonts(pageUrl, {
+          mode,
+          analyzeFontFiles: false,
+          auditPerformance: false,
+          html: mode === 'static' ? html : null,
+          fetcher
+        })
+      });
+      return NextResponse.json({ site, cache: { resources: fetcher.summary() } });
     }
 
-    // Extract font-face declarations from stylesheets
-    const fontFaceDeclarations = [];
-    for (const styleText of styleTags) {
-      const fontFaceRegex = /@font-face\s*{([^}]*)}/g;
-      let match;
-      while ((match = fontFaceRegex.exec(styleText)) !== null) {
-        const declaration = match[1];
-        const fontFamily = declaration.match(/font-family\s*:\s*["']?([^"';]*)["']?/i)?.[1];
-        const fontSrc = declaration.match(/src\s*:\s*([^;]*)/i)?.[1];
-        const fontWeight = declaration.match(/font-weight\s*:\s*([^;]*)/i)?.[1] || 'normal';
-        const fontStyle = declaration.match(/font-style\s*:\s*([^;]*)/i)?.[1] || 'normal';
-        const fontDisplay = declaration.match(/font-display\s*:\s*([^;]*)/i)?.[1] || '';
-        
-        if (fontFamily) {
-          fontFaceDeclarations.push({
-            fontFamily,
-            src: fontSrc || '',
-            style: fontStyle,
-            weight: fontWeight,
-            display: fontDisplay
-          });
-        }
-      }
-    }
+    const limited = await limitApiRequest(request);
+    if (limited) return limited;
 
-    // Try to fetch external CSS files to find more fonts
-    const fontFiles = new Set();
-    for (const cssUrl of stylesheetUrls) {
-      try {
-        const cssResponse = await axios.get(cssUrl, {
-          timeout: 5000,
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36'
-          }
-        });
-        
-        if (cssResponse.status === 200) {
-          const cssContent = cssResponse.data;
-          
-          // Add to CSS source files
-          cssSourceFiles.push({
-            source: 'external CSS file',
-            url: cssUrl,
-            content: cssContent,
-            fontFamilies: extractFontFamiliesFromCSS(cssContent)
-          });
-          
-          // Check for font file references
-          const urlRegex = /url\(['"]?([^'"\)]+\.(?:woff2?|ttf|otf|eot))['"]?\)/g;
-          let urlMatch;
-          while ((urlMatch = urlRegex.exec(cssContent)) !== null) {
-            const fontUrl = urlMatch[1];
-            const absoluteFontUrl = new URL(fontUrl, cssUrl).href;
-            
-            fontFiles.add({ 
-              url: absoluteFontUrl, 
-              type: 'font-file', 
-              format: fontUrl.match(/\.([^.?]+)($|\?)/i)?.[1] 
-            });
-          }
-          
-          // Check for more @font-face declarations
-          const fontFaceRegex = /@font-face\s*{([^}]*)}/g;
-          let fontFaceMatch;
-          while ((fontFaceMatch = fontFaceRegex.exec(cssContent)) !== null) {
-            const declaration = fontFaceMatch[1];
-            const fontFamily = declaration.match(/font-family\s*:\s*["']?([^"';]*)["']?/i)?.[1];
-            const fontSrc = declaration.match(/src\s*:\s*([^;]*)/i)?.[1];
-            const fontWeight = declaration.match(/font-weight\s*:\s*([^;]*)/i)?.[1] || 'normal';
-            const fontStyle = declaration.match(/font-style\s*:\s*([^;]*)/i)?.[1] || 'normal';
-            const fontDisplay = declaration.match(/font-display\s*:\s*([^;]*)/i)?.[1] || '';
-            
-            if (fontFamily) {
-              fontFaceDeclarations.push({
-                fontFamily,
-                src: fontSrc || '',
-                style: fontStyle,
-                weight: fontWeight,
-                display: fontDisplay
-              });
-            }
-          }
-        }
-      } catch (error) {
-        console.error(`Error fetching CSS: ${cssUrl}: ${error.message}`);
-      }
-    }
-
-    // Estimate system font stacks
-    const systemFontStacks = [];
-    // Since we can't execute JS to get computed styles, look for common patterns
-    const fontFamilyRegex = /font-family\s*:\s*([^;]+)/gi;
-    const allCSS = styleTags.join(' ') + response.data;
-    let fontFamilyMatch;
-    while ((fontFamilyMatch = fontFamilyRegex.exec(allCSS)) !== null) {
-      const fontFamily = fontFamilyMatch[1];
-      if (
-        fontFamily.includes('system-ui') || 
-        fontFamily.includes('-apple-system') ||
-        fontFamily.includes('BlinkMacSystemFont') ||
-        fontFamily.includes('Segoe UI') ||
-        fontFamily.includes('Roboto') ||
-        fontFamily.includes('Helvetica Neue') ||
-        fontFamily.includes('Arial')
-      ) {
-        systemFontStacks.push({
-          stack: fontFamily,
-          type: 'system-font-stack'
-        });
-      }
+    if (stream) {
+      return streamDetection(normalizedUrl, { mode, analyzeFontFiles, auditPerformance: audit, fresh: Boolean(fresh) }, policy);
     }
+    
+    const { fonts: fontData, cache } = await detectFontsCached(normalizedUrl, {
+      mode,
+      analyzeFontFiles,
+      auditPerformance: audit,
+      fresh: Boolean(fresh)
+    });
 
-    // Extract all font-family properties to estimate computed fonts
-    const computedFontFamilies = new Set();
-    const fontFamiliesInCSS = allCSS.match(/font-family\s*:\s*([^;]+);/gi) || [];
-    for (const fontFamilyRule of fontFamiliesInCSS) {
-      const fontFamily = fontFamilyRule
-        .replace(/font-family\s*:\s*/i, '')
-        .replace(/;/g, '')
-        .trim();
-      
-      fontFamily.split(',')
-        .map(f => f.trim().replace(/["']/g, ''))
-        .filter(f => !['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', '-apple-system'].includes(f))
-        .forEach(f => {
-          if (f) computedFontFamilies.add(f);
-        });
+    if (format !== null) {
+      const { body: exported, contentType, filename } = exportFonts(fontData, format, { url: normalizedUrl });
+      return new Response(exported, {
+        headers: {
+          'Content-Type': contentType,
+          'Content-Disposition': `attachment; filename="${filename}"`,
+          'X-Font-Finder-Cache': cache.scan
+        }
+      });
     }
     
-    const computedFonts = Array.from(computedFontFamilies).map(name => ({
-      name,
-      type: 'computed-font'
-    }));
-
-    return {
-      googleFonts,
-      adobeFonts,
-      fontFiles: Array.from(fontFiles),
-      fontFaceDeclarations,
-      preloadedFonts,
-      cssImportFonts,
-      systemFontStacks,
-      computedFonts,
-      // Add CSS source files to the response
-      cssSourceFiles
-    };
-
+    return NextResponse.json({
+      fonts: fontData,
+      cache,
+      ...(policy && { compliance: checkCompliance(fontData, policy) })
+    });
   } catch (error) {
-    console.error('Error in detectFonts:', error);
-    throw error;
+    if (error instanceof BlockedRequestError) {
+      return NextResponse.json(
+        { error: error.message, blocked: { url: error.url, reason: error.reason } },
+        { status: 403 }
+      );
+    }
+    console.error('Font detection error:', error);
+    return NextResponse.json(
+      { error: `Failed to detect fonts: ${error.message}` },
+      { status: 500 }
+    );
   }
 }
 
 /**
- * Extract all font-family declarations from CSS content
- * @param {string} css - The CSS content to analyze
- * @returns {Array} - Array of font family declarations with their property context
+ * Run a scan and stream its progress as Server-Sent Events: `progress`, `family`,
+ * `warning` and `section` events while it runs, then `result` (or `error`). The scan
+ * stops when the client disconnects
+ * @param {string} url - The normalized page URL
+ * @param {Object} options - detectFontsCached options
+ * @param {Object|null} policy - A brand policy to check the result against
+ * @returns {Response} - A text/event-stream response
  */
-function extractFontFamiliesFromCSS(css) {
-  if (!css) return [];
-  
-  const fontFamilies = [];
-  
-  // Pattern to match font-family declarations
-  const fontFamilyRegex = /([^{}]*){[^{}]*font-family\s*:\s*([^;}]+)[^}]*}/gi;
-  
-  let match;
-  while ((match = fontFamilyRegex.exec(css)) !== null) {
-    const selector = match[1].trim();
-    let fontFamily = match[2].trim();
-    
-    // Clean up font family (remove quotes, etc.)
-    fontFamily = fontFamily.replace(/["']/g, '');
-    
-    fontFamilies.push({
-      selector,
-      value: fontFamily
-    });
-  }
-  
-  // Also match shorthand font property
-  const fontShorthandRegex = /([^{}]*){[^{}]*font\s*:\s*([^;}]+)[^}]*}/gi;
-  while ((match = fontShorthandRegex.exec(css)) !== null) {
-    const selector = match[1].trim();
-    const fontValue = match[2].trim();
-    
-    // Try to extract font-family from shorthand
-    // Font shorthand: font: [font-style] [font-variant] [font-weight] [font-size]/[line-height] [font-family];
-    const parts = fontValue.split(' ');
-    if (parts.length >= 2) {
-      // Last part(s) should be the font-family
-      // Check if there are commas which would indicate multiple font families
-      const fontFamilyPart = parts.slice(-1)[0];
-      if (fontFamilyPart && !fontFamilyPart.match(/^\d/)) {
-        fontFamilies.push({
-          selector,
-          value: fontFamilyPart.replace(/["']/g, ''),
-          shorthand: true
+function streamDetection(url, options, policy) {
+  const encoder = new TextEncoder();
+  const abortController = new AbortController();
+  let closed = false;
+
+  const body = new ReadableStream({
+    async start(controller) {
+      const send = (event, data) => {
+        if (closed) return;
+        controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+      };
+
+      try {
+        const { fonts: fontData, cache } = await detectFontsCached(url, {
+          ...options,
+          signal: abortController.signal,
+          onProgress: (progress) => send(progress.type, progress)
+        });
+        send('result', {
+          fonts: fontData,
+          cache,
+          ...(policy && { compliance: checkCompliance(fontData, policy) })
         });
+      } catch (error) {
+        // Nobody is listening for the error of a scan the client walked away from
+        if (closed) return;
+        console.error('Font detection error:', error);
+        send('error', error instanceof BlockedRequestError
+          ? { error: error.message, blocked: { url: error.url, reason: error.reason } }
+          : { error: `Failed to detect fonts: ${error.message}` });
+      } finally {
+        if (!closed) {
+          closed = true;
+          controller.close();
+        }
       }
+    },
+    cancel() {
+      closed = true;
+      abortController.abort();
     }
-  }
-  
-  return fontFamilies;
-}
\ No newline at end of file
+  });
+
+  return new Response(body, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive'
+    }
+  });
+}
@@ -0,0 +1,99 @@
+import { NextResponse } from 'next/server';
+import { deletePolicy, getPolicy } from '@/lib/history-store';
+import { storePolicy } from '@/lib/policy';
+import { limitApiRequest } from '@/lib/rate-limit';
+
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+    const policy = await getPolicy(id);
+    if (!policy) {
+      return NextResponse.json(
+        { error: 'Policy not found' },
+        { status: 404 }
+      );
+    }
+    return NextResponse.json({ policy });
+  } catch (error) {
+    console.error('Error reading policy:', error);
+    return NextResponse.json(
+      { error: `Failed to read the policy: ${error.message}` },
+      { status: 500 }
+    );
+  }
+}
+
+export async function PUT(request, { params }) {
+  // Changes run no scan, but need the API key when keys are required
+  const limited = await limitApiRequest(request, { cost: 0 });
+  if (limited) return limited;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json(
+      { error: 'The request body must be JSON' },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const { id } = await params;
+    const existing = await getPolicy(id);
+    if (!existing) {
+      return NextResponse.json(
+        { error: 'Policy not found' },
+        { status: 404 }
+      );
+    }
+    const policy = await storePolicy(body, existing);
+    return NextResponse.json({ policy });
+  } catch (error) {
+    if (error.name === 'PolicyError') {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 400 }
+      );
+    }
+    if (error.name === 'StorageUnavailableError') {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 501 }
+      );
+    }
+    console.error('Error updating policy:', error);
+    return NextResponse.json(
+      { error: `Failed to update the policy: ${error.message}` },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(request, { params }) {
+  const limited = await limitApiRequest(request, { cost: 0 });
+  if (limited) return limited;
+
+  try {
+    const { id } = await params;
+    if (!(await deletePolicy(id))) {
+      return NextResponse.json(
+        { error: 'Policy not found' },
+        { status: 404 }
+      );
+    }
+    return NextResponse.json({ deleted: id });
+  } catch (error) {
+    if (error.name === 'StorageUnavailableError') {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 501 }
+      );
+    }
+    console.error('Error deleting policy:', error);
+    return NextResponse.json(
+      { error: `Failed to delete the policy: ${error.message}` },
+      { status: 500 }
+    );
+  }
+}
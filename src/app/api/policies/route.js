@@ -0,0 +1,56 @@
+import { NextResponse } from 'next/server';
+import { getStorageUnavailableReason, listPolicies } from '@/lib/history-store';
+import { storePolicy } from '@/lib/policy';
+import { limitApiRequest } from '@/lib/rate-limit';
+
+export async function GET() {
+  try {
+    // The form hides saving when there is nowhere to save to
+    return NextResponse.json({ policies: await listPolicies(), storageUnavailable: getStorageUnavailableReason('policies') });
+  } catch (error) {
+    console.error('Error listing policies:', error);
+    return NextResponse.json(
+      { error: `Failed to list policies: ${error.message}` },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(request) {
+  // Saving runs no scan, but needs the API key when keys are required, like every other change
+  const limited = await limitApiRequest(request, { cost: 0 });
+  if (limited) return limited;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json(
+      { error: 'The request body must be JSON' },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const policy = await storePolicy(body);
+    return NextResponse.json({ policy }, { status: 201 });
+  } catch (error) {
+    if (error.name === 'PolicyError') {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 400 }
+      );
+    }
+    if (error.name === 'StorageUnavailableError') {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 501 }
+      );
+    }
+    console.error('Error saving policy:', error);
+    return NextResponse.json(
+      { error: `Failed to save the policy: ${error.message}` },
+      { status: 500 }
+    );
+  }
+}
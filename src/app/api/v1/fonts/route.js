@@ -0,0 +1,186 @@
+import { NextResponse } from 'next/server';
+import { detectFontsCached, DETECTION_MODES } from '@/lib/detect-fonts';
+import { exportFonts, EXPORT_FORMATS } from '@/lib/exporters';
+import { checkApiLimits } from '@/lib/rate-limit';
+import { ApiError, apiErrorResponse } from '@/lib/api-errors';
+import { API_SCHEMAS, SCAN_SECTIONS, toScanResult } from '@/lib/openapi';
+import { validateSchema } from '@/lib/schema';
+import { PolicyError, resolvePolicy } from '@/lib/policy';
+import { ALLOWED_SCHEMES, normalizeUrl } from '@/lib/safe-fetch';
+
+const BODY_OPTIONS = ['url', 'mode', 'sections', 'fresh', 'format', 'policy'];
+// The sections that need the font files downloaded
+const FONT_FILE_SECTIONS = ['fontFiles', 'fontAlternatives'];
+
+export async function GET(request) {
+  try {
+    const query = Object.fromEntries(new URL(request.url).searchParams);
+    return await scan(request, parseScanOptions(query, { fromQuery: true }));
+  } catch (error) {
+    return apiErrorResponse(error);
+  }
+}
+
+export async function POST(request) {
+  try {
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      throw new ApiError('INVALID_REQUEST', 'The request body must be JSON');
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new ApiError('INVALID_REQUEST', 'The request body must be a JSON object');
+    }
+    const unknown = Object.keys(body).filter(key => !BODY_OPTIONS.includes(key));
+    if (unknown.length > 0) {
+      throw new ApiError('INVALID_REQUEST', `Unknown ${unknown.length === 1 ? 'option' : 'options'} ${unknown.join(', ')}`, {
+        details: { parameter: unknown[0], allowed: BODY_OPTIONS }
+      });
+    }
+    return await scan(request, parseScanOptions(body, { fromQuery: false }));
+  } catch (error) {
+    return apiErrorResponse(error);
+  }
+}
+
+/**
+ * Run a scan and answer with the requested sections, checked against the ScanResult schema in development
+ * @param {Request} request
+ * @param {Object} options - From parseScanOptions
+ * @returns {Promise<Response>}
+ */
+async function scan(request, { url, mode, sections, fresh, format, policy: policyInput }) {
+  // An unknown policy id shouldn't cost a scan from the quota
+  let policy = null;
+  if (policyInput !== null) {
+    try {
+      policy = await resolvePolicy(policyInput);
+    } catch (error) {
+      if (!(error instanceof PolicyError)) throw error;
+      throw new ApiError('INVALID_REQUEST', error.message, { details: { parameter: 'policy' } });
+    }
+  }
+
+  const rejection = await checkApiLimits(request);
+  if (rejection) {
+    const retryAfter = rejection.headers['Retry-After'];
+    throw new ApiError(rejection.code, rejection.message, {
+      headers: rejection.headers,
+      details: retryAfter ? { retryAfter: Number(retryAfter) } : null
+    });
+  }
+
+  // Exports cover the whole scan; JSON only pays for the slow parts when they are asked for
+  const exporting = format !== 'json';
+  const { fonts, cache } = await detectFontsCached(url, {
+    mode,
+    analyzeFontFiles: exporting || sections.some(section => FONT_FILE_SECTIONS.includes(section)),
+    auditPerformance: exporting || sections.includes('performanceAudit'),
+    fresh
+  });
+
+  if (exporting) {
+    const { body, contentType, filename } = exportFonts(fonts, format, { url });
+    return new Response(body, {
+      headers: {
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'X-Font-Finder-Cache': cache.scan
+      }
+    });
+  }
+
+  const result = toScanResult(fonts, { url, mode, sections, cache, policy });
+
+  // openapi.test.js holds real scans to the schema in CI; checking each response as well is only worth it while developing
+  if (process.env.NODE_ENV !== 'production') {
+    const problems = validateSchema(result, API_SCHEMAS.ScanResult, { schemas: API_SCHEMAS });
+    if (problems.length > 0) {
+      throw new ApiError('RESPONSE_VALIDATION_FAILED', 'The scan result did not match the documented schema', {
+        details: { problems: problems.slice(0, 20) }
+      });
+    }
+  }
+
+  return NextResponse.json(result, { headers: { 'X-Font-Finder-Cache': cache.scan } });
+}
+
+/**
+ * Read and check the scan options, from a query string or a JSON body
+ * @param {Object} params
+ * @param {Object} options
+ * @param {boolean} options.fromQuery - Whether the values are query string text
+ * @returns {{url: string, mode: string, sections: Array<string>, fresh: boolean, format: string, policy: string|Object|null}}
+ * @throws {ApiError} - INVALID_REQUEST or INVALID_URL
+ */
+function parseScanOptions(params, { fromQuery }) {
+  const invalid = (parameter, message, details = {}) =>
+    new ApiError('INVALID_REQUEST', message, { details: { parameter, ...details } });
+
+  if (typeof params.url !== 'string' || !params.url.trim()) {
+    throw invalid('url', 'url is required');
+  }
+  const rawUrl = params.url.trim();
+  const url = normalizeUrl(rawUrl);
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new ApiError('INVALID_URL', `${rawUrl} is not a valid URL`, { details: { parameter: 'url' } });
+  }
+  if (!ALLOWED_SCHEMES.includes(parsed.protocol)) {
+    throw new ApiError('INVALID_URL', `${rawUrl} is not an http(s) URL`, { details: { parameter: 'url' } });
+  }
+
+  const mode = params.mode ?? 'static';
+  if (!DETECTION_MODES.includes(mode)) {
+    throw invalid('mode', `Unknown mode "${mode}", expected one of: ${DETECTION_MODES.join(', ')}`, { allowed: DETECTION_MODES });
+  }
+
+  const format = params.format ?? 'json';
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw invalid('format', `Unknown format "${format}", expected one of: ${EXPORT_FORMATS.join(', ')}`, { allowed: EXPORT_FORMATS });
+  }
+
+  let fresh = params.fresh ?? false;
+  if (fromQuery) {
+    // ?fresh on its own counts as true
+    fresh = { '': true, 'true': true, '1': true, 'false': false, '0': false }[fresh] ?? fresh;
+  }
+  if (typeof fresh !== 'boolean') {
+    throw invalid('fresh', 'fresh must be true or false');
+  }
+
+  let sections = SCAN_SECTIONS;
+  if (params.sections !== undefined) {
+    const requested = typeof params.sections === 'string' ? params.sections.split(',') : params.sections;
+    if (!Array.isArray(requested) || requested.some(section => typeof section !== 'string')) {
+      throw invalid('sections', 'sections must be a list of section names', { allowed: SCAN_SECTIONS });
+    }
+    const names = requested.map(section => section.trim()).filter(Boolean);
+    const unknown = names.filter(section => !SCAN_SECTIONS.includes(section));
+    if (unknown.length > 0) {
+      throw invalid('sections', `Unknown ${unknown.length === 1 ? 'section' : 'sections'} ${unknown.join(', ')}`, { allowed: SCAN_SECTIONS });
+    }
+    if (names.length === 0) {
+      throw invalid('sections', 'sections must name at least one section', { allowed: SCAN_SECTIONS });
+    }
+    // In the documented order, whatever order they were asked for in
+    sections = SCAN_SECTIONS.filter(section => names.includes(section));
+  }
+
+  // A saved policy's id; a JSON body may also carry the policy itself
+  const policy = params.policy ?? null;
+  if (policy !== null) {
+    const isObject = typeof policy === 'object' && !Array.isArray(policy);
+    if (!(typeof policy === 'string' && policy.trim()) && (fromQuery || !isObject)) {
+      throw invalid('policy', fromQuery ? 'policy must be the id of a saved policy' : 'policy must be the id of a saved policy or a policy object');
+    }
+    if (format !== 'json') {
+      throw invalid('policy', 'policy can only be used with the json format');
+    }
+  }
+
+  return { url, mode, sections, fresh, format, policy };
+}
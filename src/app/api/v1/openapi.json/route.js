@@ -0,0 +1,8 @@
+import { NextResponse } from 'next/server';
+import { getOpenApiDocument } from '@/lib/openapi';
+
+export async function GET(request) {
+  return NextResponse.json(getOpenApiDocument({ serverUrl: new URL(request.url).origin }), {
+    headers: { 'Access-Control-Allow-Origin': '*' }
+  });
+}
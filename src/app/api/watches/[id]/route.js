@@ -0,0 +1,68 @@
+import { NextResponse } from 'next/server';
+import { deleteWatch, getWatch, listScans, toScanSummary, toWatchSummary } from '@/lib/history-store';
+import { limitApiRequest } from '@/lib/rate-limit';
+
+// Scans per page of a watch's timeline
+const DEFAULT_SCAN_LIMIT = 20;
+const MAX_SCAN_LIMIT = 100;
+
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+    const watch = await getWatch(id);
+    if (!watch) {
+      return NextResponse.json(
+        { error: 'Watch not found' },
+        { status: 404 }
+      );
+    }
+
+    // ?limit= scans per page, ?before=<scan id> for the page after nextBefore
+    const searchParams = new URL(request.url).searchParams;
+    const limit = searchParams.has('limit') ? Number(searchParams.get('limit')) : DEFAULT_SCAN_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SCAN_LIMIT) {
+      return NextResponse.json(
+        { error: `limit must be a whole number from 1 to ${MAX_SCAN_LIMIT}` },
+        { status: 400 }
+      );
+    }
+
+    // One more than asked for tells whether there is another page
+    const scans = await listScans(id, { limit: limit + 1, before: searchParams.get('before') });
+    const page = scans.slice(0, limit);
+    return NextResponse.json({
+      watch: toWatchSummary(watch),
+      scans: page.map(toScanSummary),
+      nextBefore: scans.length > limit ? page[page.length - 1].id : null
+    });
+  } catch (error) {
+    console.error('Error reading watch history:', error);
+    return NextResponse.json(
+      { error: `Failed to read the history: ${error.message}` },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(request, { params }) {
+  // Deleting runs no scan, but takes the same key (when keys are required) and counts as a request
+  const limited = await limitApiRequest(request, { cost: 0 });
+  if (limited) return limited;
+
+  try {
+    const { id } = await params;
+    if (!(await deleteWatch(id))) {
+      return NextResponse.json(
+        { error: 'Watch not found' },
+        { status: 404 }
+      );
+    }
+    return NextResponse.json({ deleted: id });
+  } catch (error) {
+    console.error('Error deleting watch:', error);
+    return NextResponse.json(
+      { error: `Failed to delete the watch: ${error.message}` },
+      { status: 500 }
+    );
+  }
+}
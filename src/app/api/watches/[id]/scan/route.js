@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+import { getWatch, toScanSummary } from '@/lib/history-store';
+import { isWatchScanning, runWatch } from '@/lib/monitor';
+import { limitApiRequest } from '@/lib/rate-limit';
+
+// Rescan a watched URL now, outside its schedule
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params;
+    const watch = await getWatch(id);
+    if (!watch) {
+      return NextResponse.json(
+        { error: 'Watch not found' },
+        { status: 404 }
+      );
+    }
+    if (isWatchScanning(id)) {
+      return NextResponse.json(
+        { error: `${watch.normalizedUrl} is already being scanned` },
+        { status: 409 }
+      );
+    }
+
+    const limited = await limitApiRequest(request);
+    if (limited) return limited;
+
+    const scan = await runWatch(watch);
+    return NextResponse.json({ scan: toScanSummary(scan) });
+  } catch (error) {
+    console.error('Error rescanning watch:', error);
+    return NextResponse.json(
+      { error: `Failed to rescan: ${error.message}` },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,64 @@
+import { NextResponse } from 'next/server';
+import { getStorageUnavailableReason, getWatch, listScans, listWatches, toScanSummary, toWatchSummary } from '@/lib/history-store';
+import { createWatch, runWatch } from '@/lib/monitor';
+import { limitApiRequest } from '@/lib/rate-limit';
+
+export async function GET() {
+  try {
+    const watches = await listWatches();
+    const withLatest = await Promise.all(watches.map(async (watch) => {
+      const [latestScan] = await listScans(watch.id, { limit: 1 });
+      return { ...toWatchSummary(watch), latestScan: latestScan ? toScanSummary(latestScan) : null };
+    }));
+    return NextResponse.json({ watches: withLatest });
+  } catch (error) {
+    console.error('Error listing watches:', error);
+    return NextResponse.json(
+      { error: `Failed to list watches: ${error.message}` },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(request) {
+  const unavailable = getStorageUnavailableReason();
+  if (unavailable) {
+    return NextResponse.json(
+      { error: unavailable },
+      { status: 501 }
+    );
+  }
+
+  // Creating a watch runs its first scan straight away
+  const limited = await limitApiRequest(request);
+  if (limited) return limited;
+
+  let watch;
+  try {
+    const body = await request.json();
+    watch = await createWatch({
+      url: body.url,
+      mode: body.mode,
+      intervalMinutes: body.intervalMinutes,
+      webhookUrl: body.webhookUrl || null
+    });
+  } catch (error) {
+    return NextResponse.json(
+      { error: error.message },
+      { status: 400 }
+    );
+  }
+
+  // Take the first snapshot now, so the answer says whether the URL can be scanned at all;
+  // a page that fails to scan is a stored scan with an error, not an exception
+  try {
+    const scan = await runWatch(watch);
+    return NextResponse.json({ watch: toWatchSummary((await getWatch(watch.id)) || watch), scan: toScanSummary(scan) }, { status: 201 });
+  } catch (error) {
+    console.error(`First scan of ${watch.normalizedUrl} failed:`, error);
+    return NextResponse.json(
+      { error: `The watch was created, but its first scan could not be stored: ${error.message}`, watch: toWatchSummary(watch) },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,295 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import Link from 'next/link';
+
+const INTERVALS = [
+  { minutes: 60, label: 'Every hour' },
+  { minutes: 6 * 60, label: 'Every 6 hours' },
+  { minutes: 24 * 60, label: 'Every day' },
+  { minutes: 7 * 24 * 60, label: 'Every week' }
+];
+
+export default function History() {
+  const [watches, setWatches] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [timeline, setTimeline] = useState(null);
+  const [form, setForm] = useState({ url: '', intervalMinutes: 24 * 60, webhookUrl: '', rendered: false });
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Function to call the watches API and surface its error message
+  const callApi = async (path, options = {}) => {
+    const response = await fetch(path, {
+      ...options,
+      headers: { 'Content-Type': 'application/json' }
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Request failed');
+    }
+    return data;
+  };
+
+  const loadWatches = useCallback(async () => {
+    try {
+      const data = await callApi('/api/watches');
+      setWatches(data.watches);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  const loadTimeline = useCallback(async (id) => {
+    try {
+      const latest = await callApi(`/api/watches/${id}`);
+      // Refreshing brings in the newest scans; keep any older pages already shown
+      setTimeline(current => {
+        if (current?.watch.id !== id || latest.nextBefore === null) return latest;
+        const older = current.scans.filter(scan => scan.id < latest.nextBefore);
+        if (older.length === 0) return latest;
+        return { ...latest, scans: [...latest.scans, ...older], nextBefore: current.nextBefore };
+      });
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  const loadOlderScans = async () => {
+    setBusy(true);
+    try {
+      const older = await callApi(`/api/watches/${timeline.watch.id}?before=${encodeURIComponent(timeline.nextBefore)}`);
+      setTimeline(current => ({ ...current, scans: [...current.scans, ...older.scans], nextBefore: older.nextBefore }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Scans run on the server's schedule, so keep the page up to date while it is open
+  useEffect(() => {
+    loadWatches();
+    const timer = setInterval(loadWatches, 30000);
+    return () => clearInterval(timer);
+  }, [loadWatches]);
+
+  useEffect(() => {
+    if (selectedId) loadTimeline(selectedId);
+  }, [selectedId, watches, loadTimeline]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const { watch } = await callApi('/api/watches', {
+        method: 'POST',
+        body: JSON.stringify({
+          url: form.url,
+          intervalMinutes: form.intervalMinutes,
+          webhookUrl: form.webhookUrl || null,
+          mode: form.rendered ? 'rendered' : 'static'
+        })
+      });
+      setForm({ ...form, url: '' });
+      setSelectedId(watch.id);
+      await loadWatches();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRescan = async (id) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await callApi(`/api/watches/${id}/scan`, { method: 'POST' });
+      setSelectedId(id);
+      await loadWatches();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    setError(null);
+    try {
+      await callApi(`/api/watches/${id}`, { method: 'DELETE' });
+      if (selectedId === id) {
+        setSelectedId(null);
+        setTimeline(null);
+      }
+      await loadWatches();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+  return (
+    <div className="min-h-screen p-8 max-w-4xl mx-auto">
+      <header className="flex flex-col items-center mb-12 text-center">
+        <h1 className="text-3xl font-bold mb-4">Font History</h1>
+        <p className="text-lg text-gray-600 dark:text-gray-300">
+          Rescan sites on a schedule and get alerted when their fonts change
+        </p>
+        <Link href="/" className="mt-2 text-sm text-blue-600 dark:text-blue-400 hover:underline">
+          Back to Font Finder
+        </Link>
+      </header>
+
+      <main className="space-y-8">
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <div className="flex flex-col sm:flex-row gap-4">
+            <input
+              type="text"
+              value={form.url}
+              onChange={(e) => setForm({ ...form, url: e.target.value })}
+              placeholder="URL to watch (e.g., example.com)"
+              className="flex-1 p-3 border rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+              required
+            />
+            <select
+              value={form.intervalMinutes}
+              onChange={(e) => setForm({ ...form, intervalMinutes: Number(e.target.value) })}
+              className="p-3 border rounded-md"
+            >
+              {INTERVALS.map(interval => (
+                <option key={interval.minutes} value={interval.minutes}>{interval.label}</option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              disabled={busy}
+              className="bg-blue-600 hover:bg-blue-700 text-white font-medium py-3 px-6 rounded-md transition duration-200 disabled:opacity-70"
+            >
+              Watch
+            </button>
+          </div>
+          <input
+            type="url"
+            value={form.webhookUrl}
+            onChange={(e) => setForm({ ...form, webhookUrl: e.target.value })}
+            placeholder="Webhook for change alerts (optional, e.g. https://hooks.example.com/fonts)"
+            className="w-full p-2 border rounded-md text-sm"
+          />
+          <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={form.rendered}
+              onChange={(e) => setForm({ ...form, rendered: e.target.checked })}
+              className="h-4 w-4"
+            />
+            Render JavaScript in a headless browser
+          </label>
+        </form>
+
+        {error && (
+          <div className="bg-red-50 dark:bg-red-900/20 border-l-4 border-red-500 p-4">
+            <p className="text-red-700 dark:text-red-300">{error}</p>
+          </div>
+        )}
+
+        <section>
+          <h2 className="text-xl font-semibold border-b pb-2 mb-3">Watched sites</h2>
+          {watches.length === 0 ? (
+            <p className="text-gray-500 dark:text-gray-400">No sites are watched yet</p>
+          ) : (
+            <ul className="space-y-2">
+              {watches.map(watch => (
+                <li
+                  key={watch.id}
+                  className={`p-3 rounded-lg ${selectedId === watch.id ? 'bg-blue-50 dark:bg-blue-950' : 'bg-gray-50 dark:bg-gray-800'}`}
+                >
+                  <div className="flex flex-wrap justify-between items-center gap-2">
+                    <button onClick={() => setSelectedId(watch.id)} className="font-medium text-left break-all hover:underline">
+                      {watch.normalizedUrl}
+                    </button>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => handleRescan(watch.id)}
+                        disabled={busy}
+                        className="text-xs px-2 py-1 bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 rounded transition-colors disabled:opacity-70"
+                      >
+                        Rescan now
+                      </button>
+                      <button
+                        onClick={() => handleDelete(watch.id)}
+                        className="text-xs px-2 py-1 bg-gray-200 hover:bg-red-200 dark:bg-gray-700 dark:hover:bg-red-900 rounded transition-colors"
+                      >
+                        Stop watching
+                      </button>
+                    </div>
+                  </div>
+                  <div className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                    {INTERVALS.find(interval => interval.minutes === watch.intervalMinutes)?.label || `Every ${watch.intervalMinutes} minutes`}
+                    {' · '}Last scan {formatDate(watch.lastScanAt)}
+                    {' · '}Last change {formatDate(watch.lastChangeAt)}
+                    {watch.latestScan?.status === 'error' && (
+                      <span className="text-red-600 dark:text-red-400"> · Last scan failed: {watch.latestScan.error}</span>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+
+        {timeline && (
+          <section>
+            <h2 className="text-xl font-semibold border-b pb-2 mb-3">Timeline of {timeline.watch.normalizedUrl}</h2>
+            {timeline.scans.length === 0 ? (
+              <p className="text-gray-500 dark:text-gray-400">The first scan is on its way</p>
+            ) : (
+              <ol className="relative border-l-2 border-gray-200 dark:border-gray-700 ml-2 space-y-6">
+                {timeline.scans.map(scan => (
+                  <li key={scan.id} className="ml-4">
+                    <span className={`absolute -left-[7px] mt-1.5 h-3 w-3 rounded-full ${
+                      scan.status === 'error' ? 'bg-red-500' : scan.changes.length > 0 ? 'bg-amber-500' : 'bg-gray-400'
+                    }`}></span>
+                    <div className="text-sm font-medium">{formatDate(scan.scannedAt)}</div>
+                    {scan.status === 'error' ? (
+                      <p className="text-sm text-red-600 dark:text-red-400">Scan failed: {scan.error}</p>
+                    ) : scan.changes.length > 0 ? (
+                      <ul className="mt-1 text-sm list-disc ml-5 space-y-0.5">
+                        {scan.changes.map((change, changeIndex) => (
+                          <li key={`${scan.id}-change-${changeIndex}`}>{change}</li>
+                        ))}
+                      </ul>
+                    ) : (
+                      <p className="text-sm text-gray-600 dark:text-gray-300">
+                        {scan.previousScanId
+                          ? 'No changes'
+                          : `First snapshot: ${scan.families.map(family => family.name).join(', ') || 'no font families'}`}
+                      </p>
+                    )}
+                    {scan.webhook && (
+                      <p className={`text-xs mt-1 ${scan.webhook.status === 'sent' ? 'text-gray-500 dark:text-gray-400' : 'text-red-600 dark:text-red-400'}`}>
+                        Alert {scan.webhook.status === 'sent' ? `sent to ${scan.webhook.host}` : `to ${scan.webhook.host} failed: ${scan.webhook.error}`}
+                      </p>
+                    )}
+                  </li>
+                ))}
+              </ol>
+            )}
+            {timeline.nextBefore && (
+              <button
+                onClick={loadOlderScans}
+                disabled={busy}
+                className="mt-6 text-xs px-2 py-1 bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 rounded transition-colors disabled:opacity-70"
+              >
+                Older scans
+              </button>
+            )}
+          </section>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -2,13 +2,48 @@
 
 import { useState } from 'react';
 import Image from 'next/image';
+import Link from 'next/link';
+import { exportFonts } from '@/lib/exporters';
+import { buildFontSnippets } from '@/lib/snippets';
+import { getFontProviders } from '@/lib/providers';
+import { MAX_BATCH_URLS, MAX_CRAWL_PAGES, summarizeBatch } from '@/lib/batch';
+
+// The providers and font-display values a brand policy can allow
+const POLICY_PROVIDERS = [
+  ...getFontProviders().map(({ id, name }) => ({ id, name })),
+  { id: 'self-hosted', name: 'Self-hosted' }
+];
+const FONT_DISPLAY_VALUES = ['auto', 'block', 'swap', 'fallback', 'optional'];
+const EMPTY_POLICY_FORM = { name: '', families: '', weights: '', providers: [], requireFontDisplay: false, fontDisplay: [] };
+const POLICY_RULE_LABELS = { family: 'Families', weight: 'Weights', provider: 'Providers', 'font-display': 'font-display' };
 
 export default function Home() {
   const [url, setUrl] = useState('');
+  const [mode, setMode] = useState('static');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [fontData, setFontData] = useState(null);
+  const [crawl, setCrawl] = useState(false);
+  const [crawlOptions, setCrawlOptions] = useState({ maxPages: 10, maxDepth: 2, useSitemap: false });
+  const [siteData, setSiteData] = useState(null);
+  const [batch, setBatch] = useState(false);
+  const [batchInput, setBatchInput] = useState('');
+  const [batchData, setBatchData] = useState(null);
+  const [batchProgress, setBatchProgress] = useState(null);
+  const [compare, setCompare] = useState(false);
+  const [compareUrl, setCompareUrl] = useState('');
+  const [compareData, setCompareData] = useState(null);
+  const [progressLog, setProgressLog] = useState([]);
+  const [fresh, setFresh] = useState(false);
+  const [cacheInfo, setCacheInfo] = useState(null);
   const [copiedFont, setCopiedFont] = useState(null);
+  const [checkPolicy, setCheckPolicy] = useState(false);
+  const [policies, setPolicies] = useState(null);
+  const [policyId, setPolicyId] = useState('');
+  const [policyForm, setPolicyForm] = useState(EMPTY_POLICY_FORM);
+  const [policyEdited, setPolicyEdited] = useState(false);
+  const [policyStorageUnavailable, setPolicyStorageUnavailable] = useState(null);
+  const [compliance, setCompliance] = useState(null);
 
   // Function to copy text to clipboard
   const copyToClipboard = (text) => {
@@ -20,6 +55,12 @@ export default function Home() {
     });
   };
 
+  // Function to find the catalog licence of a family as written in a font stack
+  const getFontLicense = (fontFamily) => {
+    const name = fontFamily.replace(/^["']|["']$/g, '').toLowerCase();
+    return (fontData?.fontLicenses || []).find(license => license.name.toLowerCase() === name) || null;
+  };
+
   // Function to extract unique font families from CSS Source Files
   const getUniqueFontFamilies = (cssSourceFiles) => {
     if (!cssSourceFiles || !Array.isArray(cssSourceFiles)) {
@@ -33,12 +74,14 @@ export default function Home() {
     cssSourceFiles.forEach(cssFile => {
       if (cssFile.fontFamilies && Array.isArray(cssFile.fontFamilies)) {
         cssFile.fontFamilies.forEach(fontFamily => {
-          // Split comma-separated font families and process each one
-          if (fontFamily.value) {
-            fontFamily.value.split(',').forEach(font => {
+          // Split comma-separated font families and process each one,
+          // using the var() resolved value where there is one
+          const value = fontFamily.resolvedValue || fontFamily.value;
+          if (value) {
+            value.split(',').forEach(font => {
               // Clean up font name and add to set if not a generic family
               const cleanedFont = font.trim().toLowerCase();
-              if (cleanedFont && 
+              if (cleanedFont && !cleanedFont.startsWith('var(') && 
                   !['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', '-apple-system', 
                    'blinkmacsystemfont', 'segoe ui', 'roboto', 'helvetica', 'arial', 'sans-serif'].includes(cleanedFont)) {
                 uniqueFontFamilies.add(font.trim());
@@ -55,11 +98,323 @@ export default function Home() {
     );
   };
 
+  // Function to describe where a declaration sits: source line and enclosing at-rules
+  const describeLocation = (declaration) => {
+    const parts = [];
+    if (declaration.line) parts.push(`line ${declaration.line}`);
+    if (declaration.context) {
+      if (declaration.context.media) parts.push(`@media ${declaration.context.media}`);
+      if (declaration.context.supports) parts.push(`@supports ${declaration.context.supports}`);
+      if (declaration.context.layer) parts.push(`@layer ${declaration.context.layer}`);
+      if (declaration.context.container) parts.push(`@container ${declaration.context.container}`);
+    }
+    return parts.join(' · ');
+  };
+
+  // Function to render the @import links of a CSS file, recursing into loaded children
+  const renderImportTree = (cssFile, cssSourceFiles) => (
+    <ul className="ml-4 pl-3 border-l dark:border-gray-700 space-y-1">
+      {cssFile.imports.map((link, index) => {
+        const child = link.status === 'loaded'
+          ? cssSourceFiles.find(file => file.id === link.id)
+          : null;
+        return (
+          <li key={`import-${cssFile.id}-${index}`} className="text-xs">
+            <span className="font-mono break-all">{link.url}</span>
+            {link.media && <span className="ml-2 text-gray-500 dark:text-gray-400">{link.media}</span>}
+            {link.status !== 'loaded' && (
+              <span className="ml-2 px-1 py-0.5 bg-yellow-100 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200 rounded">
+                {link.status}
+              </span>
+            )}
+            {child && child.imports && child.imports.length > 0 && renderImportTree(child, cssSourceFiles)}
+          </li>
+        );
+      })}
+    </ul>
+  );
+
+  // Function to pull the URLs out of a pasted list or an uploaded text/CSV file
+  const parseUrlList = (text) => {
+    const urls = [];
+    text.split(/[\r\n,;\t]+/).forEach(cell => {
+      const candidate = cell.trim().replace(/^["']|["']$/g, '');
+      // Skips CSV headers and other cells that can't be a host name
+      if (/^(https?:\/\/)?[^\s/]+\.[^\s/]+/i.test(candidate) && !urls.includes(candidate)) {
+        urls.push(candidate);
+      }
+    });
+    return urls;
+  };
+
+  // Function to load an uploaded list into the batch textarea
+  const handleBatchFile = (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    file.text().then(text => {
+      setBatchInput(parseUrlList(text).join('\n'));
+    }).catch(err => {
+      setError(`Could not read ${file.name}: ${err.message}`);
+    });
+  };
+
+  // Function to read a Server-Sent Events scan: log progress and fill in sections as they finish
+  const readProgressStream = async (response) => {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const handleEvent = (event, data) => {
+      if (event === 'section') {
+        setFontData(previous => ({ ...previous, [data.section]: data.data }));
+      } else if (event === 'result') {
+        setFontData(data.fonts);
+        setCacheInfo(data.cache);
+        setCompliance(data.compliance || null);
+      } else if (event === 'error') {
+        throw new Error(data.error);
+      } else {
+        const message = event === 'family' ? `Found ${data.name} (${data.via})` : data.message;
+        setProgressLog(previous => [...previous, { type: event, message }]);
+      }
+    };
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      // Events are separated by a blank line
+      const messages = buffer.split('\n\n');
+      buffer = messages.pop();
+      for (const message of messages) {
+        const event = message.match(/^event: (.*)$/m)?.[1];
+        const data = message.match(/^data: (.*)$/m)?.[1];
+        if (event && data) handleEvent(event, JSON.parse(data));
+      }
+    }
+  };
+
+  // Function to flatten a comparison into before/after rows, one per change
+  const getDiffRows = (diff) => [
+    ...diff.providers.removed.map(name => ({ kind: 'Provider', subject: 'Site', before: name, after: '—' })),
+    ...diff.providers.added.map(name => ({ kind: 'Provider', subject: 'Site', before: '—', after: name })),
+    ...diff.providers.switched.map(change => ({
+      kind: 'Provider',
+      subject: change.family,
+      before: change.before.join(', ') || 'font-family only',
+      after: change.after.join(', ') || 'font-family only'
+    })),
+    ...diff.styles.map(change => ({
+      kind: 'Weights & styles',
+      subject: change.family,
+      before: change.lost.length > 0 ? `Only here: ${change.lost.join(', ')}` : '—',
+      after: change.gained.length > 0 ? `Only here: ${change.gained.join(', ')}` : '—'
+    })),
+    ...diff.fontDisplay.map(change => ({
+      kind: 'font-display',
+      subject: `${change.family} ${change.face}`,
+      before: change.before || 'not set',
+      after: change.after || 'not set'
+    })),
+    ...diff.formats.map(change => ({
+      kind: 'Formats',
+      subject: change.family,
+      before: change.before.join(', '),
+      after: change.after.join(', ')
+    }))
+  ];
+
+  // Function to turn a saved policy into the editor's text fields
+  const policyToForm = (policy) => ({
+    name: policy.name,
+    // One family per line, with its weights after a colon: "Lora: 400, 700"
+    families: (policy.approvedFamilies || [])
+      .map(family => (family.weights ? `${family.name}: ${family.weights.join(', ')}` : family.name))
+      .join('\n'),
+    weights: (policy.allowedWeights || []).join(', '),
+    providers: policy.allowedProviders || [],
+    requireFontDisplay: policy.requireFontDisplay,
+    fontDisplay: policy.allowedFontDisplay || []
+  });
+
+  // Function to turn the editor's fields into a policy; an empty field allows anything
+  const formToPolicy = (form) => {
+    const parseWeights = (text) => text.split(/[\s,]+/).filter(Boolean).map(Number);
+    const families = form.families.split('\n').map(line => line.trim()).filter(Boolean).map((line) => {
+      const [name, weights] = line.split(':');
+      return weights?.trim() ? { name: name.trim(), weights: parseWeights(weights) } : { name: name.trim() };
+    });
+    return {
+      name: form.name,
+      approvedFamilies: families.length > 0 ? families : null,
+      allowedWeights: form.weights.trim() ? parseWeights(form.weights) : null,
+      allowedProviders: form.providers.length > 0 ? form.providers : null,
+      requireFontDisplay: form.requireFontDisplay,
+      allowedFontDisplay: form.fontDisplay.length > 0 ? form.fontDisplay : null
+    };
+  };
+
+  // Function to call the policies API and surface its error message
+  const callPolicyApi = async (path, options = {}) => {
+    const response = await fetch(path, {
+      ...options,
+      headers: { 'Content-Type': 'application/json' }
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Request failed');
+    }
+    return data;
+  };
+
+  // Saved policies are only loaded once someone wants to check against one
+  const handleCheckPolicy = async (checked) => {
+    setCheckPolicy(checked);
+    if (!checked || policies !== null) return;
+    try {
+      const data = await callPolicyApi('/api/policies');
+      setPolicies(data.policies);
+      setPolicyStorageUnavailable(data.storageUnavailable);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSelectPolicy = (id) => {
+    setPolicyId(id);
+    setPolicyForm(id ? policyToForm(policies.find(policy => policy.id === id)) : EMPTY_POLICY_FORM);
+    setPolicyEdited(false);
+  };
+
+  const updatePolicyForm = (changes) => {
+    setPolicyForm({ ...policyForm, ...changes });
+    setPolicyEdited(true);
+  };
+
+  // Function to toggle a value in one of the editor's checkbox lists
+  const togglePolicyValue = (field, value, checked) => {
+    updatePolicyForm({
+      [field]: checked ? [...policyForm[field], value] : policyForm[field].filter(item => item !== value)
+    });
+  };
+
+  const handleSavePolicy = async (asNew) => {
+    setError(null);
+    try {
+      const { policy } = await callPolicyApi(asNew ? '/api/policies' : `/api/policies/${policyId}`, {
+        method: asNew ? 'POST' : 'PUT',
+        body: JSON.stringify(formToPolicy(policyForm))
+      });
+      setPolicies((await callPolicyApi('/api/policies')).policies);
+      setPolicyId(policy.id);
+      setPolicyForm(policyToForm(policy));
+      setPolicyEdited(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDeletePolicy = async () => {
+    setError(null);
+    try {
+      await callPolicyApi(`/api/policies/${policyId}`, { method: 'DELETE' });
+      setPolicies(policies.filter(policy => policy.id !== policyId));
+      handleSelectPolicy('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Function to download the current results in one of the export formats
+  const handleExport = (format) => {
+    const scannedUrl = /^https?:\/\//i.test(url) ? url : `https://${url}`;
+    const { body, contentType, filename } = exportFonts(fontData, format, { url: scannedUrl });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([body], { type: contentType }));
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
     setError(null);
     setFontData(null);
+    setCacheInfo(null);
+    setCompliance(null);
+    setSiteData(null);
+    setBatchData(null);
+    setCompareData(null);
+
+    if (compare && !batch) {
+      try {
+        const response = await fetch('/api/detect-fonts/compare', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ before: url, after: compareUrl, mode, fresh }),
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to compare fonts');
+        }
+
+        setCompareData(data);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+      return;
+    }
+
+    if (batch) {
+      // Each request scans a few URLs, so it finishes within the server's time limit;
+      // results show up as each one comes back
+      const urls = parseUrlList(batchInput);
+      const results = [];
+      setBatchProgress({ done: 0, total: urls.length });
+      try {
+        for (let start = 0; start < urls.length; start += MAX_BATCH_URLS[mode]) {
+          const response = await fetch('/api/detect-fonts/batch', {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ urls: urls.slice(start, start + MAX_BATCH_URLS[mode]), mode, fresh }),
+          });
+
+          const data = await response.json();
+
+          if (!response.ok) {
+            throw new Error(data.error || 'Failed to detect fonts');
+          }
+
+          results.push(...data.results);
+          setBatchData({ results: [...results], summary: summarizeBatch(results) });
+          setBatchProgress({ done: Math.min(start + MAX_BATCH_URLS[mode], urls.length), total: urls.length });
+        }
+      } catch (err) {
+        setError(results.length > 0 ? `${err.message} (after ${results.length} of ${urls.length} URLs)` : err.message);
+      } finally {
+        setBatchProgress(null);
+        setLoading(false);
+      }
+      return;
+    }
+
+    setProgressLog([]);
+
+    // A saved policy goes by its id; one being edited is sent as it stands
+    let policy;
+    if (checkPolicy && !crawl) {
+      policy = policyId && !policyEdited ? policyId : formToPolicy(policyForm);
+    }
 
     try {
       const response = await fetch('/api/detect-fonts', {
@@ -67,16 +422,28 @@ export default function Home() {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ url }),
+        // Single scans stream their progress; crawls answer once with the whole site
+        body: JSON.stringify({ url, mode, crawl: crawl ? { ...crawlOptions, maxPages: Math.min(crawlOptions.maxPages, MAX_CRAWL_PAGES[mode]) } : false, stream: !crawl, fresh, policy }),
       });
 
-      const data = await response.json();
+      if (!response.ok || !response.headers.get('Content-Type')?.includes('text/event-stream')) {
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to detect fonts');
+        }
 
-      if (!response.ok) {
-        throw new Error(data.error || 'Failed to detect fonts');
+        if (data.site) {
+          setSiteData(data.site);
+        } else {
+          setFontData(data.fonts);
+          setCacheInfo(data.cache);
+          setCompliance(data.compliance || null);
+        }
+        return;
       }
 
-      setFontData(data.fonts);
+      await readProgressStream(response);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -91,50 +458,703 @@ export default function Home() {
         <p className="text-lg text-gray-600 dark:text-gray-300">
           Discover all the fonts used on any website
         </p>
+        <Link href="/history" className="mt-2 text-sm text-blue-600 dark:text-blue-400 hover:underline">
+          Watch sites for font changes
+        </Link>
       </header>
 
       <main>
         <form onSubmit={handleSubmit} className="mb-10">
           <div className="flex flex-col sm:flex-row gap-4">
-            <input
-              type="text"
-              value={url}
-              onChange={(e) => setUrl(e.target.value)}
-              placeholder="Enter website URL (e.g., example.com)"
-              className="flex-1 p-3 border rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
-              required
-            />
+            {batch ? (
+              <div className="flex-1 flex flex-col gap-2">
+                <textarea
+                  value={batchInput}
+                  onChange={(e) => setBatchInput(e.target.value)}
+                  placeholder={'One URL per line (e.g., example.com)'}
+                  rows={6}
+                  className="p-3 border rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none font-mono text-sm"
+                  required
+                />
+                <label className="text-sm text-gray-600 dark:text-gray-300">
+                  Or upload a .txt or .csv file:{' '}
+                  <input type="file" accept=".txt,.csv,text/plain,text/csv" onChange={handleBatchFile} className="text-sm" />
+                </label>
+              </div>
+            ) : compare ? (
+              <div className="flex-1 flex flex-col gap-2">
+                <input
+                  type="text"
+                  value={url}
+                  onChange={(e) => setUrl(e.target.value)}
+                  placeholder="First URL (e.g., example.com)"
+                  className="p-3 border rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+                  required
+                />
+                <input
+                  type="text"
+                  value={compareUrl}
+                  onChange={(e) => setCompareUrl(e.target.value)}
+                  placeholder="Second URL (e.g., staging.example.com)"
+                  className="p-3 border rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+                  required
+                />
+              </div>
+            ) : (
+              <input
+                type="text"
+                value={url}
+                onChange={(e) => setUrl(e.target.value)}
+                placeholder="Enter website URL (e.g., example.com)"
+                className="flex-1 p-3 border rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+                required
+              />
+            )}
             <button
               type="submit"
               disabled={loading}
               className="bg-blue-600 hover:bg-blue-700 text-white font-medium py-3 px-6 rounded-md transition duration-200 disabled:opacity-70"
             >
-              {loading ? 'Scanning...' : 'Find Fonts'}
+              {loading ? 'Scanning...' : compare && !batch ? 'Compare' : 'Find Fonts'}
             </button>
           </div>
+          <label className="mt-3 flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={mode === 'rendered'}
+              onChange={(e) => setMode(e.target.checked ? 'rendered' : 'static')}
+              className="h-4 w-4"
+            />
+            Render JavaScript in a headless browser (slower, for React/Vue and other client-rendered sites)
+          </label>
+          <label className="mt-2 flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={fresh}
+              onChange={(e) => setFresh(e.target.checked)}
+              className="h-4 w-4"
+            />
+            Scan again instead of using recent results, and download every stylesheet and font file
+          </label>
+          <label className="mt-2 flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={batch}
+              onChange={(e) => setBatch(e.target.checked)}
+              className="h-4 w-4"
+            />
+            Scan a list of URLs
+          </label>
+          {!batch && (
+            <label className="mt-2 flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={compare}
+                onChange={(e) => setCompare(e.target.checked)}
+                className="h-4 w-4"
+              />
+              Compare with a second URL (e.g. staging against production, or a competitor)
+            </label>
+          )}
+          {!batch && !compare && (
+            <>
+              <label className="mt-2 flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={crawl}
+                  onChange={(e) => setCrawl(e.target.checked)}
+                  className="h-4 w-4"
+                />
+                Crawl the whole site (same-origin links, respecting robots.txt)
+              </label>
+              {crawl && (
+                <div className="mt-2 ml-6 flex flex-wrap items-center gap-4 text-sm text-gray-600 dark:text-gray-300">
+                  <label className="flex items-center gap-2">
+                    Max pages
+                    <input
+                      type="number"
+                      min="1"
+                      max={MAX_CRAWL_PAGES[mode]}
+                      value={crawlOptions.maxPages}
+                      onChange={(e) => setCrawlOptions({ ...crawlOptions, maxPages: Number(e.target.value) })}
+                      className="w-20 p-1 border rounded-md"
+                    />
+                  </label>
+                  <label className="flex items-center gap-2">
+                    Max depth
+                    <input
+                      type="number"
+                      min="0"
+                      max="5"
+                      value={crawlOptions.maxDepth}
+                      onChange={(e) => setCrawlOptions({ ...crawlOptions, maxDepth: Number(e.target.value) })}
+                      className="w-20 p-1 border rounded-md"
+                    />
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={crawlOptions.useSitemap}
+                      onChange={(e) => setCrawlOptions({ ...crawlOptions, useSitemap: e.target.checked })}
+                      className="h-4 w-4"
+                    />
+                    Start from sitemap.xml too
+                  </label>
+                </div>
+              )}
+              {!crawl && (
+                <label className="mt-2 flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={checkPolicy}
+                    onChange={(e) => handleCheckPolicy(e.target.checked)}
+                    className="h-4 w-4"
+                  />
+                  Check against a brand policy (approved families, weights, providers and font-display)
+                </label>
+              )}
+              {!crawl && checkPolicy && (
+                <div className="mt-2 ml-6 p-4 bg-gray-50 dark:bg-gray-800 rounded-lg space-y-3 text-sm text-gray-600 dark:text-gray-300">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <select
+                      value={policyId}
+                      onChange={(e) => handleSelectPolicy(e.target.value)}
+                      className="p-1 border rounded-md"
+                    >
+                      <option value="">New policy</option>
+                      {(policies || []).map(policy => (
+                        <option key={policy.id} value={policy.id}>{policy.name}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="text"
+                      value={policyForm.name}
+                      onChange={(e) => updatePolicyForm({ name: e.target.value })}
+                      placeholder="Policy name"
+                      className="flex-1 p-1 border rounded-md"
+                    />
+                  </div>
+                  <label className="block">
+                    Approved families, one per line, optionally with their weights (e.g. Lora: 400, 700)
+                    <textarea
+                      value={policyForm.families}
+                      onChange={(e) => updatePolicyForm({ families: e.target.value })}
+                      rows={4}
+                      placeholder={'Inter\nLora: 400, 700'}
+                      className="mt-1 w-full p-2 border rounded-md font-mono text-xs"
+                    />
+                  </label>
+                  <label className="block">
+                    Allowed weights for every approved family
+                    <input
+                      type="text"
+                      value={policyForm.weights}
+                      onChange={(e) => updatePolicyForm({ weights: e.target.value })}
+                      placeholder="400, 700"
+                      className="mt-1 w-full p-1 border rounded-md"
+                    />
+                  </label>
+                  <fieldset>
+                    <legend>Allowed providers (none ticked allows any)</legend>
+                    <div className="mt-1 flex flex-wrap gap-x-4 gap-y-1">
+                      {POLICY_PROVIDERS.map(provider => (
+                        <label key={provider.id} className="flex items-center gap-1">
+                          <input
+                            type="checkbox"
+                            checked={policyForm.providers.includes(provider.id)}
+                            onChange={(e) => togglePolicyValue('providers', provider.id, e.target.checked)}
+                            className="h-4 w-4"
+                          />
+                          {provider.name}
+                        </label>
+                      ))}
+                    </div>
+                  </fieldset>
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={policyForm.requireFontDisplay}
+                      onChange={(e) => updatePolicyForm({ requireFontDisplay: e.target.checked })}
+                      className="h-4 w-4"
+                    />
+                    Require font-display on every @font-face rule and Google Fonts request
+                  </label>
+                  <fieldset>
+                    <legend>Allowed font-display values (none ticked allows any)</legend>
+                    <div className="mt-1 flex flex-wrap gap-x-4 gap-y-1">
+                      {FONT_DISPLAY_VALUES.map(value => (
+                        <label key={value} className="flex items-center gap-1 font-mono">
+                          <input
+                            type="checkbox"
+                            checked={policyForm.fontDisplay.includes(value)}
+                            onChange={(e) => togglePolicyValue('fontDisplay', value, e.target.checked)}
+                            className="h-4 w-4"
+                          />
+                          {value}
+                        </label>
+                      ))}
+                    </div>
+                  </fieldset>
+                  {policyStorageUnavailable ? (
+                    // Without a disk to save to, the policy above is sent with the scan as it stands
+                    <p className="text-xs text-gray-500 dark:text-gray-400">{policyStorageUnavailable}</p>
+                  ) : (
+                    <div className="flex flex-wrap gap-2">
+                      {policyId && (
+                        <button
+                          type="button"
+                          onClick={() => handleSavePolicy(false)}
+                          disabled={!policyEdited}
+                          className="px-3 py-1 bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 rounded transition-colors disabled:opacity-50"
+                        >
+                          Save changes
+                        </button>
+                      )}
+                      <button
+                        type="button"
+                        onClick={() => handleSavePolicy(true)}
+                        className="px-3 py-1 bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 rounded transition-colors"
+                      >
+                        {policyId ? 'Save as new policy' : 'Save policy'}
+                      </button>
+                      {policyId && (
+                        <button
+                          type="button"
+                          onClick={handleDeletePolicy}
+                          className="px-3 py-1 text-red-600 dark:text-red-400 hover:underline"
+                        >
+                          Delete
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )}
+            </>
+          )}
         </form>
 
         {loading && (
           <div className="text-center py-12">
             <div className="inline-block h-8 w-8 animate-spin rounded-full border-4 border-solid border-blue-600 border-r-transparent"></div>
             <p className="mt-4 text-gray-600 dark:text-gray-300">
-              Analyzing website fonts... This may take a moment.
+              {batchProgress
+                ? `Scanned ${batchProgress.done} of ${batchProgress.total} URLs...`
+                : 'Analyzing website fonts... This may take a moment.'}
             </p>
           </div>
         )}
 
+        {progressLog.length > 0 && (
+          <details open={loading} className="mb-8 text-sm">
+            <summary className="cursor-pointer text-gray-600 dark:text-gray-300">
+              Scan log ({progressLog.length} {progressLog.length === 1 ? 'event' : 'events'})
+            </summary>
+            <ol className="mt-2 max-h-64 overflow-y-auto bg-gray-50 dark:bg-gray-800 p-3 rounded-lg font-mono text-xs space-y-1">
+              {progressLog.map((entry, index) => (
+                <li
+                  key={`progress-${index}`}
+                  className={
+                    entry.type === 'warning' ? 'text-yellow-700 dark:text-yellow-300'
+                      : entry.type === 'family' ? 'text-blue-700 dark:text-blue-300'
+                        : 'text-gray-600 dark:text-gray-300'
+                  }
+                >
+                  {entry.message}
+                </li>
+              ))}
+            </ol>
+          </details>
+        )}
+
+        {fontData && cacheInfo?.scan === 'hit' && (
+          <p className="mb-8 text-sm text-gray-600 dark:text-gray-300">
+            These results come from a scan at {new Date(cacheInfo.storedAt).toLocaleString()}. Tick &quot;Scan again&quot; above for a fresh one.
+          </p>
+        )}
+        {fontData && cacheInfo?.resources && cacheInfo.resources.hits + cacheInfo.resources.revalidated > 0 && (
+          <p className="mb-8 text-sm text-gray-600 dark:text-gray-300">
+            {cacheInfo.resources.hits + cacheInfo.resources.revalidated} of {cacheInfo.resources.resources.length} stylesheets and font files were reused from earlier scans
+            {cacheInfo.resources.revalidated > 0 && ` (${cacheInfo.resources.revalidated} confirmed unchanged by the server)`}.
+          </p>
+        )}
+
         {error && (
           <div className="bg-red-50 dark:bg-red-900/20 border-l-4 border-red-500 p-4 mb-8">
             <p className="text-red-700 dark:text-red-300">{error}</p>
           </div>
         )}
 
+        {batchData && (
+          <div className="space-y-8">
+            <h2 className="text-xl font-semibold border-b pb-2">
+              Fonts detected on {batchData.summary.total} {batchData.summary.total === 1 ? 'site' : 'sites'}
+            </h2>
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              {batchData.summary.succeeded} scanned, {batchData.summary.failed} failed
+            </p>
+
+            {/* Batch Summary: sites × most common families */}
+            <section>
+              <h3 className="text-lg font-medium mb-3">Families by Site</h3>
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm border-collapse">
+                  <thead>
+                    <tr>
+                      <th className="text-left p-2 border-b dark:border-gray-700">Site</th>
+                      {batchData.summary.families.slice(0, 12).map((family, index) => (
+                        <th key={`batch-family-${index}`} className="p-2 border-b dark:border-gray-700 text-xs font-medium whitespace-nowrap">
+                          {family.name}
+                          <div className="text-gray-500 dark:text-gray-400 font-normal">{family.sites.length}</div>
+                        </th>
+                      ))}
+                      {batchData.summary.families.length > 12 && (
+                        <th className="text-left p-2 border-b dark:border-gray-700 text-xs font-medium">Other</th>
+                      )}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {batchData.results.map((result, index) => {
+                      const familyNames = result.families.map(family => family.name.toLowerCase());
+                      return (
+                        <tr key={`batch-site-${index}`} className="odd:bg-gray-50 dark:odd:bg-gray-800">
+                          <td className="p-2 break-all">
+                            {result.url}
+                            {result.error && <div className="text-xs text-red-600 dark:text-red-400">{result.error}</div>}
+                          </td>
+                          {batchData.summary.families.slice(0, 12).map((family, familyIndex) => (
+                            <td key={`batch-site-${index}-family-${familyIndex}`} className="p-2 text-center">
+                              {familyNames.includes(family.name.toLowerCase()) ? '✓' : ''}
+                            </td>
+                          ))}
+                          {batchData.summary.families.length > 12 && (
+                            <td className="p-2 text-xs text-gray-500 dark:text-gray-400">
+                              {result.families
+                                .filter(family => !batchData.summary.families.slice(0, 12).some(top => top.name.toLowerCase() === family.name.toLowerCase()))
+                                .map(family => family.name)
+                                .join(', ')}
+                            </td>
+                          )}
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </section>
+          </div>
+        )}
+
+        {compareData && (
+          <div className="space-y-8">
+            <h2 className="text-xl font-semibold border-b pb-2">
+              Typography compared
+            </h2>
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              {compareData.diff.identical
+                ? 'No differences in families, styles, providers, font-display or formats.'
+                : `${compareData.diff.changes} ${compareData.diff.changes === 1 ? 'difference' : 'differences'} found.`}
+            </p>
+
+            {/* Families side by side: removed ones only on the left, added ones only on the right */}
+            <section>
+              <h3 className="text-lg font-medium mb-3">Families</h3>
+              <div className="grid grid-cols-2 gap-4">
+                {[
+                  { side: compareData.before, changed: compareData.diff.families.removed, marker: '−', className: 'bg-red-50 dark:bg-red-950 text-red-800 dark:text-red-200' },
+                  { side: compareData.after, changed: compareData.diff.families.added, marker: '+', className: 'bg-green-50 dark:bg-green-950 text-green-800 dark:text-green-200' }
+                ].map(({ side, changed, marker, className }, index) => (
+                  <div key={`compare-side-${index}`} className="bg-gray-50 dark:bg-gray-800 p-3 rounded-lg">
+                    <div className="text-xs font-mono break-all mb-2 text-gray-600 dark:text-gray-300">{side.normalizedUrl}</div>
+                    <ul className="space-y-1 text-sm">
+                      {side.families.map(family => {
+                        const isChanged = changed.some(change => change.name.toLowerCase() === family.name.toLowerCase());
+                        return (
+                          <li key={family.name} className={`px-2 py-1 rounded ${isChanged ? className : ''}`}>
+                            {isChanged ? `${marker} ` : ''}
+                            <span style={{ fontFamily: `"${family.name}", sans-serif` }}>{family.name}</span>
+                            <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">{family.via.join(', ')}</span>
+                          </li>
+                        );
+                      })}
+                      {side.families.length === 0 && (
+                        <li className="text-gray-500 dark:text-gray-400">No font families found</li>
+                      )}
+                    </ul>
+                  </div>
+                ))}
+              </div>
+            </section>
+
+            {getDiffRows(compareData.diff).length > 0 && (
+              <section>
+                <h3 className="text-lg font-medium mb-3">Changes</h3>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full text-sm border-collapse">
+                    <thead>
+                      <tr>
+                        <th className="text-left p-2 border-b dark:border-gray-700">Change</th>
+                        <th className="text-left p-2 border-b dark:border-gray-700">Family</th>
+                        <th className="text-left p-2 border-b dark:border-gray-700 break-all">{compareData.before.url}</th>
+                        <th className="text-left p-2 border-b dark:border-gray-700 break-all">{compareData.after.url}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {getDiffRows(compareData.diff).map((row, index) => (
+                        <tr key={`diff-row-${index}`} className="odd:bg-gray-50 dark:odd:bg-gray-800">
+                          <td className="p-2 text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap">{row.kind}</td>
+                          <td className="p-2">{row.subject}</td>
+                          <td className="p-2 text-red-700 dark:text-red-300">{row.before}</td>
+                          <td className="p-2 text-green-700 dark:text-green-300">{row.after}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </section>
+            )}
+          </div>
+        )}
+
+        {siteData && (
+          <div className="space-y-8">
+            <h2 className="text-xl font-semibold border-b pb-2">
+              Fonts used across {siteData.origin}
+            </h2>
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              Scanned {siteData.pages.length} {siteData.pages.length === 1 ? 'page' : 'pages'}
+              {siteData.robotsTxt && !siteData.robotsTxt.found && ' (no robots.txt found)'}
+              {siteData.robotsTxt && siteData.robotsTxt.crawlDelay > 0 && ` with a ${siteData.robotsTxt.crawlDelay}s crawl delay`}
+            </p>
+
+            {/* Site Font Inventory */}
+            <section>
+              <h3 className="text-lg font-medium mb-3">Site Font Inventory</h3>
+              {siteData.inventory.length > 0 ? (
+                <ul className="space-y-2">
+                  {siteData.inventory.map((family, index) => (
+                    <li key={`inventory-${index}`} className="bg-gray-50 dark:bg-gray-800 p-3 rounded-lg">
+                      <div className="flex flex-wrap items-center gap-2">
+                        <span className="font-medium" style={{ fontFamily: `"${family.name}", sans-serif` }}>{family.name}</span>
+                        <span className="text-xs px-2 py-1 bg-gray-200 dark:bg-gray-700 rounded">
+                          {family.pages.length} of {siteData.pages.length} pages
+                        </span>
+                        {family.via.map((via, viaIndex) => (
+                          <span key={`inventory-${index}-via-${viaIndex}`} className="text-xs px-1 bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200 rounded">
+                            {via}
+                          </span>
+                        ))}
+                      </div>
+                      <details className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                        <summary className="cursor-pointer">Pages</summary>
+                        <ul className="mt-1 space-y-1">
+                          {family.pages.map((pageUrl, pageIndex) => (
+                            <li key={`inventory-${index}-page-${pageIndex}`} className="break-all">
+                              <a href={pageUrl} target="_blank" rel="noopener noreferrer" className="hover:underline">{pageUrl}</a>
+                            </li>
+                          ))}
+                        </ul>
+                      </details>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-gray-500 dark:text-gray-400">No fonts found on the crawled pages</p>
+              )}
+            </section>
+
+            {/* Crawled Pages */}
+            <section>
+              <h3 className="text-lg font-medium mb-3">Crawled Pages</h3>
+              <ul className="space-y-1 text-sm">
+                {siteData.pages.map((page, index) => (
+                  <li key={`page-${index}`} className="bg-gray-50 dark:bg-gray-800 p-2 rounded">
+                    <div className="break-all">
+                      <span className="text-xs text-gray-500 dark:text-gray-400 mr-2">depth {page.depth}</span>
+                      {page.url}
+                    </div>
+                    {page.error ? (
+                      <div className="text-xs text-red-600 dark:text-red-400">{page.error}</div>
+                    ) : (
+                      <div className="text-xs text-gray-500 dark:text-gray-400">
+                        {page.families.map(family => family.name).join(', ') || 'No fonts found'}
+                      </div>
+                    )}
+                  </li>
+                ))}
+              </ul>
+              {siteData.skipped.length > 0 && (
+                <details className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                  <summary className="cursor-pointer">{siteData.skipped.length} URLs skipped</summary>
+                  <ul className="mt-1 space-y-1">
+                    {siteData.skipped.map((skippedPage, index) => (
+                      <li key={`skipped-${index}`} className="break-all">{skippedPage.url}: {skippedPage.reason}</li>
+                    ))}
+                  </ul>
+                </details>
+              )}
+              {siteData.notCrawled > 0 && (
+                <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                  {siteData.notCrawled} more URLs found but not crawled: the limit was {siteData.pageLimit} pages
+                  {siteData.pageLimit < siteData.options.maxPages && ` (fewer because of the site's Crawl-delay)`}
+                </p>
+              )}
+            </section>
+          </div>
+        )}
+
         {fontData && (
           <div className="space-y-8">
             <h2 className="text-xl font-semibold border-b pb-2">
               Fonts detected on {url}
+              {loading && <span className="ml-2 text-sm font-normal text-gray-500 dark:text-gray-400">(scanning...)</span>}
             </h2>
+
+            {!loading && (
+              <div className="flex flex-wrap items-center gap-2 text-sm">
+                <span className="text-gray-600 dark:text-gray-300">Export:</span>
+                {[
+                  { format: 'json', label: 'JSON' },
+                  { format: 'csv', label: 'CSV' },
+                  { format: 'markdown', label: 'Markdown report' },
+                  { format: 'tokens', label: 'Design tokens' }
+                ].map(({ format, label }) => (
+                  <button
+                    key={format}
+                    type="button"
+                    onClick={() => handleExport(format)}
+                    className="px-3 py-1 bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 rounded transition-colors"
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {fontData.blockedRequests && fontData.blockedRequests.length > 0 && (
+              <section className="bg-yellow-50 dark:bg-yellow-900/20 border-l-4 border-yellow-500 p-4">
+                <h3 className="font-medium mb-2">
+                  {fontData.blockedRequests.length} {fontData.blockedRequests.length === 1 ? 'request was' : 'requests were'} blocked
+                </h3>
+                <p className="text-sm text-gray-600 dark:text-gray-300 mb-2">
+                  Font Finder doesn&apos;t fetch from private networks, unusual ports or oversized and mistyped responses, so these are missing from the results:
+                </p>
+                <ul className="text-sm space-y-1">
+                  {fontData.blockedRequests.map(request => (
+                    <li key={request.url} className="break-all">
+                      <span className="font-mono text-xs">{request.url}</span>
+                      <span className="text-gray-600 dark:text-gray-300"> — {request.reason}</span>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            )}
+
+            {compliance && (
+              <section>
+                <h3 className="text-lg font-medium mb-3">Brand Compliance</h3>
+                <div className={`p-4 rounded-lg mb-4 ${
+                  compliance.compliant ? 'bg-green-50 dark:bg-green-900/20' : 'bg-red-50 dark:bg-red-900/20'
+                }`}>
+                  <span className={`font-medium ${
+                    compliance.compliant ? 'text-green-700 dark:text-green-300' : 'text-red-700 dark:text-red-300'
+                  }`}>
+                    {compliance.compliant
+                      ? `Complies with ${compliance.policy.name}`
+                      : `${compliance.violations.length} ${compliance.violations.length === 1 ? 'violation' : 'violations'} of ${compliance.policy.name}`}
+                  </span>
+                </div>
+                {Object.entries(POLICY_RULE_LABELS).filter(([rule]) => compliance.counts[rule] > 0).map(([rule, label]) => (
+                  <details key={rule} open className="mb-3 text-sm">
+                    <summary className="cursor-pointer font-medium">
+                      {label} ({compliance.counts[rule]})
+                    </summary>
+                    <ul className="mt-2 space-y-2">
+                      {compliance.violations.filter(violation => violation.rule === rule).map((violation, index) => (
+                        <li key={`${rule}-${index}`} className="bg-gray-50 dark:bg-gray-800 p-3 rounded-lg break-all">
+                          {violation.message}
+                          {violation.stylesheet && (
+                            <span className="block text-xs text-gray-500 dark:text-gray-400 font-mono">
+                              {violation.stylesheet}{violation.line ? `:${violation.line}` : ''}
+                              {violation.selector && ` · ${violation.selector}`}
+                            </span>
+                          )}
+                          {violation.resource && (
+                            <span className="block text-xs text-gray-500 dark:text-gray-400 font-mono">{violation.resource}</span>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                ))}
+              </section>
+            )}
             
+            {fontData.performanceAudit && (
+              <section>
+                <h3 className="text-lg font-medium mb-3">Performance Audit</h3>
+                <div className="bg-gray-50 dark:bg-gray-800 p-4 rounded-lg mb-4 flex flex-wrap items-center gap-4">
+                  <span className={`text-3xl font-bold ${
+                    fontData.performanceAudit.rating === 'good' ? 'text-green-600 dark:text-green-400'
+                      : fontData.performanceAudit.rating === 'poor' ? 'text-red-600 dark:text-red-400'
+                        : 'text-amber-600 dark:text-amber-400'
+                  }`}>
+                    {fontData.performanceAudit.score}
+                  </span>
+                  <span className="text-sm text-gray-600 dark:text-gray-300">
+                    {fontData.performanceAudit.totals.files} font files, {Math.round(fontData.performanceAudit.totals.bytes / 1024)} KB
+                    {fontData.performanceAudit.totals.unmeasured > 0 && ` (${fontData.performanceAudit.totals.unmeasured} could not be measured)`}
+                  </span>
+                </div>
+                {fontData.performanceAudit.issues.length > 0 ? (
+                  <ul className="space-y-3">
+                    {fontData.performanceAudit.issues.map(issue => (
+                      <li key={issue.id} className="bg-gray-50 dark:bg-gray-800 p-4 rounded-lg">
+                        <div className="flex items-center gap-2 mb-1">
+                          <span className={`text-xs px-2 py-1 rounded ${
+                            issue.severity === 'high' ? 'bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200'
+                              : issue.severity === 'medium' ? 'bg-amber-100 dark:bg-amber-900 text-amber-800 dark:text-amber-200'
+                                : 'bg-gray-200 dark:bg-gray-700'
+                          }`}>
+                            {issue.severity}
+                          </span>
+                          <span className="font-medium">{issue.title}</span>
+                        </div>
+                        <p className="text-sm text-gray-600 dark:text-gray-300">{issue.description}</p>
+                        <p className="text-sm mt-1"><span className="font-medium">Fix:</span> {issue.fix}</p>
+                        <details className="mt-2 text-sm">
+                          <summary className="cursor-pointer text-gray-600 dark:text-gray-300">
+                            {issue.items.length} {issue.items.length === 1 ? 'item' : 'items'}
+                          </summary>
+                          <ul className="mt-1 space-y-1">
+                            {issue.items.map((item, index) => (
+                              <li key={`${issue.id}-${index}`} className="break-all">
+                                {item.detail}
+                                {item.url && <span className="block text-xs text-gray-500 dark:text-gray-400">{item.url}</span>}
+                                {item.source && <span className="block text-xs text-gray-500 dark:text-gray-400">{item.source}{item.line ? `:${item.line}` : ''}</span>}
+                              </li>
+                            ))}
+                          </ul>
+                        </details>
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="text-gray-500 dark:text-gray-400">No font loading issues found</p>
+                )}
+                {fontData.performanceAudit.passed.length > 0 && (
+                  <p className="mt-3 text-sm text-gray-600 dark:text-gray-300">
+                    Passed: {fontData.performanceAudit.passed.map(check => check.title).join(' · ')}
+                  </p>
+                )}
+                {fontData.performanceAudit.skipped?.length > 0 && (
+                  <p className="mt-1 text-sm text-gray-600 dark:text-gray-300">
+                    Not checked: {fontData.performanceAudit.skipped.map(check => `${check.title} (${check.reason})`).join(' · ')}
+                  </p>
+                )}
+              </section>
+            )}
+
             {/* New section: All Font Families (Consolidated List) */}
             <section>
               <h3 className="text-lg font-medium mb-3">All Font Families</h3>
@@ -143,6 +1163,13 @@ export default function Home() {
                   <p className="mb-3 text-sm text-gray-600 dark:text-gray-300">
                     Unique font families found in CSS (excluding system fonts):
                   </p>
+                  {(fontData.fontLicenses || []).some(license => license.needsLegalReview) && (
+                    <div className="mb-3 p-3 text-sm rounded-lg bg-red-50 dark:bg-red-950 text-red-800 dark:text-red-200">
+                      <span className="font-medium">Needs legal review:</span>{' '}
+                      {fontData.fontLicenses.filter(license => license.needsLegalReview).map(license => license.name).join(', ')}.
+                      Commercial and OS-bundled fonts served from the site itself need a web font licence.
+                    </div>
+                  )}
                   <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-3">
                     {getUniqueFontFamilies(fontData.cssSourceFiles).map((fontFamily, index) => (
                       <div 
@@ -156,9 +1183,31 @@ export default function Home() {
                           >
                             {fontFamily}
                           </div>
+                          {getFontLicense(fontFamily) && (
+                            <div className="text-xs mb-2 text-gray-600 dark:text-gray-300">
+                              {getFontLicense(fontFamily).homepage ? (
+                                <a href={getFontLicense(fontFamily).homepage} target="_blank" rel="noopener noreferrer" className="hover:underline">
+                                  {getFontLicense(fontFamily).foundry || getFontLicense(fontFamily).catalogName}
+                                </a>
+                              ) : (
+                                getFontLicense(fontFamily).foundry || 'Foundry unknown'
+                              )}
+                              {getFontLicense(fontFamily).needsLegalReview && (
+                                <span className="block mt-1 text-red-700 dark:text-red-300">Self-hosted: check the web licence</span>
+                              )}
+                            </div>
+                          )}
                           <div className="mt-auto flex justify-between items-center">
-                            <span className="text-xs px-2 py-1 bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200 rounded">
-                              Font Family
+                            <span className={`text-xs px-2 py-1 rounded ${
+                              ['ofl', 'apache', 'ufl', 'free'].includes(getFontLicense(fontFamily)?.license)
+                                ? 'bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200'
+                                : getFontLicense(fontFamily)?.license === 'commercial'
+                                  ? 'bg-amber-100 dark:bg-amber-900 text-amber-800 dark:text-amber-200'
+                                  : 'bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200'
+                            }`}>
+                              {getFontLicense(fontFamily) && getFontLicense(fontFamily).license !== 'unknown'
+                                ? getFontLicense(fontFamily).licenseName
+                                : 'Font Family'}
                             </span>
                             <button
                               onClick={() => copyToClipboard(fontFamily)}
@@ -198,10 +1247,110 @@ export default function Home() {
                 <p className="text-gray-500 dark:text-gray-400">No CSS source files detected</p>
               )}
             </section>
+
+            {(fontData.fontAlternatives || []).some(suggestion => suggestion.alternatives.length > 0) && (
+              <section>
+                <h3 className="text-lg font-medium mb-3">Free Alternatives</h3>
+                <p className="mb-3 text-sm text-gray-600 dark:text-gray-300">
+                  Open-licence fonts from Google Fonts that look closest to the commercial families, for prototypes:
+                </p>
+                <div className="space-y-4">
+                  {fontData.fontAlternatives.map((suggestion, index) => (
+                    <div key={`alternatives-${index}`} className="bg-gray-50 dark:bg-gray-800 p-4 rounded-lg">
+                      {/* Show the original from the site's own file, or a locally installed copy */}
+                      <style>{`@font-face { font-family: "font-finder-original-${index}"; src: local(${JSON.stringify(suggestion.family)})${
+                        suggestion.fontFile ? `, url(${JSON.stringify(suggestion.fontFile)})` : ''}; }`}</style>
+                      <div className="flex flex-wrap justify-between items-baseline gap-2 mb-3">
+                        <span className="font-medium">{suggestion.family}</span>
+                        <span className="text-xs text-gray-500 dark:text-gray-400">
+                          {suggestion.basis === 'font-file'
+                            ? `Matched on the site's font file: x-height ${suggestion.metrics.xHeight ?? '?'}, cap height ${suggestion.metrics.capHeight ?? '?'}, width ${suggestion.metrics.avgWidth ?? '?'} em`
+                            : `Matched on classification${suggestion.category ? ` (${suggestion.category})` : ''} only; no font file could be measured`}
+                        </span>
+                      </div>
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                        <div className="bg-white dark:bg-gray-900 p-3 rounded border border-amber-300 dark:border-amber-700">
+                          <div className="text-xs mb-2 text-amber-800 dark:text-amber-200">Original (commercial)</div>
+                          <div style={{ fontFamily: `"font-finder-original-${index}", sans-serif` }}>
+                            <div className="text-2xl">Hamburgefonstiv</div>
+                            <div className="text-sm">The quick brown fox jumps over the lazy dog 0123456789</div>
+                            <div className="text-sm font-bold">The quick brown fox jumps over the lazy dog</div>
+                          </div>
+                        </div>
+                        {suggestion.alternatives.map(alternative => (
+                          <div key={alternative.name} className="bg-white dark:bg-gray-900 p-3 rounded border border-gray-200 dark:border-gray-700">
+                            <link rel="stylesheet" href={alternative.cssUrl} />
+                            <div className="flex justify-between items-center text-xs mb-2">
+                              <a href={alternative.homepage} target="_blank" rel="noopener noreferrer" className="text-blue-600 dark:text-blue-400 hover:underline">
+                                {alternative.name}
+                              </a>
+                              <span className="px-2 py-0.5 rounded bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200">
+                                {alternative.similarity}% match
+                              </span>
+                            </div>
+                            <div style={{ fontFamily: `"${alternative.name}", sans-serif` }}>
+                              <div className="text-2xl">Hamburgefonstiv</div>
+                              <div className="text-sm">The quick brown fox jumps over the lazy dog 0123456789</div>
+                              <div className="text-sm font-bold">The quick brown fox jumps over the lazy dog</div>
+                            </div>
+                            <div className="text-xs mt-2 text-gray-500 dark:text-gray-400">
+                              {alternative.licenseName} · {alternative.reasons.join(' · ')}
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </section>
+            )}
+
+            {!loading && buildFontSnippets(fontData).length > 0 && (
+              <section>
+                <h3 className="text-lg font-medium mb-3">Use These Fonts</h3>
+                <p className="mb-3 text-sm text-gray-600 dark:text-gray-300">
+                  Code for prototyping with this site&apos;s typography:
+                </p>
+                <div className="space-y-4">
+                  {buildFontSnippets(fontData).map(snippet => (
+                    <div key={snippet.id} className="bg-gray-50 dark:bg-gray-800 p-4 rounded-lg">
+                      <div className="flex justify-between items-center mb-2">
+                        <span className="font-medium text-sm">{snippet.label}</span>
+                        <button
+                          onClick={() => copyToClipboard(snippet.code)}
+                          className="text-xs px-2 py-1 bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 rounded transition-colors"
+                          title={`Copy the ${snippet.label} snippet`}
+                        >
+                          {copiedFont === snippet.code ? 'Copied!' : 'Copy'}
+                        </button>
+                      </div>
+                      <pre className="text-xs overflow-x-auto whitespace-pre">
+                        <code className={`language-${snippet.language}`}>{snippet.code}</code>
+                      </pre>
+                    </div>
+                  ))}
+                </div>
+              </section>
+            )}
             
             {/* Add new CSS Source Files section */}
             <section>
               <h3 className="text-lg font-medium mb-3">CSS Source Files</h3>
+              {fontData.cssSourceFiles && fontData.cssSourceFiles.some(cssFile => cssFile.imports && cssFile.imports.length > 0) && (
+                <div className="bg-gray-50 dark:bg-gray-800 p-4 rounded-lg mb-6">
+                  <h4 className="font-medium mb-2">Import Tree</h4>
+                  <ul className="space-y-2">
+                    {fontData.cssSourceFiles
+                      .filter(cssFile => cssFile.parentId === null && cssFile.imports.length > 0)
+                      .map(cssFile => (
+                        <li key={`import-root-${cssFile.id}`} className="text-sm">
+                          <span className="break-all">{cssFile.url || cssFile.source}</span>
+                          {renderImportTree(cssFile, fontData.cssSourceFiles)}
+                        </li>
+                      ))}
+                  </ul>
+                </div>
+              )}
               {fontData.cssSourceFiles && fontData.cssSourceFiles.length > 0 ? (
                 <div className="space-y-6">
                   {fontData.cssSourceFiles.map((cssFile, index) => (
@@ -221,6 +1370,11 @@ export default function Home() {
                           {cssFile.fontFamilies.length} font-family declarations
                         </span>
                       </div>
+                      {cssFile.parentId !== undefined && cssFile.parentId !== null && (
+                        <p className="mb-2 text-xs text-gray-500 dark:text-gray-400 break-all">
+                          Imported by {fontData.cssSourceFiles.find(file => file.id === cssFile.parentId)?.url || 'an inline stylesheet'}
+                        </p>
+                      )}
                       
                       {cssFile.fontFamilies.length > 0 ? (
                         <div className="border dark:border-gray-700 rounded-md overflow-hidden">
@@ -239,12 +1393,22 @@ export default function Home() {
                                 >
                                   <td className="py-2 px-3 font-mono text-xs break-all">
                                     {fontFamily.selector}
+                                    {describeLocation(fontFamily) && (
+                                      <div className="text-gray-500 dark:text-gray-400">
+                                        {describeLocation(fontFamily)}
+                                      </div>
+                                    )}
                                   </td>
                                   <td 
                                     className="py-2 px-3"
                                     style={{ fontFamily: fontFamily.value }}
                                   >
                                     {fontFamily.value}
+                                    {fontFamily.resolvedValue && (
+                                      <div className="text-xs text-gray-500 dark:text-gray-400">
+                                        = {fontFamily.resolvedValue}
+                                      </div>
+                                    )}
                                     {fontFamily.shorthand && (
                                       <span className="ml-2 text-xs bg-yellow-100 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200 px-1 py-0.5 rounded">
                                         shorthand
@@ -278,6 +1442,58 @@ export default function Home() {
               )}
             </section>
             
+            {/* Font Providers */}
+            <section>
+              <h3 className="text-lg font-medium mb-3">Font Providers</h3>
+              {fontData.fontProviders && fontData.fontProviders.length > 0 ? (
+                <ul className="space-y-2">
+                  {fontData.fontProviders.map((provider, index) => (
+                    <li key={`provider-${index}`} className="bg-gray-50 dark:bg-gray-800 p-3 rounded-lg">
+                      <div className="flex flex-wrap items-center gap-2">
+                        <a href={provider.homepage} target="_blank" rel="noopener noreferrer" className="font-medium hover:underline">
+                          {provider.name}
+                        </a>
+                        <span className="text-xs px-2 py-1 bg-gray-200 dark:bg-gray-700 rounded">
+                          {provider.families.length} {provider.families.length === 1 ? 'family' : 'families'}
+                        </span>
+                      </div>
+                      {provider.families.length > 0 && (
+                        <div className="mt-2 space-y-1">
+                          {provider.families.map((family, familyIndex) => (
+                            <div key={`provider-${index}-family-${familyIndex}`} className="flex flex-wrap items-center gap-1">
+                              <span className="text-sm mr-1" style={{ fontFamily: `"${family.name}", sans-serif` }}>{family.name}</span>
+                              {family.styles.map((style, styleIndex) => (
+                                <span key={`provider-${index}-family-${familyIndex}-style-${styleIndex}`} className="text-xs px-1 bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200 rounded">
+                                  {style.weight}{style.style !== 'normal' ? ` ${style.style}` : ''}
+                                </span>
+                              ))}
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                      <details className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                        <summary className="cursor-pointer">How it was recognised</summary>
+                        <ul className="mt-1 space-y-1">
+                          {provider.evidence.map((item, evidenceIndex) => (
+                            <li key={`provider-${index}-evidence-${evidenceIndex}`} className="break-all">
+                              <span className="font-medium">{item.kind}</span>
+                              {item.url && `: ${item.url}`}
+                              {item.detail && ` (${item.detail})`}
+                            </li>
+                          ))}
+                          {provider.evidence.length === 0 && (
+                            <li>@font-face rules pointing at its font files</li>
+                          )}
+                        </ul>
+                      </details>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-gray-500 dark:text-gray-400">No font providers detected</p>
+              )}
+            </section>
+
             {/* Google Fonts */}
             <section>
               <h3 className="text-lg font-medium mb-3">Google Fonts</h3>
@@ -285,7 +1501,31 @@ export default function Home() {
                 <ul className="space-y-2">
                   {fontData.googleFonts.map((font, index) => (
                     <li key={`google-${index}`} className="bg-gray-50 dark:bg-gray-800 p-3 rounded-lg">
-                      <span className="font-medium">{font.name}</span>
+                      <div className="flex flex-wrap items-center gap-2">
+                        <span className="font-medium">{font.name}</span>
+                        {font.source && font.source !== 'link' && (
+                          <span className="text-xs px-2 py-1 bg-gray-200 dark:bg-gray-700 rounded">{font.source}</span>
+                        )}
+                        {font.display && (
+                          <span className="text-xs px-2 py-1 bg-gray-200 dark:bg-gray-700 rounded">display: {font.display}</span>
+                        )}
+                      </div>
+                      {font.styles && (
+                        <div className="mt-1 flex flex-wrap gap-1">
+                          {font.styles.map((style, styleIndex) => (
+                            <span key={`google-${index}-style-${styleIndex}`} className="text-xs px-1 bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200 rounded">
+                              {style.weight}{style.italic ? ' italic' : ''}
+                              {style.axes && Object.entries(style.axes).map(([axis, value]) => ` ${axis} ${value}`).join('')}
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                      {((font.subsets && font.subsets.length > 0) || font.text) && (
+                        <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                          {font.subsets && font.subsets.length > 0 && `Subsets: ${font.subsets.join(', ')}`}
+                          {font.text && ` Text: "${font.text}"`}
+                        </div>
+                      )}
                       <div className="text-sm text-gray-500 dark:text-gray-400 mt-1 break-all">
                         <a href={font.url} target="_blank" rel="noopener noreferrer" className="hover:underline">
                           {font.url}
@@ -297,6 +1537,13 @@ export default function Home() {
               ) : (
                 <p className="text-gray-500 dark:text-gray-400">No Google Fonts detected</p>
               )}
+              {fontData.googleFontsPreconnects && fontData.googleFontsPreconnects.length > 0 &&
+                (!fontData.googleFonts || fontData.googleFonts.length === 0) && (
+                <p className="mt-2 text-sm text-gray-600 dark:text-gray-300">
+                  The page preconnects to {fontData.googleFontsPreconnects.map(hint => hint.url).join(', ')} but no
+                  Google Fonts stylesheet was found; the fonts are probably loaded by JavaScript (try rendering JavaScript).
+                </p>
+              )}
             </section>
             
             {/* Adobe Fonts - Updated with enhanced details */}
@@ -307,10 +1554,13 @@ export default function Home() {
                   {fontData.adobeFonts.map((adobeProject, index) => (
                     <li key={`adobe-${index}`} className="bg-gray-50 dark:bg-gray-800 p-4 rounded-lg">
                       <div className="flex flex-col">
-                        <div className="flex items-center mb-3">
+                        <div className="flex items-center mb-3 gap-2">
                           <span className="font-medium text-blue-600 dark:text-blue-400">
                             Adobe Fonts Project: {adobeProject.projectId || 'Unknown'}
                           </span>
+                          <span className="text-xs px-2 py-1 bg-gray-200 dark:bg-gray-700 rounded">
+                            {adobeProject.embed === 'script' ? 'JS embed' : adobeProject.embed === '@import' ? '@import' : 'link'}
+                          </span>
                           <a 
                             href={adobeProject.url} 
                             target="_blank" 
@@ -321,29 +1571,67 @@ export default function Home() {
                           </a>
                         </div>
 
-                        {adobeProject.fonts && adobeProject.fonts.length > 0 ? (
-                          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
-                            {adobeProject.fonts.map((font, fontIndex) => (
+                        {adobeProject.families && adobeProject.families.length > 0 ? (
+                          <div className="space-y-3">
+                            {adobeProject.families.map((family, familyIndex) => (
                               <div 
-                                key={`adobe-font-${fontIndex}`} 
+                                key={`adobe-family-${familyIndex}`} 
                                 className="bg-white dark:bg-gray-700 p-3 rounded border border-gray-200 dark:border-gray-600"
-                                style={{ 
-                                  fontFamily: `"${font.name}", sans-serif`,
-                                  fontWeight: font.weight,
-                                  fontStyle: font.style
-                                }}
                               >
-                                <div className="text-base mb-1">{font.name}</div>
-                                <div className="text-xs text-gray-500 dark:text-gray-400 flex gap-2">
-                                  <span>{font.weight}</span>
-                                  <span>{font.style}</span>
+                                <div className="flex flex-wrap items-center gap-2 mb-2">
+                                  <span className="text-base" style={{ fontFamily: `"${family.name}", sans-serif` }}>{family.name}</span>
+                                  {family.used ? (
+                                    <span className="text-xs px-2 py-1 bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200 rounded">used</span>
+                                  ) : (
+                                    <span className="text-xs px-2 py-1 bg-yellow-100 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200 rounded">loaded but unused</span>
+                                  )}
+                                  <span className="text-xs text-gray-500 dark:text-gray-400">
+                                    {family.variants.length} {family.variants.length === 1 ? 'variant' : 'variants'}
+                                  </span>
+                                </div>
+                                <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                                  {family.variants.map((variant, variantIndex) => (
+                                    <div 
+                                      key={`adobe-family-${familyIndex}-variant-${variantIndex}`} 
+                                      className="text-xs text-gray-500 dark:text-gray-400"
+                                    >
+                                      <div 
+                                        className="text-sm text-gray-900 dark:text-gray-100"
+                                        style={{ 
+                                          fontFamily: `"${family.name}", sans-serif`,
+                                          fontWeight: variant.weight,
+                                          fontStyle: variant.style
+                                        }}
+                                      >
+                                        {variant.weight} {variant.style}
+                                      </div>
+                                      {variant.unicodeRange && <div className="break-all">unicode-range: {variant.unicodeRange}</div>}
+                                      {variant.files.map((file, fileIndex) => (
+                                        <div key={`adobe-family-${familyIndex}-variant-${variantIndex}-file-${fileIndex}`} className="break-all">
+                                          <a href={file.url} target="_blank" rel="noopener noreferrer" className="hover:underline">
+                                            {file.format || 'file'}
+                                          </a>
+                                        </div>
+                                      ))}
+                                    </div>
+                                  ))}
                                 </div>
+                                {family.references.length > 0 && (
+                                  <div className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                                    Referenced by {family.references.map(reference => reference.selector).join(', ')}
+                                  </div>
+                                )}
+                                {family.usesKitClass && (
+                                  <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                                    Used through the .tk-{family.name.toLowerCase()} class
+                                  </div>
+                                )}
                               </div>
                             ))}
                           </div>
                         ) : (
                           <p className="text-sm text-gray-500 dark:text-gray-400">
-                            Could not extract font details from CSS
+                            {adobeProject.error || 'Could not extract font details from CSS'}
                           </p>
                         )}
                       </div>
@@ -407,16 +1695,74 @@ export default function Home() {
                 <ul className="space-y-2">
                   {fontData.fontFiles.map((font, index) => (
                     <li key={`file-${index}`} className="bg-gray-50 dark:bg-gray-800 p-3 rounded-lg">
-                      <div className="flex items-center gap-2">
+                      <div className="flex flex-wrap items-center gap-2">
                         <span className="font-medium uppercase px-2 py-1 bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200 text-xs rounded">
                           {font.format || 'FONT'}
                         </span>
+                        {font.metadata && (
+                          <span className="font-medium">
+                            {font.metadata.familyName} {font.metadata.subfamilyName}
+                          </span>
+                        )}
+                        {font.metadata && font.metadata.isVariable && (
+                          <span className="text-xs px-2 py-1 bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200 rounded">
+                            variable
+                          </span>
+                        )}
                       </div>
                       <div className="text-sm text-gray-500 dark:text-gray-400 mt-1 break-all">
                         <a href={font.url} target="_blank" rel="noopener noreferrer" className="hover:underline">
                           {font.url}
                         </a>
                       </div>
+                      {font.renamed && (
+                        <p className="mt-2 text-xs bg-yellow-100 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200 px-2 py-1 rounded">
+                          Declared as {font.declaredFamilies.join(', ')} but the file is {font.metadata.familyName}
+                        </p>
+                      )}
+                      {font.error && (
+                        <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">Not analysed: {font.error}</p>
+                      )}
+                      {font.metadata && (
+                        <details className="mt-2">
+                          <summary className="cursor-pointer text-xs text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300">
+                            Font file metadata
+                          </summary>
+                          <div className="mt-2 text-xs grid grid-cols-1 sm:grid-cols-2 gap-2">
+                            <div><span className="font-medium">Full name:</span> {font.metadata.fullName}</div>
+                            <div><span className="font-medium">Version:</span> {font.metadata.version}</div>
+                            {font.metadata.designer && <div><span className="font-medium">Designer:</span> {font.metadata.designer}</div>}
+                            {font.metadata.manufacturer && <div><span className="font-medium">Foundry:</span> {font.metadata.manufacturer}</div>}
+                            {font.metadata.vendorId && <div><span className="font-medium">Vendor ID:</span> {font.metadata.vendorId}</div>}
+                            <div><span className="font-medium">Glyphs:</span> {font.metadata.glyphCount}</div>
+                            <div><span className="font-medium">File size:</span> {Math.round(font.metadata.fileSize / 1024)} KB</div>
+                            {font.metadata.licenseUrl && (
+                              <div className="break-all">
+                                <span className="font-medium">License:</span>{' '}
+                                <a href={font.metadata.licenseUrl} target="_blank" rel="noopener noreferrer" className="hover:underline text-blue-600 dark:text-blue-400">
+                                  {font.metadata.licenseUrl}
+                                </a>
+                              </div>
+                            )}
+                          </div>
+                          {font.metadata.license && (
+                            <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">{font.metadata.license}</p>
+                          )}
+                          {font.metadata.variationAxes.length > 0 && (
+                            <div className="mt-2 text-xs">
+                              <span className="font-medium">Axes:</span>{' '}
+                              {font.metadata.variationAxes.map(axis => `${axis.tag} ${axis.min}–${axis.max}`).join(', ')}
+                            </div>
+                          )}
+                          <div className="mt-2 flex flex-wrap gap-1">
+                            {font.metadata.unicodeBlocks.map(block => (
+                              <span key={`file-${index}-block-${block.name}`} className="text-xs px-1 bg-gray-200 dark:bg-gray-700 rounded">
+                                {block.name} ({block.characters})
+                              </span>
+                            ))}
+                          </div>
+                        </details>
+                      )}
                     </li>
                   ))}
                 </ul>
@@ -441,6 +1787,11 @@ export default function Home() {
                       <div className="text-sm text-gray-500 dark:text-gray-400 mt-2 break-all">
                         <code>{decl.src}</code>
                       </div>
+                      {decl.source && (
+                        <div className="text-xs text-gray-500 dark:text-gray-400 mt-1 break-all">
+                          {decl.source}{describeLocation(decl) && ` · ${describeLocation(decl)}`}
+                        </div>
+                      )}
                     </li>
                   ))}
                 </ul>
@@ -456,10 +1807,20 @@ export default function Home() {
                 <ul className="space-y-2">
                   {fontData.cssVarFonts.map((font, index) => (
                     <li key={`cssvar-${index}`} className="bg-gray-50 dark:bg-gray-800 p-3 rounded-lg">
-                      <span className="font-medium font-mono">{font.variable}</span>
+                      <div className="flex flex-wrap items-center justify-between gap-2">
+                        <span className="font-medium font-mono">{font.variable}</span>
+                        <span className="text-xs font-mono text-gray-500 dark:text-gray-400 break-all">
+                          {font.selector}
+                        </span>
+                      </div>
                       <div className="text-sm text-gray-500 dark:text-gray-400 mt-1 break-all">
                         <code>{font.value}</code>
                       </div>
+                      {font.resolvedValue !== font.value && (
+                        <div className="text-sm mt-1 break-all" style={{ fontFamily: font.resolvedValue }}>
+                          {font.resolvedValue}
+                        </div>
+                      )}
                     </li>
                   ))}
                 </ul>
@@ -475,14 +1836,22 @@ export default function Home() {
                 <ul className="space-y-2">
                   {fontData.fontApiLoaded.map((font, index) => (
                     <li key={`fontapi-${index}`} className="bg-gray-50 dark:bg-gray-800 p-3 rounded-lg">
-                      <div className="flex items-center gap-2">
-                        <span className="text-sm">Load time: {Math.round(font.loadTime)}ms</span>
-                      </div>
-                      <div className="text-sm text-gray-500 dark:text-gray-400 mt-1 break-all">
-                        <a href={font.url} target="_blank" rel="noopener noreferrer" className="hover:underline">
-                          {font.url}
-                        </a>
+                      <div className="flex flex-wrap items-center gap-2">
+                        {font.family && <span className="font-medium">{font.family}</span>}
+                        {font.status && (
+                          <span className="text-xs px-2 py-1 bg-gray-200 dark:bg-gray-700 rounded">{font.status}</span>
+                        )}
+                        {typeof font.loadTime === 'number' && (
+                          <span className="text-sm">Load time: {Math.round(font.loadTime)}ms</span>
+                        )}
                       </div>
+                      {font.url && (
+                        <div className="text-sm text-gray-500 dark:text-gray-400 mt-1 break-all">
+                          <a href={font.url} target="_blank" rel="noopener noreferrer" className="hover:underline">
+                            {font.url}
+                          </a>
+                        </div>
+                      )}
                     </li>
                   ))}
                 </ul>
@@ -515,19 +1884,64 @@ export default function Home() {
                   {fontData.computedFonts.map((font, index) => (
                     <li key={`computed-${index}`} className="bg-gray-50 dark:bg-gray-800 p-3 rounded-lg">
                       <span>{font.name}</span>
+                      {font.glyphCount !== undefined && (
+                        <>
+                          <div className="mt-1 flex flex-wrap gap-2 text-xs text-gray-500 dark:text-gray-400">
+                            <span>{font.glyphCount} glyphs</span>
+                            <span>{font.elementCount} elements</span>
+                            <span className="px-1 rounded bg-gray-200 dark:bg-gray-700">
+                              {font.isCustomFont ? 'web font' : 'system font'}
+                            </span>
+                          </div>
+                          <details className="mt-2">
+                            <summary className="cursor-pointer text-xs text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300">
+                              Rendered elements
+                            </summary>
+                            <ul className="mt-1 space-y-1 text-xs">
+                              {font.elements.map((element, elementIndex) => (
+                                <li key={`computed-${index}-element-${elementIndex}`} className="break-all">
+                                  <code>{element.selector}</code>
+                                  <span className="text-gray-500 dark:text-gray-400"> ({element.glyphCount} glyphs) {element.text}</span>
+                                </li>
+                              ))}
+                            </ul>
+                          </details>
+                        </>
+                      )}
                     </li>
                   ))}
                 </ul>
               ) : (
                 <p className="text-gray-500 dark:text-gray-400">No computed fonts detected</p>
               )}
+
+              {fontData.unusedFonts && fontData.unusedFonts.length > 0 && (
+                <div className="mt-4">
+                  <p className="mb-2 text-sm text-gray-600 dark:text-gray-300">
+                    Declared in CSS but never used to render text:
+                  </p>
+                  <ul className="space-y-2">
+                    {fontData.unusedFonts.map((font, index) => (
+                      <li key={`unused-${index}`} className="bg-yellow-50 dark:bg-yellow-900/20 p-3 rounded-lg">
+                        <span className="font-medium">{font.name}</span>
+                        <div className="text-xs text-gray-500 dark:text-gray-400 mt-1 font-mono break-all">
+                          {font.declaredIn.join(', ')}
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
             </section>
           </div>
         )}
       </main>
 
       <footer className="mt-16 text-center text-sm text-gray-500 dark:text-gray-400">
-        <p>Font Finder | Created with Next.js</p>
+        <p>
+          Font Finder | Created with Next.js |{' '}
+          <a href="/api/v1/openapi.json" className="hover:underline">API</a>
+        </p>
       </footer>
     </div>
   );
@@ -0,0 +1,7 @@
+export async function register() {
+  // The monitor reads and writes files, so it only runs in the Node.js runtime
+  if (process.env.NEXT_RUNTIME === 'nodejs') {
+    const { startMonitor } = await import('./lib/monitor.js');
+    startMonitor();
+  }
+}
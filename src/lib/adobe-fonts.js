@@ -0,0 +1,128 @@
+import { splitFontFamilyList } from './css-parser.js';
+
+// use.typekit.net/abc1234.css (or .js), and the retired use.edgefonts.net
+const KIT_URL_PATTERN = /\/\/use\.(typekit|edgefonts)\.net\/([^/?#]+)\.(css|js)(?:[?#]|$)/;
+
+// Each kit stylesheet also defines a .tk-<family> class per family
+const KIT_CLASS_PREFIX = 'tk-';
+
+const MAX_REFERENCES_PER_FAMILY = 10;
+
+/**
+ * Recognise an Adobe Fonts (Typekit) kit URL
+ * @param {string} url
+ * @returns {Object|null} - `{ projectId, kind, host }` where kind is `css` or `js`, null for other URLs
+ */
+export function parseTypekitUrl(url) {
+  const match = url?.match(KIT_URL_PATTERN);
+  if (!match) return null;
+  return { projectId: match[2], kind: match[3], host: `use.${match[1]}.net` };
+}
+
+/**
+ * The CSS version of a kit; every kit ID serves both the JS and the CSS embed
+ * @param {string} projectId
+ * @returns {string}
+ */
+export function getKitStylesheetUrl(projectId) {
+  return `https://use.typekit.net/${projectId}.css`;
+}
+
+/**
+ * Find the kit IDs in the async JS embed snippet (`kitId: 'abc1234'`)
+ * @param {string} script - Inline script contents
+ * @returns {Array<string>}
+ */
+export function findInlineKitIds(script) {
+  return Array.from(script.matchAll(/kitId\s*:\s*['"]([a-z0-9]+)['"]/gi), match => match[1]);
+}
+
+/**
+ * Break every kit down into its families and variants, and work out which
+ * families the page actually uses
+ * @param {Object} options
+ * @param {Array} options.kits - Kits the page embeds, as `{ url, embed, scriptUrl? }`
+ * @param {Array} options.cssSourceFiles - Parsed stylesheets, including the kit stylesheets
+ * @param {Array} options.fontFaceDeclarations - @font-face rules with resolved sources and a `stylesheetId`
+ * @param {Set<string>} options.classNames - Every class name used in the HTML
+ * @param {Array} [options.renderedFontFaces] - `document.fonts` in rendered mode
+ * @returns {Array} - One entry per kit
+ */
+export function buildAdobeKits({ kits, cssSourceFiles, fontFaceDeclarations, classNames, renderedFontFaces = null }) {
+  const kitSheetIds = new Set(cssSourceFiles
+    .filter(cssFile => parseTypekitUrl(cssFile.url))
+    .map(cssFile => cssFile.id));
+
+  return kits.map(kit => {
+    const cssFile = cssSourceFiles.find(file => file.url === kit.url);
+    const entry = {
+      type: 'adobe-font',
+      url: kit.url,
+      scriptUrl: kit.scriptUrl || null,
+      projectId: parseTypekitUrl(kit.url)?.projectId || null,
+      embed: kit.embed,
+      families: [],
+      error: cssFile ? null : 'Could not load the kit stylesheet'
+    };
+    if (!cssFile) return entry;
+
+    const families = new Map();
+    for (const fontFace of fontFaceDeclarations) {
+      if (fontFace.stylesheetId !== cssFile.id) continue;
+      const key = fontFace.fontFamily.toLowerCase();
+      if (!families.has(key)) {
+        families.set(key, { name: fontFace.fontFamily, variants: [] });
+      }
+      families.get(key).variants.push({
+        weight: fontFace.weight || 'normal',
+        style: fontFace.style || 'normal',
+        stretch: fontFace.stretch,
+        display: fontFace.display,
+        unicodeRange: fontFace.unicodeRange,
+        files: fontFace.sources.filter(source => source.url).map(source => ({ url: source.url, format: source.format }))
+      });
+    }
+
+    entry.families = Array.from(families.values()).map(family => {
+      const references = findFamilyReferences(family.name, cssSourceFiles, kitSheetIds);
+      const usesKitClass = classNames.has(`${KIT_CLASS_PREFIX}${family.name.toLowerCase()}`);
+      const rendered = renderedFontFaces
+        ? renderedFontFaces.some(fontFace => fontFace.family.toLowerCase() === family.name.toLowerCase() && fontFace.status === 'loaded')
+        : null;
+
+      return {
+        ...family,
+        references,
+        usesKitClass,
+        rendered,
+        used: references.length > 0 || usesKitClass || rendered === true
+      };
+    });
+    return entry;
+  });
+}
+
+/**
+ * Find the font-family declarations outside the kits that list a family
+ * @param {string} name - The kit family name
+ * @param {Array} cssSourceFiles
+ * @param {Set<number>} kitSheetIds - Kit stylesheets, whose own .tk- rules don't count
+ * @returns {Array} - Up to MAX_REFERENCES_PER_FAMILY `{ selector, source, line }` entries
+ */
+function findFamilyReferences(name, cssSourceFiles, kitSheetIds) {
+  const key = name.toLowerCase();
+  const references = [];
+
+  for (const cssFile of cssSourceFiles) {
+    if (kitSheetIds.has(cssFile.id)) continue;
+    for (const fontFamily of cssFile.fontFamilies) {
+      if (fontFamily.selector === '@font-face') continue;
+      const families = splitFontFamilyList(fontFamily.resolvedValue || fontFamily.value);
+      if (families.some(family => family.toLowerCase() === key)) {
+        references.push({ selector: fontFamily.selector, source: cssFile.url || cssFile.source, line: fontFamily.line });
+        if (references.length >= MAX_REFERENCES_PER_FAMILY) return references;
+      }
+    }
+  }
+  return references;
+}
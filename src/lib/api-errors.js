@@ -0,0 +1,84 @@
+import { BlockedRequestError } from './safe-fetch.js';
+
+/**
+ * The error codes of the versioned API, with their HTTP status. Clients should branch on
+ * the code; the message is for people and may change
+ */
+export const ERROR_CODES = {
+  INVALID_REQUEST: { status: 400, description: 'A parameter is missing or has an invalid value' },
+  INVALID_URL: { status: 400, description: 'The url parameter is not an http(s) URL' },
+  API_KEY_REQUIRED: { status: 401, description: 'Calls without an API key are not allowed on this server' },
+  INVALID_API_KEY: { status: 401, description: 'The API key is not known' },
+  URL_BLOCKED: { status: 403, description: 'The page may not be fetched: a private address, a port or scheme that is not allowed, or a response that is too large or of the wrong type' },
+  RATE_LIMITED: { status: 429, description: 'Too many requests this minute; retry after Retry-After seconds' },
+  QUOTA_EXCEEDED: { status: 429, description: 'The daily scan quota is used up' },
+  INTERNAL_ERROR: { status: 500, description: 'The scan failed unexpectedly' },
+  RESPONSE_VALIDATION_FAILED: { status: 500, description: 'The scan result did not match the documented response schema; only checked in development' },
+  TARGET_HTTP_ERROR: { status: 502, description: 'The page answered with an HTTP error' },
+  TARGET_UNREACHABLE: { status: 502, description: 'The page could not be reached' },
+  TARGET_TIMEOUT: { status: 504, description: 'The page took too long to respond' }
+};
+
+// Network errors that mean the site itself couldn't be reached
+const UNREACHABLE_ERROR_CODES = ['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH', 'EPROTO'];
+const TIMEOUT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+export class ApiError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {Object} [options.details] - Machine-readable context, e.g. the parameter at fault
+   * @param {Object} [options.headers] - Headers to send with the error, e.g. Retry-After
+   */
+  constructor(code, message, { details = null, headers = {} } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = ERROR_CODES[code].status;
+    this.details = details;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Classify an error thrown while handling a request
+ * @param {Error} error
+ * @returns {ApiError}
+ */
+export function toApiError(error) {
+  if (error instanceof ApiError) return error;
+  if (error instanceof BlockedRequestError) {
+    return new ApiError('URL_BLOCKED', error.message, { details: { url: error.url, reason: error.reason } });
+  }
+  if (error.response?.status) {
+    const url = error.config?.url || null;
+    return new ApiError('TARGET_HTTP_ERROR', `The page answered with HTTP ${error.response.status}`, {
+      details: { url, status: error.response.status }
+    });
+  }
+  if (TIMEOUT_ERROR_CODES.includes(error.code) || error.name === 'TimeoutError') {
+    return new ApiError('TARGET_TIMEOUT', 'The page took too long to respond', { details: { reason: error.message } });
+  }
+  if (UNREACHABLE_ERROR_CODES.includes(error.code) || error.code?.startsWith('ERR_TLS') || /CERT|SSL/.test(error.code || '')) {
+    return new ApiError('TARGET_UNREACHABLE', 'The page could not be reached', { details: { reason: error.message } });
+  }
+  return new ApiError('INTERNAL_ERROR', 'The scan failed unexpectedly', { details: { reason: error.message } });
+}
+
+/**
+ * @param {Error} error - Any error; see toApiError
+ * @returns {Response} - `{ error: { code, status, message, details } }` with the code's status
+ */
+export function apiErrorResponse(error) {
+  const apiError = toApiError(error);
+  if (apiError.status >= 500) console.error(`API error ${apiError.code}:`, error);
+  return Response.json({
+    error: {
+      code: apiError.code,
+      status: apiError.status,
+      message: apiError.message,
+      details: apiError.details
+    }
+  }, { status: apiError.status, headers: apiError.headers });
+}
@@ -0,0 +1,108 @@
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto';
+
+export const DEFAULT_KEY_LIMITS = { requestsPerMinute: 60, dailyQuota: 1000 };
+export const DEFAULT_ANONYMOUS_LIMITS = { requestsPerMinute: 20, dailyQuota: null };
+
+let parsedKeys = { source: null, keys: [] };
+
+/**
+ * @returns {string} - A new random API key
+ */
+export function generateApiKey() {
+  return `ff_${randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Keys are configured by their hash, so the configuration doesn't hold usable secrets
+ * @param {string} key
+ * @returns {string} - `sha256:<hex>`
+ */
+export function hashApiKey(key) {
+  return `sha256:${createHash('sha256').update(key).digest('hex')}`;
+}
+
+/**
+ * The API keys in FONT_FINDER_API_KEYS, a JSON array of
+ * `{ name, keyHash, requestsPerMinute, dailyQuota }` (`npm run api-key` makes the entries).
+ * A limit of null means unlimited; a missing one takes DEFAULT_KEY_LIMITS
+ * @returns {Array<Object>}
+ */
+export function getApiKeys() {
+  const source = process.env.FONT_FINDER_API_KEYS || '';
+  if (parsedKeys.source === source) return parsedKeys.keys;
+
+  let entries = [];
+  if (source.trim()) {
+    try {
+      entries = JSON.parse(source);
+      if (!Array.isArray(entries)) throw new Error('expected an array');
+    } catch (error) {
+      console.error(`Ignoring FONT_FINDER_API_KEYS: ${error.message}`);
+      entries = [];
+    }
+  }
+
+  const keys = entries
+    .filter((entry) => {
+      const valid = entry && typeof entry.name === 'string' && /^sha256:[0-9a-f]{64}$/.test(entry.keyHash || '');
+      if (!valid) console.error(`Ignoring API key entry without a name and a sha256 keyHash: ${JSON.stringify(entry)}`);
+      return valid;
+    })
+    .map(entry => ({
+      name: entry.name,
+      keyHash: entry.keyHash,
+      requestsPerMinute: entry.requestsPerMinute === undefined ? DEFAULT_KEY_LIMITS.requestsPerMinute : entry.requestsPerMinute,
+      dailyQuota: entry.dailyQuota === undefined ? DEFAULT_KEY_LIMITS.dailyQuota : entry.dailyQuota
+    }));
+  parsedKeys = { source, keys };
+  return keys;
+}
+
+/**
+ * @param {string} key - A key as sent by a client
+ * @returns {Object|null} - Its configuration, or null for an unknown key
+ */
+export function findApiKey(key) {
+  const hash = Buffer.from(hashApiKey(key));
+  return getApiKeys().find(entry => timingSafeEqual(Buffer.from(entry.keyHash), hash)) || null;
+}
+
+/**
+ * Limits for calls without a key, per client IP. FONT_FINDER_ANONYMOUS_RATE_LIMIT sets the
+ * requests per minute (0 requires a key, "off" lifts the limit), FONT_FINDER_ANONYMOUS_DAILY_QUOTA
+ * the scans per day (unlimited when not set)
+ * @returns {{requestsPerMinute: number|null, dailyQuota: number|null}}
+ */
+export function getAnonymousLimits() {
+  const parseLimit = (value, fallback) => {
+    if (value === undefined || value === '') return fallback;
+    if (value === 'off') return null;
+    const limit = Number(value);
+    return Number.isInteger(limit) && limit >= 0 ? limit : fallback;
+  };
+  return {
+    requestsPerMinute: parseLimit(process.env.FONT_FINDER_ANONYMOUS_RATE_LIMIT, DEFAULT_ANONYMOUS_LIMITS.requestsPerMinute),
+    dailyQuota: parseLimit(process.env.FONT_FINDER_ANONYMOUS_DAILY_QUOTA, DEFAULT_ANONYMOUS_LIMITS.dailyQuota)
+  };
+}
+
+/**
+ * @param {Request} request
+ * @returns {string|null} - The key from `Authorization: Bearer <key>` or `X-API-Key`
+ */
+export function getRequestApiKey(request) {
+  const authorization = request.headers.get('authorization') || '';
+  const bearer = authorization.match(/^Bearer\s+(\S+)$/i)?.[1];
+  return bearer || request.headers.get('x-api-key') || null;
+}
+
+/**
+ * @param {Request} request
+ * @returns {boolean|null} - Whether the request carries FONT_FINDER_ADMIN_KEY, or null when no admin key is set
+ */
+export function isAdminRequest(request) {
+  const adminKey = process.env.FONT_FINDER_ADMIN_KEY;
+  if (!adminKey) return null;
+  const key = getRequestApiKey(request);
+  return Boolean(key) && timingSafeEqual(Buffer.from(hashApiKey(key)), Buffer.from(hashApiKey(adminKey)));
+}
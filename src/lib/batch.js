@@ -0,0 +1,32 @@
+// The most URLs one batch request scans, so it finishes within the 60 second function limit.
+// Longer lists are sent as several requests and their results put together with summarizeBatch
+export const MAX_BATCH_URLS = { static: 8, rendered: 2 };
+
+// The most pages one crawl request scans, for the same reason. A crawl downloads no font files and
+// runs no audit, so it fits more pages than a batch, but each rendered page still starts Chromium
+export const MAX_CRAWL_PAGES = { static: 16, rendered: 4 };
+
+/**
+ * Count the scans and list, per family, the sites using it
+ * @param {Array} results - Per-URL results
+ * @returns {Object} - `{ total, succeeded, failed, families: [{ name, sites }] }`, most common family first
+ */
+export function summarizeBatch(results) {
+  const families = new Map();
+  for (const result of results) {
+    for (const family of result.families) {
+      const key = family.name.toLowerCase();
+      if (!families.has(key)) families.set(key, { name: family.name, sites: [] });
+      families.get(key).sites.push(result.url);
+    }
+  }
+
+  const succeeded = results.filter(result => result.status === 'ok').length;
+  return {
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    families: Array.from(families.values())
+      .sort((a, b) => b.sites.length - a.sites.length || a.name.localeCompare(b.name))
+  };
+}
@@ -0,0 +1,208 @@
+import { safeFetch } from './safe-fetch.js';
+
+// Seconds a whole scan result is reused for; FONT_FINDER_CACHE_TTL overrides it, 0 turns the scan cache off
+const DEFAULT_SCAN_TTL_SECONDS = 10 * 60;
+const MAX_CACHED_SCANS = 100;
+
+// Stylesheets and font files are kept up to this many bytes in total, least recently used out first
+const MAX_RESOURCE_CACHE_BYTES = 50 * 1024 * 1024;
+const MAX_CACHED_RESOURCE_BYTES = 5 * 1024 * 1024;
+
+// Route handlers are bundled separately, so the caches live on globalThis to be shared between them
+const caches = globalThis.__fontFinderCaches || (globalThis.__fontFinderCaches = {
+  scans: new Map(),
+  resources: new Map(),
+  resourceBytes: 0
+});
+
+/**
+ * @returns {number} - How long whole scan results are cached, in seconds
+ */
+export function getScanCacheTtl() {
+  const configured = Number(process.env.FONT_FINDER_CACHE_TTL);
+  return process.env.FONT_FINDER_CACHE_TTL !== undefined && Number.isFinite(configured) && configured >= 0
+    ? configured
+    : DEFAULT_SCAN_TTL_SECONDS;
+}
+
+/**
+ * Reduce the spellings of one page to a single cache key: lowercase host, no default
+ * port, no fragment, sorted query parameters
+ * @param {string} url
+ * @returns {string}
+ */
+export function normalizeCacheUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    parsed.searchParams.sort();
+    return parsed.href;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * @param {string} key - From normalizeCacheUrl plus the scan options
+ * @returns {Object|null} - `{ value, storedAt, expiresAt }` while the entry is fresh
+ */
+export function getCachedScan(key) {
+  const entry = caches.scans.get(key);
+  if (!entry) return null;
+  if (Date.parse(entry.expiresAt) <= Date.now()) {
+    caches.scans.delete(key);
+    return null;
+  }
+  return entry;
+}
+
+/**
+ * @param {string} key
+ * @param {*} value - A scan result
+ * @returns {Object|null} - The stored entry, or null when the scan cache is turned off
+ */
+export function setCachedScan(key, value) {
+  const ttl = getScanCacheTtl();
+  if (ttl === 0) return null;
+
+  const now = Date.now();
+  const entry = {
+    value,
+    storedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttl * 1000).toISOString()
+  };
+  caches.scans.delete(key);
+  caches.scans.set(key, entry);
+  // Maps keep insertion order, so the first key is the oldest
+  while (caches.scans.size > MAX_CACHED_SCANS) {
+    caches.scans.delete(caches.scans.keys().next().value);
+  }
+  return entry;
+}
+
+/**
+ * A per-scan HTTP client that reuses stylesheets and font files across scans. Cached responses
+ * are served as they are while Cache-Control allows, then revalidated with If-None-Match /
+ * If-Modified-Since; a 304 answer reuses the cached body
+ * @param {Object} [options]
+ * @param {boolean} [options.fresh=false] - Download everything again (and refresh the cache)
+ * @returns {{get: Function, summary: Function}}
+ */
+export function createResourceFetcher({ fresh = false } = {}) {
+  const log = new Map();
+
+  /**
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {string} [options.responseType='text'] - 'text' or 'arraybuffer'
+   * @param {number} [options.timeout=10000]
+   * @param {number} [options.maxBytes] - See safeFetch
+   * @param {string} [options.expect] - The Content-Type to expect, see safeFetch
+   * @param {AbortSignal} [options.signal] - Cancels the download
+   * @returns {Promise<{data: *, status: number, headers: Object}>}
+   */
+  const get = async (url, { responseType = 'text', timeout = 10000, maxBytes, expect = null, signal } = {}) => {
+    const cached = fresh ? null : caches.resources.get(url);
+    if (cached && cached.freshUntil > Date.now()) {
+      touchResource(url, cached);
+      log.set(url, 'hit');
+      return { data: cached.data, status: 200, headers: cached.headers };
+    }
+
+    const headers = {};
+    if (cached?.headers.etag) headers['If-None-Match'] = cached.headers.etag;
+    if (cached?.headers['last-modified']) headers['If-Modified-Since'] = cached.headers['last-modified'];
+
+    const response = await safeFetch(url, {
+      timeout,
+      responseType,
+      maxBytes,
+      expect,
+      headers,
+      validateStatus: status => (status >= 200 && status < 300) || (status === 304 && Boolean(cached)),
+      signal
+    });
+
+    if (response.status === 304) {
+      storeResource(url, cached.data, { ...cached.headers, ...pickCacheHeaders(response.headers) });
+      log.set(url, 'revalidated');
+      return { data: cached.data, status: 200, headers: cached.headers };
+    }
+
+    storeResource(url, response.data, pickCacheHeaders(response.headers));
+    log.set(url, fresh ? 'bypassed' : 'downloaded');
+    return { data: response.data, status: response.status, headers: pickCacheHeaders(response.headers) };
+  };
+
+  /**
+   * @returns {Object} - How each resource was loaded: `{ hits, revalidated, downloaded, bypassed, resources: [{ url, status }] }`
+   */
+  const summary = () => {
+    const resources = Array.from(log, ([url, status]) => ({ url, status }));
+    const count = (status) => resources.filter(resource => resource.status === status).length;
+    return {
+      hits: count('hit'),
+      revalidated: count('revalidated'),
+      downloaded: count('downloaded'),
+      bypassed: count('bypassed'),
+      resources
+    };
+  };
+
+  return { get, summary };
+}
+
+/**
+ * @param {Object} headers - Response headers
+ * @returns {Object} - The headers that matter for caching and decoding
+ */
+function pickCacheHeaders(headers) {
+  const picked = {};
+  for (const name of ['etag', 'last-modified', 'cache-control', 'content-type']) {
+    if (headers[name]) picked[name] = String(headers[name]);
+  }
+  return picked;
+}
+
+/**
+ * Keep a response when it can be reused: it has a validator or a max-age, and isn't no-store
+ * @param {string} url
+ * @param {*} data - The body
+ * @param {Object} headers - From pickCacheHeaders
+ */
+function storeResource(url, data, headers) {
+  const cacheControl = (headers['cache-control'] || '').toLowerCase();
+  const maxAge = cacheControl.includes('no-cache') ? 0 : Number(cacheControl.match(/(?:^|,)\s*max-age=(\d+)/)?.[1] || 0);
+  const size = typeof data === 'string' ? Buffer.byteLength(data) : data?.byteLength || 0;
+
+  removeResource(url);
+  if (cacheControl.includes('no-store') || size > MAX_CACHED_RESOURCE_BYTES) return;
+  if (!headers.etag && !headers['last-modified'] && maxAge === 0) return;
+
+  caches.resources.set(url, { data, headers, size, freshUntil: Date.now() + maxAge * 1000 });
+  caches.resourceBytes += size;
+  for (const [oldestUrl] of caches.resources) {
+    if (caches.resourceBytes <= MAX_RESOURCE_CACHE_BYTES) break;
+    removeResource(oldestUrl);
+  }
+}
+
+/**
+ * Move a resource to the back of the eviction queue
+ * @param {string} url
+ * @param {Object} entry
+ */
+function touchResource(url, entry) {
+  caches.resources.delete(url);
+  caches.resources.set(url, entry);
+}
+
+/**
+ * @param {string} url
+ */
+function removeResource(url) {
+  const entry = caches.resources.get(url);
+  if (!entry) return;
+  caches.resources.delete(url);
+  caches.resourceBytes -= entry.size;
+}
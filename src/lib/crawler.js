@@ -0,0 +1,275 @@
+import { load } from 'cheerio';
+import { mapWithConcurrency } from './concurrency.js';
+import { summarizeFonts } from './font-summary.js';
+import { getRobotsGroup, isAllowedByRobots, parseRobotsTxt } from './robots.js';
+import { safeFetch } from './safe-fetch.js';
+
+// The product token looked up in robots.txt User-agent lines
+export const CRAWLER_NAME = 'font-finder';
+
+export const DEFAULT_CRAWL_OPTIONS = {
+  maxPages: 10,
+  maxDepth: 2,
+  useSitemap: false,
+  respectRobots: true
+};
+
+// Upper bound for the caller-supplied maxDepth; maxPages is bounded per mode by MAX_CRAWL_PAGES
+export const MAX_CRAWL_DEPTH = 5;
+
+const PAGE_CONCURRENCY = 2;
+const MAX_SITEMAP_FILES = 5;
+const MAX_CRAWL_DELAY_SECONDS = 5;
+// The most time one crawl spends waiting out Crawl-delay; a longer delay means fewer pages
+const CRAWL_DELAY_BUDGET_SECONDS = 20;
+
+// Links to these are never pages
+const SKIPPED_EXTENSIONS = /\.(pdf|zip|gz|rar|dmg|exe|png|jpe?g|gif|webp|avif|svg|ico|bmp|mp[34]|webm|mov|avi|woff2?|ttf|otf|eot|css|js|mjs|json|xml|rss|txt|csv)$/i;
+
+/**
+ * Crawl the same-origin pages of a site breadth first and scan each of them
+ * @param {string} startUrl - The first page
+ * @param {Object} options
+ * @param {Function} options.scanPage - Async `(url, html)` returning the page's font data
+ * @param {number} [options.maxPages=10] - Stop after this many pages
+ * @param {number} [options.maxDepth=2] - How many links away from the start page (or sitemap) to go
+ * @param {boolean} [options.useSitemap=false] - Also start from the URLs listed in sitemap.xml
+ * @param {boolean} [options.respectRobots=true] - Skip URLs robots.txt disallows and honour Crawl-delay
+ * @returns {Promise<Object>} - The scanned pages, the site-wide font inventory, the URLs skipped
+ *   for robots.txt and how many found URLs the page limit left out (`notCrawled`)
+ */
+export async function crawlSite(startUrl, { scanPage, ...options }) {
+  const { maxPages, maxDepth, useSitemap, respectRobots } = { ...DEFAULT_CRAWL_OPTIONS, ...options };
+  const origin = new URL(startUrl).origin;
+
+  const robots = respectRobots ? await fetchRobotsTxt(origin) : null;
+  const crawlDelay = robots
+    ? Math.min(getRobotsGroup(robots, CRAWLER_NAME)?.crawlDelay || 0, MAX_CRAWL_DELAY_SECONDS)
+    : 0;
+  // Pages scanned one at a time with waits in between take longer, so a Crawl-delay lowers the limit
+  const pageLimit = crawlDelay
+    ? Math.min(maxPages, 1 + Math.floor(CRAWL_DELAY_BUDGET_SECONDS / crawlDelay))
+    : maxPages;
+
+  const seen = new Set();
+  const skipped = [];
+  const queue = [];
+  const pages = [];
+  let notCrawled = 0;
+  const enqueue = (href, depth) => {
+    const url = normalizePageUrl(href, origin);
+    if (!url || seen.has(url)) return;
+    seen.add(url);
+
+    // Once the queue holds every page the limit allows, the rest are only counted; a sitemap
+    // can list thousands
+    if (pages.length + queue.length >= pageLimit) {
+      notCrawled++;
+      return;
+    }
+
+    if (robots && !isAllowedByRobots(robots, url, CRAWLER_NAME)) {
+      skipped.push({ url, reason: 'Disallowed by robots.txt' });
+      return;
+    }
+    queue.push({ url, depth });
+  };
+
+  enqueue(startUrl, 0);
+  if (useSitemap) {
+    const sitemapUrls = await fetchSitemapUrls(origin, robots?.sitemaps);
+    sitemapUrls.forEach(url => enqueue(url, 0));
+  }
+
+  while (queue.length > 0 && pages.length < pageLimit) {
+    const batch = queue.splice(0, pageLimit - pages.length);
+
+    // A Crawl-delay means one request at a time, spaced out
+    const results = await mapWithConcurrency(batch, crawlDelay ? 1 : PAGE_CONCURRENCY, async (page, index) => {
+      if (crawlDelay && (pages.length > 0 || index > 0)) {
+        await new Promise(resolve => setTimeout(resolve, crawlDelay * 1000));
+      }
+      return crawlPage(page, origin, scanPage);
+    });
+
+    // The whole batch counts against the limit before its links are queued
+    results.forEach(({ page }) => pages.push(page));
+    for (const { page, links } of results) {
+      if (page.depth < maxDepth) {
+        links.forEach(link => enqueue(link, page.depth + 1));
+      }
+    }
+  }
+
+  return {
+    startUrl,
+    origin,
+    options: { maxPages, maxDepth, useSitemap, respectRobots },
+    robotsTxt: robots ? { found: robots.found, crawlDelay, sitemaps: robots.sitemaps } : null,
+    pageLimit,
+    pages,
+    inventory: buildSiteInventory(pages),
+    skipped,
+    notCrawled
+  };
+}
+
+/**
+ * Fetch one page, scan it and collect its links
+ * @param {{url: string, depth: number}} page
+ * @param {string} origin - The crawled origin
+ * @param {Function} scanPage
+ * @returns {Promise<{page: Object, links: Array<string>}>}
+ */
+async function crawlPage({ url, depth }, origin, scanPage) {
+  try {
+    const response = await safeFetch(url, { timeout: 15000, responseType: 'text' });
+
+    const contentType = response.headers['content-type'] || '';
+    if (contentType && !contentType.includes('html')) {
+      return { page: { url, depth, families: [], providers: [], error: `Not an HTML page (${contentType})` }, links: [] };
+    }
+
+    // Links on a page that redirected resolve against where it ended up
+    const finalUrl = response.finalUrl;
+    const fonts = await scanPage(finalUrl, response.data);
+
+    return {
+      page: { url, depth, ...summarizeFonts(fonts), error: null },
+      links: extractLinks(response.data, finalUrl, origin)
+    };
+  } catch (error) {
+    console.error(`Error crawling ${url}: ${error.message}`);
+    return { page: { url, depth, families: [], providers: [], error: error.message }, links: [] };
+  }
+}
+
+/**
+ * Find the crawlable links of a page, honouring nofollow
+ * @param {string} html
+ * @param {string} pageUrl - The URL the HTML came from
+ * @param {string} origin - Only links to this origin are kept
+ * @returns {Array<string>}
+ */
+export function extractLinks(html, pageUrl, origin) {
+  const $ = load(html);
+  const robotsMeta = $('meta[name="robots" i]').attr('content') || '';
+  if (/nofollow|none/i.test(robotsMeta)) return [];
+
+  let baseUrl = pageUrl;
+  try {
+    baseUrl = new URL($('base[href]').attr('href') || pageUrl, pageUrl).href;
+  } catch (e) {
+    // Keep the page URL as the base
+  }
+
+  const links = [];
+  $('a[href], area[href]').each((_, el) => {
+    if (/\bnofollow\b/i.test($(el).attr('rel') || '')) return;
+    let href;
+    try {
+      href = new URL($(el).attr('href'), baseUrl).href;
+    } catch (e) {
+      return;
+    }
+    const url = normalizePageUrl(href, origin);
+    if (url && !links.includes(url)) links.push(url);
+  });
+  return links;
+}
+
+/**
+ * Normalise a link to a crawlable page URL
+ * @param {string} href - Absolute URL
+ * @param {string} origin - The crawled origin
+ * @returns {string|null} - The URL without its fragment, or null when it is off-site or not a page
+ */
+function normalizePageUrl(href, origin) {
+  let url;
+  try {
+    url = new URL(href);
+  } catch (e) {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(url.protocol) || url.origin !== origin) return null;
+  if (SKIPPED_EXTENSIONS.test(url.pathname)) return null;
+
+  url.hash = '';
+  return url.href;
+}
+
+/**
+ * Fetch and parse robots.txt; a missing or unreadable file allows everything
+ * @param {string} origin
+ * @returns {Promise<Object>} - parseRobotsTxt's result with `found` added
+ */
+async function fetchRobotsTxt(origin) {
+  try {
+    const response = await safeFetch(`${origin}/robots.txt`, {
+      timeout: 5000,
+      responseType: 'text',
+      maxBytes: 512 * 1024,
+      validateStatus: () => true
+    });
+    if (response.status === 200) {
+      return { ...parseRobotsTxt(response.data), found: true };
+    }
+  } catch (error) {
+    console.error(`Error fetching robots.txt for ${origin}: ${error.message}`);
+  }
+  return { groups: [], sitemaps: [], found: false };
+}
+
+/**
+ * Read the page URLs listed in the site's sitemaps, following sitemap indexes
+ * @param {string} origin
+ * @param {Array<string>} [sitemapUrls] - Sitemaps announced in robots.txt; /sitemap.xml when there are none
+ * @returns {Promise<Array<string>>}
+ */
+async function fetchSitemapUrls(origin, sitemapUrls = []) {
+  const queue = sitemapUrls.length > 0 ? [...sitemapUrls] : [`${origin}/sitemap.xml`];
+  const fetched = new Set();
+  const pageUrls = [];
+
+  while (queue.length > 0 && fetched.size < MAX_SITEMAP_FILES) {
+    const sitemapUrl = queue.shift();
+    if (fetched.has(sitemapUrl)) continue;
+    fetched.add(sitemapUrl);
+
+    try {
+      const response = await safeFetch(sitemapUrl, {
+        timeout: 10000,
+        responseType: 'text',
+        maxBytes: 10 * 1024 * 1024
+      });
+      const $ = load(response.data, { xml: true });
+      $('sitemap > loc').each((_, el) => { queue.push($(el).text().trim()); });
+      $('url > loc').each((_, el) => { pageUrls.push($(el).text().trim()); });
+    } catch (error) {
+      console.error(`Error fetching sitemap ${sitemapUrl}: ${error.message}`);
+    }
+  }
+
+  return pageUrls;
+}
+
+/**
+ * Aggregate the scanned pages into one entry per family with the pages it appears on
+ * @param {Array} pages - Crawled pages with their `families`
+ * @returns {Array} - `{ name, pages, via }` entries, most widely used first
+ */
+export function buildSiteInventory(pages) {
+  const inventory = new Map();
+  for (const page of pages) {
+    for (const family of page.families) {
+      const key = family.name.toLowerCase();
+      if (!inventory.has(key)) inventory.set(key, { name: family.name, pages: [], via: [] });
+      const entry = inventory.get(key);
+      if (!entry.pages.includes(page.url)) entry.pages.push(page.url);
+      family.via.forEach(via => { if (!entry.via.includes(via)) entry.via.push(via); });
+    }
+  }
+
+  return Array.from(inventory.values())
+    .sort((a, b) => b.pages.length - a.pages.length || a.name.localeCompare(b.name));
+}
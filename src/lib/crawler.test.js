@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { after, before, describe, test } from 'node:test';
+import { crawlSite } from './crawler.js';
+
+// A small site on a local port: / links to two sections, one of them three levels deep
+const PAGES = {
+  '/': `
+    <a href="/a">A</a>
+    <a href="/b#top">B</a>
+    <a href="/private">Private</a>
+    <a href="/hidden" rel="nofollow">Hidden</a>
+    <a href="/styles.css">Styles</a>
+    <a href="https://elsewhere.example/">Elsewhere</a>`,
+  '/a': '<a href="/a/deep">Deep</a>',
+  '/a/deep': '<a href="/a/deeper">Deeper</a>',
+  '/a/deeper': '<p>The end</p>',
+  '/b': '<a href="/">Home</a>',
+  '/private': '<p>Disallowed</p>',
+  '/hidden': '<p>Not followed</p>',
+  '/from-sitemap': '<p>Only listed in the sitemap</p>'
+};
+
+// Pages listed in the sitemap after /from-sitemap, far more than any crawl scans
+const LISTED_PAGES = Array.from({ length: 500 }, (_, index) => `/listed/${index}`);
+
+let server;
+let origin;
+let crawlDelay = null;
+
+before(async () => {
+  // The fetch layer refuses loopback addresses and unusual ports unless told otherwise
+  process.env.FONT_FINDER_ALLOW_PRIVATE_NETWORKS = 'true';
+  process.env.FONT_FINDER_ALLOWED_PORTS = '*';
+
+  server = createServer((request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    if (pathname === '/robots.txt') {
+      response.writeHead(200, { 'Content-Type': 'text/plain' });
+      const delay = crawlDelay === null ? '' : `Crawl-delay: ${crawlDelay}\n`;
+      response.end(`User-agent: *\nDisallow: /private\n${delay}Sitemap: ${origin}/sitemap.xml\n`);
+    } else if (pathname === '/sitemap.xml') {
+      response.writeHead(200, { 'Content-Type': 'application/xml' });
+      const locs = ['/from-sitemap', ...LISTED_PAGES].map(listed => `<url><loc>${origin}${listed}</loc></url>`);
+      response.end(`<?xml version="1.0"?><urlset>${locs.join('')}</urlset>`);
+    } else if (PAGES[pathname] || LISTED_PAGES.includes(pathname)) {
+      response.writeHead(200, { 'Content-Type': 'text/html' });
+      response.end(`<!doctype html><html><body>${PAGES[pathname] || '<p>Listed</p>'}</body></html>`);
+    } else {
+      response.writeHead(404, { 'Content-Type': 'text/html' });
+      response.end('Not found');
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+/**
+ * @param {Object} [options] - crawlSite options
+ * @returns {Promise<Object>} - The crawl, with every page reporting Inter
+ */
+function crawl(options = {}) {
+  return crawlSite(`${origin}/`, {
+    scanPage: async () => ({ computedFonts: [{ name: 'Inter' }] }),
+    ...options
+  });
+}
+
+const pathsOf = (pages) => pages.map(page => new URL(page.url).pathname).sort();
+
+describe('crawlSite', () => {
+  test('follows same-origin links, skipping nofollow, assets and other sites', async () => {
+    const site = await crawl({ maxDepth: 5 });
+    assert.deepEqual(pathsOf(site.pages), ['/', '/a', '/a/deep', '/a/deeper', '/b']);
+    assert.ok(site.pages.every(page => page.error === null));
+    assert.deepEqual(site.inventory, [{ name: 'Inter', pages: site.pages.map(page => page.url), via: ['font-family'] }]);
+  });
+
+  test('records the depth of each page and stops at maxDepth', async () => {
+    const site = await crawl({ maxDepth: 1 });
+    assert.deepEqual(pathsOf(site.pages), ['/', '/a', '/b']);
+    const depths = Object.fromEntries(site.pages.map(page => [new URL(page.url).pathname, page.depth]));
+    assert.deepEqual(depths, { '/': 0, '/a': 1, '/b': 1 });
+  });
+
+  test('stops at maxPages and counts the pages it left out', async () => {
+    const site = await crawl({ maxPages: 2, maxDepth: 5 });
+    assert.equal(site.pageLimit, 2);
+    assert.equal(site.pages.length, 2);
+    assert.ok(site.notCrawled > 0);
+  });
+
+  test('queues no more sitemap URLs than the page limit allows', async () => {
+    const site = await crawl({ maxPages: 3, maxDepth: 0, useSitemap: true });
+    assert.deepEqual(pathsOf(site.pages), ['/', '/from-sitemap', '/listed/0']);
+    assert.equal(site.notCrawled, LISTED_PAGES.length - 1);
+    assert.deepEqual(site.skipped, []);
+  });
+
+  test('scans fewer pages when Crawl-delay would spend the time waiting', async (t) => {
+    crawlDelay = 5;
+    t.after(() => { crawlDelay = null; });
+    // Depth 0 scans only the start page, so the test doesn't wait
+    const site = await crawl({ maxPages: 16, maxDepth: 0 });
+    assert.equal(site.robotsTxt.crawlDelay, 5);
+    assert.equal(site.pageLimit, 5);
+    assert.equal(site.pages.length, 1);
+  });
+
+  test('skips what robots.txt disallows, unless told not to', async () => {
+    const site = await crawl();
+    assert.ok(site.robotsTxt.found);
+    assert.deepEqual(site.skipped, [{ url: `${origin}/private`, reason: 'Disallowed by robots.txt' }]);
+    assert.ok(!pathsOf(site.pages).includes('/private'));
+
+    const ignoringRobots = await crawl({ respectRobots: false });
+    assert.equal(ignoringRobots.robotsTxt, null);
+    assert.ok(pathsOf(ignoringRobots.pages).includes('/private'));
+  });
+
+  test('starts from the sitemap announced in robots.txt', async () => {
+    const withoutSitemap = await crawl();
+    assert.ok(!pathsOf(withoutSitemap.pages).includes('/from-sitemap'));
+
+    const site = await crawl({ useSitemap: true });
+    const page = site.pages.find(scanned => scanned.url === `${origin}/from-sitemap`);
+    assert.equal(page?.depth, 0);
+  });
+});
@@ -0,0 +1,557 @@
+import safeParser from 'postcss-safe-parser';
+
+// Generic families and keywords that never name an actual typeface
+export const GENERIC_FONT_FAMILIES = [
+  'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', '-apple-system',
+  'ui-serif', 'ui-sans-serif', 'ui-monospace', 'ui-rounded', 'math', 'emoji', 'fangsong',
+  'inherit', 'initial', 'unset', 'revert', 'revert-layer'
+];
+
+const CSS_WIDE_KEYWORDS = ['inherit', 'initial', 'unset', 'revert', 'revert-layer'];
+const SYSTEM_FONT_KEYWORDS = ['caption', 'icon', 'menu', 'message-box', 'small-caption', 'status-bar'];
+const FONT_STYLE_KEYWORDS = ['italic', 'oblique'];
+const FONT_VARIANT_KEYWORDS = ['small-caps'];
+const FONT_WEIGHT_KEYWORDS = ['bold', 'bolder', 'lighter'];
+const FONT_STRETCH_KEYWORDS = [
+  'ultra-condensed', 'extra-condensed', 'condensed', 'semi-condensed',
+  'semi-expanded', 'expanded', 'extra-expanded', 'ultra-expanded'
+];
+const FONT_SIZE_KEYWORDS = [
+  'xx-small', 'x-small', 'small', 'medium', 'large', 'x-large', 'xx-large', 'xxx-large',
+  'larger', 'smaller'
+];
+
+// At-rules whose conditions are kept as the context of the declarations inside them
+const CONTEXT_AT_RULES = ['media', 'supports', 'layer', 'container'];
+
+/**
+ * Parse a stylesheet and collect everything font related in one pass
+ * @param {string} css - The CSS content to analyze
+ * @param {Object} [options]
+ * @param {Object|null} [options.logger=console] - Where CSS that couldn't be parsed is logged
+ * @returns {Object} - `{ fontFamilies, fontWeights, fontFaces, customProperties, imports }`, every entry
+ *   carrying its source line and at-rule context (media query, supports condition, layer).
+ *   fontWeights are the weights rules set, with the font-family the same rule sets (or null)
+ */
+export function analyzeStylesheet(css, { logger = console } = {}) {
+  const analysis = {
+    fontFamilies: [],
+    fontWeights: [],
+    fontFaces: [],
+    customProperties: [],
+    imports: []
+  };
+  if (!css) return analysis;
+
+  let root;
+  try {
+    // The safe parser recovers from the broken and truncated CSS found in the wild
+    root = safeParser(css);
+  } catch (error) {
+    logger?.error(`Error parsing CSS: ${error.message}`);
+    return analysis;
+  }
+
+  root.walkAtRules(atRule => {
+    const name = atRule.name.toLowerCase();
+    if (name === 'import') {
+      analysis.imports.push(parseImportRule(atRule));
+    } else if (name === 'font-face') {
+      const fontFace = parseFontFaceRule(atRule);
+      if (fontFace) analysis.fontFaces.push(fontFace);
+    }
+  });
+
+  root.walkDecls(decl => {
+    const location = {
+      selector: getSelector(decl),
+      line: decl.source?.start?.line ?? null,
+      context: getAtRuleContext(decl)
+    };
+    const prop = decl.prop.toLowerCase();
+
+    if (decl.prop.startsWith('--')) {
+      analysis.customProperties.push({
+        ...location,
+        variable: decl.prop,
+        value: decl.value.trim()
+      });
+    } else if (prop === 'font-family') {
+      analysis.fontFamilies.push({
+        ...location,
+        value: normalizeFamilyValue(decl.value)
+      });
+    } else if (prop === 'font-weight') {
+      // @font-face weights describe the face, not text set in it
+      if (location.selector !== '@font-face') {
+        analysis.fontWeights.push({ ...location, value: decl.value.trim(), family: getRuleFamily(decl) });
+      }
+    } else if (prop === 'font') {
+      const value = decl.value.trim();
+      const shorthand = parseFontShorthand(value);
+      // A var() before the family may expand to several tokens, so the split is only a guess
+      const guessed = shorthand?.family && value.slice(0, -shorthand.family.length).includes('var(');
+      if (shorthand?.family && !guessed) {
+        analysis.fontFamilies.push({
+          ...location,
+          value: normalizeFamilyValue(shorthand.family),
+          shorthand: true,
+          shorthandValue: value
+        });
+        // A shorthand without a weight sets it back to normal
+        analysis.fontWeights.push({ ...location, value: shorthand.weight, family: normalizeFamilyValue(shorthand.family) });
+      } else if (value.includes('var(')) {
+        // The parts can't be told apart until the variables are resolved
+        analysis.fontFamilies.push({
+          ...location,
+          value,
+          shorthand: true,
+          shorthandValue: value,
+          unresolvedShorthand: true
+        });
+      }
+    }
+  });
+
+  return analysis;
+}
+
+/**
+ * Extract all font-family declarations (including the family part of `font` shorthands) from CSS content
+ * @param {string} css - The CSS content to analyze
+ * @param {Object} [options] - See analyzeStylesheet
+ * @returns {Array} - Array of font family declarations with their selector, line and at-rule context
+ */
+export function extractFontFamiliesFromCSS(css, options) {
+  return analyzeStylesheet(css, options).fontFamilies;
+}
+
+/**
+ * Parse a `font` shorthand value following the CSS Fonts grammar:
+ * [ <style> || <variant> || <weight> || <stretch> ]? <size> [ / <line-height> ]? <family>#
+ * @param {string} value - The shorthand value, e.g. `italic 700 16px/1.2 "Open Sans", Arial`
+ * @returns {Object|null} - The longhand values, `{ keyword }` for system fonts and
+ *   CSS-wide keywords, or null when the value is not a valid shorthand
+ */
+export function parseFontShorthand(value) {
+  const trimmed = value.trim();
+  const lower = trimmed.toLowerCase();
+  if (SYSTEM_FONT_KEYWORDS.includes(lower) || CSS_WIDE_KEYWORDS.includes(lower)) {
+    return { keyword: lower, family: null, families: [] };
+  }
+
+  const tokens = tokenizeValue(trimmed);
+  const result = {
+    style: 'normal',
+    variant: 'normal',
+    weight: 'normal',
+    stretch: 'normal',
+    size: null,
+    lineHeight: 'normal',
+    family: null,
+    families: []
+  };
+  const seen = new Set();
+
+  let index = 0;
+  for (; index < tokens.length; index++) {
+    const token = tokens[index].text.toLowerCase();
+
+    if (token === 'normal') {
+      // `normal` resets whichever of the four properties is still unset
+      continue;
+    } else if (FONT_STYLE_KEYWORDS.includes(token) && !seen.has('style')) {
+      seen.add('style');
+      result.style = token;
+      // oblique may be followed by an angle
+      if (token === 'oblique' && /^-?[\d.]+(deg|grad|rad|turn)$/i.test(tokens[index + 1]?.text || '')) {
+        result.style += ` ${tokens[++index].text}`;
+      }
+    } else if (FONT_VARIANT_KEYWORDS.includes(token) && !seen.has('variant')) {
+      seen.add('variant');
+      result.variant = token;
+    } else if ((FONT_WEIGHT_KEYWORDS.includes(token) || isFontWeightNumber(token)) && !seen.has('weight')) {
+      seen.add('weight');
+      result.weight = token;
+    } else if (FONT_STRETCH_KEYWORDS.includes(token) && !seen.has('stretch')) {
+      seen.add('stretch');
+      result.stretch = token;
+    } else {
+      break;
+    }
+  }
+
+  const sizeToken = tokens[index];
+  if (!sizeToken || !isFontSize(sizeToken.text)) return null;
+  result.size = sizeToken.text;
+  index++;
+
+  if (tokens[index]?.text === '/') {
+    if (!tokens[index + 1]) return null;
+    result.lineHeight = tokens[index + 1].text;
+    index += 2;
+  }
+
+  if (index >= tokens.length) return null;
+  result.family = trimmed.slice(tokens[index].start).trim();
+  result.families = splitFontFamilyList(result.family);
+  return result;
+}
+
+/**
+ * Split a font-family list into family names, respecting quotes
+ * @param {string} value - e.g. `"Open Sans", Helvetica Neue, sans-serif`
+ * @returns {Array<string>} - e.g. ['Open Sans', 'Helvetica Neue', 'sans-serif']
+ */
+export function splitFontFamilyList(value) {
+  if (!value) return [];
+  return splitTopLevel(value, ',')
+    .map(family => unquote(family.trim()).replace(/\s+/g, ' '))
+    .filter(Boolean);
+}
+
+/**
+ * Parse the `src` descriptor of an @font-face rule
+ * @param {string} src - e.g. `local(Inter), url(inter.woff2) format("woff2")`
+ * @returns {Array} - `{ url, local, format, tech }` per comma separated source
+ */
+export function parseFontFaceSrc(src) {
+  if (!src) return [];
+  return splitTopLevel(src, ',')
+    .map(part => {
+      const url = part.match(/url\(\s*(['"]?)(.*?)\1\s*\)/i)?.[2] || null;
+      const local = part.match(/local\(\s*(['"]?)(.*?)\1\s*\)/i)?.[2] || null;
+      const format = part.match(/format\(\s*['"]?([^'")]+)['"]?\s*\)/i)?.[1] || null;
+      const tech = part.match(/tech\(\s*([^)]+)\)/i)?.[1].trim() || null;
+      return { url, local, format, tech };
+    })
+    .filter(source => source.url || source.local);
+}
+
+/**
+ * Replace var(--x) references with the custom property values they point to
+ * @param {string} value - A CSS value, e.g. var(--font-sans, sans-serif)
+ * @param {Map} cssVariables - Custom property name to value
+ * @param {number} depth - Recursion depth, guards against cyclic variables
+ * @returns {string} - The value with every resolvable reference substituted
+ */
+export function resolveCssVariables(value, cssVariables, depth = 0) {
+  if (depth > 10 || !value.includes('var(')) return value;
+
+  let resolved = '';
+  let index = 0;
+  while (index < value.length) {
+    const start = value.indexOf('var(', index);
+    if (start === -1) break;
+
+    const end = findClosingParen(value, start + 3);
+    if (end === -1) break;
+
+    const inner = value.slice(start + 4, end);
+    const commaIndex = inner.indexOf(',');
+    const variable = (commaIndex === -1 ? inner : inner.slice(0, commaIndex)).trim();
+    const fallback = commaIndex === -1 ? undefined : inner.slice(commaIndex + 1).trim();
+    const replacement = cssVariables.get(variable) ?? fallback;
+
+    resolved += value.slice(index, start);
+    resolved += replacement === undefined
+      ? value.slice(start, end + 1)
+      : resolveCssVariables(replacement, cssVariables, depth + 1);
+    index = end + 1;
+  }
+
+  return resolved + value.slice(index);
+}
+
+/**
+ * Parse an @import rule: `@import url("x.css") layer(base) supports(display: grid) screen;`
+ * @param {import('postcss').AtRule} atRule
+ * @returns {Object} - `{ url, layer, supports, media, line, context }`
+ */
+function parseImportRule(atRule) {
+  const tokens = tokenizeValue(atRule.params);
+  const first = tokens[0]?.text || '';
+  const url = /^url\(/i.test(first)
+    ? unquote(first.slice(4, -1).trim())
+    : unquote(first);
+
+  let index = 1;
+  let layer = null;
+  let supports = null;
+  if (tokens[index] && /^layer($|\()/i.test(tokens[index].text)) {
+    layer = tokens[index].text.match(/^layer\((.*)\)$/i)?.[1].trim() ?? '';
+    index++;
+  }
+  if (tokens[index] && /^supports\(/i.test(tokens[index].text)) {
+    supports = tokens[index].text.slice('supports('.length, -1).trim();
+    index++;
+  }
+
+  return {
+    url,
+    layer,
+    supports,
+    media: tokens[index] ? atRule.params.slice(tokens[index].start).trim() : null,
+    line: atRule.source?.start?.line ?? null,
+    context: getAtRuleContext(atRule)
+  };
+}
+
+/**
+ * Collect the descriptors of an @font-face rule
+ * @param {import('postcss').AtRule} atRule
+ * @returns {Object|null} - The font face, or null when it has no font-family
+ */
+function parseFontFaceRule(atRule) {
+  const descriptors = {};
+  const sources = [];
+  atRule.each(node => {
+    if (node.type !== 'decl') return;
+    const prop = node.prop.toLowerCase();
+    descriptors[prop] = node.value.trim();
+    // Older "bulletproof" syntax repeats src; every one of them points at a font file
+    if (prop === 'src') sources.push(...parseFontFaceSrc(node.value));
+  });
+
+  if (!descriptors['font-family']) return null;
+
+  return {
+    fontFamily: unquote(descriptors['font-family']),
+    src: descriptors.src || '',
+    sources,
+    style: descriptors['font-style'] || 'normal',
+    weight: descriptors['font-weight'] || 'normal',
+    stretch: descriptors['font-stretch'] || 'normal',
+    display: descriptors['font-display'] || '',
+    unicodeRange: descriptors['unicode-range'] || null,
+    line: atRule.source?.start?.line ?? null,
+    context: getAtRuleContext(atRule)
+  };
+}
+
+/**
+ * Describe where a declaration applies: the (nesting resolved) selector of its rule,
+ * or the at-rule it sits in directly (e.g. @font-face)
+ * @param {import('postcss').Node} node
+ * @returns {string|null}
+ */
+function getSelector(node) {
+  const parent = node.parent;
+  if (!parent || parent.type === 'root') return null;
+  if (parent.type === 'atrule') {
+    return `@${parent.name}${parent.params ? ` ${parent.params}` : ''}`;
+  }
+  return resolveSelector(parent);
+}
+
+/**
+ * @param {import('postcss').Declaration} decl
+ * @returns {string|null} - The font-family set by the declaration's rule, from font-family or
+ *   a font shorthand (the last one wins), or null when the rule sets none
+ */
+function getRuleFamily(decl) {
+  let family = null;
+  decl.parent?.each((sibling) => {
+    if (sibling.type !== 'decl') return;
+    const prop = sibling.prop.toLowerCase();
+    if (prop === 'font-family') {
+      family = normalizeFamilyValue(sibling.value);
+    } else if (prop === 'font') {
+      const shorthand = parseFontShorthand(sibling.value);
+      if (shorthand?.family) family = normalizeFamilyValue(shorthand.family);
+    }
+  });
+  return family;
+}
+
+/**
+ * Resolve a (possibly nested) rule's selector against its ancestors
+ * @param {import('postcss').Rule} rule
+ * @returns {string}
+ */
+function resolveSelector(rule) {
+  const selector = rule.selector.replace(/\s+/g, ' ').trim();
+
+  let parent = rule.parent;
+  while (parent && parent.type !== 'rule' && parent.type !== 'root') {
+    parent = parent.parent;
+  }
+  if (!parent || parent.type === 'root') return selector;
+
+  const parentSelector = resolveSelector(parent);
+  return selector.includes('&')
+    ? selector.replace(/&/g, parentSelector)
+    : `${parentSelector} ${selector}`;
+}
+
+/**
+ * Collect the conditions of the @media, @supports, @layer and @container
+ * blocks a node is nested in
+ * @param {import('postcss').Node} node
+ * @returns {Object} - `{ media, supports, layer, container }`, null where not nested
+ */
+function getAtRuleContext(node) {
+  const conditions = { media: [], supports: [], layer: [], container: [] };
+  for (let parent = node.parent; parent && parent.type !== 'root'; parent = parent.parent) {
+    const name = parent.type === 'atrule' ? parent.name.toLowerCase() : null;
+    if (CONTEXT_AT_RULES.includes(name)) {
+      conditions[name].unshift(parent.params.replace(/\s+/g, ' ').trim());
+    }
+  }
+
+  return {
+    media: conditions.media.join(' and ') || null,
+    supports: conditions.supports.join(' and ') || null,
+    // Nested layers form a dotted path; anonymous layers have no name
+    layer: conditions.layer.length
+      ? conditions.layer.map(layer => layer || '(anonymous)').join('.')
+      : null,
+    container: conditions.container.join(' and ') || null
+  };
+}
+
+/**
+ * Normalise a font-family list for display: drop the quotes and collapse whitespace
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeFamilyValue(value) {
+  return value.replace(/["']/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Split a CSS value into whitespace separated tokens, keeping quoted strings
+ * and function calls whole. Commas and slashes become tokens of their own.
+ * @param {string} value
+ * @returns {Array<{text: string, start: number, end: number}>}
+ */
+function tokenizeValue(value) {
+  const tokens = [];
+  let start = -1;
+  let depth = 0;
+  let quote = null;
+
+  const flush = (end) => {
+    if (start !== -1) {
+      tokens.push({ text: value.slice(start, end), start, end });
+      start = -1;
+    }
+  };
+
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '"' || char === "'") {
+      if (start === -1) start = i;
+      quote = char;
+    } else if (char === '(') {
+      if (start === -1) start = i;
+      depth++;
+    } else if (char === ')') {
+      depth = Math.max(0, depth - 1);
+    } else if (depth > 0) {
+      continue;
+    } else if (/\s/.test(char)) {
+      flush(i);
+    } else if (char === ',' || char === '/') {
+      flush(i);
+      tokens.push({ text: char, start: i, end: i + 1 });
+    } else if (start === -1) {
+      start = i;
+    }
+  }
+  flush(value.length);
+
+  return tokens;
+}
+
+/**
+ * Split a value on a separator that is outside quotes and parentheses
+ * @param {string} value
+ * @param {string} separator - A single character
+ * @returns {Array<string>}
+ */
+function splitTopLevel(value, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    if (quote) {
+      if (char === '\\') {
+        current += char + (value[i + 1] ?? '');
+        i++;
+        continue;
+      }
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth = Math.max(0, depth - 1);
+    } else if (char === separator && depth === 0) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts;
+}
+
+/**
+ * Find the parenthesis closing the one at `openIndex`
+ * @param {string} value
+ * @param {number} openIndex
+ * @returns {number} - Its index, or -1 when unbalanced
+ */
+function findClosingParen(value, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < value.length; i++) {
+    if (value[i] === '(') depth++;
+    else if (value[i] === ')' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Remove the quotes around a CSS string
+ * @param {string} value
+ * @returns {string}
+ */
+function unquote(value) {
+  const match = value.trim().match(/^(['"])([\s\S]*)\1$/);
+  return match ? match[2].replace(/\\(.)/g, '$1') : value.trim();
+}
+
+/**
+ * @param {string} token
+ * @returns {boolean} - Whether the token is a numeric font-weight (1 to 1000)
+ */
+function isFontWeightNumber(token) {
+  if (!/^\d+(\.\d+)?$/.test(token)) return false;
+  const weight = Number(token);
+  return weight >= 1 && weight <= 1000;
+}
+
+/**
+ * @param {string} token
+ * @returns {boolean} - Whether the token can be a font-size
+ */
+function isFontSize(token) {
+  const lower = token.toLowerCase();
+  return FONT_SIZE_KEYWORDS.includes(lower) ||
+    lower === '0' ||
+    /^[+]?(\d+\.?\d*|\.\d+)([a-z]+|%)$/.test(lower) ||
+    /^(calc|clamp|min|max|var|env)\(/.test(lower);
+}
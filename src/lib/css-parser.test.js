@@ -0,0 +1,118 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { analyzeStylesheet, parseFontFaceSrc, parseFontShorthand, resolveCssVariables, splitFontFamilyList } from './css-parser.js';
+
+const NO_CONTEXT = { media: null, supports: null, layer: null, container: null };
+
+describe('splitFontFamilyList', () => {
+  test('splits on commas outside quotes and unquotes each family', () => {
+    assert.deepEqual(
+      splitFontFamilyList('"Font, With Comma", \'Open  Sans\', Helvetica   Neue, sans-serif'),
+      ['Font, With Comma', 'Open Sans', 'Helvetica Neue', 'sans-serif']
+    );
+  });
+
+  test('keeps escaped quotes and ignores empty entries', () => {
+    assert.deepEqual(splitFontFamilyList('"a\\"b", , c'), ['a"b', 'c']);
+    assert.deepEqual(splitFontFamilyList(''), []);
+  });
+});
+
+describe('parseFontShorthand', () => {
+  test('reads every longhand in any order before the size', () => {
+    assert.deepEqual(parseFontShorthand('italic small-caps bold condensed 16px/1.5 "Helvetica Neue", Arial, sans-serif'), {
+      style: 'italic',
+      variant: 'small-caps',
+      weight: 'bold',
+      stretch: 'condensed',
+      size: '16px',
+      lineHeight: '1.5',
+      family: '"Helvetica Neue", Arial, sans-serif',
+      families: ['Helvetica Neue', 'Arial', 'sans-serif']
+    });
+  });
+
+  test('takes a line-height with or without spaces around the slash', () => {
+    assert.equal(parseFontShorthand('bold 1.2em / 1.4 Inter').lineHeight, '1.4');
+    assert.equal(parseFontShorthand('12px/normal Inter').lineHeight, 'normal');
+    assert.equal(parseFontShorthand('12px Inter').lineHeight, 'normal');
+  });
+
+  test('reads an oblique angle, repeated normals and numeric weights', () => {
+    const oblique = parseFontShorthand('oblique 10deg 700 2rem Lora');
+    assert.equal(oblique.style, 'oblique 10deg');
+    assert.equal(oblique.weight, '700');
+    assert.equal(parseFontShorthand('normal normal 400 16px Inter').weight, '400');
+  });
+
+  test('keeps functions and quoted commas whole', () => {
+    const shorthand = parseFontShorthand('calc(1rem + 2px)/1.2 "A, B", serif');
+    assert.equal(shorthand.size, 'calc(1rem + 2px)');
+    assert.deepEqual(shorthand.families, ['A, B', 'serif']);
+    assert.equal(parseFontShorthand('var(--size) Inter').size, 'var(--size)');
+  });
+
+  test('returns system fonts and CSS-wide keywords as keywords', () => {
+    assert.deepEqual(parseFontShorthand('caption'), { keyword: 'caption', family: null, families: [] });
+    assert.deepEqual(parseFontShorthand(' INHERIT '), { keyword: 'inherit', family: null, families: [] });
+  });
+
+  test('refuses values without a size or a family', () => {
+    assert.equal(parseFontShorthand('bold Inter'), null);
+    assert.equal(parseFontShorthand('16px'), null);
+    assert.equal(parseFontShorthand('16px/'), null);
+  });
+});
+
+describe('parseFontFaceSrc', () => {
+  test('reads local(), url(), format() and tech() of each source', () => {
+    assert.deepEqual(parseFontFaceSrc('local("Inter Regular"), url("inter.woff2") format("woff2") tech(variations), url(inter.woff) format(\'woff\')'), [
+      { url: null, local: 'Inter Regular', format: null, tech: null },
+      { url: 'inter.woff2', local: null, format: 'woff2', tech: 'variations' },
+      { url: 'inter.woff', local: null, format: 'woff', tech: null }
+    ]);
+  });
+});
+
+describe('resolveCssVariables', () => {
+  test('substitutes defined properties and fallbacks, and leaves unknown ones', () => {
+    const variables = new Map([['--sans', 'Inter'], ['--loop', 'var(--loop)']]);
+    assert.equal(resolveCssVariables('var(--serif, var(--sans, serif))', variables), 'Inter');
+    assert.equal(resolveCssVariables('var(--unknown), serif', variables), 'var(--unknown), serif');
+    // A cycle stops at the depth guard instead of recursing forever
+    assert.equal(resolveCssVariables('var(--loop)', variables), 'var(--loop)');
+  });
+});
+
+describe('analyzeStylesheet', () => {
+  test('collects families, weights, faces, custom properties and imports with their line and context', () => {
+    const analysis = analyzeStylesheet([
+      '@import url("base.css") layer(base) screen;',
+      ':root { --sans: "Inter", sans-serif; }',
+      '@media (min-width: 600px) { h1 { font: 700 2rem/1.1 Lora, serif; } }',
+      'p { font-family: var(--sans); font-weight: 300 }',
+      '@font-face { font-family: "My Font"; src: url(my.woff2) format("woff2"); font-weight: 100 900; font-display: swap }'
+    ].join('\n'));
+    const media = { ...NO_CONTEXT, media: '(min-width: 600px)' };
+
+    assert.deepEqual(analysis.fontFamilies, [
+      { selector: 'h1', line: 3, context: media, value: 'Lora, serif', shorthand: true, shorthandValue: '700 2rem/1.1 Lora, serif' },
+      { selector: 'p', line: 4, context: NO_CONTEXT, value: 'var(--sans)' },
+      { selector: '@font-face', line: 5, context: NO_CONTEXT, value: 'My Font' }
+    ]);
+    assert.deepEqual(analysis.fontWeights, [
+      { selector: 'h1', line: 3, context: media, value: '700', family: 'Lora, serif' },
+      { selector: 'p', line: 4, context: NO_CONTEXT, value: '300', family: 'var(--sans)' }
+    ]);
+    assert.deepEqual(analysis.fontFaces.map(({ fontFamily, weight, display, sources, line }) => ({ fontFamily, weight, display, sources, line })), [
+      { fontFamily: 'My Font', weight: '100 900', display: 'swap', sources: [{ url: 'my.woff2', local: null, format: 'woff2', tech: null }], line: 5 }
+    ]);
+    assert.deepEqual(analysis.customProperties, [{ selector: ':root', line: 2, context: NO_CONTEXT, variable: '--sans', value: '"Inter", sans-serif' }]);
+    assert.deepEqual(analysis.imports, [{ url: 'base.css', layer: 'base', supports: null, media: 'screen', line: 1, context: NO_CONTEXT }]);
+  });
+
+  test('reads what it can of broken CSS', () => {
+    const analysis = analyzeStylesheet('a { color: red; } } }\nh1 { font-family: Lora; font-weight: 700\n@media {{{');
+    assert.deepEqual(analysis.fontFamilies, [{ selector: 'h1', line: 2, context: NO_CONTEXT, value: 'Lora' }]);
+  });
+});
@@ -0,0 +1,923 @@
+import { load } from 'cheerio';
+import { loadRenderedPage } from './rendered-page.js';
+import { analyzeFontFiles } from './font-binary.js';
+import { isGoogleFontsUrl, parseGoogleFontsUrl } from './google-fonts.js';
+import { detectFontProviders } from './providers/index.js';
+import { buildAdobeKits, findInlineKitIds, getKitStylesheetUrl, parseTypekitUrl } from './adobe-fonts.js';
+import { auditFontPerformance } from './performance-audit.js';
+import { buildFontLicenses } from './font-catalog.js';
+import { suggestFontAlternatives } from './font-alternatives.js';
+import { summarizeFonts } from './font-summary.js';
+import { createResourceFetcher, getCachedScan, normalizeCacheUrl, setCachedScan } from './cache.js';
+import { BlockedRequestError, checkUrl, safeFetch } from './safe-fetch.js';
+import {
+  analyzeStylesheet,
+  parseFontShorthand,
+  resolveCssVariables,
+  splitFontFamilyList,
+  GENERIC_FONT_FAMILIES
+} from './css-parser.js';
+
+export const DETECTION_MODES = ['static', 'rendered'];
+
+// How many levels of nested @import rules are followed
+const MAX_IMPORT_DEPTH = 5;
+
+/**
+ * Detect the fonts used by a page
+ * @param {string} url - The page URL
+ * @param {Object} [options]
+ * @param {string} [options.mode='static'] - 'static' analyses the raw HTML response,
+ *   'rendered' loads the page in headless Chromium first so JavaScript-built sites are covered
+ * @param {boolean} [options.analyzeFontFiles=true] - Download the font files and read their metadata
+ * @param {boolean} [options.auditPerformance=true] - Measure the font files and score how they are loaded
+ * @param {string} [options.html] - The page's HTML when the caller already fetched it (static mode)
+ * @param {Object} [options.fetcher] - From createResourceFetcher; loads stylesheets and font files through the resource cache
+ * @param {Function} [options.onProgress] - Called with `{ type, ... }` events as the scan goes:
+ *   `progress` (a step, with a message), `family` (a family seen for the first time),
+ *   `warning` (something that failed without failing the scan) and `section` (a finished part of the result)
+ * @param {AbortSignal} [options.signal] - Stops the scan at its next step and cancels its downloads
+ * @param {Object|null} [options.logger=console] - Where the scan logs what failed, with its `error`
+ *   method; null logs nothing (the warnings still reach onProgress)
+ * @returns {Promise<Object>} - The detected font data
+ * @throws {BlockedRequestError} - When the page itself may not be fetched; blocked stylesheets,
+ *   font files and browser requests are listed in `blockedRequests` instead
+ */
+export async function detectFonts(url, {
+  mode = 'static',
+  analyzeFontFiles: shouldAnalyzeFontFiles = true,
+  auditPerformance: shouldAuditPerformance = true,
+  html: prefetchedHtml = null,
+  fetcher = createResourceFetcher(),
+  onProgress = null,
+  signal = null,
+  logger = console
+} = {}) {
+  // Every step reports its progress, so that is where an aborted scan stops
+  const report = (event) => {
+    signal?.throwIfAborted();
+    onProgress?.(event);
+  };
+  const warn = (message) => {
+    // The downloads an abort cancels aren't worth a warning
+    signal?.throwIfAborted();
+    logger?.error(message);
+    report({ type: 'warning', message });
+  };
+  const reportedFamilies = new Set();
+  const reportFamily = (name, via) => {
+    const key = name ? name.toLowerCase() : '';
+    if (!key || reportedFamilies.has(key) || GENERIC_FONT_FAMILIES.includes(key)) return;
+    reportedFamilies.add(key);
+    report({ type: 'family', name, via });
+  };
+  const reportSection = (section, data) => report({ type: 'section', section, data });
+
+  // Requests the fetch layer refused, from the page's stylesheets, font files and (rendered) scripts
+  const blockedRequests = [];
+  const recordBlocked = ({ url: blockedUrl, reason }) => {
+    if (!blockedRequests.some(request => request.url === blockedUrl)) {
+      blockedRequests.push({ url: blockedUrl, reason });
+    }
+  };
+  const scanFetcher = {
+    ...fetcher,
+    get: (resourceUrl, options) => fetcher.get(resourceUrl, { ...options, signal }).catch((error) => {
+      if (error instanceof BlockedRequestError) recordBlocked(error);
+      throw error;
+    })
+  };
+
+  try {
+    let html;
+    let pageUrl = url;
+    let renderedPage = null;
+
+    report({ type: 'progress', message: mode === 'rendered' ? `Loading ${url} in a headless browser` : `Fetching ${url}` });
+    if (mode === 'rendered') {
+      // Let the browser build the page so CSS-in-JS, constructed and lazily
+      // injected stylesheets are part of the analysis
+      renderedPage = await loadRenderedPage(url, { onBlocked: recordBlocked, signal });
+      html = renderedPage.html;
+      pageUrl = renderedPage.finalUrl;
+    } else if (prefetchedHtml) {
+      html = prefetchedHtml;
+    } else {
+      // Fetch the HTML content of the page
+      const response = await safeFetch(url, { timeout: 15000, expect: 'html', signal });
+      html = response.data;
+      // Relative URLs resolve against where a redirect ended up
+      pageUrl = response.finalUrl;
+    }
+    report({ type: 'progress', message: `Fetched HTML (${Math.round(String(html).length / 1024)} KB)` });
+
+    // Extract data using cheerio
+    const $ = load(html);
+    
+    // Store all font data
+    const googleFonts = [];
+    const cssImportFonts = [];
+    const preloadedFonts = [];
+    
+    // NEW: Keep track of CSS source files and their font-family declarations
+    const cssSourceFiles = [];
+
+    // Extract Google Fonts, with the styles each family requests
+    const googleFontsUrls = new Set();
+    const addGoogleFonts = (href, source) => {
+      const parsed = parseGoogleFontsUrl(href);
+      if (!parsed || googleFontsUrls.has(href)) return;
+      googleFontsUrls.add(href);
+
+      parsed.families.forEach(family => reportFamily(family.name, 'Google Fonts'));
+      googleFonts.push(...parsed.families.map(family => ({
+        name: family.name,
+        url: href,
+        type: 'google-font',
+        api: parsed.api,
+        styles: family.styles,
+        axes: family.axes,
+        display: parsed.display,
+        text: parsed.text,
+        subsets: parsed.subsets,
+        source
+      })));
+    };
+
+    // Stylesheet links, including the preload-then-swap pattern
+    $('link[rel="stylesheet"], link[rel="preload"][as="style"]').each((_, el) => {
+      const href = $(el).attr('href');
+      if (isGoogleFontsUrl(href)) {
+        addGoogleFonts(href, 'link');
+      }
+    });
+
+    // The Web Font Loader: WebFont.load({ google: { families: ['Droid Sans:400,700'] } })
+    $('script:not([src])').each((_, el) => {
+      const script = $(el).html() || '';
+      const webFontMatch = script.match(/google\s*:\s*{\s*families\s*:\s*\[([^\]]*)\]/);
+      if (webFontMatch) {
+        const families = Array.from(webFontMatch[1].matchAll(/(['"])(.+?)\1/g), match => match[2]);
+        if (families.length > 0) {
+          addGoogleFonts(`https://fonts.googleapis.com/css?family=${encodeURIComponent(families.join('|'))}`, 'webfont-loader');
+        }
+      }
+    });
+
+    // Connection hints to Google Fonts hosts; on their own they point at fonts loaded
+    // some other way (often by JavaScript)
+    const googleFontsPreconnects = [];
+    $('link[rel~="preconnect"], link[rel~="dns-prefetch"]').each((_, el) => {
+      const href = $(el).attr('href');
+      if (href && /fonts\.(googleapis|gstatic)\.com/.test(href)) {
+        googleFontsPreconnects.push({
+          url: href,
+          rel: $(el).attr('rel'),
+          crossorigin: $(el).attr('crossorigin') !== undefined
+        });
+      }
+    });
+
+    // Adobe Fonts kits embedded with JavaScript, as a script tag or the async snippet.
+    // The kit's CSS version is loaded along with the other stylesheets below
+    const typekitScriptKits = new Map();
+    $('script[src]').each((_, el) => {
+      const src = $(el).attr('src');
+      const kit = parseTypekitUrl(src);
+      if (kit && kit.kind === 'js' && kit.host === 'use.typekit.net') {
+        typekitScriptKits.set(kit.projectId, resolveUrl(src, pageUrl, logger));
+      }
+    });
+    $('script:not([src])').each((_, el) => {
+      for (const projectId of findInlineKitIds($(el).html() || '')) {
+        if (!typekitScriptKits.has(projectId)) {
+          typekitScriptKits.set(projectId, `https://use.typekit.net/${projectId}.js`);
+        }
+      }
+    });
+
+    // Relative URLs in the document resolve against <base href> when there is one
+    const documentBaseUrl = resolveUrl($('base[href]').attr('href') || pageUrl, pageUrl, logger);
+
+    // Extract preloaded fonts
+    $('link[rel="preload"][as="font"]').each((_, el) => {
+      const href = $(el).attr('href');
+      if (href) {
+        preloadedFonts.push({
+          url: resolveUrl(href, documentBaseUrl, logger),
+          type: 'preloaded-font',
+          // Font requests are always CORS, so a preload without crossorigin goes unused
+          crossorigin: $(el).attr('crossorigin') ?? null,
+          format: $(el).attr('type')?.replace('font/', '') || 
+                 href.match(/\.([^.?]+)($|\?)/i)?.[1] || 'unknown'
+        });
+      }
+    });
+
+    // Extract fonts loaded through the CSS Font Loading API (new FontFace / document.fonts.add)
+    let fontApiLoaded;
+    if (renderedPage) {
+      fontApiLoaded = renderedPage.fontApiLoaded;
+    } else {
+      // Without running scripts the best we can do is spot FontFace constructors in inline scripts
+      fontApiLoaded = [];
+      $('script:not([src])').each((_, el) => {
+        const script = $(el).html() || '';
+        const fontFaceRegex = /new\s+FontFace\(\s*(['"`])(.+?)\1\s*,\s*(['"`])(.+?)\3/g;
+        let match;
+        while ((match = fontFaceRegex.exec(script)) !== null) {
+          const fontUrl = match[4].match(/url\(\s*['"]?([^'")]+)['"]?\s*\)/)?.[1];
+          let absoluteUrl = null;
+          try {
+            absoluteUrl = fontUrl ? new URL(fontUrl, pageUrl).href : null;
+          } catch (e) {
+            warn(`Error creating absolute URL from ${fontUrl}: ${e.message}`);
+          }
+          fontApiLoaded.push({
+            family: match[2],
+            url: absoluteUrl,
+            loadTime: null,
+            status: 'unknown',
+            type: 'font-api-font'
+          });
+        }
+      });
+    }
+    fontApiLoaded.forEach(font => reportFamily(font.family, 'Font Loading API'));
+    reportSection('googleFontsPreconnects', googleFontsPreconnects);
+    reportSection('preloadedFonts', preloadedFonts);
+    reportSection('fontApiLoaded', fontApiLoaded);
+
+    // Linked stylesheets hold up the first render unless their media can't match
+    const renderBlockingUrls = new Set();
+    $('link[rel="stylesheet"]').each((_, el) => {
+      const media = ($(el).attr('media') || 'all').trim().toLowerCase();
+      if (!['print', 'none', 'not all'].includes(media) && $(el).attr('disabled') === undefined) {
+        renderBlockingUrls.add(resolveUrl($(el).attr('href') || '', documentBaseUrl, logger));
+      }
+    });
+
+    // Collect all stylesheets
+    const externalStylesheets = [];
+    if (renderedPage) {
+      // The browser already loaded (and usually read) every linked or injected stylesheet
+      for (const sheet of renderedPage.stylesheets) {
+        if (sheet.url) {
+          externalStylesheets.push({ url: sheet.url, content: sheet.content });
+        }
+      }
+    } else {
+      $('link[rel="stylesheet"]').each((_, el) => {
+        const href = $(el).attr('href');
+        if (href && href !== '') {
+          // Convert to absolute URL if needed
+          try {
+            const absoluteUrl = new URL(href, documentBaseUrl).href;
+            externalStylesheets.push({ url: absoluteUrl, content: null });
+          } catch (e) {
+            warn(`Error creating absolute URL from ${href}: ${e.message}`);
+          }
+        }
+      });
+    }
+
+    // Parse every stylesheet once; the results feed all the sections below
+    const parsedStylesheets = [];
+    const loadedStylesheetUrls = new Set();
+    const addStylesheet = async (cssFile, baseUrl, importChain = []) => {
+      const analysis = analyzeStylesheet(cssFile.content, { logger });
+      const entry = {
+        id: cssSourceFiles.length,
+        parentId: null,
+        depth: 0,
+        ...cssFile,
+        fontFamilies: analysis.fontFamilies,
+        fontWeights: analysis.fontWeights,
+        imports: []
+      };
+      cssSourceFiles.push(entry);
+      parsedStylesheets.push({ cssFile: entry, baseUrl, analysis });
+      if (entry.url) loadedStylesheetUrls.add(entry.url);
+
+      await followImports(entry, baseUrl, analysis.imports, entry.url ? [...importChain, entry.url] : importChain);
+    };
+
+    // Recursively load @import-ed stylesheets, linking each to the file importing it
+    const followImports = async (parent, baseUrl, imports, importChain) => {
+      for (const cssImport of imports) {
+        const importUrl = resolveUrl(cssImport.url, baseUrl, logger);
+        const link = {
+          url: importUrl,
+          id: null,
+          media: cssImport.media,
+          layer: cssImport.layer,
+          supports: cssImport.supports,
+          line: cssImport.line,
+          status: 'loaded'
+        };
+        parent.imports.push(link);
+
+        if (importChain.includes(importUrl)) {
+          link.status = 'cycle';
+          link.id = cssSourceFiles.find(cssFile => cssFile.url === importUrl)?.id ?? null;
+          continue;
+        }
+        if (parent.depth >= MAX_IMPORT_DEPTH) {
+          link.status = 'depth-limit';
+          continue;
+        }
+        if (loadedStylesheetUrls.has(importUrl)) {
+          link.status = 'duplicate';
+          link.id = cssSourceFiles.find(cssFile => cssFile.url === importUrl)?.id ?? null;
+          continue;
+        }
+
+        try {
+          report({ type: 'progress', message: `Fetching imported stylesheet ${importUrl}` });
+          const content = await fetchStylesheet(importUrl, scanFetcher);
+          if (!content) {
+            link.status = 'empty';
+            continue;
+          }
+          link.id = cssSourceFiles.length;
+          await addStylesheet(
+            {
+              source: 'imported CSS file',
+              url: importUrl,
+              content,
+              parentId: parent.id,
+              depth: parent.depth + 1,
+              renderBlocking: Boolean(parent.renderBlocking)
+            },
+            importUrl,
+            importChain
+          );
+        } catch (error) {
+          link.status = 'error';
+          warn(`Error fetching imported CSS: ${importUrl}: ${error.message}`);
+        }
+      }
+    };
+
+    // Extract style tags
+    if (renderedPage) {
+      // Inline, shadow root and constructed stylesheets as serialised by the browser,
+      // which includes rules inserted through the CSSOM by CSS-in-JS libraries
+      for (const sheet of renderedPage.stylesheets) {
+        if (!sheet.url && sheet.content) {
+          await addStylesheet({ source: sheet.source, url: null, content: sheet.content }, documentBaseUrl);
+        }
+      }
+    } else {
+      for (const el of $('style').toArray()) {
+        const content = $(el).html();
+        if (content) {
+          // Add inline style tags to CSS source files
+          await addStylesheet({ source: 'inline <style> tag', url: null, content }, documentBaseUrl);
+        }
+      }
+    }
+
+    // Style attributes, as one synthetic stylesheet with a rule per element
+    const styleAttributeRules = [];
+    $('[style]').each((_, el) => {
+      const style = $(el).attr('style');
+      if (style && /font/i.test(style)) {
+        styleAttributeRules.push(`${describeElement($, el)} { ${style} }`);
+      }
+    });
+    if (styleAttributeRules.length > 0) {
+      await addStylesheet({ source: 'inline style attributes', url: null, content: styleAttributeRules.join('\n') }, documentBaseUrl);
+    }
+
+    // Try to fetch external CSS files to find more fonts
+    for (const [index, { url: cssUrl, content }] of externalStylesheets.entries()) {
+      // Already loaded through an @import
+      if (loadedStylesheetUrls.has(cssUrl)) continue;
+
+      try {
+        report({
+          type: 'progress',
+          message: `${content ? 'Reading' : 'Fetching'} stylesheet ${index + 1} of ${externalStylesheets.length}: ${cssUrl}`
+        });
+        const cssContent = content ?? await fetchStylesheet(cssUrl, scanFetcher);
+        
+        if (cssContent) {
+          // Add to CSS source files
+          await addStylesheet({
+            source: 'external CSS file',
+            url: cssUrl,
+            content: cssContent,
+            renderBlocking: renderBlockingUrls.has(cssUrl)
+          }, cssUrl);
+        }
+      } catch (error) {
+        warn(`Error fetching CSS: ${cssUrl}: ${error.message}`);
+      }
+    }
+
+    // The CSS version of JS-embedded Adobe Fonts kits
+    for (const [projectId] of typekitScriptKits) {
+      const kitUrl = getKitStylesheetUrl(projectId);
+      if (loadedStylesheetUrls.has(kitUrl)) continue;
+
+      try {
+        report({ type: 'progress', message: `Fetching Adobe Fonts kit ${projectId}` });
+        const cssContent = await fetchStylesheet(kitUrl, scanFetcher);
+        if (cssContent) {
+          await addStylesheet({ source: 'Adobe Fonts JS kit', url: kitUrl, content: cssContent }, kitUrl);
+        }
+      } catch (error) {
+        warn(`Error fetching Adobe Fonts CSS: ${kitUrl}: ${error.message}`);
+      }
+    }
+
+    // Extract CSS @import fonts from every stylesheet in the import tree
+    for (const { cssFile } of parsedStylesheets) {
+      for (const cssImport of cssFile.imports) {
+        const importUrl = cssImport.url;
+        if (isGoogleFontsUrl(importUrl)) {
+          addGoogleFonts(importUrl, '@import');
+        }
+        if (
+          (
+            importUrl.includes('fonts.googleapis.com') || 
+            importUrl.includes('fonts.') ||
+            importUrl.includes('/fonts/') ||
+            importUrl.match(/\.(woff2?|ttf|otf|eot)($|\?)/i)
+          ) &&
+          !cssImportFonts.some(font => font.url === importUrl)
+        ) {
+          cssImportFonts.push({
+            url: importUrl,
+            type: 'css-import-font',
+            importedBy: cssFile.url || cssFile.source,
+            line: cssImport.line
+          });
+        }
+      }
+    }
+    reportSection('googleFonts', googleFonts);
+    reportSection('cssImportFonts', cssImportFonts);
+
+    // Extract font-face declarations and the font files they reference
+    const fontFaceDeclarations = [];
+    const fontFiles = new Map();
+    for (const { cssFile, baseUrl, analysis } of parsedStylesheets) {
+      for (const fontFace of analysis.fontFaces) {
+        const sources = fontFace.sources.map(source => ({
+          ...source,
+          url: source.url ? resolveUrl(source.url, baseUrl, logger) : null
+        }));
+
+        reportFamily(fontFace.fontFamily, '@font-face');
+        fontFaceDeclarations.push({
+          fontFamily: fontFace.fontFamily,
+          src: fontFace.src,
+          sources,
+          style: fontFace.style,
+          weight: fontFace.weight,
+          stretch: fontFace.stretch,
+          display: fontFace.display,
+          unicodeRange: fontFace.unicodeRange,
+          source: cssFile.url || cssFile.source,
+          stylesheetId: cssFile.id,
+          line: fontFace.line,
+          context: fontFace.context
+        });
+
+        for (const source of sources) {
+          // Embedded data: URIs are not separate files
+          if (!source.url || source.url.startsWith('data:')) continue;
+          if (!fontFiles.has(source.url)) {
+            fontFiles.set(source.url, {
+              url: source.url,
+              type: 'font-file',
+              format: source.url.match(/\.(woff2?|ttf|otf|eot|svg)($|[?#])/i)?.[1] || source.format,
+              declaredFamilies: []
+            });
+          }
+          const declaredFamilies = fontFiles.get(source.url).declaredFamilies;
+          if (!declaredFamilies.includes(fontFace.fontFamily)) {
+            declaredFamilies.push(fontFace.fontFamily);
+          }
+        }
+      }
+    }
+
+    // Look inside the font files: the name table says what a file really is,
+    // whatever family name the @font-face rule gives it
+    reportSection('fontFaceDeclarations', fontFaceDeclarations);
+    let analyzedFontFiles = Array.from(fontFiles.values());
+    if (shouldAnalyzeFontFiles && fontFiles.size > 0) {
+      report({ type: 'progress', message: `Analysing ${fontFiles.size} font ${fontFiles.size === 1 ? 'file' : 'files'}` });
+      analyzedFontFiles = (await analyzeFontFiles(analyzedFontFiles, { fetcher: scanFetcher, logger })).map(fontFile => ({
+        ...fontFile,
+        renamed: Boolean(fontFile.metadata?.familyName) && fontFile.declaredFamilies.length > 0 &&
+          !fontFile.declaredFamilies.some(family => isSameFamily(family, fontFile.metadata))
+      }));
+      analyzedFontFiles
+        .filter(fontFile => fontFile.error)
+        .forEach(fontFile => report({ type: 'warning', message: `Could not analyse ${fontFile.url}: ${fontFile.error}` }));
+    }
+    reportSection('fontFiles', analyzedFontFiles);
+
+    // Extract custom properties holding font stacks (e.g. --font-sans) and
+    // resolve var() references in font-family declarations back to real families
+    const customProperties = parsedStylesheets.flatMap(({ cssFile, analysis }) =>
+      analysis.customProperties.map(property => ({
+        ...property,
+        source: cssFile.url || cssFile.source
+      }))
+    );
+
+    const cssVariables = new Map();
+    for (const property of customProperties) {
+      if (!cssVariables.has(property.variable)) {
+        cssVariables.set(property.variable, property.value);
+      }
+    }
+
+    // Variables referenced from font-family, directly or through other variables
+    const fontVariables = new Set();
+    const addReferencedVariables = (value) => {
+      for (const [, variable] of value.matchAll(/var\(\s*(--[\w-]+)/g)) {
+        if (!fontVariables.has(variable)) {
+          fontVariables.add(variable);
+          if (cssVariables.has(variable)) addReferencedVariables(cssVariables.get(variable));
+        }
+      }
+    };
+    for (const cssFile of cssSourceFiles) {
+      for (const fontFamily of cssFile.fontFamilies) {
+        if (fontFamily.unresolvedShorthand) {
+          // Only with the variables substituted can the shorthand be split into its parts
+          const shorthand = parseFontShorthand(resolveCssVariables(fontFamily.shorthandValue, cssVariables));
+          if (shorthand?.family) {
+            fontFamily.resolvedValue = splitFontFamilyList(shorthand.family).join(', ');
+          }
+        } else if (fontFamily.value.includes('var(')) {
+          addReferencedVariables(fontFamily.value);
+          fontFamily.resolvedValue = splitFontFamilyList(resolveCssVariables(fontFamily.value, cssVariables)).join(', ');
+        }
+      }
+      for (const fontWeight of cssFile.fontWeights) {
+        if (fontWeight.value.includes('var(')) {
+          fontWeight.resolvedValue = resolveCssVariables(fontWeight.value, cssVariables).trim();
+        }
+        if (fontWeight.family?.includes('var(')) {
+          fontWeight.resolvedFamily = splitFontFamilyList(resolveCssVariables(fontWeight.family, cssVariables)).join(', ');
+        }
+      }
+    }
+
+    const cssVarFonts = customProperties
+      .filter(property => fontVariables.has(property.variable) || isFontVariableName(property.variable, property.value))
+      .map(property => {
+        const resolvedValue = resolveCssVariables(property.value, cssVariables);
+        return {
+          variable: property.variable,
+          value: property.value,
+          resolvedValue,
+          families: splitFontFamilyList(resolvedValue),
+          selector: property.selector,
+          source: property.source,
+          line: property.line,
+          context: property.context,
+          type: 'css-var-font'
+        };
+      });
+
+    // Every font stack in use, with var() references resolved
+    const fontStacks = [];
+    for (const cssFile of cssSourceFiles) {
+      for (const fontFamily of cssFile.fontFamilies) {
+        if (fontFamily.selector === '@font-face') continue;
+        const stack = fontFamily.resolvedValue || fontFamily.value;
+        if (!stack.includes('var(') && !fontStacks.includes(stack)) {
+          fontStacks.push(stack);
+        }
+      }
+    }
+
+    // Estimate system font stacks
+    const systemFontStacks = [];
+    for (const fontFamily of fontStacks) {
+      if (
+        fontFamily.includes('system-ui') || 
+        fontFamily.includes('-apple-system') ||
+        fontFamily.includes('BlinkMacSystemFont') ||
+        fontFamily.includes('Segoe UI') ||
+        fontFamily.includes('Roboto') ||
+        fontFamily.includes('Helvetica Neue') ||
+        fontFamily.includes('Arial')
+      ) {
+        systemFontStacks.push({
+          stack: fontFamily,
+          type: 'system-font-stack'
+        });
+      }
+    }
+
+    let computedFonts;
+    let unusedFonts = [];
+    if (renderedPage) {
+      // The browser reported the faces that actually rendered text, after fallback
+      computedFonts = renderedPage.renderedFonts.map(font => ({
+        ...font,
+        type: 'computed-font'
+      }));
+      unusedFonts = findUnusedFonts(cssSourceFiles, fontFaceDeclarations, renderedPage);
+    } else {
+      // Without a browser, every family named in a font stack is a candidate
+      const computedFontFamilies = new Set();
+      for (const stack of fontStacks) {
+        splitFontFamilyList(stack)
+          .filter(f => !GENERIC_FONT_FAMILIES.includes(f.toLowerCase()))
+          .forEach(f => computedFontFamilies.add(f));
+      }
+      
+      computedFonts = Array.from(computedFontFamilies).map(name => ({
+        name,
+        type: 'computed-font'
+      }));
+    }
+
+    computedFonts.forEach(font => reportFamily(font.name, renderedPage ? 'rendered' : 'font-family'));
+    reportSection('cssSourceFiles', cssSourceFiles);
+    reportSection('cssVarFonts', cssVarFonts);
+    reportSection('systemFontStacks', systemFontStacks);
+    reportSection('computedFonts', computedFonts);
+    reportSection('unusedFonts', unusedFonts);
+
+    // Adobe Fonts kits, whether linked, @import-ed or embedded with JavaScript
+    const adobeKits = new Map();
+    for (const { url: cssUrl } of externalStylesheets) {
+      if (parseTypekitUrl(cssUrl)?.kind === 'css') adobeKits.set(cssUrl, { url: cssUrl, embed: 'link' });
+    }
+    for (const cssFile of cssSourceFiles) {
+      for (const link of cssFile.imports) {
+        if (parseTypekitUrl(link.url)?.kind === 'css' && !adobeKits.has(link.url)) {
+          adobeKits.set(link.url, { url: link.url, embed: '@import' });
+        }
+      }
+    }
+    for (const [projectId, scriptUrl] of typekitScriptKits) {
+      const kitUrl = getKitStylesheetUrl(projectId);
+      if (!adobeKits.has(kitUrl)) adobeKits.set(kitUrl, { url: kitUrl, embed: 'script', scriptUrl });
+    }
+
+    const classNames = new Set();
+    $('[class]').each((_, el) => {
+      ($(el).attr('class') || '').split(/\s+/).filter(Boolean).forEach(className => classNames.add(className.toLowerCase()));
+    });
+
+    const adobeFonts = buildAdobeKits({
+      kits: Array.from(adobeKits.values()),
+      cssSourceFiles,
+      fontFaceDeclarations,
+      classNames,
+      renderedFontFaces: renderedPage ? renderedPage.fontFaces : null
+    });
+    reportSection('adobeFonts', adobeFonts);
+
+    // Every URL the page references, for recognising font services
+    const providerResources = [];
+    const addProviderResource = (href, kind, baseUrl = documentBaseUrl) => {
+      const resolved = href ? resolveUrl(href, baseUrl, logger) : null;
+      if (resolved && !providerResources.some(resource => resource.url === resolved && resource.kind === kind)) {
+        providerResources.push({ url: resolved, kind });
+      }
+    };
+    $('link[href]').each((_, el) => {
+      const rel = ($(el).attr('rel') || '').toLowerCase().split(/\s+/);
+      const kind = rel.includes('stylesheet') ? 'stylesheet'
+        : rel.includes('preload') ? 'preload'
+        : rel.includes('preconnect') || rel.includes('dns-prefetch') ? 'preconnect'
+        : null;
+      if (kind) addProviderResource($(el).attr('href'), kind);
+    });
+    $('script[src]').each((_, el) => addProviderResource($(el).attr('src'), 'script'));
+    externalStylesheets.forEach(sheet => addProviderResource(sheet.url, 'stylesheet'));
+    cssSourceFiles.forEach(cssFile => cssFile.imports.forEach(link => addProviderResource(link.url, 'import')));
+    fontFiles.forEach(fontFile => addProviderResource(fontFile.url, 'font-file'));
+    fontApiLoaded.forEach(font => addProviderResource(font.url, 'font-file'));
+
+    const fontProviders = detectFontProviders({
+      resources: providerResources,
+      stylesheets: cssSourceFiles,
+      fontFaces: fontFaceDeclarations,
+      inlineScripts: $('script:not([src])').toArray().map(el => $(el).html() || '')
+    });
+    reportSection('fontProviders', fontProviders);
+
+    // Who makes each family and whether the site may serve it itself
+    const fontLicenses = buildFontLicenses([
+      ...summarizeFonts({ fontProviders, fontFaceDeclarations, computedFonts }).families.map(family => family.name),
+      ...googleFonts.map(font => font.name),
+      ...fontStacks.flatMap(stack => splitFontFamilyList(stack)).filter(family => !GENERIC_FONT_FAMILIES.includes(family.toLowerCase()))
+    ], fontFaceDeclarations);
+    reportSection('fontLicenses', fontLicenses);
+
+    // Open-licence stand-ins for the paid typefaces, for prototypes
+    const fontAlternatives = suggestFontAlternatives(fontLicenses, { fontFiles: analyzedFontFiles, fontFaceDeclarations });
+    reportSection('fontAlternatives', fontAlternatives);
+
+    let performanceAudit = null;
+    if (shouldAuditPerformance) {
+      report({ type: 'progress', message: 'Auditing font loading performance' });
+      performanceAudit = await auditFontPerformance({
+        fontFaceDeclarations,
+        fontFiles: analyzedFontFiles,
+        preloadedFonts,
+        googleFonts,
+        cssSourceFiles,
+        computedFonts,
+        fontApiLoaded
+      }, { pageUrl, onBlocked: recordBlocked, logger, signal });
+      reportSection('performanceAudit', performanceAudit);
+    }
+    reportSection('blockedRequests', blockedRequests);
+
+    return {
+      fontProviders,
+      googleFonts,
+      googleFontsPreconnects,
+      adobeFonts,
+      fontFiles: analyzedFontFiles,
+      fontFaceDeclarations,
+      preloadedFonts,
+      cssImportFonts,
+      systemFontStacks,
+      computedFonts,
+      unusedFonts,
+      cssVarFonts,
+      fontApiLoaded,
+      // Add CSS source files to the response
+      cssSourceFiles,
+      fontLicenses,
+      fontAlternatives,
+      performanceAudit,
+      blockedRequests
+    };
+
+  } catch (error) {
+    if (!signal?.aborted) logger?.error('Error in detectFonts:', error);
+    throw error;
+  }
+}
+
+/**
+ * detectFonts behind the scan cache: a page scanned with the same options within
+ * FONT_FINDER_CACHE_TTL seconds is answered from memory
+ * @param {string} url - The page URL
+ * @param {Object} [options] - As for detectFonts, plus:
+ * @param {boolean} [options.fresh=false] - Skip the scan and resource caches and download everything again
+ * @returns {Promise<{fonts: Object, cache: Object}>} - The font data, and `cache`: whether the scan came
+ *   from the cache (`scan` is 'hit', 'miss', 'bypass' or 'disabled'), when it was stored, and for a new
+ *   scan how each stylesheet and font file was loaded
+ */
+export async function detectFontsCached(url, { fresh = false, ...options } = {}) {
+  // A URL that may not be fetched now isn't answered from an earlier scan either
+  await checkUrl(url);
+
+  const { mode = 'static', analyzeFontFiles = true, auditPerformance = true } = options;
+  const key = [mode, analyzeFontFiles, auditPerformance, normalizeCacheUrl(url)].join(' ');
+
+  const cached = fresh ? null : getCachedScan(key);
+  if (cached) {
+    options.onProgress?.({ type: 'progress', message: `Using the scan from ${cached.storedAt}` });
+    return {
+      fonts: cached.value,
+      cache: { scan: 'hit', storedAt: cached.storedAt, expiresAt: cached.expiresAt, resources: null }
+    };
+  }
+
+  const fetcher = createResourceFetcher({ fresh });
+  const fonts = await detectFonts(url, { ...options, fetcher });
+  const stored = setCachedScan(key, fonts);
+  return {
+    fonts,
+    cache: {
+      scan: fresh ? 'bypass' : stored ? 'miss' : 'disabled',
+      storedAt: stored?.storedAt ?? null,
+      expiresAt: stored?.expiresAt ?? null,
+      resources: fetcher.summary()
+    }
+  };
+}
+
+/**
+ * Check whether a custom property looks like it holds a font stack,
+ * for variables that are defined but not (visibly) used in font-family
+ * @param {string} variable - The custom property name, e.g. --font-sans
+ * @param {string} value - The custom property value
+ * @returns {boolean}
+ */
+function isFontVariableName(variable, value) {
+  return /font|family|typeface/i.test(variable) &&
+    !/size|weight|height|spacing|style|feature|variation|smoothing|display|stretch|optical/i.test(variable) &&
+    !/^[\d.#(]/.test(value);
+}
+
+/**
+ * Check whether a family name declared in CSS matches the names inside a font file.
+ * Subsetting services and build tools often append suffixes, so a declared name that
+ * starts with the real family name ("Inter Subset", "Inter-fallback") still counts.
+ * @param {string} declaredFamily - The font-family of the @font-face rule
+ * @param {Object} metadata - Metadata read from the font file
+ * @returns {boolean}
+ */
+function isSameFamily(declaredFamily, metadata) {
+  const normalize = (name) => (name || '').toLowerCase().replace(/[\s_-]+/g, '');
+  const declared = normalize(declaredFamily);
+  return [metadata.familyName, metadata.fullName, metadata.postscriptName]
+    .map(normalize)
+    .some(name => name && (declared === name || declared.startsWith(name) || name.startsWith(declared)));
+}
+
+/**
+ * Find font families that are declared in CSS but never rendered any text
+ * @param {Array} cssSourceFiles - CSS source files with their font-family declarations
+ * @param {Array} fontFaceDeclarations - Parsed @font-face rules
+ * @param {Object} renderedPage - Result of loadRenderedPage
+ * @returns {Array} - Unused families with the places they are declared
+ */
+function findUnusedFonts(cssSourceFiles, fontFaceDeclarations, renderedPage) {
+  // A family counts as used when a text run rendered with it, or when the
+  // browser had to download one of its @font-face faces
+  const usedFamilies = new Set(renderedPage.renderedFonts.map(font => font.name.toLowerCase()));
+  for (const fontFace of renderedPage.fontFaces) {
+    if (fontFace.status === 'loaded') {
+      usedFamilies.add(fontFace.family.toLowerCase());
+    }
+  }
+
+  const declaredFamilies = new Map();
+  const declare = (name, declaredIn) => {
+    const key = name.toLowerCase();
+    if (!name || GENERIC_FONT_FAMILIES.includes(key) || key.startsWith('var(')) return;
+    if (!declaredFamilies.has(key)) {
+      declaredFamilies.set(key, { name, declaredIn: new Set() });
+    }
+    declaredFamilies.get(key).declaredIn.add(declaredIn);
+  };
+
+  for (const cssFile of cssSourceFiles) {
+    for (const fontFamily of cssFile.fontFamilies) {
+      if (fontFamily.unresolvedShorthand && !fontFamily.resolvedValue) continue;
+      splitFontFamilyList(fontFamily.resolvedValue || fontFamily.value)
+        .forEach(font => declare(font, fontFamily.selector || cssFile.source));
+    }
+  }
+  for (const declaration of fontFaceDeclarations) {
+    declare(declaration.fontFamily.trim(), '@font-face');
+  }
+
+  return Array.from(declaredFamilies.entries())
+    .filter(([key]) => !usedFamilies.has(key))
+    .map(([, font]) => ({
+      name: font.name,
+      type: 'unused-font',
+      declaredIn: Array.from(font.declaredIn)
+    }));
+}
+
+/**
+ * Fetch the text of a stylesheet
+ * @param {string} cssUrl - The absolute stylesheet URL
+ * @param {Object} fetcher - From createResourceFetcher
+ * @returns {Promise<string|null>} - The CSS, or null for a non-200 response
+ */
+async function fetchStylesheet(cssUrl, fetcher) {
+  const cssResponse = await fetcher.get(cssUrl, { timeout: 5000, responseType: 'text', expect: 'css' });
+  return cssResponse.status === 200 ? cssResponse.data : null;
+}
+
+/**
+ * Resolve a possibly relative URL against the document or stylesheet it appears in
+ * @param {string} url - The URL as written
+ * @param {string} baseUrl - The URL of the page or stylesheet
+ * @param {Object|null} logger - See detectFonts
+ * @returns {string} - The absolute URL, or the original one when it can't be resolved
+ */
+function resolveUrl(url, baseUrl, logger) {
+  try {
+    return new URL(url, baseUrl).href;
+  } catch (e) {
+    logger?.error(`Error creating absolute URL from ${url}: ${e.message}`);
+    return url;
+  }
+}
+
+/**
+ * Build a short CSS-like description (tag#id.class) of an element
+ * @param {import('cheerio').CheerioAPI} $ - The loaded document
+ * @param {Object} el - The element
+ * @returns {string}
+ */
+function describeElement($, el) {
+  const id = $(el).attr('id');
+  const classes = ($(el).attr('class') || '').trim().split(/\s+/).filter(Boolean).slice(0, 3);
+  return `${el.tagName}${id ? `#${id}` : ''}${classes.map(className => `.${className}`).join('')}`;
+}
@@ -0,0 +1,305 @@
+import { getFontStacks, summarizeFonts } from './font-summary.js';
+import { GENERIC_FONT_FAMILIES, splitFontFamilyList } from './css-parser.js';
+
+export const EXPORT_FORMATS = ['json', 'csv', 'markdown', 'tokens'];
+
+const CONTENT_TYPES = {
+  json: 'application/json',
+  csv: 'text/csv; charset=utf-8',
+  markdown: 'text/markdown; charset=utf-8',
+  tokens: 'application/json'
+};
+
+const FILE_EXTENSIONS = {
+  json: 'json',
+  csv: 'csv',
+  markdown: 'md',
+  tokens: 'tokens.json'
+};
+
+const CSV_COLUMNS = ['family', 'weight', 'style', 'source', 'provider', 'url', 'location'];
+
+const WEIGHT_NAMES = {
+  100: 'thin',
+  200: 'extra-light',
+  300: 'light',
+  400: 'regular',
+  500: 'medium',
+  600: 'semi-bold',
+  700: 'bold',
+  800: 'extra-bold',
+  900: 'black'
+};
+
+/**
+ * Serialise scan results in one of the export formats
+ * @param {Object} fontData - detectFonts result
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Object} [options]
+ * @param {string} [options.url] - The scanned URL, for titles and file names
+ * @param {Date} [options.date] - When the scan ran
+ * @returns {{body: string, contentType: string, filename: string}}
+ */
+export function exportFonts(fontData, format, { url = '', date = new Date() } = {}) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown format "${format}", expected one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  let body;
+  if (format === 'csv') {
+    body = toCsv(fontData);
+  } else if (format === 'markdown') {
+    body = toMarkdown(fontData, { url, date });
+  } else if (format === 'tokens') {
+    body = JSON.stringify(toDesignTokens(fontData), null, 2);
+  } else {
+    body = JSON.stringify({ url, scannedAt: date.toISOString(), fonts: fontData }, null, 2);
+  }
+
+  const host = url ? url.replace(/^https?:\/\//, '').replace(/[^a-z0-9.-]+/gi, '-').replace(/-+$/, '') : 'scan';
+  return {
+    body,
+    contentType: CONTENT_TYPES[format],
+    filename: `fonts-${host}.${FILE_EXTENSIONS[format]}`
+  };
+}
+
+/**
+ * One row per family, variant and place it was found
+ * @param {Object} fontData
+ * @returns {string}
+ */
+export function toCsv(fontData) {
+  const rows = [];
+  const add = (row) => rows.push(CSV_COLUMNS.map(column => row[column] ?? ''));
+
+  for (const font of fontData.googleFonts || []) {
+    for (const style of font.styles || [{ weight: '400', italic: false }]) {
+      add({ family: font.name, weight: style.weight, style: style.italic ? 'italic' : 'normal', source: 'google-fonts', provider: 'Google Fonts', url: font.url });
+    }
+  }
+  for (const kit of fontData.adobeFonts || []) {
+    for (const family of kit.families || []) {
+      for (const variant of family.variants) {
+        add({ family: family.name, weight: variant.weight, style: variant.style, source: 'adobe-fonts', provider: 'Adobe Fonts', url: variant.files[0]?.url || kit.url });
+      }
+    }
+  }
+  for (const declaration of fontData.fontFaceDeclarations || []) {
+    add({
+      family: declaration.fontFamily,
+      weight: declaration.weight,
+      style: declaration.style,
+      source: 'font-face',
+      url: declaration.sources?.find(source => source.url)?.url,
+      location: declaration.line ? `${declaration.source}:${declaration.line}` : declaration.source
+    });
+  }
+  // Google and Adobe already have rows of their own
+  for (const provider of fontData.fontProviders || []) {
+    if (['google-fonts', 'adobe-fonts'].includes(provider.id)) continue;
+    for (const family of provider.families) {
+      for (const style of family.styles.length > 0 ? family.styles : [{}]) {
+        add({ family: family.name, weight: style.weight, style: style.style, source: 'provider', provider: provider.name, url: family.urls[0] });
+      }
+    }
+  }
+  for (const font of fontData.fontApiLoaded || []) {
+    add({ family: font.family, weight: font.weight, style: font.style, source: 'font-loading-api', url: font.url });
+  }
+  for (const variable of fontData.cssVarFonts || []) {
+    for (const family of variable.families) {
+      if (GENERIC_FONT_FAMILIES.includes(family.toLowerCase())) continue;
+      add({ family, source: 'css-variable', location: `${variable.source} (${variable.variable})` });
+    }
+  }
+  for (const font of fontData.computedFonts || []) {
+    add({ family: font.name, source: font.glyphCount !== undefined ? 'rendered' : 'font-family' });
+  }
+
+  return [CSV_COLUMNS, ...rows].map(row => row.map(escapeCsvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * A Markdown audit report
+ * @param {Object} fontData
+ * @param {Object} options
+ * @param {string} options.url
+ * @param {Date} options.date
+ * @returns {string}
+ */
+export function toMarkdown(fontData, { url, date }) {
+  const lines = [];
+  const { families, providers } = summarizeFonts(fontData);
+
+  lines.push(`# Font audit${url ? `: ${url}` : ''}`, '');
+  lines.push(`Scanned ${date.toISOString().slice(0, 10)}. ${families.length} ${families.length === 1 ? 'family' : 'families'}` +
+    `${providers.length > 0 ? `, served by ${providers.join(', ')}` : ''}.`, '');
+
+  lines.push('## Families', '');
+  const licenses = new Map((fontData.fontLicenses || []).map(license => [license.name.toLowerCase(), license]));
+  if (families.length > 0) {
+    lines.push('| Family | Found through | License | Foundry |', '| --- | --- | --- | --- |');
+    for (const family of families) {
+      const license = licenses.get(family.name.toLowerCase());
+      lines.push(`| ${[family.name, family.via.join(', '), license?.licenseName || 'Unknown', license?.foundry || '']
+        .map(escapeMarkdownCell).join(' | ')} |`);
+    }
+  } else {
+    lines.push('No font families found.');
+  }
+  lines.push('');
+
+  if ((fontData.fontProviders || []).length > 0) {
+    lines.push('## Font providers', '');
+    for (const provider of fontData.fontProviders) {
+      const names = provider.families.map(family => family.name).join(', ');
+      lines.push(`- **${provider.name}**${names ? `: ${names}` : ''}`);
+    }
+    lines.push('');
+  }
+
+  if ((fontData.fontFaceDeclarations || []).length > 0) {
+    lines.push('## @font-face rules', '');
+    lines.push('| Family | Weight | Style | font-display | Formats | Declared in |', '| --- | --- | --- | --- | --- | --- |');
+    for (const declaration of fontData.fontFaceDeclarations) {
+      const formats = Array.from(new Set((declaration.sources || []).map(source => source.format).filter(Boolean))).join(', ');
+      const location = declaration.line ? `${declaration.source}:${declaration.line}` : declaration.source;
+      lines.push(`| ${[declaration.fontFamily, declaration.weight, declaration.style, declaration.display || '(not set)', formats, location]
+        .map(escapeMarkdownCell).join(' | ')} |`);
+    }
+    lines.push('');
+  }
+
+  const unusedKitFamilies = (fontData.adobeFonts || [])
+    .flatMap(kit => (kit.families || []).filter(family => !family.used).map(family => `${family.name} (kit ${kit.projectId})`));
+  const renamedFiles = (fontData.fontFiles || []).filter(fontFile => fontFile.renamed);
+  const findings = [
+    ...(fontData.fontLicenses || []).filter(license => license.needsLegalReview)
+      .map(license => `${license.name} (${license.licenseName.toLowerCase()}) is self-hosted and needs legal review of its web licence`),
+    ...(fontData.unusedFonts || []).map(font => `${font.name} is declared but never rendered`),
+    ...unusedKitFamilies.map(name => `Adobe Fonts family ${name} is loaded but not used`),
+    ...renamedFiles.map(fontFile => `${fontFile.url} is declared as ${fontFile.declaredFamilies.join(', ')} but contains ${fontFile.metadata.familyName}`)
+  ];
+  if (findings.length > 0) {
+    lines.push('## Findings', '');
+    findings.forEach(finding => lines.push(`- ${finding}`));
+    lines.push('');
+  }
+
+  const suggestions = (fontData.fontAlternatives || []).filter(suggestion => suggestion.alternatives.length > 0);
+  if (suggestions.length > 0) {
+    lines.push('## Free alternatives', '');
+    for (const suggestion of suggestions) {
+      const names = suggestion.alternatives.map(alternative => `${alternative.name} (${alternative.similarity}%)`).join(', ');
+      lines.push(`- **${suggestion.family}**: ${names}`);
+    }
+    lines.push('');
+  }
+
+  const audit = fontData.performanceAudit;
+  if (audit) {
+    lines.push('## Performance', '');
+    lines.push(`Score: **${audit.score}/100** (${audit.rating}). ${audit.totals.files} font files, ${Math.round(audit.totals.bytes / 1024)} KB.`, '');
+    for (const issue of audit.issues) {
+      lines.push(`### ${issue.title} (${issue.severity})`, '', issue.description, '', `**Fix:** ${issue.fix}`, '');
+      issue.items.forEach(item => lines.push(`- ${item.detail}${item.url ? ` (${item.url})` : ''}`));
+      lines.push('');
+    }
+    (audit.skipped || []).forEach(check => lines.push(`Not checked: ${check.title} (${check.reason}).`, ''));
+  }
+
+  const stacks = getFontStacks(fontData);
+  if (stacks.length > 0) {
+    lines.push('## Font stacks', '');
+    stacks.forEach(stack => lines.push(`- \`${stack}\``));
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * W3C Design Tokens (DTCG) JSON, which Style Dictionary reads as well:
+ * font.family.*, font.weight.<family>.* and font.stack.* tokens
+ * @param {Object} fontData
+ * @returns {Object}
+ */
+export function toDesignTokens(fontData) {
+  const stacks = getFontStacks(fontData);
+  const family = {};
+  const weight = {};
+  const stack = {};
+
+  const weightsByFamily = new Map();
+  const addWeight = (name, value) => {
+    if (!name) return;
+    const key = name.toLowerCase();
+    if (!weightsByFamily.has(key)) weightsByFamily.set(key, { name, weights: new Set() });
+    // Variable fonts declare a range ("100 900"); keep both ends
+    String(value ?? '400').split(/\s+/).forEach(part => {
+      const numeric = part === 'normal' ? 400 : part === 'bold' ? 700 : Number(part);
+      if (Number.isFinite(numeric) && numeric >= 1 && numeric <= 1000) {
+        weightsByFamily.get(key).weights.add(numeric);
+      }
+    });
+  };
+
+  (fontData.fontFaceDeclarations || []).forEach(declaration => addWeight(declaration.fontFamily, declaration.weight));
+  (fontData.googleFonts || []).forEach(font => (font.styles || []).forEach(style => addWeight(font.name, style.weight.replace('..', ' '))));
+  (fontData.adobeFonts || []).forEach(kit => (kit.families || [])
+    .forEach(kitFamily => kitFamily.variants.forEach(variant => addWeight(kitFamily.name, variant.weight))));
+
+  for (const { name, weights } of weightsByFamily.values()) {
+    const slug = toTokenName(name);
+    // The family token uses the fallbacks of the first stack that leads with it
+    const leadingStack = stacks.find(candidate => splitFontFamilyList(candidate)[0]?.toLowerCase() === name.toLowerCase());
+    family[slug] = {
+      $type: 'fontFamily',
+      $value: leadingStack ? splitFontFamilyList(leadingStack) : [name]
+    };
+
+    weight[slug] = {};
+    Array.from(weights).sort((a, b) => a - b).forEach(value => {
+      weight[slug][WEIGHT_NAMES[value] || `w${value}`] = { $type: 'fontWeight', $value: value };
+    });
+  }
+
+  for (const value of stacks) {
+    const families = splitFontFamilyList(value);
+    let name = toTokenName(families[0]);
+    for (let suffix = 2; stack[name]; suffix++) {
+      name = `${toTokenName(families[0])}-${suffix}`;
+    }
+    stack[name] = { $type: 'fontFamily', $value: families };
+  }
+
+  return { font: { family, weight, stack } };
+}
+
+/**
+ * @param {string} name - A family name
+ * @returns {string} - A kebab-case token name
+ */
+function toTokenName(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'font';
+}
+
+/**
+ * Quote a CSV cell when needed, and defuse values a spreadsheet would run as a formula
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeCsvCell(value) {
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {*} value
+ * @returns {string} - The value with pipes and line breaks made safe for a table cell
+ */
+function escapeMarkdownCell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
@@ -0,0 +1,114 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { exportFonts, toCsv, toDesignTokens, toMarkdown } from './exporters.js';
+
+const STYLESHEET_URL = 'https://example.com/site.css';
+
+/**
+ * @param {Object} [extra] - Sections to add or replace
+ * @returns {Object} - A scan result with a Google Fonts family, a variable font and one font stack
+ */
+function scanWith(extra = {}) {
+  return {
+    googleFonts: [{
+      name: 'Roboto',
+      url: 'https://fonts.googleapis.com/css2?family=Roboto:ital,wght@0,400;1,700',
+      styles: [{ weight: '400', italic: false }, { weight: '700', italic: true }]
+    }],
+    fontFaceDeclarations: [{
+      fontFamily: 'Brand, "Display"',
+      weight: '100 900',
+      style: 'normal',
+      display: 'swap',
+      source: STYLESHEET_URL,
+      line: 3,
+      sources: [{ url: 'https://example.com/brand.woff2', format: 'woff2' }]
+    }],
+    cssSourceFiles: [{ id: 0, url: STYLESHEET_URL, fontFamilies: [{ selector: 'body', value: '"Brand, \\"Display\\"", Roboto, sans-serif' }] }],
+    ...extra
+  };
+}
+
+describe('toCsv', () => {
+  test('writes a header and one CRLF-terminated row per family and style', () => {
+    assert.equal(toCsv(scanWith()), [
+      'family,weight,style,source,provider,url,location',
+      'Roboto,400,normal,google-fonts,Google Fonts,"https://fonts.googleapis.com/css2?family=Roboto:ital,wght@0,400;1,700",',
+      'Roboto,700,italic,google-fonts,Google Fonts,"https://fonts.googleapis.com/css2?family=Roboto:ital,wght@0,400;1,700",',
+      '"Brand, ""Display""",100 900,normal,font-face,,https://example.com/brand.woff2,https://example.com/site.css:3',
+      ''
+    ].join('\r\n'));
+  });
+
+  test('quotes cells with line breaks and defuses spreadsheet formulas', () => {
+    const csv = toCsv({
+      fontFaceDeclarations: [
+        { fontFamily: '=HYPERLINK("https://evil.example")', weight: '+400', style: '-normal', source: '@import\nsheet', sources: [] }
+      ]
+    });
+    assert.equal(csv.split('\r\n')[1], '"\'=HYPERLINK(""https://evil.example"")",\'+400,\'-normal,font-face,,,"\'@import\nsheet"');
+  });
+
+  test('writes only the header for a scan without fonts', () => {
+    assert.equal(toCsv({}), 'family,weight,style,source,provider,url,location\r\n');
+  });
+});
+
+describe('toDesignTokens', () => {
+  test('writes family, weight and stack tokens, keeping both ends of a weight range', () => {
+    assert.deepEqual(toDesignTokens(scanWith()), {
+      font: {
+        family: {
+          'brand-display': { $type: 'fontFamily', $value: ['Brand, "Display"', 'Roboto', 'sans-serif'] },
+          roboto: { $type: 'fontFamily', $value: ['Roboto'] }
+        },
+        weight: {
+          'brand-display': { thin: { $type: 'fontWeight', $value: 100 }, black: { $type: 'fontWeight', $value: 900 } },
+          roboto: { regular: { $type: 'fontWeight', $value: 400 }, bold: { $type: 'fontWeight', $value: 700 } }
+        },
+        stack: {
+          'brand-display': { $type: 'fontFamily', $value: ['Brand, "Display"', 'Roboto', 'sans-serif'] }
+        }
+      }
+    });
+  });
+
+  test('names unusual weights by number and numbers stacks that lead with the same family', () => {
+    const tokens = toDesignTokens({
+      fontFaceDeclarations: [{ fontFamily: 'Inter', weight: '450' }, { fontFamily: 'Inter', weight: 'bold' }],
+      cssSourceFiles: [{ fontFamilies: [{ selector: 'p', value: 'Inter, sans-serif' }, { selector: 'h1', value: 'Inter, serif' }] }]
+    });
+    assert.deepEqual(Object.keys(tokens.font.weight.inter), ['w450', 'bold']);
+    assert.deepEqual(Object.keys(tokens.font.stack), ['inter', 'inter-2']);
+  });
+});
+
+describe('toMarkdown', () => {
+  test('escapes pipes in table cells and lists the font stacks', () => {
+    const markdown = toMarkdown(scanWith({
+      fontFaceDeclarations: [{ fontFamily: 'Pipe | Sans', weight: '400', style: 'normal', display: null, source: 'inline <style> tag', sources: [] }]
+    }), { url: 'https://example.com/', date: new Date('2026-01-02T03:04:05Z') });
+
+    assert.ok(markdown.startsWith('# Font audit: https://example.com/\n\nScanned 2026-01-02.'));
+    assert.ok(markdown.includes('| Pipe \\| Sans | 400 | normal | (not set) |  | inline <style> tag |'));
+    assert.ok(markdown.includes('## Font stacks\n\n- `"Brand, \\"Display\\"", Roboto, sans-serif`'));
+  });
+});
+
+describe('exportFonts', () => {
+  test('names the file after the scanned URL', () => {
+    const { contentType, filename } = exportFonts(scanWith(), 'csv', { url: 'https://example.com/a b?x=1' });
+    assert.equal(contentType, 'text/csv; charset=utf-8');
+    assert.equal(filename, 'fonts-example.com-a-b-x-1.csv');
+    assert.equal(exportFonts(scanWith(), 'tokens').filename, 'fonts-scan.tokens.json');
+  });
+
+  test('wraps the JSON export with the URL and scan date', () => {
+    const { body } = exportFonts({ googleFonts: [] }, 'json', { url: 'https://example.com/', date: new Date('2026-01-02T03:04:05Z') });
+    assert.deepEqual(JSON.parse(body), { url: 'https://example.com/', scannedAt: '2026-01-02T03:04:05.000Z', fonts: { googleFonts: [] } });
+  });
+
+  test('refuses an unknown format', () => {
+    assert.throws(() => exportFonts({}, 'xml'), /Unknown format "xml", expected one of: json, csv, markdown, tokens/);
+  });
+});
@@ -0,0 +1,196 @@
+import alternatives from '../data/font-alternatives.json' with { type: 'json' };
+import { LICENSE_TYPES, lookupFontFamily } from './font-catalog.js';
+
+// How far apart two proportions (as fractions of the em) may be and still look alike
+const METRIC_TOLERANCES = {
+  xHeight: 0.03,
+  capHeight: 0.04,
+  avgWidth: 0.04
+};
+
+const METRIC_LABELS = {
+  xHeight: 'x-height',
+  capHeight: 'cap height',
+  avgWidth: 'width'
+};
+
+// Points each signal adds to the similarity score; metrics only count when a font file was measured
+const SCORE_WEIGHTS = {
+  metrics: 60,
+  weights: 20,
+  similar: 20
+};
+
+const MAX_ALTERNATIVES = 4;
+
+/**
+ * Rank open-licence stand-ins for every commercial family on the page
+ * @param {Array} fontLicenses - buildFontLicenses result
+ * @param {Object} scan
+ * @param {Array} scan.fontFiles - Analysed font files, whose `metadata.metrics` describe the real typeface
+ * @param {Array} scan.fontFaceDeclarations - For the weights the site uses
+ * @returns {Array} - `{ family, category, basis, fontFile, metrics, weights, alternatives }` per commercial family
+ */
+export function suggestFontAlternatives(fontLicenses, { fontFiles = [], fontFaceDeclarations = [] } = {}) {
+  return fontLicenses
+    .filter(license => license.license === 'commercial')
+    .map(license => {
+      const key = license.name.toLowerCase();
+      const entry = lookupFontFamily(license.name);
+
+      // Measure the upright regular when the site serves several styles
+      const measured = fontFiles
+        .filter(fontFile => fontFile.metadata?.metrics && fontFile.declaredFamilies?.some(family => family.toLowerCase() === key))
+        .sort((a, b) => getRegularDistance(a.metadata) - getRegularDistance(b.metadata))[0];
+
+      const declaredWeights = fontFaceDeclarations
+        .filter(declaration => declaration.fontFamily.toLowerCase() === key)
+        .flatMap(declaration => parseWeights(declaration.weight));
+      if (declaredWeights.length === 0 && measured?.metadata.weightClass) {
+        declaredWeights.push(measured.metadata.weightClass);
+      }
+
+      const target = {
+        name: license.catalogName || license.name,
+        category: measured?.metadata.isFixedPitch ? 'mono' : entry?.category || null,
+        metrics: measured?.metadata.metrics || null,
+        weights: declaredWeights.length > 0 ? [Math.min(...declaredWeights), Math.max(...declaredWeights)] : null,
+        similar: entry?.similar || []
+      };
+
+      return {
+        family: license.name,
+        category: target.category,
+        // 'font-file' when ranked on the site's own font binary, 'catalog' when only its classification is known
+        basis: measured ? 'font-file' : 'catalog',
+        fontFile: measured?.url || null,
+        metrics: target.metrics,
+        weights: target.weights,
+        alternatives: rankAlternatives(target)
+      };
+    });
+}
+
+/**
+ * Score every catalog font against a target typeface
+ * @param {Object} target - `{ name, category, metrics, weights, similar }`
+ * @returns {Array} - The best matches, most similar first
+ */
+export function rankAlternatives(target) {
+  const candidates = alternatives.fonts.filter(font => !target.category || font.category === target.category);
+  const maxScore = (target.metrics ? SCORE_WEIGHTS.metrics : 0) + SCORE_WEIGHTS.weights + SCORE_WEIGHTS.similar;
+
+  return candidates
+    .map((font, index) => {
+      let score = 0;
+      const reasons = [];
+
+      if (target.category) {
+        reasons.push(`Same classification (${target.category})`);
+      }
+
+      if (target.metrics) {
+        const differences = Object.keys(METRIC_TOLERANCES)
+          .filter(metric => target.metrics[metric] && font.metrics[metric])
+          .map(metric => ({ metric, offset: (font.metrics[metric] - target.metrics[metric]) / METRIC_TOLERANCES[metric] }));
+        if (differences.length > 0) {
+          // Root mean square of the offsets, in tolerances: 0 is identical, 3 or more scores nothing
+          const distance = Math.sqrt(differences.reduce((sum, { offset }) => sum + offset ** 2, 0) / differences.length);
+          score += SCORE_WEIGHTS.metrics * Math.max(0, 1 - distance / 3);
+        }
+        for (const { metric, offset } of differences) {
+          if (Math.abs(offset) <= 1) {
+            reasons.push(`Similar ${METRIC_LABELS[metric]}`);
+          } else {
+            reasons.push(`${offset > 0 ? 'Larger' : 'Smaller'} ${METRIC_LABELS[metric]}`);
+          }
+        }
+      }
+
+      const coverage = getWeightCoverage(target.weights, font.weights);
+      score += SCORE_WEIGHTS.weights * coverage;
+      if (target.weights && coverage === 1) {
+        reasons.push(`Covers weights ${formatWeightRange(target.weights)}`);
+      } else if (target.weights) {
+        reasons.push(`Only weights ${formatWeightRange(font.weights)}`);
+      }
+
+      if (target.similar.includes(font.name)) {
+        score += SCORE_WEIGHTS.similar;
+        reasons.push(`A common stand-in for ${target.name}`);
+      }
+
+      return {
+        font,
+        index,
+        score,
+        reasons
+      };
+    })
+    // Ties go to the more popular font, which comes first in the data file
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, MAX_ALTERNATIVES)
+    .map(({ font, score, reasons }) => ({
+      name: font.name,
+      category: font.category,
+      license: font.license,
+      licenseName: LICENSE_TYPES[font.license] || font.license,
+      homepage: `https://fonts.google.com/specimen/${font.name.replace(/ /g, '+')}`,
+      similarity: Math.round((score / maxScore) * 100),
+      reasons,
+      metrics: font.metrics,
+      weights: font.weights,
+      cssUrl: getPreviewCssUrl(font)
+    }));
+}
+
+/**
+ * @param {Object} metadata - Font file metadata
+ * @returns {number} - How far a file is from the upright regular style
+ */
+function getRegularDistance(metadata) {
+  const italic = /italic|oblique/i.test(metadata.subfamilyName || '') ? 1000 : 0;
+  return italic + Math.abs((metadata.weightClass || 400) - 400);
+}
+
+/**
+ * @param {string} value - A font-weight descriptor, e.g. "bold" or "100 900"
+ * @returns {Array<number>}
+ */
+function parseWeights(value) {
+  return String(value ?? '400')
+    .split(/\s+/)
+    .map(part => (part === 'normal' ? 400 : part === 'bold' ? 700 : Number(part)))
+    .filter(weight => Number.isFinite(weight) && weight >= 1 && weight <= 1000);
+}
+
+/**
+ * @param {Array<number>|null} wanted - [min, max] weights the site uses
+ * @param {Array<number>} available - [min, max] weights of the alternative
+ * @returns {number} - The share of the wanted range the alternative covers, from 0 to 1
+ */
+function getWeightCoverage(wanted, available) {
+  if (!wanted) return 1;
+  const overlap = Math.min(wanted[1], available[1]) - Math.max(wanted[0], available[0]);
+  if (wanted[0] === wanted[1]) return overlap >= 0 ? 1 : 0;
+  return Math.max(0, overlap) / (wanted[1] - wanted[0]);
+}
+
+/**
+ * @param {Array<number>} weights - [min, max]
+ * @returns {string}
+ */
+function formatWeightRange([min, max]) {
+  return min === max ? String(min) : `${min}–${max}`;
+}
+
+/**
+ * A Google Fonts stylesheet with the regular and bold styles, for previews
+ * @param {Object} font - A font-alternatives entry
+ * @returns {string}
+ */
+function getPreviewCssUrl(font) {
+  const weights = [400, 700].filter(weight => weight >= font.weights[0] && weight <= font.weights[1]);
+  const axis = weights.length > 0 ? weights.join(';') : font.weights[0];
+  return `https://fonts.googleapis.com/css2?family=${encodeURIComponent(font.name).replace(/%20/g, '+')}:wght@${axis}&display=swap`;
+}
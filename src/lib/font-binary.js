@@ -0,0 +1,166 @@
+import * as fontkit from 'fontkit';
+import { createResourceFetcher } from './cache.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { UNICODE_BLOCKS } from './unicode-blocks.js';
+
+// Formats fontkit can't decode; anything else (including unknown formats) is tried
+const UNSUPPORTED_FORMATS = ['eot', 'embedded-opentype', 'svg'];
+
+const MAX_FONT_FILES = 20;
+const MAX_FONT_FILE_BYTES = 10 * 1024 * 1024;
+const DOWNLOAD_CONCURRENCY = 4;
+
+/**
+ * Download and decode font files, adding the metadata found inside each one
+ * @param {Array} fontFiles - Font files as `{ url, format }` objects
+ * @param {Object} [options]
+ * @param {Object} [options.fetcher] - From createResourceFetcher, to reuse cached files
+ * @param {Object|null} [options.logger=console] - Where files that couldn't be read are logged
+ * @returns {Promise<Array>} - The same files with `metadata` (or `error`) added
+ */
+export async function analyzeFontFiles(fontFiles, { fetcher = createResourceFetcher(), logger = console } = {}) {
+  let analyzed = 0;
+
+  return mapWithConcurrency(fontFiles, DOWNLOAD_CONCURRENCY, async (fontFile) => {
+    if (UNSUPPORTED_FORMATS.includes((fontFile.format || '').toLowerCase())) {
+      return { ...fontFile, metadata: null, error: `Unsupported format: ${fontFile.format}` };
+    }
+    if (analyzed >= MAX_FONT_FILES) {
+      return { ...fontFile, metadata: null, error: `Skipped: only the first ${MAX_FONT_FILES} files are analysed` };
+    }
+    analyzed++;
+
+    try {
+      return { ...fontFile, metadata: await analyzeFontFile(fontFile.url, fetcher) };
+    } catch (error) {
+      logger?.error(`Error analysing font file ${fontFile.url}: ${error.message}`);
+      return { ...fontFile, metadata: null, error: error.message };
+    }
+  });
+}
+
+/**
+ * Download a single WOFF/WOFF2/TTF/OTF file and read its metadata
+ * @param {string} url - The font file URL
+ * @param {Object} [fetcher] - From createResourceFetcher
+ * @returns {Promise<Object>} - The decoded metadata
+ */
+export async function analyzeFontFile(url, fetcher = createResourceFetcher()) {
+  const response = await fetcher.get(url, {
+    timeout: 10000,
+    responseType: 'arraybuffer',
+    maxBytes: MAX_FONT_FILE_BYTES,
+    expect: 'font'
+  });
+
+  const buffer = Buffer.from(response.data);
+  return { ...readFontMetadata(buffer), fileSize: buffer.length };
+}
+
+/**
+ * Decode a font binary and read its name, OS/2 and fvar tables
+ * @param {Buffer} buffer - The font file contents
+ * @returns {Object} - Names, vendor and license info, glyph count, Unicode coverage, proportions and variation axes
+ */
+export function readFontMetadata(buffer) {
+  let font = fontkit.create(buffer);
+  // Collections (.ttc) hold several fonts; describe the first one
+  if (font.fonts) font = font.fonts[0];
+
+  const os2 = font['OS/2'];
+  const name = (key) => font.getName(key) || null;
+  const variationAxes = Object.entries(font.variationAxes || {}).map(([tag, axis]) => ({
+    tag,
+    name: axis.name,
+    min: axis.min,
+    default: axis.default,
+    max: axis.max
+  }));
+
+  return {
+    container: font.type,
+    // Prefer the typographic family (name ID 16) over the legacy 4-style family
+    familyName: name('preferredFamily') || font.familyName || null,
+    subfamilyName: name('preferredSubfamily') || font.subfamilyName || null,
+    fullName: font.fullName || null,
+    postscriptName: font.postscriptName || null,
+    version: font.version || null,
+    designer: name('designer'),
+    designerUrl: name('designerURL'),
+    manufacturer: name('manufacturer'),
+    vendorId: os2?.vendorID ? os2.vendorID.replace(/\0/g, '').trim() : null,
+    vendorUrl: name('vendorURL'),
+    copyright: font.copyright || null,
+    trademark: name('trademark'),
+    license: name('license'),
+    licenseUrl: name('licenseURL'),
+    weightClass: os2?.usWeightClass ?? null,
+    isFixedPitch: Boolean(font.post?.isFixedPitch),
+    metrics: measureFontMetrics(font),
+    glyphCount: font.numGlyphs,
+    characterCount: font.characterSet.length,
+    unicodeBlocks: getUnicodeBlocks(font.characterSet),
+    isVariable: variationAxes.length > 0,
+    variationAxes,
+    namedInstances: Object.keys(font.namedVariations || {})
+  };
+}
+
+/**
+ * Measure the proportions that make two typefaces look alike, as fractions of the em
+ * so fonts with different units per em compare directly
+ * @param {Object} font - A fontkit font
+ * @returns {Object} - `{ xHeight, capHeight, avgWidth }`, each null when the font lacks the glyphs to measure it
+ */
+function measureFontMetrics(font) {
+  const os2 = font['OS/2'];
+  const toEm = (value) => (value ? Math.round((value / font.unitsPerEm) * 1000) / 1000 : null);
+  // OS/2 only carries x and cap heights from version 2; older fonts get them from the glyph outlines
+  const glyphHeight = (character) => {
+    const glyph = font.glyphForCodePoint(character.codePointAt(0));
+    return glyph.id ? glyph.bbox.maxY : null;
+  };
+
+  // Average lowercase advance rather than OS/2 xAvgCharWidth, which averages every glyph in the font
+  const lowercase = font.glyphsForString('abcdefghijklmnopqrstuvwxyz');
+  const avgWidth = lowercase.every(glyph => glyph.id)
+    ? lowercase.reduce((sum, glyph) => sum + glyph.advanceWidth, 0) / lowercase.length
+    : null;
+
+  return {
+    xHeight: toEm(os2?.xHeight || glyphHeight('x')),
+    capHeight: toEm(os2?.capHeight || glyphHeight('H')),
+    avgWidth: toEm(avgWidth)
+  };
+}
+
+/**
+ * Count how many characters of each Unicode block a font covers
+ * @param {Array<number>} characterSet - The code points mapped by the font's cmap
+ * @returns {Array} - Covered blocks as `{ name, characters, size }`
+ */
+function getUnicodeBlocks(characterSet) {
+  const counts = new Map();
+  let other = 0;
+
+  for (const codePoint of characterSet) {
+    const block = UNICODE_BLOCKS.find(candidate => codePoint >= candidate.start && codePoint <= candidate.end);
+    if (block) {
+      counts.set(block, (counts.get(block) || 0) + 1);
+    } else {
+      other++;
+    }
+  }
+
+  const blocks = UNICODE_BLOCKS
+    .filter(block => counts.has(block))
+    .map(block => ({
+      name: block.name,
+      characters: counts.get(block),
+      size: block.end - block.start + 1
+    }));
+  if (other > 0) {
+    blocks.push({ name: 'Other', characters: other, size: null });
+  }
+  return blocks;
+}
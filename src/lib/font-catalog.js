@@ -0,0 +1,153 @@
+import catalog from '../data/font-catalog.json' with { type: 'json' };
+import { getFontProviders } from './providers/index.js';
+
+export const LICENSE_TYPES = {
+  ofl: 'SIL Open Font License',
+  apache: 'Apache License 2.0',
+  ufl: 'Ubuntu Font Licence',
+  free: 'Free (proprietary licence)',
+  commercial: 'Commercial',
+  system: 'Bundled with the OS',
+  unknown: 'Unknown'
+};
+
+// Licences that don't allow hosting the files yourself without a (web) licence
+const RESTRICTED_LICENSES = ['commercial', 'system'];
+
+// Vendor, format and style words that foundries and font services append to family names
+const TRAILING_NOISE = new Set([
+  'lt', 'std', 'pro', 'mt', 'ot', 'com', 'web', 'webfont', 'variable', 'var', 'vf', 'ssm', 'a', 'b',
+  'thin', 'hairline', 'extralight', 'ultralight', 'light', 'book', 'regular', 'normal', 'roman', 'roma', 'rom',
+  'medium', 'semibold', 'demibold', 'demi', 'bold', 'extrabold', 'ultrabold', 'heavy', 'black', 'ultra',
+  'italic', 'oblique', 'it', 'rg', 'bd', 'md', 'sb', 'bk', 'th', 'condensed', 'cond', 'cn', 'narrow',
+  'display', 'text', 'leicht', 'buch', 'kraftig', 'halbfett', 'dreiviertelfett', 'fett', 'extrafett'
+]);
+const LEADING_NOISE = new Set(['ff', 'itc', 'pp', 'abc']);
+
+let catalogIndex = null;
+
+/**
+ * Split a family name into lowercase words, undoing CamelCase, hyphens and
+ * underscores: "HelveticaNeueLTPro-Bold" becomes ['helvetica', 'neue', 'lt', 'pro', 'bold']
+ * @param {string} name
+ * @returns {Array<string>}
+ */
+export function tokenizeFamilyName(name) {
+  return String(name || '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .replace(/(\d)([A-Za-z]{2,})/g, '$1 $2')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * The keys a family name can match the catalog under, most specific first:
+ * the full name, then with vendor, weight and style words stripped one at a time
+ * @param {string} name - e.g. "Helvetica Neue LT Pro"
+ * @returns {Array<string>} - e.g. ['helveticaneueltpro', 'helveticaneuelt', 'helveticaneue']
+ */
+export function normalizeFamilyName(name) {
+  const tokens = tokenizeFamilyName(name);
+  const keys = [];
+  const addKey = (words) => {
+    const key = words.join('');
+    if (key && !keys.includes(key)) keys.push(key);
+  };
+
+  addKey(tokens);
+  let words = [...tokens];
+  while (words.length > 1 && LEADING_NOISE.has(words[0])) {
+    words = words.slice(1);
+    addKey(words);
+  }
+  while (words.length > 1) {
+    const last = words[words.length - 1];
+    // Weight numbers ("55 Roman") and web font suffixes ("W01", "W1G")
+    if (!TRAILING_NOISE.has(last) && !/^(\d{1,3}|w\d+g?)$/.test(last)) break;
+    words = words.slice(0, -1);
+    addKey(words);
+  }
+  return keys;
+}
+
+/**
+ * Find a family in the bundled catalog by its name or one of its aliases
+ * @param {string} name - A family name as written in CSS
+ * @returns {Object|null} - The catalog entry as `{ name, foundry, license, homepage, category, similar }`
+ */
+export function lookupFontFamily(name) {
+  if (!catalogIndex) {
+    catalogIndex = new Map();
+    for (const family of catalog.families) {
+      for (const alias of [family.name, ...(family.aliases || [])]) {
+        const key = tokenizeFamilyName(alias).join('');
+        if (!catalogIndex.has(key)) catalogIndex.set(key, family);
+      }
+    }
+  }
+
+  for (const key of normalizeFamilyName(name)) {
+    const family = catalogIndex.get(key);
+    if (family) {
+      return {
+        name: family.name,
+        foundry: family.foundry,
+        license: family.license,
+        homepage: family.homepage,
+        category: family.category || null,
+        similar: family.similar || []
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Look up the licence of every detected family and flag restricted fonts the site serves itself
+ * @param {Array<string>} families - Family names
+ * @param {Array} fontFaceDeclarations - With resolved `sources`
+ * @returns {Array} - `{ name, catalogName, foundry, license, licenseName, homepage, selfHosted, files, needsLegalReview }`
+ */
+export function buildFontLicenses(families, fontFaceDeclarations) {
+  // Files and stylesheets from a font service are covered by that service's licence
+  const services = getFontProviders().filter(provider => !provider.fallback);
+  const isServiceUrl = (url) => Boolean(url) && services.some(provider => (provider.urlPatterns || []).some(pattern => pattern.test(url)));
+
+  const licenses = [];
+  const seen = new Set();
+  for (const name of families) {
+    const key = name.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const selfHostedFiles = [];
+    for (const declaration of fontFaceDeclarations) {
+      if (declaration.fontFamily.toLowerCase() !== key || isServiceUrl(declaration.source)) continue;
+      for (const source of declaration.sources || []) {
+        if (!source.url || isServiceUrl(source.url)) continue;
+        const file = source.url.startsWith('data:') ? 'data: URI embedded in CSS' : source.url;
+        if (!selfHostedFiles.includes(file)) selfHostedFiles.push(file);
+      }
+    }
+
+    const entry = lookupFontFamily(name);
+    const license = entry?.license || 'unknown';
+    licenses.push({
+      name,
+      catalogName: entry?.name || null,
+      foundry: entry?.foundry || null,
+      license,
+      licenseName: LICENSE_TYPES[license] || license,
+      homepage: entry?.homepage || null,
+      selfHosted: selfHostedFiles.length > 0,
+      files: selfHostedFiles,
+      needsLegalReview: selfHostedFiles.length > 0 && RESTRICTED_LICENSES.includes(license)
+    });
+  }
+  return licenses;
+}
+
@@ -0,0 +1,170 @@
+import { summarizeFonts } from './font-summary.js';
+import { getSourceFormat } from './performance-audit.js';
+
+// Ways a family is found that don't say who serves it
+const NON_PROVIDER_SOURCES = ['@font-face', 'font-family'];
+
+/**
+ * Compare the typography of two scans
+ * @param {Object} before - detectFonts result of the first URL (e.g. production)
+ * @param {Object} after - detectFonts result of the second URL (e.g. staging)
+ * @returns {Object} - `{ identical, changes, families, styles, providers, fontDisplay, formats }`, where
+ *   families lists `added`, `removed` and `unchanged` families; styles, fontDisplay and formats list
+ *   per-family changes of the families both pages use; providers lists site-wide `added` and `removed`
+ *   services plus families `switched` to another one
+ */
+export function diffFonts(before, after) {
+  const left = buildTypographyProfile(before);
+  const right = buildTypographyProfile(after);
+
+  const families = { added: [], removed: [], unchanged: [] };
+  const styles = [];
+  const switched = [];
+  const fontDisplay = [];
+  const formats = [];
+
+  for (const [key, family] of right) {
+    if (!left.has(key)) families.added.push({ name: family.name, providers: family.providers });
+  }
+  for (const [key, family] of left) {
+    const other = right.get(key);
+    if (!other) {
+      families.removed.push({ name: family.name, providers: family.providers });
+      continue;
+    }
+    families.unchanged.push(family.name);
+
+    const faces = { gained: without(other.faces.keys(), family.faces), lost: without(family.faces.keys(), other.faces) };
+    if (faces.gained.length > 0 || faces.lost.length > 0) {
+      styles.push({ family: family.name, ...faces });
+    }
+
+    if (family.providers.join() !== other.providers.join()) {
+      switched.push({ family: family.name, before: family.providers, after: other.providers });
+    }
+
+    for (const [face, display] of family.faces) {
+      if (other.faces.has(face) && other.faces.get(face) !== display) {
+        fontDisplay.push({ family: family.name, face, before: display, after: other.faces.get(face) });
+      }
+    }
+
+    // Files a service serves through its own CSS aren't listed, so only compare families whose files both pages list
+    const fileFormats = { gained: without(other.formats, family.formats), lost: without(family.formats, other.formats) };
+    if (family.formats.size > 0 && other.formats.size > 0 && (fileFormats.gained.length > 0 || fileFormats.lost.length > 0)) {
+      formats.push({ family: family.name, before: [...family.formats].sort(), after: [...other.formats].sort(), ...fileFormats });
+    }
+  }
+
+  const providerNames = (fontData) => (fontData.fontProviders || []).map(provider => provider.name);
+  const providers = {
+    added: without(providerNames(after), new Set(providerNames(before))),
+    removed: without(providerNames(before), new Set(providerNames(after))),
+    switched
+  };
+
+  const changes = families.added.length + families.removed.length + styles.length +
+    providers.added.length + providers.removed.length + switched.length + fontDisplay.length + formats.length;
+  return {
+    identical: changes === 0,
+    changes,
+    families,
+    styles,
+    providers,
+    fontDisplay,
+    formats
+  };
+}
+
+/**
+ * Spell out a diff as one sentence per change, for alerts and timelines
+ * @param {Object} diff - diffFonts result
+ * @returns {Array<string>}
+ */
+export function describeDiff(diff) {
+  const describeProviders = (providers) => providers.join(', ') || 'font-family declarations only';
+  return [
+    ...diff.families.added.map(family => `Added ${family.name} (${describeProviders(family.providers)})`),
+    ...diff.families.removed.map(family => `Removed ${family.name} (${describeProviders(family.providers)})`),
+    ...diff.providers.added.map(name => `Now uses ${name}`),
+    ...diff.providers.removed.map(name => `No longer uses ${name}`),
+    ...diff.providers.switched.map(change => `${change.family} moved from ${describeProviders(change.before)} to ${describeProviders(change.after)}`),
+    ...diff.styles.flatMap(change => [
+      ...(change.gained.length > 0 ? [`${change.family} gained ${change.gained.join(', ')}`] : []),
+      ...(change.lost.length > 0 ? [`${change.family} lost ${change.lost.join(', ')}`] : [])
+    ]),
+    ...diff.fontDisplay.map(change => `font-display of ${change.family} ${change.face} changed from ${change.before || 'not set'} to ${change.after || 'not set'}`),
+    ...diff.formats.map(change => `${change.family} files changed from ${change.before.join(', ')} to ${change.after.join(', ')}`)
+  ];
+}
+
+/**
+ * Describe each family of a scan by who serves it, its faces with their font-display, and its file formats
+ * @param {Object} fontData - detectFonts result
+ * @returns {Map<string, Object>} - `{ name, providers, faces: Map<face, display>, formats: Set }` by lowercase name
+ */
+function buildTypographyProfile(fontData) {
+  const profile = new Map();
+  const getFamily = (name) => {
+    const key = name.toLowerCase();
+    if (!profile.has(key)) profile.set(key, { name, providers: [], faces: new Map(), formats: new Set() });
+    return profile.get(key);
+  };
+  const addFace = (name, weight, style, display = null) => {
+    const faces = getFamily(name).faces;
+    const face = describeFace(weight, style);
+    // Subsets of one face repeat the rule; the first one that sets font-display wins
+    if (!faces.has(face) || (faces.get(face) === null && display)) faces.set(face, display);
+  };
+
+  for (const { name, via } of summarizeFonts(fontData).families) {
+    const providers = via.filter(source => !NON_PROVIDER_SOURCES.includes(source));
+    getFamily(name).providers = providers.length > 0 ? providers.sort() : via.includes('@font-face') ? ['Self-hosted'] : [];
+  }
+
+  for (const declaration of fontData.fontFaceDeclarations || []) {
+    addFace(declaration.fontFamily, declaration.weight, declaration.style, declaration.display || null);
+    for (const source of declaration.sources || []) {
+      if (source.url) getFamily(declaration.fontFamily).formats.add(getSourceFormat(source));
+    }
+  }
+  for (const font of fontData.googleFonts || []) {
+    for (const style of font.styles || [{ weight: '400', italic: false }]) {
+      addFace(font.name, style.weight, style.italic ? 'italic' : 'normal', font.display || null);
+    }
+  }
+  for (const kit of fontData.adobeFonts || []) {
+    for (const family of kit.families || []) {
+      family.variants.forEach(variant => addFace(family.name, variant.weight, variant.style));
+    }
+  }
+  for (const provider of fontData.fontProviders || []) {
+    for (const family of provider.families) {
+      family.styles.forEach(style => addFace(family.name, style.weight, style.style));
+    }
+  }
+
+  return profile;
+}
+
+/**
+ * @param {string|number} weight - A font-weight value, or a range as "100 900" or Google's "100..900"
+ * @param {string} style - A font-style value
+ * @returns {string} - e.g. '700 italic' or '100 900 normal'
+ */
+function describeFace(weight, style) {
+  const normalizedWeight = String(weight || '400')
+    .split(/\s+|\.\./)
+    .map(part => (part === 'normal' ? '400' : part === 'bold' ? '700' : part))
+    .join(' ');
+  return `${normalizedWeight} ${style || 'normal'}`;
+}
+
+/**
+ * @param {Iterable<string>} values
+ * @param {Set|Map} excluded
+ * @returns {Array<string>} - The values not in `excluded`, sorted
+ */
+function without(values, excluded) {
+  return [...values].filter(value => !excluded.has(value)).sort();
+}
@@ -0,0 +1,57 @@
+/**
+ * Reduce a page's font data to its families and providers
+ * @param {Object} fonts - detectFonts result
+ * @returns {{families: Array, providers: Array<string>}} - Families as `{ name, via }`, where
+ *   via lists how the family was found (a provider, @font-face or a font-family declaration)
+ */
+export function summarizeFonts(fonts) {
+  const families = new Map();
+  const add = (name, via) => {
+    if (!name) return;
+    const key = name.toLowerCase();
+    if (!families.has(key)) families.set(key, { name, via: [] });
+    if (!families.get(key).via.includes(via)) families.get(key).via.push(via);
+  };
+
+  for (const provider of fonts.fontProviders || []) {
+    provider.families.forEach(family => add(family.name, provider.name));
+  }
+  (fonts.fontFaceDeclarations || []).forEach(declaration => add(declaration.fontFamily, '@font-face'));
+  (fonts.computedFonts || []).forEach(font => add(font.name, 'font-family'));
+
+  return {
+    families: Array.from(families.values()),
+    providers: (fonts.fontProviders || []).map(provider => provider.name)
+  };
+}
+
+/**
+ * The distinct font-family stacks of every stylesheet, with var() resolved
+ * @param {Object} fontData
+ * @returns {Array<string>}
+ */
+export function getFontStacks(fontData) {
+  const stacks = [];
+  for (const cssFile of fontData.cssSourceFiles || []) {
+    for (const fontFamily of cssFile.fontFamilies || []) {
+      if (fontFamily.selector === '@font-face') continue;
+      const value = fontFamily.resolvedValue || fontFamily.value;
+      if (value && !value.includes('var(') && !stacks.includes(value)) stacks.push(value);
+    }
+  }
+  return stacks;
+}
+
+/**
+ * The web fonts a page loads whose family isn't on an approved list. Families only named in
+ * font-family stacks are left out: the page doesn't load them, they are fallbacks
+ * @param {Object} fonts - detectFonts result
+ * @param {Array<string>} approved - Approved family names, matched case-insensitively
+ * @returns {Array} - summarizeFonts families, `{ name, via }`
+ */
+export function findUnapprovedFamilies(fonts, approved) {
+  const approvedKeys = new Set(approved.map(name => name.trim().toLowerCase()));
+  return summarizeFonts(fonts).families.filter(family =>
+    family.via.some(via => via !== 'font-family') && !approvedKeys.has(family.name.toLowerCase())
+  );
+}
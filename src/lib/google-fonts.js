@@ -0,0 +1,146 @@
+const GOOGLE_FONTS_HOST = 'fonts.googleapis.com';
+
+// Shorthand style names accepted by the legacy (v1) API
+const V1_WEIGHT_NAMES = {
+  thin: '100',
+  extralight: '200',
+  light: '300',
+  regular: '400',
+  normal: '400',
+  book: '400',
+  medium: '500',
+  semibold: '600',
+  bold: '700',
+  b: '700',
+  extrabold: '800',
+  black: '900'
+};
+
+/**
+ * Check whether a URL points at the Google Fonts CSS API
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isGoogleFontsUrl(url) {
+  return Boolean(url) && url.includes(GOOGLE_FONTS_HOST);
+}
+
+/**
+ * Parse a Google Fonts stylesheet URL, either the legacy `/css?family=A:400,700|B`
+ * syntax or the CSS2 `/css2?family=A:ital,wght@0,400;1,700&family=B` syntax
+ * @param {string} href - The stylesheet URL (may be protocol relative)
+ * @returns {Object|null} - `{ api, families, display, text, subsets }`, null when not a Google Fonts URL
+ */
+export function parseGoogleFontsUrl(href) {
+  let url;
+  try {
+    url = new URL(href, `https://${GOOGLE_FONTS_HOST}`);
+  } catch (e) {
+    return null;
+  }
+  if (url.hostname !== GOOGLE_FONTS_HOST) return null;
+
+  return parseFontsApiUrl(url);
+}
+
+/**
+ * Parse the query of a Google Fonts compatible CSS API URL. Other services
+ * (e.g. Bunny Fonts) mirror the Google Fonts API, so the host isn't checked.
+ * @param {URL} url
+ * @returns {Object} - `{ api, families, display, text, subsets }`
+ */
+export function parseFontsApiUrl(url) {
+  const api = url.pathname.replace(/\/+$/, '').endsWith('/css2') ? 'css2' : 'css';
+  const familyParams = url.searchParams.getAll('family');
+  const families = api === 'css2'
+    ? familyParams.map(parseCss2Family)
+    // v1 puts every family in one parameter, separated by |
+    : familyParams.flatMap(param => param.split('|')).filter(Boolean).map(parseV1Family);
+
+  const subsets = (url.searchParams.get('subset') || '')
+    .split(',')
+    .map(subset => subset.trim())
+    .filter(Boolean);
+
+  return {
+    api,
+    families: families.filter(family => family.name),
+    display: url.searchParams.get('display'),
+    text: url.searchParams.get('text'),
+    subsets
+  };
+}
+
+/**
+ * Parse one CSS2 family spec: `Name`, `Name:wght@400;700`, `Name:ital,wght@0,400;1,700`
+ * or with ranges, `Name:wght@100..900`
+ * @param {string} spec
+ * @returns {Object} - `{ name, axes, styles }`
+ */
+function parseCss2Family(spec) {
+  const [namePart, axesPart] = splitOnce(spec, ':');
+  const name = namePart.trim();
+  if (!axesPart) {
+    return { name, axes: [], styles: [{ weight: '400', italic: false }] };
+  }
+
+  const [axisList, tupleList = ''] = splitOnce(axesPart, '@');
+  const axes = axisList.split(',').map(axis => axis.trim()).filter(Boolean);
+  const tuples = tupleList.split(';').map(tuple => tuple.trim()).filter(Boolean);
+
+  const styles = tuples.map(tuple => {
+    const values = tuple.split(',');
+    const style = { weight: '400', italic: false };
+    axes.forEach((axis, index) => {
+      const value = (values[index] || '').trim();
+      if (axis === 'ital') {
+        style.italic = value === '1';
+      } else if (axis === 'wght') {
+        style.weight = value || '400';
+      } else {
+        style.axes = { ...style.axes, [axis]: value };
+      }
+    });
+    return style;
+  });
+
+  // An axis list without tuples (`Name:ital`) is not valid, treat as the default style
+  return { name, axes, styles: styles.length > 0 ? styles : [{ weight: '400', italic: false }] };
+}
+
+/**
+ * Parse one legacy family spec: `Name`, `Name:400,700italic` or `Name:b,i,bi`
+ * @param {string} spec
+ * @returns {Object} - `{ name, axes, styles }`
+ */
+function parseV1Family(spec) {
+  // A third part (`Name:400:latin`) selects subsets per family
+  const [name, variantList] = spec.split(':');
+  const variants = (variantList || '').split(',').map(variant => variant.trim().toLowerCase()).filter(Boolean);
+
+  const styles = variants.map(variant => {
+    const match = variant.match(/^(\d+|[a-z]*?)(italic|i)?$/);
+    if (!match) return { weight: '400', italic: false };
+    const [, weightPart, italicPart] = match;
+    // `bi` is bold italic, a lone `i`/`italic` the regular italic
+    const weight = /^\d+$/.test(weightPart) ? weightPart : V1_WEIGHT_NAMES[weightPart] || '400';
+    return { weight, italic: Boolean(italicPart) };
+  });
+
+  return {
+    name: name.trim(),
+    axes: [],
+    styles: styles.length > 0 ? styles : [{ weight: '400', italic: false }]
+  };
+}
+
+/**
+ * Split a string at the first occurrence of a separator
+ * @param {string} value
+ * @param {string} separator
+ * @returns {Array<string>} - One element when the separator is absent, two otherwise
+ */
+function splitOnce(value, separator) {
+  const index = value.indexOf(separator);
+  return index === -1 ? [value] : [value.slice(0, index), value.slice(index + 1)];
+}
@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { parseFontsApiUrl, parseGoogleFontsUrl } from './google-fonts.js';
+
+const REGULAR = { weight: '400', italic: false };
+
+describe('parseGoogleFontsUrl', () => {
+  test('reads css2 ital,wght tuples, one family parameter per family', () => {
+    assert.deepEqual(parseGoogleFontsUrl('https://fonts.googleapis.com/css2?family=Roboto:ital,wght@0,400;0,700;1,400&family=Open+Sans&display=swap'), {
+      api: 'css2',
+      families: [
+        { name: 'Roboto', axes: ['ital', 'wght'], styles: [REGULAR, { weight: '700', italic: false }, { weight: '400', italic: true }] },
+        { name: 'Open Sans', axes: [], styles: [REGULAR] }
+      ],
+      display: 'swap',
+      text: null,
+      subsets: []
+    });
+  });
+
+  test('keeps weight ranges and other axes of variable families', () => {
+    const { families, text } = parseGoogleFontsUrl('https://fonts.googleapis.com/css2?family=Inter:wght@100..900&family=Recursive:slnt,wght,CASL@-15..0,300..1000,0..1&text=Hello');
+    assert.deepEqual(families, [
+      { name: 'Inter', axes: ['wght'], styles: [{ weight: '100..900', italic: false }] },
+      { name: 'Recursive', axes: ['slnt', 'wght', 'CASL'], styles: [{ weight: '300..1000', italic: false, axes: { slnt: '-15..0', CASL: '0..1' } }] }
+    ]);
+    assert.equal(text, 'Hello');
+  });
+
+  test('treats an axis list without tuples as the regular style', () => {
+    assert.deepEqual(parseGoogleFontsUrl('https://fonts.googleapis.com/css2?family=Lora:ital').families, [
+      { name: 'Lora', axes: ['ital'], styles: [REGULAR] }
+    ]);
+  });
+
+  test('reads the legacy API: families split by |, numeric and named styles, subsets', () => {
+    assert.deepEqual(parseGoogleFontsUrl('//fonts.googleapis.com/css?family=Open+Sans:400,700italic|Lato:b,i,bi&subset=latin,latin-ext'), {
+      api: 'css',
+      families: [
+        { name: 'Open Sans', axes: [], styles: [REGULAR, { weight: '700', italic: true }] },
+        { name: 'Lato', axes: [], styles: [{ weight: '700', italic: false }, { weight: '400', italic: true }, { weight: '700', italic: true }] }
+      ],
+      display: null,
+      text: null,
+      subsets: ['latin', 'latin-ext']
+    });
+  });
+
+  test('reads a per-family subset and light/regular names in the legacy API', () => {
+    assert.deepEqual(parseGoogleFontsUrl('https://fonts.googleapis.com/css?family=Roboto:light,regular:latin').families, [
+      { name: 'Roboto', axes: [], styles: [{ weight: '300', italic: false }, REGULAR] }
+    ]);
+  });
+
+  test('returns null for other hosts and unparseable URLs', () => {
+    assert.equal(parseGoogleFontsUrl('https://example.com/css2?family=Lora'), null);
+    assert.equal(parseGoogleFontsUrl('http://[bad'), null);
+  });
+});
+
+describe('parseFontsApiUrl', () => {
+  test('reads the same query on services that mirror the API', () => {
+    assert.deepEqual(parseFontsApiUrl(new URL('https://fonts.bunny.net/css?family=lora:400,700')).families, [
+      { name: 'lora', axes: [], styles: [REGULAR, { weight: '700', italic: false }] }
+    ]);
+  });
+});
@@ -0,0 +1,267 @@
+import { mkdir, readdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+// One JSON file per watch and per scan, so the scheduler and the API never rewrite each other's files:
+//   <data dir>/watches/<watch id>.json
+//   <data dir>/scans/<watch id>/<scan id>.json
+//   <data dir>/policies/<policy id>.json
+const DEFAULT_DATA_DIR = '.font-finder';
+
+/**
+ * @returns {string} - Where watches, scan history and policies live; set FONT_FINDER_DATA_DIR to move it
+ */
+export function getDataDir() {
+  return path.resolve(process.env.FONT_FINDER_DATA_DIR || DEFAULT_DATA_DIR);
+}
+
+// Why each feature that writes to disk can't run on Vercel
+const STORAGE_UNAVAILABLE_REASONS = {
+  watches: 'Watching sites needs a server with a persistent disk; Vercel functions keep neither files nor a scheduler running. Self-host Font Finder (npm run build && npm start) to use it',
+  policies: 'Saving policies needs a server with a persistent disk; Vercel functions can\'t write files that outlive the request. Self-host Font Finder (npm run build && npm start), or send the policy with each scan'
+};
+
+export class StorageUnavailableError extends Error {
+  /**
+   * @param {string} reason - See getStorageUnavailableReason
+   */
+  constructor(reason) {
+    super(reason);
+    this.name = 'StorageUnavailableError';
+    this.code = 'ERR_STORAGE_UNAVAILABLE';
+  }
+}
+
+/**
+ * Watches, their history and saved policies are files on local disk, and watches are rescanned
+ * by a scheduler running in the server process. Vercel functions have neither a disk that
+ * outlives the request nor a long-running process, so on Vercel these are turned off rather
+ * than losing data
+ * @param {'watches'|'policies'} [feature]
+ * @returns {string|null} - Why the feature can't keep its files here, or null when it can
+ */
+export function getStorageUnavailableReason(feature = 'watches') {
+  if (!process.env.VERCEL) return null;
+  return STORAGE_UNAVAILABLE_REASONS[feature];
+}
+
+/**
+ * @returns {Promise<Array>} - Every watched URL, oldest first
+ */
+export async function listWatches() {
+  const watches = await readJsonFiles(path.join(getDataDir(), 'watches'));
+  return watches.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export async function getWatch(id) {
+  return readJsonFile(path.join(getDataDir(), 'watches', `${toFileName(id)}.json`));
+}
+
+/**
+ * @param {Object} watch - With an `id`
+ * @returns {Promise<Object>} - The saved watch
+ */
+export async function saveWatch(watch) {
+  await writeJsonFile(path.join(getDataDir(), 'watches', `${toFileName(watch.id)}.json`), watch);
+  return watch;
+}
+
+/**
+ * Forget a watch and its scan history
+ * @param {string} id
+ * @returns {Promise<boolean>} - Whether the watch existed
+ */
+export async function deleteWatch(id) {
+  const existed = Boolean(await getWatch(id));
+  await rm(path.join(getDataDir(), 'watches', `${toFileName(id)}.json`), { force: true });
+  await rm(path.join(getDataDir(), 'scans', toFileName(id)), { recursive: true, force: true });
+  return existed;
+}
+
+/**
+ * @param {string} watchId
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Only read the most recent scans
+ * @param {string} [options.before] - A scan id; only list the scans older than it, for paging
+ * @returns {Promise<Array>} - Scans, newest first
+ */
+export async function listScans(watchId, { limit = Infinity, before = null } = {}) {
+  const directory = path.join(getDataDir(), 'scans', toFileName(watchId));
+  // Scan ids are timestamps, so file names sort by date
+  const files = (await listJsonFiles(directory))
+    .sort()
+    .reverse()
+    .filter(file => !before || file < `${toFileName(before)}.json`)
+    .slice(0, limit);
+  const scans = await Promise.all(files.map(file => readJsonFile(path.join(directory, file))));
+  return scans.filter(Boolean);
+}
+
+/**
+ * @param {string} watchId
+ * @param {Object} scan - With an `id`
+ * @returns {Promise<Object>} - The saved scan
+ */
+export async function saveScan(watchId, scan) {
+  await writeJsonFile(path.join(getDataDir(), 'scans', toFileName(watchId), `${toFileName(scan.id)}.json`), scan);
+  return scan;
+}
+
+/**
+ * Delete all but the most recent scans of a watch
+ * @param {string} watchId
+ * @param {number} keep - How many scans to keep
+ * @returns {Promise<number>} - How many scans were deleted
+ */
+export async function pruneScans(watchId, keep) {
+  const directory = path.join(getDataDir(), 'scans', toFileName(watchId));
+  const old = (await listJsonFiles(directory)).sort().reverse().slice(keep);
+  await Promise.all(old.map(file => rm(path.join(directory, file), { force: true })));
+  return old.length;
+}
+
+/**
+ * @returns {Promise<Array>} - Every saved brand policy, by name
+ */
+export async function listPolicies() {
+  const policies = await readJsonFiles(path.join(getDataDir(), 'policies'));
+  return policies.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export async function getPolicy(id) {
+  return readJsonFile(path.join(getDataDir(), 'policies', `${toFileName(id)}.json`));
+}
+
+/**
+ * @param {Object} policy - With an `id`
+ * @returns {Promise<Object>} - The saved policy
+ * @throws {StorageUnavailableError}
+ */
+export async function savePolicy(policy) {
+  assertStorageAvailable('policies');
+  await writeJsonFile(path.join(getDataDir(), 'policies', `${toFileName(policy.id)}.json`), policy);
+  return policy;
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<boolean>} - Whether the policy existed
+ * @throws {StorageUnavailableError}
+ */
+export async function deletePolicy(id) {
+  assertStorageAvailable('policies');
+  const existed = Boolean(await getPolicy(id));
+  await rm(path.join(getDataDir(), 'policies', `${toFileName(id)}.json`), { force: true });
+  return existed;
+}
+
+/**
+ * @param {Object} watch - A stored watch
+ * @returns {Object} - The watch as the API shows it, with only the host of its webhook: webhook
+ *   URLs carry their own credentials, and reading watches needs no API key
+ */
+export function toWatchSummary(watch) {
+  const { webhookUrl, ...summary } = watch;
+  return { ...summary, webhookHost: webhookUrl ? hostOf(webhookUrl) : null };
+}
+
+/**
+ * @param {Object} scan - A stored scan
+ * @returns {Object} - The scan without its full font data, which lists and timelines don't need,
+ *   and with only the host of the webhook it alerted, see toWatchSummary
+ */
+export function toScanSummary(scan) {
+  const summary = { ...scan };
+  delete summary.fonts;
+  if (scan.webhook) {
+    const { url, ...webhook } = scan.webhook;
+    const host = hostOf(url);
+    // Errors such as "Blocked <url>: ..." repeat the URL
+    summary.webhook = { ...webhook, host, error: webhook.error && webhook.error.split(url).join(host) };
+  }
+  return summary;
+}
+
+/**
+ * @param {'watches'|'policies'} feature
+ * @throws {StorageUnavailableError} - When the feature can't keep its files here
+ */
+function assertStorageAvailable(feature) {
+  const unavailable = getStorageUnavailableReason(feature);
+  if (unavailable) throw new StorageUnavailableError(unavailable);
+}
+
+/**
+ * @param {string} url
+ * @returns {string} - The URL's host, or a placeholder when it doesn't parse
+ */
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (e) {
+    return 'an invalid URL';
+  }
+}
+
+/**
+ * @param {string} id - A watch or scan id
+ * @returns {string} - The id, safe to use as a file name
+ */
+function toFileName(id) {
+  return String(id).replace(/[^a-zA-Z0-9_.-]/g, '_');
+}
+
+/**
+ * @param {string} directory
+ * @returns {Promise<Array<string>>} - The .json files in a directory, none if it doesn't exist
+ */
+async function listJsonFiles(directory) {
+  try {
+    return (await readdir(directory)).filter(file => file.endsWith('.json'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * @param {string} directory
+ * @returns {Promise<Array>} - The contents of every .json file in a directory
+ */
+async function readJsonFiles(directory) {
+  const files = await listJsonFiles(directory);
+  const contents = await Promise.all(files.map(file => readJsonFile(path.join(directory, file))));
+  return contents.filter(Boolean);
+}
+
+/**
+ * @param {string} file
+ * @returns {Promise<Object|null>} - The parsed file, or null if it doesn't exist
+ */
+async function readJsonFile(file) {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Write through a temporary file, so a crash mid-write never leaves half a file behind
+ * @param {string} file
+ * @param {Object} data
+ */
+async function writeJsonFile(file, data) {
+  await mkdir(path.dirname(file), { recursive: true });
+  const temporaryFile = `${file}.${process.pid}.tmp`;
+  await writeFile(temporaryFile, JSON.stringify(data, null, 2));
+  await rename(temporaryFile, file);
+}
@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, afterEach, before, describe, test } from 'node:test';
+import { deletePolicy, getStorageUnavailableReason, listPolicies, StorageUnavailableError, toScanSummary, toWatchSummary } from './history-store.js';
+import { storePolicy } from './policy.js';
+
+let directory;
+
+before(async () => {
+  directory = await mkdtemp(join(tmpdir(), 'font-finder-'));
+  process.env.FONT_FINDER_DATA_DIR = directory;
+});
+
+afterEach(() => {
+  delete process.env.VERCEL;
+});
+
+after(async () => {
+  await rm(directory, { recursive: true, force: true });
+});
+
+describe('saved policies', () => {
+  test('are saved, listed and deleted on a server with a disk', async () => {
+    assert.equal(getStorageUnavailableReason('policies'), null);
+    const policy = await storePolicy({ name: 'Brand', approvedFamilies: ['Inter'] });
+    assert.deepEqual((await listPolicies()).map(saved => saved.id), [policy.id]);
+    assert.equal(await deletePolicy(policy.id), true);
+    assert.deepEqual(await listPolicies(), []);
+  });
+
+  test('are refused on Vercel without writing anything', async () => {
+    const saved = await storePolicy({ name: 'Brand' });
+    process.env.VERCEL = '1';
+
+    const reason = getStorageUnavailableReason('policies');
+    assert.match(reason, /^Saving policies needs a server with a persistent disk/);
+    await assert.rejects(storePolicy({ name: 'Other' }), { name: 'StorageUnavailableError', code: 'ERR_STORAGE_UNAVAILABLE', message: reason });
+    await assert.rejects(deletePolicy(saved.id), StorageUnavailableError);
+    assert.deepEqual(await readdir(join(directory, 'policies')), [`${saved.id}.json`]);
+  });
+});
+
+describe('watch and scan summaries', () => {
+  const webhookUrl = 'https://hooks.example.com/services/T000/B000/secret-token';
+
+  test('show only the host of a watch\'s webhook', () => {
+    const summary = toWatchSummary({ id: 'watch', normalizedUrl: 'https://example.com/', webhookUrl });
+    assert.deepEqual(summary, { id: 'watch', normalizedUrl: 'https://example.com/', webhookHost: 'hooks.example.com' });
+    assert.equal(toWatchSummary({ id: 'watch', webhookUrl: null }).webhookHost, null);
+  });
+
+  test('leave the webhook URL and the font data out of a scan', () => {
+    const summary = toScanSummary({
+      id: 'scan',
+      fonts: { cssSourceFiles: [] },
+      webhook: { url: webhookUrl, status: 'failed', statusCode: null, error: `Blocked ${webhookUrl}: hooks.example.com is a private address` }
+    });
+    assert.deepEqual(summary, {
+      id: 'scan',
+      webhook: { host: 'hooks.example.com', status: 'failed', statusCode: null, error: 'Blocked hooks.example.com: hooks.example.com is a private address' }
+    });
+    assert.ok(!JSON.stringify(summary).includes('secret-token'));
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Font Finder's programmatic API. Nothing here depends on Next.js, so build scripts, CI
+ * checks and other servers can import it directly:
+ *
+ *   import { detectFonts, summarizeFonts } from 'font-finder';
+ *
+ *   const fonts = await detectFonts('https://example.com');
+ *   console.log(summarizeFonts(fonts).families.map(family => family.name));
+ *
+ * Network access goes through the SSRF-hardened fetch layer, configured with the same
+ * FONT_FINDER_* environment variables as the app (FONT_FINDER_ALLOW_PRIVATE_NETWORKS to
+ * scan a local server, FONT_FINDER_ALLOWED_PORTS for ports other than 80, 443, 8080 and 8443).
+ * Only the exports below are public; the modules behind them may change.
+ */
+
+// Scanning pages: detectFonts(url, { mode, analyzeFontFiles, auditPerformance, html, fetcher, onProgress, logger })
+// resolves to the full font data; detectFontsCached adds the in-memory scan cache
+export { detectFonts, detectFontsCached, DETECTION_MODES } from './detect-fonts.js';
+// Sharing downloaded stylesheets and font files between the scans of one site
+export { createResourceFetcher } from './cache.js';
+
+// Reading CSS without fetching anything: extractFontFamiliesFromCSS(css) lists the font-family
+// declarations, analyzeStylesheet(css) adds @font-face rules, custom properties and @imports
+export {
+  analyzeStylesheet,
+  extractFontFamiliesFromCSS,
+  parseFontShorthand,
+  splitFontFamilyList,
+  GENERIC_FONT_FAMILIES
+} from './css-parser.js';
+
+// Working with a scan result
+export { summarizeFonts, getFontStacks, findUnapprovedFamilies } from './font-summary.js';
+export { exportFonts, EXPORT_FORMATS } from './exporters.js';
+export { diffFonts, describeDiff } from './font-diff.js';
+// Brand policies: checkCompliance(fonts, normalizePolicy({ approvedFamilies, allowedWeights, ... }))
+export { checkCompliance, normalizePolicy, PolicyError, POLICY_RULES } from './policy.js';
+
+// Thrown by detectFonts when the page itself may not be fetched
+export { BlockedRequestError } from './safe-fetch.js';
@@ -0,0 +1,235 @@
+import { createHmac, randomUUID } from 'node:crypto';
+import { detectFonts, DETECTION_MODES } from './detect-fonts.js';
+import { describeDiff, diffFonts } from './font-diff.js';
+import { summarizeFonts } from './font-summary.js';
+import { getStorageUnavailableReason, getWatch, listScans, listWatches, pruneScans, saveScan, saveWatch } from './history-store.js';
+import { checkUrl, normalizeUrl, safeFetch } from './safe-fetch.js';
+
+export const DEFAULT_INTERVAL_MINUTES = 24 * 60;
+export const MIN_INTERVAL_MINUTES = 1;
+// Scans kept per watch; FONT_FINDER_MAX_SCANS_PER_WATCH changes it
+export const DEFAULT_MAX_SCANS_PER_WATCH = 100;
+
+// How often the scheduler looks for watches that are due
+const TICK_MS = 60 * 1000;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// The scheduler (started from instrumentation.js) and the API routes are bundled separately,
+// so the state they share lives on globalThis rather than in this module
+const state = globalThis.__fontFinderMonitor || (globalThis.__fontFinderMonitor = { timer: null, ticking: false, scanning: new Set() });
+
+/**
+ * Validate and store a new watched URL
+ * @param {Object} options
+ * @param {string} options.url
+ * @param {string} [options.mode] - One of DETECTION_MODES
+ * @param {number} [options.intervalMinutes] - How often to rescan
+ * @param {string|null} [options.webhookUrl] - Where to report changes; FONT_FINDER_WEBHOOK_URL when not set
+ * @returns {Promise<Object>} - The watch
+ */
+export async function createWatch({ url, mode = 'static', intervalMinutes = DEFAULT_INTERVAL_MINUTES, webhookUrl = null }) {
+  if (typeof url !== 'string' || !url.trim()) {
+    throw new Error('url must be a URL');
+  }
+  if (!DETECTION_MODES.includes(mode)) {
+    throw new Error(`Unknown mode "${mode}", expected one of: ${DETECTION_MODES.join(', ')}`);
+  }
+  if (!Number.isInteger(intervalMinutes) || intervalMinutes < MIN_INTERVAL_MINUTES) {
+    throw new Error(`intervalMinutes must be a whole number of at least ${MIN_INTERVAL_MINUTES}`);
+  }
+  if (webhookUrl !== null && !/^https?:\/\//i.test(webhookUrl)) {
+    throw new Error('webhookUrl must be an http(s) URL');
+  }
+
+  const trimmedUrl = url.trim();
+  const normalizedUrl = normalizeUrl(trimmedUrl);
+  // Refuse what every scan (or alert) would be blocked for, while the user is still there to see why
+  await checkUrl(normalizedUrl);
+  if (webhookUrl !== null) await checkUrl(webhookUrl);
+
+  const now = new Date().toISOString();
+  return saveWatch({
+    id: randomUUID(),
+    url: trimmedUrl,
+    normalizedUrl,
+    mode,
+    intervalMinutes,
+    webhookUrl,
+    createdAt: now,
+    // Due straight away: the scheduler picks it up if its first scan doesn't get stored
+    nextScanAt: now,
+    lastScanAt: null,
+    lastChangeAt: null
+  });
+}
+
+/**
+ * @returns {number} - How many scans each watch keeps, the oldest being deleted first
+ */
+export function getMaxScansPerWatch() {
+  const configured = Number(process.env.FONT_FINDER_MAX_SCANS_PER_WATCH);
+  return Number.isInteger(configured) && configured >= 1 ? configured : DEFAULT_MAX_SCANS_PER_WATCH;
+}
+
+/**
+ * @param {string} id - A watch id
+ * @returns {boolean} - Whether a scan of the watch is running
+ */
+export function isWatchScanning(id) {
+  return state.scanning.has(id);
+}
+
+/**
+ * Scan a watched URL, diff it against the previous successful scan, store the result
+ * and report changes to the webhook
+ * @param {Object} watch
+ * @returns {Promise<Object>} - The stored scan
+ */
+export async function runWatch(watch) {
+  if (state.scanning.has(watch.id)) {
+    throw new Error(`${watch.normalizedUrl} is already being scanned`);
+  }
+  state.scanning.add(watch.id);
+
+  try {
+    const scannedAt = new Date();
+    const scan = {
+      // Timestamps sort, so the store can list scans by date from their ids alone
+      id: scannedAt.toISOString().replace(/[:.]/g, '-'),
+      watchId: watch.id,
+      url: watch.normalizedUrl,
+      scannedAt: scannedAt.toISOString(),
+      status: 'ok',
+      error: null,
+      families: [],
+      providers: [],
+      previousScanId: null,
+      diff: null,
+      changes: [],
+      webhook: null,
+      fonts: null
+    };
+
+    try {
+      const fonts = await detectFonts(watch.normalizedUrl, { mode: watch.mode, analyzeFontFiles: false, auditPerformance: false });
+      // The stylesheets' text is most of a scan's size, and diffs only need what was parsed out of it
+      scan.fonts = {
+        ...fonts,
+        cssSourceFiles: fonts.cssSourceFiles.map(({ content, ...cssFile }) => cssFile)
+      };
+      Object.assign(scan, summarizeFonts(scan.fonts));
+    } catch (error) {
+      console.error(`Monitored scan of ${watch.normalizedUrl} failed:`, error.message);
+      scan.status = 'error';
+      scan.error = error.message;
+    }
+
+    if (scan.status === 'ok') {
+      const previous = (await listScans(watch.id, { limit: 20 })).find(candidate => candidate.status === 'ok');
+      if (previous) {
+        scan.previousScanId = previous.id;
+        scan.diff = diffFonts(previous.fonts, scan.fonts);
+        scan.changes = describeDiff(scan.diff);
+      }
+    }
+
+    const webhookUrl = watch.webhookUrl || process.env.FONT_FINDER_WEBHOOK_URL || null;
+    if (scan.diff && !scan.diff.identical && webhookUrl) {
+      scan.webhook = await sendWebhook(webhookUrl, buildChangePayload(watch, scan));
+    }
+
+    // Re-read the watch: it may have been edited or deleted while the scan ran
+    const current = await getWatch(watch.id);
+    if (!current) return scan;
+
+    await saveScan(watch.id, scan);
+    await pruneScans(watch.id, getMaxScansPerWatch());
+    await saveWatch({
+      ...current,
+      lastScanAt: scan.scannedAt,
+      lastChangeAt: scan.changes.length > 0 ? scan.scannedAt : current.lastChangeAt,
+      nextScanAt: new Date(scannedAt.getTime() + current.intervalMinutes * 60 * 1000).toISOString()
+    });
+    return scan;
+  } finally {
+    state.scanning.delete(watch.id);
+  }
+}
+
+/**
+ * Scan every watch whose next scan is due, one at a time
+ * @returns {Promise<number>} - How many watches were scanned
+ */
+export async function runDueWatches() {
+  if (state.ticking) return 0;
+  state.ticking = true;
+
+  try {
+    const now = new Date().toISOString();
+    const due = (await listWatches()).filter(watch => watch.nextScanAt <= now && !state.scanning.has(watch.id));
+    for (const watch of due) {
+      try {
+        await runWatch(watch);
+      } catch (error) {
+        console.error(`Could not run the watch of ${watch.normalizedUrl}:`, error.message);
+      }
+    }
+    return due.length;
+  } finally {
+    state.ticking = false;
+  }
+}
+
+/**
+ * Start checking for due watches every minute; set FONT_FINDER_MONITOR=off to disable.
+ * Only a long-running server keeps the timer going, see getStorageUnavailableReason
+ */
+export function startMonitor() {
+  if (state.timer || process.env.FONT_FINDER_MONITOR === 'off' || getStorageUnavailableReason()) return;
+  state.timer = setInterval(() => {
+    runDueWatches().catch(error => console.error('Font monitor error:', error));
+  }, TICK_MS);
+  // Don't keep a process alive just for the monitor
+  state.timer.unref?.();
+}
+
+/**
+ * The body of a change alert
+ * @param {Object} watch
+ * @param {Object} scan - A scan with a diff
+ * @returns {Object}
+ */
+function buildChangePayload(watch, scan) {
+  return {
+    event: 'fonts.changed',
+    watch: { id: watch.id, url: watch.normalizedUrl },
+    scan: { id: scan.id, scannedAt: scan.scannedAt, previousScanId: scan.previousScanId },
+    text: `Fonts changed on ${watch.normalizedUrl}:\n${scan.changes.map(change => `- ${change}`).join('\n')}`,
+    changes: scan.changes,
+    diff: scan.diff
+  };
+}
+
+/**
+ * POST a JSON payload, signed with FONT_FINDER_WEBHOOK_SECRET when it is set. Webhook URLs
+ * go through safeFetch like scans do, so a receiver on localhost or a private network
+ * needs FONT_FINDER_ALLOW_PRIVATE_NETWORKS
+ * @param {string} url
+ * @param {Object} payload
+ * @returns {Promise<Object>} - The delivery as `{ url, status: 'sent'|'failed', statusCode, error }`
+ */
+export async function sendWebhook(url, payload) {
+  const body = JSON.stringify(payload);
+  const headers = { 'Content-Type': 'application/json', 'User-Agent': 'font-finder-monitor' };
+  if (process.env.FONT_FINDER_WEBHOOK_SECRET) {
+    headers['X-Font-Finder-Signature'] = `sha256=${createHmac('sha256', process.env.FONT_FINDER_WEBHOOK_SECRET).update(body).digest('hex')}`;
+  }
+
+  try {
+    const response = await safeFetch(url, { method: 'POST', data: body, headers, timeout: WEBHOOK_TIMEOUT_MS });
+    return { url, status: 'sent', statusCode: response.status, error: null };
+  } catch (error) {
+    console.error(`Webhook ${url} failed:`, error.message);
+    return { url, status: 'failed', statusCode: error.response?.status ?? null, error: error.message };
+  }
+}
@@ -0,0 +1,628 @@
+import { ERROR_CODES } from './api-errors.js';
+import { DETECTION_MODES } from './detect-fonts.js';
+import { EXPORT_FORMATS } from './exporters.js';
+import { summarizeFonts } from './font-summary.js';
+import { getFontProviders } from './providers/index.js';
+import { checkCompliance, FONT_DISPLAY_VALUES, POLICY_RULES, SELF_HOSTED_PROVIDER } from './policy.js';
+
+export const API_VERSION = 'v1';
+
+const nullableString = { type: ['string', 'null'] };
+const stringList = { type: 'array', items: { type: 'string' } };
+const cssContext = { $ref: '#/components/schemas/CssContext' };
+
+/**
+ * The sections of a scan result, in the order they are returned. Each is an array except
+ * performanceAudit, which is null when the audit didn't run
+ */
+const SECTION_SCHEMAS = {
+  fontProviders: {
+    description: 'Font services and foundries the page loads from, with the evidence and the families each serves',
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['id', 'name', 'evidence', 'families'],
+      properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        homepage: nullableString,
+        evidence: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['kind'],
+            properties: { kind: { type: 'string' }, url: nullableString, detail: nullableString }
+          }
+        },
+        families: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['name'],
+            properties: { name: { type: 'string' }, styles: { type: 'array' }, urls: stringList }
+          }
+        }
+      }
+    }
+  },
+  googleFonts: {
+    description: 'Families requested from the Google Fonts CSS API, one entry per family and URL',
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['name', 'url', 'styles'],
+      properties: {
+        name: { type: 'string' },
+        url: { type: 'string' },
+        api: { type: 'string' },
+        styles: {
+          type: 'array',
+          items: { type: 'object', properties: { weight: { type: 'string' }, italic: { type: 'boolean' } } }
+        },
+        axes: stringList,
+        display: nullableString,
+        text: nullableString,
+        subsets: stringList,
+        source: { type: 'string' }
+      }
+    }
+  },
+  googleFontsPreconnects: {
+    description: 'preconnect and dns-prefetch hints to the Google Fonts hosts',
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['url'],
+      properties: { url: { type: 'string' }, rel: { type: 'string' }, crossorigin: { type: 'boolean' } }
+    }
+  },
+  adobeFonts: {
+    description: 'Adobe Fonts kits and the families in each, with whether the page uses them',
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['url', 'families'],
+      properties: {
+        url: { type: 'string' },
+        scriptUrl: nullableString,
+        projectId: nullableString,
+        embed: { type: 'string' },
+        error: nullableString,
+        families: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['name', 'used'],
+            properties: {
+              name: { type: 'string' },
+              variants: { type: 'array' },
+              references: { type: 'array' },
+              usesKitClass: { type: 'boolean' },
+              rendered: { type: ['boolean', 'null'] },
+              used: { type: 'boolean' }
+            }
+          }
+        }
+      }
+    }
+  },
+  fontFiles: {
+    description: 'Font files referenced by @font-face rules, with the metadata read from each file when it was analysed',
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['url', 'declaredFamilies'],
+      properties: {
+        url: { type: 'string' },
+        format: nullableString,
+        declaredFamilies: stringList,
+        metadata: { type: ['object', 'null'] },
+        error: { type: 'string' },
+        renamed: { type: 'boolean' }
+      }
+    }
+  },
+  fontFaceDeclarations: {
+    description: 'Every @font-face rule, with its resolved sources and where it was declared',
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['fontFamily', 'sources', 'source'],
+      properties: {
+        fontFamily: { type: 'string' },
+        src: { type: 'string' },
+        sources: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { url: nullableString, local: nullableString, format: nullableString, tech: nullableString }
+          }
+        },
+        style: { type: 'string' },
+        weight: { type: 'string' },
+        stretch: { type: 'string' },
+        display: { type: 'string' },
+        unicodeRange: nullableString,
+        source: { type: 'string' },
+        stylesheetId: { type: 'integer' },
+        line: { type: ['integer', 'null'] },
+        context: cssContext
+      }
+    }
+  },
+  preloadedFonts: {
+    description: 'Fonts preloaded with <link rel="preload" as="font">',
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['url'],
+      properties: { url: { type: 'string' }, crossorigin: nullableString, format: { type: 'string' } }
+    }
+  },
+  cssImportFonts: {
+    description: 'Font stylesheets and files pulled in with @import',
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['url'],
+      properties: { url: { type: 'string' }, importedBy: { type: 'string' }, line: { type: ['integer', 'null'] } }
+    }
+  },
+  systemFontStacks: {
+    description: 'font-family stacks that fall back to the operating system\'s fonts',
+    type: 'array',
+    items: { type: 'object', required: ['stack'], properties: { stack: { type: 'string' } } }
+  },
+  computedFonts: {
+    description: 'Families named in font-family stacks, or in rendered mode the faces that actually rendered text',
+    type: 'array',
+    items: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } }
+  },
+  unusedFonts: {
+    description: 'Declared families no text rendered with (rendered mode only)',
+    type: 'array',
+    items: { type: 'object', required: ['name'], properties: { name: { type: 'string' }, declaredIn: stringList } }
+  },
+  cssVarFonts: {
+    description: 'Custom properties holding font stacks (e.g. --font-sans), with var() references resolved',
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['variable', 'value', 'families'],
+      properties: {
+        variable: { type: 'string' },
+        value: { type: 'string' },
+        resolvedValue: { type: 'string' },
+        families: stringList,
+        selector: nullableString,
+        source: { type: 'string' },
+        line: { type: ['integer', 'null'] },
+        context: cssContext
+      }
+    }
+  },
+  fontApiLoaded: {
+    description: 'Fonts loaded through the CSS Font Loading API (new FontFace)',
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['family'],
+      properties: {
+        family: { type: 'string' },
+        url: nullableString,
+        loadTime: { type: ['number', 'null'] },
+        status: { type: 'string' }
+      }
+    }
+  },
+  cssSourceFiles: {
+    description: 'Every stylesheet read (linked, @import-ed, inline and style attributes) with its font-family and font-weight declarations',
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['id', 'source', 'url', 'fontFamilies', 'imports'],
+      properties: {
+        id: { type: 'integer' },
+        parentId: { type: ['integer', 'null'] },
+        depth: { type: 'integer' },
+        source: { type: 'string' },
+        url: nullableString,
+        content: nullableString,
+        renderBlocking: { type: 'boolean' },
+        fontFamilies: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['selector', 'value'],
+            properties: {
+              selector: nullableString,
+              value: { type: 'string' },
+              resolvedValue: { type: 'string' },
+              line: { type: ['integer', 'null'] },
+              context: cssContext
+            }
+          }
+        },
+        fontWeights: {
+          description: 'The weights selector rules set (font-weight and font shorthands), with the font-family the same rule sets',
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['selector', 'value', 'family'],
+            properties: {
+              selector: nullableString,
+              value: { type: 'string' },
+              resolvedValue: { type: 'string' },
+              family: nullableString,
+              resolvedFamily: { type: 'string' },
+              line: { type: ['integer', 'null'] },
+              context: cssContext
+            }
+          }
+        },
+        imports: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['url', 'status'],
+            properties: {
+              url: { type: 'string' },
+              id: { type: ['integer', 'null'] },
+              media: nullableString,
+              layer: nullableString,
+              supports: nullableString,
+              line: { type: ['integer', 'null'] },
+              status: { enum: ['loaded', 'cycle', 'depth-limit', 'duplicate', 'empty', 'error'] }
+            }
+          }
+        }
+      }
+    }
+  },
+  fontLicenses: {
+    description: 'The licence of each detected family, and whether the site serves restricted fonts itself',
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['name', 'license', 'selfHosted', 'needsLegalReview'],
+      properties: {
+        name: { type: 'string' },
+        catalogName: nullableString,
+        foundry: nullableString,
+        license: { type: 'string' },
+        licenseName: { type: 'string' },
+        homepage: nullableString,
+        selfHosted: { type: 'boolean' },
+        files: stringList,
+        needsLegalReview: { type: 'boolean' }
+      }
+    }
+  },
+  fontAlternatives: {
+    description: 'Open-licence stand-ins for the paid families, ranked by similarity',
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['family', 'basis', 'alternatives'],
+      properties: {
+        family: { type: 'string' },
+        category: nullableString,
+        basis: { enum: ['font-file', 'catalog'] },
+        fontFile: nullableString,
+        metrics: { type: ['object', 'null'] },
+        alternatives: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['name', 'similarity'],
+            properties: {
+              name: { type: 'string' },
+              license: { type: 'string' },
+              similarity: { type: 'number' },
+              reasons: stringList,
+              cssUrl: nullableString
+            }
+          }
+        }
+      }
+    }
+  },
+  performanceAudit: {
+    description: 'A score for how the fonts are loaded, with the issues found',
+    type: ['object', 'null'],
+    required: ['score', 'rating', 'issues'],
+    properties: {
+      score: { type: 'number' },
+      rating: { type: 'string' },
+      totals: { type: 'object' },
+      files: { type: 'array' },
+      issues: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'severity', 'title'],
+          properties: {
+            id: { type: 'string' },
+            severity: { enum: ['high', 'medium', 'low'] },
+            title: { type: 'string' },
+            description: { type: 'string' },
+            fix: { type: 'string' },
+            items: { type: 'array' }
+          }
+        }
+      },
+      passed: { type: 'array' },
+      skipped: { type: 'array', description: 'Checks that couldn\'t be run, e.g. the payload budget when no file could be measured' }
+    }
+  },
+  blockedRequests: {
+    description: 'Stylesheets, font files and browser requests the fetch layer refused',
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['url', 'reason'],
+      properties: { url: { type: 'string' }, reason: { type: 'string' } }
+    }
+  }
+};
+
+export const SCAN_SECTIONS = Object.keys(SECTION_SCHEMAS);
+
+export const API_SCHEMAS = {
+  CssContext: {
+    type: 'object',
+    description: 'The at-rules a declaration is nested in, null where it isn\'t',
+    properties: { media: nullableString, supports: nullableString, layer: nullableString, container: nullableString }
+  },
+  Fonts: {
+    type: 'object',
+    description: 'The requested sections of the scan result',
+    properties: SECTION_SCHEMAS,
+    additionalProperties: false
+  },
+  Summary: {
+    type: 'object',
+    required: ['families', 'providers'],
+    properties: {
+      families: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name', 'via'],
+          properties: { name: { type: 'string' }, via: stringList }
+        }
+      },
+      providers: stringList
+    }
+  },
+  Cache: {
+    type: 'object',
+    required: ['scan'],
+    properties: {
+      scan: { enum: ['hit', 'miss', 'bypass', 'disabled'] },
+      storedAt: nullableString,
+      expiresAt: nullableString,
+      resources: { type: ['object', 'null'] }
+    }
+  },
+  ScanResult: {
+    type: 'object',
+    required: ['apiVersion', 'url', 'mode', 'sections', 'summary', 'fonts', 'cache'],
+    properties: {
+      apiVersion: { enum: [API_VERSION] },
+      url: { type: 'string', description: 'The scanned URL, with https:// added when it had no scheme' },
+      mode: { enum: DETECTION_MODES },
+      sections: { type: 'array', items: { enum: SCAN_SECTIONS } },
+      summary: { $ref: '#/components/schemas/Summary' },
+      fonts: { $ref: '#/components/schemas/Fonts' },
+      cache: { $ref: '#/components/schemas/Cache' },
+      compliance: { $ref: '#/components/schemas/ComplianceReport', description: 'Only when a policy was sent' }
+    },
+    additionalProperties: false
+  },
+  Policy: {
+    type: 'object',
+    description: 'A brand policy. Every rule is optional; one left out or null allows anything',
+    properties: {
+      name: { type: 'string' },
+      approvedFamilies: {
+        type: ['array', 'null'],
+        description: 'Family names, or { name, weights } to limit the weights of one family',
+        items: {
+          type: ['string', 'object'],
+          properties: { name: { type: 'string' }, weights: { type: ['array', 'null'], items: { type: 'integer' } } }
+        }
+      },
+      allowedWeights: { type: ['array', 'null'], items: { type: 'integer' }, description: 'The weights any approved family may use' },
+      allowedProviders: {
+        type: ['array', 'null'],
+        items: { enum: [...getFontProviders().map(provider => provider.id), SELF_HOSTED_PROVIDER] }
+      },
+      requireFontDisplay: { type: 'boolean', description: 'Every @font-face rule and Google Fonts request must set font-display' },
+      allowedFontDisplay: { type: ['array', 'null'], items: { enum: FONT_DISPLAY_VALUES } }
+    }
+  },
+  ComplianceReport: {
+    type: 'object',
+    description: 'The scan checked against the policy, with every violation and where it is declared',
+    required: ['policy', 'compliant', 'counts', 'violations'],
+    properties: {
+      policy: {
+        type: 'object',
+        required: ['id', 'name'],
+        properties: { id: { ...nullableString, description: 'null for a policy sent with the request' }, name: { type: 'string' } }
+      },
+      compliant: { type: 'boolean' },
+      counts: { type: 'object', description: 'Violations per rule' },
+      violations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['rule', 'message', 'family', 'stylesheet', 'selector', 'line', 'resource'],
+          properties: {
+            rule: { enum: POLICY_RULES },
+            message: { type: 'string' },
+            family: nullableString,
+            stylesheet: { ...nullableString, description: 'The URL of the stylesheet, or how inline CSS was included' },
+            selector: { ...nullableString, description: 'The rule the font is declared in, e.g. @font-face or body' },
+            line: { type: ['integer', 'null'] },
+            resource: { ...nullableString, description: 'A script or file found outside any stylesheet' },
+            weight: { type: 'string' },
+            provider: { type: 'string' },
+            fontDisplay: nullableString
+          }
+        }
+      }
+    }
+  },
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'status', 'message'],
+        properties: {
+          code: { enum: Object.keys(ERROR_CODES) },
+          status: { type: 'integer' },
+          message: { type: 'string', description: 'For people; clients should branch on code' },
+          details: { type: ['object', 'null'], description: 'Context for the code, e.g. the parameter at fault or the blocked URL' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Build the JSON answer of the v1 fonts API from a scan
+ * @param {Object} fonts - The detectFonts result
+ * @param {Object} options
+ * @param {string} options.url - The scanned URL
+ * @param {string} options.mode - One of DETECTION_MODES
+ * @param {Array<string>} [options.sections] - The sections to return, all of them by default
+ * @param {Object} options.cache - The cache report of detectFontsCached
+ * @param {Object|null} [options.policy] - A normalized policy to check the whole scan against
+ * @returns {Object} - A ScanResult
+ */
+export function toScanResult(fonts, { url, mode, sections = SCAN_SECTIONS, cache, policy = null }) {
+  return {
+    apiVersion: API_VERSION,
+    url,
+    mode,
+    sections,
+    summary: summarizeFonts(fonts),
+    fonts: Object.fromEntries(sections.map(section => [section, fonts[section]])),
+    cache,
+    // Checked against the whole scan, whichever sections are returned
+    ...(policy && { compliance: checkCompliance(fonts, policy) })
+  };
+}
+
+/**
+ * The OpenAPI description of the versioned API, served at /api/v1/openapi.json
+ * @param {Object} [options]
+ * @param {string} [options.serverUrl] - The origin the API is served from
+ * @returns {Object} - An OpenAPI 3.1 document
+ */
+export function getOpenApiDocument({ serverUrl } = {}) {
+  const errorResponse = (codes) => ({
+    description: codes.map(code => `${code}: ${ERROR_CODES[code].description}`).join('. '),
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+  });
+  const errorResponses = {
+    400: errorResponse(['INVALID_REQUEST', 'INVALID_URL']),
+    401: errorResponse(['API_KEY_REQUIRED', 'INVALID_API_KEY']),
+    403: errorResponse(['URL_BLOCKED']),
+    429: errorResponse(['RATE_LIMITED', 'QUOTA_EXCEEDED']),
+    500: errorResponse(['INTERNAL_ERROR', 'RESPONSE_VALIDATION_FAILED']),
+    502: errorResponse(['TARGET_HTTP_ERROR', 'TARGET_UNREACHABLE']),
+    504: errorResponse(['TARGET_TIMEOUT'])
+  };
+  const scanResponses = {
+    200: {
+      description: 'The fonts found on the page. With a format other than json, the export file instead',
+      content: {
+        'application/json': { schema: { $ref: '#/components/schemas/ScanResult' } },
+        'text/csv': { schema: { type: 'string' } },
+        'text/markdown': { schema: { type: 'string' } }
+      }
+    },
+    ...errorResponses
+  };
+
+  const scanOptions = {
+    url: { type: 'string', description: 'The page to scan; https:// is added when there is no scheme' },
+    mode: { enum: DETECTION_MODES, default: 'static', description: 'static reads the HTML response, rendered loads the page in headless Chromium first' },
+    sections: {
+      type: 'array',
+      items: { enum: SCAN_SECTIONS },
+      description: 'The sections to return, all of them by default. Font files are only downloaded for fontFiles and fontAlternatives, and the performance audit only runs for performanceAudit'
+    },
+    fresh: { type: 'boolean', default: false, description: 'Scan again instead of answering from a recent scan' },
+    format: { enum: EXPORT_FORMATS, default: 'json', description: 'Return an export of the whole scan instead of JSON; sections doesn\'t apply' },
+    policy: {
+      oneOf: [{ type: 'string' }, { $ref: '#/components/schemas/Policy' }],
+      description: 'Check the scan against a brand policy, saved (its id) or sent with the request, and add a compliance report. Only with the json format'
+    }
+  };
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Font Finder API',
+      version: API_VERSION,
+      description: 'Find the fonts a web page uses: families, providers, font files, licences and loading performance. ' +
+        'Send an API key as `Authorization: Bearer <key>` or `X-API-Key`; each scan counts against the key\'s daily quota.'
+    },
+    ...(serverUrl ? { servers: [{ url: serverUrl }] } : {}),
+    components: {
+      schemas: API_SCHEMAS,
+      securitySchemes: {
+        bearer: { type: 'http', scheme: 'bearer' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      }
+    },
+    // Keys are optional unless the server requires them
+    security: [{}, { bearer: [] }, { apiKey: [] }],
+    paths: {
+      [`/api/${API_VERSION}/fonts`]: {
+        get: {
+          operationId: 'scanFontsGet',
+          summary: 'Scan a page for fonts',
+          description: 'The same scan as POST, with the options in the query string so a scan can be linked to',
+          parameters: Object.entries(scanOptions).map(([name, schema]) => ({
+            name,
+            in: 'query',
+            required: name === 'url',
+            description: schema.description,
+            ...(name === 'sections' ? { style: 'form', explode: false } : {}),
+            // Only a saved policy's id fits in a query string
+            schema: name === 'policy' ? { type: 'string' } : { ...schema, description: undefined }
+          })),
+          responses: scanResponses
+        },
+        post: {
+          operationId: 'scanFonts',
+          summary: 'Scan a page for fonts',
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: { type: 'object', required: ['url'], properties: scanOptions, additionalProperties: false }
+              }
+            }
+          },
+          responses: scanResponses
+        }
+      },
+      [`/api/${API_VERSION}/openapi.json`]: {
+        get: {
+          operationId: 'getOpenApiDocument',
+          summary: 'This document',
+          security: [],
+          responses: { 200: { description: 'The OpenAPI document', content: { 'application/json': { schema: { type: 'object' } } } } }
+        }
+      }
+    }
+  };
+}
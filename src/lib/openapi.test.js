@@ -0,0 +1,96 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { createRequire } from 'node:module';
+import { dirname, join } from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { detectFontsCached } from './detect-fonts.js';
+import { API_SCHEMAS, SCAN_SECTIONS, toScanResult } from './openapi.js';
+import { normalizePolicy } from './policy.js';
+import { validateSchema } from './schema.js';
+
+// A real WOFF2 file to read metadata from; Next.js ships Geist for its error overlay
+const FONT_PATH = join(dirname(createRequire(import.meta.url).resolve('next/package.json')), 'dist/client/components/react-dev-overlay/font/geist-latin.woff2');
+
+// A page using most of what a scan reports: a linked and an imported stylesheet, inline CSS,
+// a preload, a custom property, a variable and a broken font file, and a Font Loading API call
+const FILES = {
+  '/': ['text/html', `<!doctype html>
+    <html>
+      <head>
+        <link rel="preload" href="/geist.woff2" as="font" type="font/woff2">
+        <link rel="stylesheet" href="/site.css">
+        <style>h1 { font: 700 2rem/1.1 "Brand Serif", Georgia, serif; }</style>
+      </head>
+      <body>
+        <h1>Title</h1>
+        <p style="font-family: Arial">Text</p>
+        <script>new FontFace('Script Font', 'url(/script.woff2)').load();</script>
+      </body>
+    </html>`],
+  '/site.css': ['text/css', `
+    @import url("/faces.css") layer(fonts);
+    :root { --font-sans: "Geist", system-ui, sans-serif; }
+    body { font-family: var(--font-sans); font-weight: 400; }
+    @media print { body { font-family: Georgia, serif; } }`],
+  '/faces.css': ['text/css', `
+    @font-face { font-family: "Geist"; src: url(/geist.woff2) format("woff2"); font-weight: 100 900; font-display: swap; }
+    @font-face { font-family: "Brand Serif"; src: url(/broken.woff2) format("woff2"), url(/brand.ttf) format("truetype"); }`],
+  '/broken.woff2': ['font/woff2', 'not a font']
+};
+
+let server;
+let origin;
+
+before(async () => {
+  // The fetch layer refuses loopback addresses and unusual ports unless told otherwise
+  process.env.FONT_FINDER_ALLOW_PRIVATE_NETWORKS = 'true';
+  process.env.FONT_FINDER_ALLOWED_PORTS = '*';
+
+  const font = await readFile(FONT_PATH);
+  server = createServer((request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    if (pathname === '/geist.woff2') {
+      response.writeHead(200, { 'Content-Type': 'font/woff2', 'Content-Length': font.length });
+      response.end(request.method === 'HEAD' ? undefined : font);
+    } else if (FILES[pathname]) {
+      const [contentType, body] = FILES[pathname];
+      response.writeHead(200, { 'Content-Type': contentType });
+      response.end(body);
+    } else {
+      response.writeHead(404, { 'Content-Type': 'text/html' });
+      response.end('Not found');
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+describe('toScanResult', () => {
+  test('matches the documented ScanResult schema for a real scan', async () => {
+    const { fonts, cache } = await detectFontsCached(`${origin}/`, { fresh: true, logger: null });
+    const policy = normalizePolicy({ name: 'Brand', approvedFamilies: ['Geist'], allowedWeights: [400], requireFontDisplay: true });
+    const result = toScanResult(fonts, { url: `${origin}/`, mode: 'static', cache, policy });
+
+    // The fixture has to reach the parts of the schema it is meant to hold to account
+    assert.equal(fonts.fontFiles.find(fontFile => fontFile.url === `${origin}/geist.woff2`).metadata.familyName, 'Geist');
+    assert.ok(fonts.fontFiles.some(fontFile => fontFile.error));
+    assert.ok(fonts.fontFaceDeclarations.length === 2 && fonts.preloadedFonts.length === 1);
+    assert.ok(result.compliance.violations.length > 0);
+    assert.ok(fonts.performanceAudit.issues.length > 0);
+
+    assert.deepEqual(result.sections, SCAN_SECTIONS);
+    assert.deepEqual(validateSchema(result, API_SCHEMAS.ScanResult, { schemas: API_SCHEMAS }), []);
+  });
+
+  test('returns only the requested sections, and no compliance without a policy', () => {
+    const result = toScanResult({ googleFonts: [], fontFiles: [] }, { url: 'https://example.com/', mode: 'static', sections: ['googleFonts'], cache: { scan: 'hit' } });
+    assert.deepEqual(result.fonts, { googleFonts: [] });
+    assert.ok(!('compliance' in result));
+  });
+});
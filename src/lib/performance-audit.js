@@ -0,0 +1,582 @@
+import { mapWithConcurrency } from './concurrency.js';
+import { splitFontFamilyList } from './css-parser.js';
+import { BlockedRequestError, safeFetch } from './safe-fetch.js';
+
+const MAX_SIZED_FILES = 40;
+const SIZE_CONCURRENCY = 6;
+
+// Budgets for the files a browser downloads to show Latin text
+const PAYLOAD_BUDGET_BYTES = 300 * 1024;
+const FILE_BUDGET_BYTES = 100 * 1024;
+
+// More static faces than this per family is usually a sign of unused weights
+const MAX_FACES_PER_FAMILY = 4;
+// Families set on html/body/:root, or in at least this many rules, deserve a preload
+const HEAVY_USE_RULE_COUNT = 3;
+const MAX_SUGGESTED_PRELOADS = 2;
+
+const SEVERITY_PENALTIES = {
+  high: 20,
+  medium: 10,
+  low: 4
+};
+
+const CHECK_TITLES = {
+  'font-display': 'Every font face sets font-display',
+  'preload-crossorigin': 'Font preloads use crossorigin',
+  'unused-preload': 'Every preloaded font is used',
+  'missing-preload': 'The main fonts are preloaded',
+  'legacy-formats': 'Fonts are served as WOFF2',
+  'too-many-weights': 'Families load a handful of weights',
+  'render-blocking-css': 'No third-party font CSS blocks rendering',
+  'font-payload': 'Font files are within budget'
+};
+
+// Stylesheets served by font services, whose @font-face rules the site can't edit
+const GOOGLE_FONTS_CSS = /\/\/fonts\.googleapis\.com\//;
+const ADOBE_FONTS_CSS = /\/\/(use|p)\.typekit\.net\//;
+
+const LEGACY_FORMATS = ['eot', 'ttf', 'otf', 'svg'];
+
+/**
+ * Audit how a page loads its web fonts: measure the font files and check
+ * font-display, preloads, formats, weights and render-blocking font CSS
+ * @param {Object} fontData - The detectFonts sections the audit reads
+ * @param {Object} options
+ * @param {string} options.pageUrl - The scanned page, to tell first- from third-party files
+ * @param {Function} [options.onBlocked] - Called with each BlockedRequestError met while sizing files
+ * @param {Object|null} [options.logger=console] - Where files that couldn't be sized are logged
+ * @param {AbortSignal} [options.signal] - Cancels the size requests and stops the audit
+ * @returns {Promise<Object>} - `{ score, rating, totals, files, issues, passed, skipped }`, each issue
+ *   carrying a severity, the offending items and a concrete fix, and each skipped check the reason
+ *   it couldn't be run
+ */
+export async function auditFontPerformance(fontData, { pageUrl, onBlocked = () => {}, logger = console, signal = null }) {
+  const {
+    fontFaceDeclarations = [],
+    fontFiles = [],
+    preloadedFonts = [],
+    googleFonts = [],
+    cssSourceFiles = [],
+    computedFonts = [],
+    fontApiLoaded = []
+  } = fontData;
+  const pageOrigin = new URL(pageUrl).origin;
+
+  const files = await measureDownloadedFiles({ fontFaceDeclarations, fontFiles, preloadedFonts, fontApiLoaded }, { onBlocked, logger, signal });
+  // Without a single measured file the payload is unknown, not within budget
+  const payloadMeasured = files.length === 0 || files.some(file => file.bytes !== null);
+  const skipped = payloadMeasured ? [] : [{
+    id: 'font-payload',
+    title: CHECK_TITLES['font-payload'],
+    reason: files.length === 1 ? 'The font file could not be measured' : `None of the ${files.length} font files could be measured`
+  }];
+
+  const issues = [
+    checkFontDisplay(fontFaceDeclarations, googleFonts),
+    checkPreloadCrossorigin(preloadedFonts),
+    checkUnusedPreloads(preloadedFonts, fontFaceDeclarations, fontApiLoaded),
+    checkMissingPreloads({ fontFaceDeclarations, preloadedFonts, cssSourceFiles, computedFonts, files }),
+    checkLegacyFormats(fontFaceDeclarations, preloadedFonts),
+    checkTooManyWeights(fontFaceDeclarations, googleFonts),
+    checkRenderBlockingCss(cssSourceFiles, fontFaceDeclarations, pageOrigin),
+    payloadMeasured ? checkFontPayload(files) : null
+  ].filter(Boolean);
+
+  const penalty = issues.reduce((total, issue) => total + SEVERITY_PENALTIES[issue.severity], 0);
+  const score = Math.max(0, 100 - penalty);
+  const failed = new Set(issues.map(issue => issue.id));
+
+  return {
+    score,
+    rating: score >= 90 ? 'good' : score >= 50 ? 'needs-improvement' : 'poor',
+    totals: {
+      files: files.length,
+      bytes: files.reduce((total, file) => total + (file.bytes || 0), 0),
+      unmeasured: files.filter(file => file.bytes === null).length
+    },
+    files,
+    issues,
+    passed: Object.keys(CHECK_TITLES)
+      .filter(id => !failed.has(id) && !skipped.some(check => check.id === id))
+      .map(id => ({ id, title: CHECK_TITLES[id] })),
+    skipped
+  };
+}
+
+/**
+ * Size the files a modern browser downloads: the first usable source of each
+ * Latin-covering @font-face, plus preloads and Font Loading API files
+ * @param {Object} fontData
+ * @param {Object} options - `onBlocked`, `logger` and `signal`, see auditFontPerformance
+ * @returns {Promise<Array>} - `{ url, family, format, bytes, preloaded }` per file
+ */
+async function measureDownloadedFiles({ fontFaceDeclarations, fontFiles, preloadedFonts, fontApiLoaded }, options) {
+  const files = new Map();
+  const add = (url, family, format) => {
+    if (!url || url.startsWith('data:') || files.has(url)) return;
+    files.set(url, { url, family, format, bytes: null, preloaded: false });
+  };
+
+  for (const declaration of fontFaceDeclarations) {
+    if (!coversLatin(declaration.unicodeRange)) continue;
+    const source = getDownloadedSource(declaration);
+    if (source) add(source.url, declaration.fontFamily, getSourceFormat(source));
+  }
+  fontApiLoaded.forEach(font => add(font.url, font.family, getSourceFormat({ url: font.url || '' })));
+  for (const preload of preloadedFonts) {
+    add(preload.url, null, getSourceFormat({ url: preload.url, format: preload.format }));
+    files.get(preload.url).preloaded = true;
+  }
+
+  // Files downloaded for their metadata already have a size
+  const knownSizes = new Map(fontFiles
+    .filter(fontFile => fontFile.metadata?.fileSize)
+    .map(fontFile => [fontFile.url, fontFile.metadata.fileSize]));
+
+  const measured = Array.from(files.values());
+  await mapWithConcurrency(measured.slice(0, MAX_SIZED_FILES), SIZE_CONCURRENCY, async (file) => {
+    options.signal?.throwIfAborted();
+    file.bytes = knownSizes.get(file.url) ?? await fetchFileSize(file.url, options);
+  });
+  return measured;
+}
+
+/**
+ * Find a file's size without downloading it: HEAD first, then a one byte range request
+ * @param {string} url
+ * @param {Object} options - `onBlocked`, `logger` and `signal`, see auditFontPerformance
+ * @returns {Promise<number|null>} - The size in bytes, or null when the server won't tell
+ * @throws The abort reason, once the signal is aborted
+ */
+async function fetchFileSize(url, { onBlocked, logger, signal }) {
+  const options = {
+    timeout: 8000,
+    validateStatus: status => status < 400,
+    signal
+  };
+
+  try {
+    const response = await safeFetch(url, { ...options, method: 'HEAD' });
+    const length = Number(response.headers['content-length']);
+    if (length > 0) return length;
+  } catch (error) {
+    // A cancelled request is no reason to try another
+    signal?.throwIfAborted();
+    if (error instanceof BlockedRequestError) {
+      onBlocked(error);
+      return null;
+    }
+    logger?.error(`Error sizing ${url} with HEAD: ${error.message}`);
+  }
+
+  // Some servers don't answer HEAD, or stream without a Content-Length
+  try {
+    const response = await safeFetch(url, {
+      ...options,
+      responseType: 'arraybuffer',
+      maxBytes: 10 * 1024 * 1024,
+      expect: 'font',
+      headers: { Range: 'bytes=0-0' }
+    });
+    const total = response.headers['content-range']?.match(/\/(\d+)\s*$/)?.[1];
+    if (total) return Number(total);
+    // The server ignored the range and sent the whole file
+    if (response.status === 200) return response.data.byteLength;
+  } catch (error) {
+    signal?.throwIfAborted();
+    if (error instanceof BlockedRequestError) onBlocked(error);
+    logger?.error(`Error sizing ${url}: ${error.message}`);
+  }
+  return null;
+}
+
+/**
+ * @param {Array} fontFaceDeclarations
+ * @param {Array} googleFonts
+ * @returns {Object|null}
+ */
+function checkFontDisplay(fontFaceDeclarations, googleFonts) {
+  const items = [];
+  let fromAdobe = false;
+
+  for (const declaration of fontFaceDeclarations) {
+    // Google's CSS follows the display parameter of its URL, reported below
+    if (GOOGLE_FONTS_CSS.test(declaration.source || '')) continue;
+    if (declaration.display && declaration.display !== 'auto') continue;
+
+    fromAdobe = fromAdobe || ADOBE_FONTS_CSS.test(declaration.source || '');
+    items.push({
+      family: declaration.fontFamily,
+      source: declaration.source,
+      line: declaration.line,
+      detail: `${describeFace(declaration)}: ${declaration.display ? 'font-display: auto' : 'no font-display'}`
+    });
+  }
+
+  const googleUrls = new Set();
+  for (const font of googleFonts) {
+    if (font.display && font.display !== 'auto') continue;
+    if (googleUrls.has(font.url)) continue;
+    googleUrls.add(font.url);
+    items.push({ url: font.url, detail: 'Google Fonts URL without a display parameter' });
+  }
+
+  if (items.length === 0) return null;
+  const fixes = ['Add `font-display: swap` (or `optional` for non-essential text) to each @font-face rule.'];
+  if (googleUrls.size > 0) fixes.push('Append `&display=swap` to Google Fonts URLs.');
+  if (fromAdobe) fixes.push('Set the font-display option in the Adobe Fonts web project settings.');
+
+  return {
+    id: 'font-display',
+    severity: 'medium',
+    title: 'Text may be invisible while fonts load',
+    description: 'Without font-display (or with `auto`) most browsers hide text for up to three seconds while the font downloads.',
+    fix: fixes.join(' '),
+    items
+  };
+}
+
+/**
+ * @param {Array} preloadedFonts
+ * @returns {Object|null}
+ */
+function checkPreloadCrossorigin(preloadedFonts) {
+  const items = preloadedFonts
+    .filter(preload => preload.crossorigin === null || preload.crossorigin === undefined)
+    .map(preload => ({ url: preload.url, detail: 'Preloaded without crossorigin' }));
+  if (items.length === 0) return null;
+
+  return {
+    id: 'preload-crossorigin',
+    severity: 'high',
+    title: 'Font preloads are downloaded twice',
+    description: 'Fonts are always fetched in CORS mode, so a preload without crossorigin doesn\'t match the real request and the file is fetched again.',
+    fix: 'Add the `crossorigin` attribute: `<link rel="preload" href="…" as="font" type="font/woff2" crossorigin>`.',
+    items
+  };
+}
+
+/**
+ * @param {Array} preloadedFonts
+ * @param {Array} fontFaceDeclarations
+ * @param {Array} fontApiLoaded
+ * @returns {Object|null}
+ */
+function checkUnusedPreloads(preloadedFonts, fontFaceDeclarations, fontApiLoaded) {
+  const referenced = new Set([
+    ...fontFaceDeclarations.flatMap(declaration => (declaration.sources || []).map(source => source.url)),
+    ...fontApiLoaded.map(font => font.url)
+  ].filter(Boolean));
+
+  const items = preloadedFonts
+    .filter(preload => !referenced.has(preload.url))
+    .map(preload => ({ url: preload.url, detail: 'Not referenced by any @font-face rule found on the page' }));
+  if (items.length === 0) return null;
+
+  return {
+    id: 'unused-preload',
+    severity: 'medium',
+    title: 'Preloaded fonts that are never used',
+    description: 'A preload competes with the page\'s critical resources for bandwidth; when no @font-face uses the file, that download is wasted.',
+    fix: 'Remove these preloads, or point them at the exact URL (including query string) the @font-face rule uses.',
+    items
+  };
+}
+
+/**
+ * Suggest preloads for the self-hosted families the page leans on most
+ * @param {Object} fontData
+ * @returns {Object|null}
+ */
+function checkMissingPreloads({ fontFaceDeclarations, preloadedFonts, cssSourceFiles, computedFonts, files }) {
+  const usage = countFamilyUsage(cssSourceFiles, computedFonts);
+  const preloadedUrls = new Set(preloadedFonts.map(preload => preload.url));
+
+  const items = [];
+  for (const [key, { name, rules, rootLevel }] of usage) {
+    if (!rootLevel && rules < HEAVY_USE_RULE_COUNT) continue;
+
+    // Only the site's own @font-face rules can be preloaded reliably
+    const faces = fontFaceDeclarations.filter(declaration =>
+      declaration.fontFamily.toLowerCase() === key &&
+      !GOOGLE_FONTS_CSS.test(declaration.source || '') &&
+      !ADOBE_FONTS_CSS.test(declaration.source || '') &&
+      coversLatin(declaration.unicodeRange));
+    if (faces.length === 0) continue;
+    if (faces.some(face => (face.sources || []).some(source => preloadedUrls.has(source.url)))) continue;
+
+    // The regular face is the one body text needs first
+    const face = faces.find(candidate => ['400', 'normal'].includes(String(candidate.weight || '400')) && (candidate.style || 'normal') === 'normal') || faces[0];
+    const source = getDownloadedSource(face);
+    if (!source) continue;
+
+    const format = getSourceFormat(source);
+    const bytes = files.find(file => file.url === source.url)?.bytes ?? null;
+    items.push({
+      family: name,
+      url: source.url,
+      bytes,
+      detail: `${rootLevel ? 'Set on html/body' : `Used in ${rules} rules`}; suggested: <link rel="preload" href="${source.url}" as="font" type="font/${format}" crossorigin>`
+    });
+  }
+  if (items.length === 0) return null;
+
+  return {
+    id: 'missing-preload',
+    severity: 'low',
+    title: 'Main fonts are discovered late',
+    description: 'A font is only requested once the CSS is parsed and text needs it; preloading the main face starts that download with the HTML.',
+    fix: `Preload the regular face of ${items.length > MAX_SUGGESTED_PRELOADS ? `your ${MAX_SUGGESTED_PRELOADS} most used families` : 'these families'} (and no more, preloads compete with other critical resources).`,
+    items: items.slice(0, MAX_SUGGESTED_PRELOADS)
+  };
+}
+
+/**
+ * @param {Array} fontFaceDeclarations
+ * @param {Array} preloadedFonts
+ * @returns {Object|null}
+ */
+function checkLegacyFormats(fontFaceDeclarations, preloadedFonts) {
+  const items = [];
+  let severity = 'low';
+  const woff2Families = new Set();
+
+  for (const declaration of fontFaceDeclarations) {
+    const formats = (declaration.sources || []).filter(source => source.url).map(getSourceFormat);
+    const woff2Index = formats.indexOf('woff2');
+    const legacy = formats.filter(format => LEGACY_FORMATS.includes(format));
+    if (woff2Index !== -1) woff2Families.add(declaration.fontFamily.toLowerCase());
+
+    if (woff2Index === -1 && !formats.includes('woff') && legacy.length > 0) {
+      severity = maxSeverity(severity, 'medium');
+      items.push({ family: declaration.fontFamily, source: declaration.source, line: declaration.line, detail: `${describeFace(declaration)} is only available as ${legacy.join(', ').toUpperCase()}` });
+    } else if (woff2Index !== -1 && formats.slice(0, woff2Index).some(format => LEGACY_FORMATS.includes(format) && format !== 'eot')) {
+      // Browsers take the first source they support, so a TTF listed first wins over the WOFF2
+      severity = maxSeverity(severity, 'high');
+      items.push({ family: declaration.fontFamily, source: declaration.source, line: declaration.line, detail: `${describeFace(declaration)} lists ${formats.slice(0, woff2Index).join(', ').toUpperCase()} before WOFF2, so browsers download that instead` });
+    } else if (woff2Index !== -1 && legacy.length > 0) {
+      items.push({ family: declaration.fontFamily, source: declaration.source, line: declaration.line, detail: `${describeFace(declaration)} still ships ${legacy.join(', ').toUpperCase()} next to WOFF2` });
+    }
+  }
+
+  for (const preload of preloadedFonts) {
+    const format = getSourceFormat({ url: preload.url, format: preload.format });
+    if (LEGACY_FORMATS.includes(format)) {
+      severity = maxSeverity(severity, 'medium');
+      items.push({ url: preload.url, detail: `Preloads a ${format.toUpperCase()} file` });
+    }
+  }
+  if (items.length === 0) return null;
+
+  return {
+    id: 'legacy-formats',
+    severity,
+    title: 'Legacy font formats',
+    description: 'WOFF2 is supported by every current browser and is typically 30% smaller than WOFF and half the size of TTF; EOT and SVG fonts only serve browsers nobody uses.',
+    fix: 'Serve WOFF2 first in each `src` list (or on its own), convert TTF/OTF-only faces to WOFF2, and drop EOT and SVG sources.',
+    items
+  };
+}
+
+/**
+ * @param {Array} fontFaceDeclarations
+ * @param {Array} googleFonts
+ * @returns {Object|null}
+ */
+function checkTooManyWeights(fontFaceDeclarations, googleFonts) {
+  const faces = new Map();
+  const add = (family, weight, style) => {
+    // A range is one variable face
+    const key = family.toLowerCase();
+    if (!faces.has(key)) faces.set(key, { name: family, styles: new Set() });
+    faces.get(key).styles.add(`${weight} ${style}`);
+  };
+
+  fontFaceDeclarations
+    .filter(declaration => !GOOGLE_FONTS_CSS.test(declaration.source || ''))
+    .forEach(declaration => add(declaration.fontFamily, declaration.weight || '400', declaration.style || 'normal'));
+  googleFonts.forEach(font => (font.styles || []).forEach(style => add(font.name, style.weight, style.italic ? 'italic' : 'normal')));
+
+  const items = Array.from(faces.values())
+    .filter(({ styles }) => styles.size > MAX_FACES_PER_FAMILY)
+    .map(({ name, styles }) => ({ family: name, detail: `${styles.size} weights and styles: ${Array.from(styles).join(', ')}` }));
+  if (items.length === 0) return null;
+
+  return {
+    id: 'too-many-weights',
+    severity: 'medium',
+    title: 'Families with many weights',
+    description: `Each weight and style is a separate download; more than ${MAX_FACES_PER_FAMILY} per family usually means some are barely used.`,
+    fix: 'Drop the weights the design doesn\'t need, or switch to the variable version of the family, which covers every weight in one file.',
+    items
+  };
+}
+
+/**
+ * @param {Array} cssSourceFiles
+ * @param {Array} fontFaceDeclarations
+ * @param {string} pageOrigin
+ * @returns {Object|null}
+ */
+function checkRenderBlockingCss(cssSourceFiles, fontFaceDeclarations, pageOrigin) {
+  const items = [];
+  for (const cssFile of cssSourceFiles) {
+    if (!cssFile.url || !cssFile.renderBlocking) continue;
+    if (new URL(cssFile.url).origin === pageOrigin) continue;
+
+    const isFontCss = GOOGLE_FONTS_CSS.test(cssFile.url) || ADOBE_FONTS_CSS.test(cssFile.url) ||
+      fontFaceDeclarations.some(declaration => declaration.stylesheetId === cssFile.id);
+    if (!isFontCss) continue;
+
+    const parent = cssFile.parentId !== null ? cssSourceFiles.find(candidate => candidate.id === cssFile.parentId) : null;
+    items.push({
+      url: cssFile.url,
+      detail: parent
+        ? `@import-ed from ${parent.url || parent.source}, so it can't start downloading until that stylesheet has`
+        : 'Loaded with a render-blocking <link rel="stylesheet">'
+    });
+  }
+  if (items.length === 0) return null;
+
+  return {
+    id: 'render-blocking-css',
+    severity: 'high',
+    title: 'Third-party font CSS blocks rendering',
+    description: 'The page can\'t render until this CSS arrives from another origin, which costs an extra DNS lookup, connection and round trip.',
+    fix: 'Self-host the fonts (or use next/font), or at least replace @import with a <link>, add `<link rel="preconnect">` to the font origins and load the CSS with `media="print" onload="this.media=\'all\'"`.',
+    items
+  };
+}
+
+/**
+ * @param {Array} files - Measured files
+ * @returns {Object|null}
+ */
+function checkFontPayload(files) {
+  const total = files.reduce((sum, file) => sum + (file.bytes || 0), 0);
+  const heavyFiles = files.filter(file => file.bytes > FILE_BUDGET_BYTES);
+  if (total <= PAYLOAD_BUDGET_BYTES && heavyFiles.length === 0) return null;
+
+  const items = heavyFiles.map(file => ({ url: file.url, family: file.family, bytes: file.bytes, detail: `${formatBytes(file.bytes)}` }));
+  if (total > PAYLOAD_BUDGET_BYTES) {
+    items.unshift({ detail: `${formatBytes(total)} of fonts in total, over the ${formatBytes(PAYLOAD_BUDGET_BYTES)} budget` });
+  }
+
+  return {
+    id: 'font-payload',
+    severity: total > PAYLOAD_BUDGET_BYTES * 2 ? 'high' : 'medium',
+    title: 'Heavy font files',
+    description: `Fonts compete with images and scripts for bandwidth early in the page load; the budget is ${formatBytes(FILE_BUDGET_BYTES)} per file and ${formatBytes(PAYLOAD_BUDGET_BYTES)} in total.`,
+    fix: 'Subset the fonts to the scripts the site uses (unicode-range, or `text=`/`subset` for hosted fonts), serve WOFF2 and load fewer weights.',
+    items
+  };
+}
+
+/**
+ * Count the rules using each family as its first choice
+ * @param {Array} cssSourceFiles
+ * @param {Array} computedFonts - With glyph counts in rendered mode
+ * @returns {Map<string, {name: string, rules: number, rootLevel: boolean}>}
+ */
+function countFamilyUsage(cssSourceFiles, computedFonts) {
+  const usage = new Map();
+  const get = (name) => {
+    const key = name.toLowerCase();
+    if (!usage.has(key)) usage.set(key, { name, rules: 0, rootLevel: false });
+    return usage.get(key);
+  };
+
+  for (const cssFile of cssSourceFiles) {
+    for (const fontFamily of cssFile.fontFamilies || []) {
+      if (fontFamily.selector === '@font-face') continue;
+      const [first] = splitFontFamilyList(fontFamily.resolvedValue || fontFamily.value);
+      if (!first) continue;
+      const entry = get(first);
+      entry.rules++;
+      if ((fontFamily.selector || '').split(',').some(selector => /^\s*(html|body|:root)\s*$/i.test(selector))) {
+        entry.rootLevel = true;
+      }
+    }
+  }
+
+  // In rendered mode the face drawing the most glyphs is the main one, whatever the CSS says
+  const [mostRendered] = computedFonts.filter(font => font.glyphCount > 0);
+  if (mostRendered) get(mostRendered.name).rootLevel = true;
+
+  return usage;
+}
+
+/**
+ * @param {Object} declaration - A fontFaceDeclarations entry
+ * @returns {Object|null} - The first source a current browser can use
+ */
+function getDownloadedSource(declaration) {
+  return (declaration.sources || []).find(source => source.url && !['eot', 'svg'].includes(getSourceFormat(source))) || null;
+}
+
+/**
+ * @param {{url: string, format?: string}} source
+ * @returns {string} - woff2, woff, ttf, otf, eot, svg or unknown
+ */
+export function getSourceFormat(source) {
+  const declared = String(source.format || '').toLowerCase();
+  const formats = {
+    woff2: 'woff2',
+    'woff2-variations': 'woff2',
+    woff: 'woff',
+    'woff-variations': 'woff',
+    truetype: 'ttf',
+    'truetype-variations': 'ttf',
+    ttf: 'ttf',
+    opentype: 'otf',
+    'opentype-variations': 'otf',
+    otf: 'otf',
+    'embedded-opentype': 'eot',
+    eot: 'eot',
+    svg: 'svg'
+  };
+  if (formats[declared]) return formats[declared];
+  return source.url?.match(/\.(woff2?|ttf|otf|eot|svg)($|[?#])/i)?.[1].toLowerCase() || 'unknown';
+}
+
+/**
+ * @param {string|null} unicodeRange - A unicode-range descriptor
+ * @returns {boolean} - Whether the face covers basic Latin letters, i.e. is downloaded for English text
+ */
+function coversLatin(unicodeRange) {
+  if (!unicodeRange) return true;
+  const latinA = 0x41;
+  return unicodeRange.split(',').some(range => {
+    const match = range.trim().match(/^U\+([0-9a-f?]+)(?:-([0-9a-f]+))?$/i);
+    if (!match) return false;
+    const start = parseInt(match[1].replace(/\?/g, '0'), 16);
+    const end = match[2] ? parseInt(match[2], 16) : parseInt(match[1].replace(/\?/g, 'f'), 16);
+    return start <= latinA && latinA <= end;
+  });
+}
+
+/**
+ * @param {Object} declaration
+ * @returns {string} - e.g. 'Inter 700 italic'
+ */
+function describeFace(declaration) {
+  return `${declaration.fontFamily} ${declaration.weight || '400'}${declaration.style && declaration.style !== 'normal' ? ` ${declaration.style}` : ''}`;
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {string} - The more severe of two severities
+ */
+function maxSeverity(a, b) {
+  return SEVERITY_PENALTIES[a] >= SEVERITY_PENALTIES[b] ? a : b;
+}
+
+/**
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+}
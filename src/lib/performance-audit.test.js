@@ -0,0 +1,147 @@
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { after, before, describe, test } from 'node:test';
+import { auditFontPerformance } from './performance-audit.js';
+
+let server;
+let origin;
+
+before(async () => {
+  // The fetch layer refuses loopback addresses and unusual ports unless told otherwise
+  process.env.FONT_FINDER_ALLOW_PRIVATE_NETWORKS = 'true';
+  process.env.FONT_FINDER_ALLOWED_PORTS = '*';
+
+  // Font files that are missing, or never arrive
+  server = createServer((request, response) => {
+    if (request.url.startsWith('/missing/')) response.writeHead(404).end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+/**
+ * @param {string} family
+ * @param {string} url
+ * @param {Object} [descriptors] - Other @font-face descriptors
+ * @returns {Object} - A parsed @font-face rule
+ */
+function fontFace(family, url, descriptors = {}) {
+  return { fontFamily: family, weight: '400', style: 'normal', display: 'swap', unicodeRange: null, sources: [{ url, format: 'woff2' }], ...descriptors };
+}
+
+/**
+ * @param {Object} fontData - Sections of a scan result
+ * @param {Object<string, number>} [sizes] - Bytes per font file URL, 1 KB unless given
+ * @returns {Promise<Object>} - The audit, with the sizes read from fontFiles metadata instead of the network
+ */
+function audit(fontData, sizes = {}) {
+  const urls = (fontData.fontFaceDeclarations || []).flatMap(declaration => declaration.sources.map(source => source.url));
+  const fontFiles = urls.map(url => ({ url, metadata: { fileSize: sizes[url] ?? 1024 } }));
+  return auditFontPerformance({ ...fontData, fontFiles }, { pageUrl: 'https://example.com/', logger: null });
+}
+
+describe('auditFontPerformance', () => {
+  test('passes every check for small WOFF2 files with font-display', async () => {
+    const result = await audit({ fontFaceDeclarations: [fontFace('Inter', 'https://example.com/inter.woff2')] }, { 'https://example.com/inter.woff2': 20 * 1024 });
+    assert.equal(result.score, 100);
+    assert.equal(result.rating, 'good');
+    assert.deepEqual(result.issues, []);
+    assert.equal(result.passed.length, 8);
+    assert.deepEqual(result.totals, { files: 1, bytes: 20 * 1024, unmeasured: 0 });
+  });
+
+  test('reports faces and Google Fonts URLs without font-display', async () => {
+    const googleUrl = 'https://fonts.googleapis.com/css2?family=Lora';
+    const { issues, score } = await audit({
+      fontFaceDeclarations: [
+        fontFace('Inter', 'https://example.com/inter.woff2', { display: null, source: 'https://example.com/site.css', line: 4 }),
+        fontFace('Inter', 'https://example.com/inter-bold.woff2', { weight: '700', display: 'auto' }),
+        // Follows the display parameter of the Google Fonts URL instead
+        fontFace('Lora', 'https://fonts.gstatic.com/lora.woff2', { display: null, source: googleUrl })
+      ],
+      googleFonts: [{ name: 'Lora', url: googleUrl, display: null }, { name: 'Lora', url: googleUrl, display: null }]
+    });
+
+    const [fontDisplay] = issues;
+    assert.equal(fontDisplay.id, 'font-display');
+    assert.deepEqual(fontDisplay.items, [
+      { family: 'Inter', source: 'https://example.com/site.css', line: 4, detail: 'Inter 400: no font-display' },
+      { family: 'Inter', source: undefined, line: undefined, detail: 'Inter 700: font-display: auto' },
+      { url: googleUrl, detail: 'Google Fonts URL without a display parameter' }
+    ]);
+    assert.match(fontDisplay.fix, /&display=swap/);
+    assert.equal(score, 90);
+  });
+
+  test('rates a TTF listed before the WOFF2 worse than a TTF-only face', async () => {
+    const woff2 = { url: 'https://example.com/a.woff2', format: 'woff2' };
+    const { issues } = await audit({
+      fontFaceDeclarations: [
+        fontFace('Only TTF', null, { sources: [{ url: 'https://example.com/b.ttf', format: 'truetype' }] }),
+        fontFace('TTF First', null, { sources: [{ url: 'https://example.com/c.ttf' }, woff2] }),
+        fontFace('With EOT', null, { sources: [woff2, { url: 'https://example.com/d.eot' }] })
+      ]
+    });
+
+    const legacy = issues.find(issue => issue.id === 'legacy-formats');
+    assert.equal(legacy.severity, 'high');
+    assert.deepEqual(legacy.items.map(item => item.detail), [
+      'Only TTF 400 is only available as TTF',
+      'TTF First 400 lists TTF before WOFF2, so browsers download that instead',
+      'With EOT 400 still ships EOT next to WOFF2'
+    ]);
+  });
+
+  test('counts each weight and style of a family once, and a weight range as one face', async () => {
+    const weights = ['100', '300', '400', '700', '900'].map(weight => fontFace('Inter', `https://example.com/inter-${weight}.woff2`, { weight }));
+    const { issues } = await audit({
+      fontFaceDeclarations: [
+        ...weights,
+        fontFace('Inter', 'https://example.com/inter-400-latin-ext.woff2', { unicodeRange: 'U+0100-024F' }),
+        fontFace('Recursive', 'https://example.com/recursive.woff2', { weight: '300 1000' }),
+        fontFace('Recursive', 'https://example.com/recursive-italic.woff2', { weight: '300 1000', style: 'italic' })
+      ]
+    });
+
+    const tooMany = issues.find(issue => issue.id === 'too-many-weights');
+    assert.deepEqual(tooMany.items, [
+      { family: 'Inter', detail: '5 weights and styles: 100 normal, 300 normal, 400 normal, 700 normal, 900 normal' }
+    ]);
+  });
+
+  test('reports files over budget and skips the payload check when nothing could be measured', async () => {
+    const heavy = await audit({
+      fontFaceDeclarations: [fontFace('Inter', 'https://example.com/inter.woff2'), fontFace('Lora', 'https://example.com/lora.woff2')]
+    }, { 'https://example.com/inter.woff2': 250 * 1024, 'https://example.com/lora.woff2': 50 * 1024 + 1 });
+    const payload = heavy.issues.find(issue => issue.id === 'font-payload');
+    assert.equal(payload.severity, 'medium');
+    assert.deepEqual(payload.items.map(item => item.detail), ['300 KB of fonts in total, over the 300 KB budget', '250 KB']);
+
+    const unmeasured = await auditFontPerformance(
+      { fontFaceDeclarations: [fontFace('Inter', `${origin}/missing/inter.woff2`)] },
+      { pageUrl: `${origin}/`, logger: null }
+    );
+    assert.deepEqual(unmeasured.skipped, [{ id: 'font-payload', title: 'Font files are within budget', reason: 'The font file could not be measured' }]);
+    assert.ok(!unmeasured.issues.some(issue => issue.id === 'font-payload'));
+    assert.ok(!unmeasured.passed.some(check => check.id === 'font-payload'));
+    assert.deepEqual(unmeasured.totals, { files: 1, bytes: 0, unmeasured: 1 });
+  });
+
+  test('stops sizing files when the scan is aborted', async () => {
+    const controller = new AbortController();
+    const started = Date.now();
+    setTimeout(() => controller.abort(new Error('Client went away')), 100);
+
+    await assert.rejects(
+      auditFontPerformance({ fontFaceDeclarations: [fontFace('Inter', `${origin}/inter.woff2`)] }, { pageUrl: `${origin}/`, logger: null, signal: controller.signal }),
+      { message: 'Client went away' }
+    );
+    // Long before the 8 second request timeout
+    assert.ok(Date.now() - started < 2000);
+  });
+});
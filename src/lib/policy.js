@@ -0,0 +1,356 @@
+import { randomUUID } from 'node:crypto';
+import { findUnapprovedFamilies } from './font-summary.js';
+import { GENERIC_FONT_FAMILIES, splitFontFamilyList } from './css-parser.js';
+import { getFontProviders } from './providers/index.js';
+import { getPolicy, savePolicy } from './history-store.js';
+
+// The provider id a policy uses for fonts a site serves from its own stylesheets and files
+export const SELF_HOSTED_PROVIDER = 'self-hosted';
+
+export const POLICY_RULES = ['family', 'weight', 'provider', 'font-display'];
+
+export const FONT_DISPLAY_VALUES = ['auto', 'block', 'swap', 'fallback', 'optional'];
+const WEIGHT_KEYWORDS = { normal: 400, bold: 700 };
+
+export class PolicyError extends Error {
+  /**
+   * @param {string} message - What is wrong with the policy
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'PolicyError';
+    this.code = 'ERR_INVALID_POLICY';
+  }
+}
+
+/**
+ * Check a brand policy and fill in its defaults. Every rule is optional; one left out (or null)
+ * allows anything:
+ *   approvedFamilies - family names, or `{ name, weights }` to limit the weights of one family
+ *   allowedWeights - the weights any approved family may use, e.g. [400, 700]
+ *   allowedProviders - provider ids (see getFontProviders) and 'self-hosted'
+ *   requireFontDisplay - every @font-face rule and Google Fonts request must set font-display
+ *   allowedFontDisplay - the font-display values allowed where one is set, e.g. ['swap', 'optional']
+ * @param {Object} input
+ * @returns {Object} - The policy with every rule present
+ * @throws {PolicyError}
+ */
+export function normalizePolicy(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new PolicyError('A policy must be an object');
+  }
+  const name = typeof input.name === 'string' && input.name.trim() ? input.name.trim() : 'Unsaved policy';
+
+  const readWeights = (weights, field) => {
+    if (weights === undefined || weights === null) return null;
+    if (!Array.isArray(weights) || weights.length === 0 || weights.some(weight => !Number.isInteger(weight) || weight < 1 || weight > 1000)) {
+      throw new PolicyError(`${field} must be a list of weights from 1 to 1000`);
+    }
+    return [...new Set(weights)].sort((a, b) => a - b);
+  };
+  const readList = (list, field) => {
+    if (list === undefined || list === null) return null;
+    if (!Array.isArray(list) || list.some(item => typeof item !== 'string' || !item.trim())) {
+      throw new PolicyError(`${field} must be a list of names`);
+    }
+    return [...new Set(list.map(item => item.trim()))];
+  };
+
+  let approvedFamilies = null;
+  if (input.approvedFamilies !== undefined && input.approvedFamilies !== null) {
+    if (!Array.isArray(input.approvedFamilies)) {
+      throw new PolicyError('approvedFamilies must be a list of family names or { name, weights } objects');
+    }
+    approvedFamilies = input.approvedFamilies.map((family) => {
+      const entry = typeof family === 'string' ? { name: family } : family;
+      if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) {
+        throw new PolicyError('approvedFamilies must be a list of family names or { name, weights } objects');
+      }
+      return { name: entry.name.trim(), weights: readWeights(entry.weights, `The weights of ${entry.name}`) };
+    });
+  }
+
+  const providerIds = [...getFontProviders().map(provider => provider.id), SELF_HOSTED_PROVIDER];
+  const allowedProviders = readList(input.allowedProviders, 'allowedProviders');
+  const unknownProvider = allowedProviders?.find(id => !providerIds.includes(id));
+  if (unknownProvider) {
+    throw new PolicyError(`Unknown provider "${unknownProvider}" in allowedProviders, expected some of: ${providerIds.join(', ')}`);
+  }
+
+  const allowedFontDisplay = readList(input.allowedFontDisplay, 'allowedFontDisplay');
+  const unknownDisplay = allowedFontDisplay?.find(value => !FONT_DISPLAY_VALUES.includes(value));
+  if (unknownDisplay) {
+    throw new PolicyError(`Unknown font-display value "${unknownDisplay}", expected some of: ${FONT_DISPLAY_VALUES.join(', ')}`);
+  }
+  if (input.requireFontDisplay !== undefined && typeof input.requireFontDisplay !== 'boolean') {
+    throw new PolicyError('requireFontDisplay must be true or false');
+  }
+
+  return {
+    name,
+    approvedFamilies,
+    allowedWeights: readWeights(input.allowedWeights, 'allowedWeights'),
+    allowedProviders,
+    requireFontDisplay: input.requireFontDisplay ?? false,
+    allowedFontDisplay
+  };
+}
+
+/**
+ * Save a new policy, or replace a saved one
+ * @param {Object} input - See normalizePolicy
+ * @param {Object} [existing] - The saved policy to replace
+ * @returns {Promise<Object>} - The saved policy, with `id`, `createdAt` and `updatedAt`
+ * @throws {PolicyError}
+ */
+export async function storePolicy(input, existing = null) {
+  const now = new Date().toISOString();
+  return savePolicy({
+    id: existing?.id || randomUUID(),
+    ...normalizePolicy(input),
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  });
+}
+
+/**
+ * The policy a scan request names: a saved policy's id, or a policy object
+ * @param {string|Object} input
+ * @returns {Promise<Object>} - The normalized policy
+ * @throws {PolicyError} - For an invalid policy or an id that isn't saved
+ */
+export async function resolvePolicy(input) {
+  if (typeof input === 'string') {
+    const saved = await getPolicy(input);
+    if (!saved) throw new PolicyError(`No saved policy with the id "${input}"`);
+    return saved;
+  }
+  return normalizePolicy(input);
+}
+
+/**
+ * Check a scan against a brand policy
+ * @param {Object} fonts - detectFonts result
+ * @param {Object} policy - From normalizePolicy or resolvePolicy
+ * @returns {Object} - `{ policy: { id, name }, compliant, counts, violations }`; each violation is
+ *   `{ rule, message, family, stylesheet, selector, line, resource }` plus `weight`, `provider` or
+ *   `fontDisplay`, where stylesheet is the URL of the stylesheet (or how it was included, for inline
+ *   CSS), selector the rule it is declared in, and resource a script or file found outside any stylesheet
+ */
+export function checkCompliance(fonts, policy) {
+  const cssSourceFiles = fonts.cssSourceFiles || [];
+  const fontFaceDeclarations = fonts.fontFaceDeclarations || [];
+  const violations = [];
+  const seen = new Set();
+  const add = (violation) => {
+    const key = [violation.rule, violation.family?.toLowerCase(), violation.weight, violation.provider, violation.stylesheet, violation.selector, violation.line, violation.resource].join('|');
+    if (seen.has(key)) return;
+    seen.add(key);
+    violations.push({ family: null, stylesheet: null, selector: null, line: null, resource: null, ...violation });
+  };
+  const describeStylesheet = (cssFile) => cssFile?.url || cssFile?.source || null;
+  const fontFaceLocation = (fontFace) => ({
+    stylesheet: describeStylesheet(cssSourceFiles.find(cssFile => cssFile.id === fontFace.stylesheetId)) || fontFace.source || null,
+    selector: '@font-face',
+    line: fontFace.line ?? null
+  });
+  // A stylesheet that was loaded is checked through its @font-face rules, not the request for it
+  const loadedStylesheets = new Set(cssSourceFiles.map(cssFile => cssFile.url).filter(Boolean));
+  const googleFonts = (fonts.googleFonts || []).filter(font => !loadedStylesheets.has(font.url));
+  const fontFileUrls = new Set(fontFaceDeclarations.flatMap(fontFace => fontFace.sources.map(source => source.url)));
+
+  const approved = policy.approvedFamilies
+    ? new Map(policy.approvedFamilies.map(family => [family.name.toLowerCase(), family]))
+    : null;
+
+  // Families: every place a family that isn't approved is declared or requested
+  if (approved) {
+    for (const family of findUnapprovedFamilies(fonts, policy.approvedFamilies.map(entry => entry.name))) {
+      const key = family.name.toLowerCase();
+      const message = `${family.name} is not an approved family`;
+      let located = false;
+      for (const fontFace of fontFaceDeclarations.filter(declaration => declaration.fontFamily.toLowerCase() === key)) {
+        add({ rule: 'family', message, family: family.name, ...fontFaceLocation(fontFace) });
+        located = true;
+      }
+      for (const cssFile of cssSourceFiles) {
+        for (const declaration of cssFile.fontFamilies || []) {
+          if (declaration.selector === '@font-face') continue;
+          const stack = splitFontFamilyList(declaration.resolvedValue || declaration.value);
+          if (stack.some(name => name.toLowerCase() === key)) {
+            add({ rule: 'family', message, family: family.name, stylesheet: describeStylesheet(cssFile), selector: declaration.selector, line: declaration.line });
+            located = true;
+          }
+        }
+      }
+      // Stylesheets from a service that ask for the family, when they couldn't be read
+      for (const provider of fonts.fontProviders || []) {
+        const requested = provider.families.find(providerFamily => providerFamily.name.toLowerCase() === key);
+        for (const stylesheetUrl of requested?.urls || []) {
+          if (loadedStylesheets.has(stylesheetUrl) || fontFileUrls.has(stylesheetUrl)) continue;
+          add({ rule: 'family', message, family: family.name, stylesheet: stylesheetUrl });
+          located = true;
+        }
+      }
+      if (!located) add({ rule: 'family', message, family: family.name });
+    }
+
+    // A family the page only names in font-family is still what its text is meant to be set in
+    // when it comes first in the stack; the ones after it are fallbacks
+    for (const cssFile of cssSourceFiles) {
+      for (const declaration of cssFile.fontFamilies || []) {
+        if (declaration.selector === '@font-face' || (declaration.unresolvedShorthand && !declaration.resolvedValue)) continue;
+        const [primary] = splitFontFamilyList(declaration.resolvedValue || declaration.value);
+        if (!primary || primary.includes('var(') || GENERIC_FONT_FAMILIES.includes(primary.toLowerCase()) || approved.has(primary.toLowerCase())) continue;
+        add({
+          rule: 'family',
+          message: `${primary} is not an approved family`,
+          family: primary,
+          stylesheet: describeStylesheet(cssFile),
+          selector: declaration.selector,
+          line: declaration.line
+        });
+      }
+    }
+  }
+
+  // Weights: of the approved families (or every family, without a family list); a rule that
+  // doesn't set a family is held to allowedWeights
+  const allowedWeightsOf = (name) => {
+    if (!name) return policy.allowedWeights;
+    if (approved && !approved.has(name.toLowerCase())) return null;
+    return approved?.get(name.toLowerCase())?.weights || policy.allowedWeights;
+  };
+  const checkWeight = (name, weight, location) => {
+    const allowedWeights = allowedWeightsOf(name);
+    const range = parseWeightRange(weight);
+    if (!allowedWeights || !range) return;
+    // A variable font's range has to start and end on allowed weights
+    if (!range.every(value => allowedWeights.includes(value))) {
+      const value = String(weight ?? 400);
+      add({
+        rule: 'weight',
+        message: `${name ? `${name} uses weight ${value}` : `Weight ${value} is used`}, allowed: ${allowedWeights.join(', ')}`,
+        family: name,
+        weight: value,
+        ...location
+      });
+    }
+  };
+  for (const fontFace of fontFaceDeclarations) {
+    checkWeight(fontFace.fontFamily, fontFace.weight, fontFaceLocation(fontFace));
+  }
+  // The styles asked of a service (Google Fonts, Bunny, Fontshare, ...) in stylesheets that couldn't
+  // be read; the ones that were read are checked through their @font-face rules above
+  for (const provider of fonts.fontProviders || []) {
+    for (const family of provider.families) {
+      const unread = (family.urls || []).filter(url => !loadedStylesheets.has(url) && !fontFileUrls.has(url));
+      for (const stylesheetUrl of unread) {
+        family.styles.forEach(style => checkWeight(family.name, style.weight, { stylesheet: stylesheetUrl }));
+      }
+    }
+  }
+  // The weights text is set in: font-weight and font shorthands in selector rules
+  for (const cssFile of cssSourceFiles) {
+    for (const declaration of cssFile.fontWeights || []) {
+      const stack = declaration.resolvedFamily || declaration.family;
+      const [primary] = stack ? splitFontFamilyList(stack) : [];
+      // A system font's weights aren't the brand's business, and an unresolved var() can't be checked
+      if (primary && (primary.includes('var(') || GENERIC_FONT_FAMILIES.includes(primary.toLowerCase()))) continue;
+      checkWeight(primary || null, declaration.resolvedValue || declaration.value, {
+        stylesheet: describeStylesheet(cssFile),
+        selector: declaration.selector,
+        line: declaration.line
+      });
+    }
+  }
+
+  // Providers: where each service that isn't allowed is loaded from
+  if (policy.allowedProviders) {
+    for (const provider of fonts.fontProviders || []) {
+      if (policy.allowedProviders.includes(provider.id)) continue;
+      const families = provider.families.map(family => family.name).join(', ');
+      const violation = {
+        rule: 'provider',
+        message: `${provider.name} is not an allowed provider${families ? ` (${families})` : ''}`,
+        provider: provider.id
+      };
+      for (const evidence of provider.evidence) {
+        const fontFaces = evidence.kind === 'font-file'
+          ? fontFaceDeclarations.filter(fontFace => fontFace.sources.some(source => source.url === evidence.url))
+          : [];
+        if (fontFaces.length > 0) {
+          fontFaces.forEach(fontFace => add({ ...violation, family: fontFace.fontFamily, ...fontFaceLocation(fontFace) }));
+        } else if (['stylesheet', 'import'].includes(evidence.kind) || loadedStylesheets.has(evidence.url)) {
+          add({ ...violation, stylesheet: evidence.url });
+        } else {
+          add({ ...violation, resource: evidence.url || evidence.detail });
+        }
+      }
+    }
+
+    // Faces none of the services claimed are served by the site itself
+    if (!policy.allowedProviders.includes(SELF_HOSTED_PROVIDER)) {
+      const providerUrls = new Set((fonts.fontProviders || []).flatMap(provider => provider.evidence.map(evidence => evidence.url)));
+      for (const fontFace of fontFaceDeclarations) {
+        const files = fontFace.sources.filter(source => source.url && !source.url.startsWith('data:'));
+        if (files.length === 0 || providerUrls.has(fontFace.source) || files.some(source => providerUrls.has(source.url))) continue;
+        add({
+          rule: 'provider',
+          message: `${fontFace.fontFamily} is self-hosted, which the policy doesn't allow`,
+          family: fontFace.fontFamily,
+          provider: SELF_HOSTED_PROVIDER,
+          ...fontFaceLocation(fontFace)
+        });
+      }
+    }
+  }
+
+  // font-display: on every face, and in every Google Fonts request
+  if (policy.requireFontDisplay || policy.allowedFontDisplay) {
+    const checkDisplay = (family, display, location) => {
+      if (!display) {
+        if (policy.requireFontDisplay) {
+          add({ rule: 'font-display', message: `${family} doesn't set font-display`, family, fontDisplay: null, ...location });
+        }
+      } else if (policy.allowedFontDisplay && !policy.allowedFontDisplay.includes(display)) {
+        add({
+          rule: 'font-display',
+          message: `${family} uses font-display: ${display}, allowed: ${policy.allowedFontDisplay.join(', ')}`,
+          family,
+          fontDisplay: display,
+          ...location
+        });
+      }
+    };
+    for (const fontFace of fontFaceDeclarations) {
+      checkDisplay(fontFace.fontFamily, fontFace.display, fontFaceLocation(fontFace));
+    }
+    for (const googleFont of googleFonts) {
+      checkDisplay(googleFont.name, googleFont.display, { stylesheet: googleFont.url });
+    }
+  }
+
+  const counts = Object.fromEntries(POLICY_RULES.map(rule => [rule, violations.filter(violation => violation.rule === rule).length]));
+  return {
+    policy: { id: policy.id || null, name: policy.name },
+    compliant: violations.length === 0,
+    counts,
+    violations
+  };
+}
+
+/**
+ * @param {string|number} weight - A font-weight value: 400, 'bold', '100 900' or Google's '100..900'.
+ *   A missing one is the initial value, normal
+ * @returns {Array<number>|null} - The lowest and highest weight, or null when it isn't a weight
+ *   (a var(), or a relative weight like bolder)
+ */
+function parseWeightRange(weight) {
+  if (weight === undefined || weight === null || String(weight).trim() === '') return [400, 400];
+  const values = String(weight).trim().toLowerCase().split(/\s+|\.\./).filter(Boolean)
+    .map(value => WEIGHT_KEYWORDS[value] ?? Number(value));
+  if (values.length === 0 || values.some(value => !Number.isFinite(value))) return null;
+  return [Math.min(...values), Math.max(...values)];
+}
+
@@ -0,0 +1,115 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { analyzeStylesheet } from './css-parser.js';
+import { checkCompliance, normalizePolicy, PolicyError } from './policy.js';
+
+const STYLESHEET_URL = 'https://example.com/site.css';
+
+/**
+ * A scan result with one parsed stylesheet, shaped like what detectFonts returns
+ * @param {string} css
+ * @param {Object} [extra] - Other sections, e.g. fontProviders
+ * @returns {Object}
+ */
+function scanOf(css, extra = {}) {
+  const analysis = analyzeStylesheet(css);
+  return {
+    cssSourceFiles: [{ id: 0, url: STYLESHEET_URL, source: 'external CSS file', fontFamilies: analysis.fontFamilies, fontWeights: analysis.fontWeights }],
+    fontFaceDeclarations: analysis.fontFaces.map(fontFace => ({ ...fontFace, stylesheetId: 0 })),
+    fontProviders: [],
+    googleFonts: [],
+    ...extra
+  };
+}
+
+const where = ({ rule, family, stylesheet, selector, line }) => ({ rule, family, stylesheet, selector, line });
+
+describe('normalizePolicy', () => {
+  test('fills in every rule and reads family entries', () => {
+    assert.deepEqual(normalizePolicy({ name: ' Brand ', approvedFamilies: ['Inter', { name: 'Lora', weights: [700, 400, 400] }] }), {
+      name: 'Brand',
+      approvedFamilies: [{ name: 'Inter', weights: null }, { name: 'Lora', weights: [400, 700] }],
+      allowedWeights: null,
+      allowedProviders: null,
+      requireFontDisplay: false,
+      allowedFontDisplay: null
+    });
+  });
+
+  test('refuses rules it cannot check', () => {
+    assert.throws(() => normalizePolicy([]), PolicyError);
+    assert.throws(() => normalizePolicy({ allowedWeights: [450.5] }), /allowedWeights must be a list of weights/);
+    assert.throws(() => normalizePolicy({ allowedProviders: ['nope'] }), /Unknown provider "nope"/);
+    assert.throws(() => normalizePolicy({ allowedFontDisplay: ['fast'] }), /Unknown font-display value "fast"/);
+  });
+});
+
+describe('checkCompliance', () => {
+  test('reports families that are not approved where they are declared', () => {
+    const fonts = scanOf([
+      '@font-face { font-family: Comic Neue; src: url(/comic.woff2); font-weight: 400 }',
+      'body { font-family: Inter, sans-serif }',
+      'h1 { font-family: "Comic Neue", Inter }',
+      '.legal { font-family: Arial, Inter }',
+      'code { font-family: monospace }'
+    ].join('\n'));
+    const { compliant, counts, violations } = checkCompliance(fonts, normalizePolicy({ approvedFamilies: ['Inter'] }));
+
+    assert.equal(compliant, false);
+    assert.equal(counts.family, 3);
+    assert.deepEqual(violations.map(where), [
+      { rule: 'family', family: 'Comic Neue', stylesheet: STYLESHEET_URL, selector: '@font-face', line: 1 },
+      { rule: 'family', family: 'Comic Neue', stylesheet: STYLESHEET_URL, selector: 'h1', line: 3 },
+      // Only named in font-family, but first in the stack
+      { rule: 'family', family: 'Arial', stylesheet: STYLESHEET_URL, selector: '.legal', line: 4 }
+    ]);
+  });
+
+  test('checks the weights of faces, selector rules and requested styles', () => {
+    const fonts = scanOf([
+      '@font-face { font-family: Inter; src: url(/inter.woff2) }',
+      '@font-face { font-family: Inter; src: url(/inter-light.woff2); font-weight: 300 }',
+      'body { font-family: Inter, sans-serif; font-weight: 500 }',
+      'strong { font-weight: 900 }',
+      'em { font-weight: bolder }'
+    ].join('\n'), {
+      fontProviders: [{
+        id: 'bunny-fonts',
+        name: 'Bunny Fonts',
+        evidence: [],
+        families: [{ name: 'Lora', styles: [{ weight: '800', style: 'normal' }], urls: ['https://fonts.bunny.net/css?family=lora:800'] }]
+      }]
+    });
+    const { violations } = checkCompliance(fonts, normalizePolicy({ allowedWeights: [400, 700] }));
+
+    assert.deepEqual(violations.map(violation => [violation.family, violation.weight, violation.selector, violation.stylesheet]), [
+      // The face without a weight is 400, which is allowed
+      ['Inter', '300', '@font-face', STYLESHEET_URL],
+      ['Lora', '800', null, 'https://fonts.bunny.net/css?family=lora:800'],
+      ['Inter', '500', 'body', STYLESHEET_URL],
+      [null, '900', 'strong', STYLESHEET_URL]
+    ]);
+  });
+
+  test('holds an approved family to its own weights', () => {
+    const fonts = scanOf('h1 { font: 700 2rem Lora, serif }\np { font: 1rem Lora }');
+    const { violations } = checkCompliance(fonts, normalizePolicy({ approvedFamilies: [{ name: 'Lora', weights: [400] }] }));
+    assert.deepEqual(violations.map(where), [{ rule: 'weight', family: 'Lora', stylesheet: STYLESHEET_URL, selector: 'h1', line: 1 }]);
+  });
+
+  test('checks font-display on every face', () => {
+    const fonts = scanOf([
+      '@font-face { font-family: Inter; src: url(/a.woff2); font-display: swap }',
+      '@font-face { font-family: Inter; src: url(/b.woff2); font-weight: 700 }',
+      '@font-face { font-family: Inter; src: url(/c.woff2); font-weight: 900; font-display: block }'
+    ].join('\n'));
+    const { violations } = checkCompliance(fonts, normalizePolicy({ requireFontDisplay: true, allowedFontDisplay: ['swap'] }));
+    assert.deepEqual(violations.map(violation => [violation.fontDisplay, violation.line]), [[null, 2], ['block', 3]]);
+  });
+
+  test('passes a page that keeps to the policy', () => {
+    const fonts = scanOf('@font-face { font-family: Inter; src: url(/inter.woff2); font-display: swap }\nbody { font-family: Inter, sans-serif }');
+    const result = checkCompliance(fonts, normalizePolicy({ name: 'Brand', approvedFamilies: ['Inter'], allowedWeights: [400], requireFontDisplay: true }));
+    assert.deepEqual(result, { policy: { id: null, name: 'Brand' }, compliant: true, counts: { family: 0, weight: 0, provider: 0, 'font-display': 0 }, violations: [] });
+  });
+});
@@ -0,0 +1,12 @@
+/** Adobe Fonts (formerly Typekit) kits, plus the retired Edge Web Fonts */
+export const adobe = {
+  id: 'adobe-fonts',
+  name: 'Adobe Fonts',
+  homepage: 'https://fonts.adobe.com',
+  urlPatterns: [/\/\/use\.typekit\.net\//, /\/\/p\.typekit\.net\//, /\/\/use\.edgefonts\.net\//],
+  // The JS embed code and the Web Font Loader's typekit module
+  scriptSignatures: [
+    { pattern: /Typekit\.load\s*\(/, description: 'Typekit.load() embed code' },
+    { pattern: /typekit\s*:\s*{\s*id\s*:/, description: 'Web Font Loader typekit module' }
+  ]
+};
@@ -0,0 +1,23 @@
+import { parseFontsApiUrl } from '../google-fonts.js';
+import { familyNameFromSlug, parseUrl } from './helpers.js';
+
+/** Bunny Fonts, a privacy-friendly mirror of the Google Fonts API */
+export const bunny = {
+  id: 'bunny-fonts',
+  name: 'Bunny Fonts',
+  homepage: 'https://fonts.bunny.net',
+  urlPatterns: [/\/\/fonts\.bunny\.net\//],
+  getFamilies({ resources }) {
+    return resources.flatMap(resource => {
+      const url = parseUrl(resource.url);
+      if (!url || url.hostname !== 'fonts.bunny.net' || !/^\/css2?\/?$/.test(url.pathname)) return [];
+
+      return parseFontsApiUrl(url).families.map(family => ({
+        // Bunny's own embed codes use slugs (open-sans) rather than names
+        name: familyNameFromSlug(family.name),
+        styles: family.styles.map(style => ({ weight: style.weight, style: style.italic ? 'italic' : 'normal' })),
+        url: resource.url
+      }));
+    });
+  }
+};
@@ -0,0 +1,18 @@
+import { familyNameFromSlug } from './helpers.js';
+
+/**
+ * Cloudflare Fonts rewrites Google Fonts links so the CSS and font files are
+ * served from the site's own origin under /cf-fonts/
+ */
+export const cloudflare = {
+  id: 'cloudflare-fonts',
+  name: 'Google Fonts via Cloudflare Fonts',
+  homepage: 'https://developers.cloudflare.com/speed/optimization/content/fonts/',
+  urlPatterns: [/\/cf-fonts\//],
+  getFamilies({ resources }) {
+    return resources.flatMap(resource => {
+      const slug = resource.url.match(/\/cf-fonts\/[a-z]\/([^/?#]+)\//)?.[1];
+      return slug ? [{ name: familyNameFromSlug(slug), styles: [], url: resource.url }] : [];
+    });
+  }
+};
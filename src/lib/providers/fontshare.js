@@ -0,0 +1,30 @@
+import { familyNameFromSlug, parseUrl } from './helpers.js';
+
+/** Indian Type Foundry's Fontshare */
+export const fontshare = {
+  id: 'fontshare',
+  name: 'Fontshare',
+  homepage: 'https://www.fontshare.com',
+  urlPatterns: [/\/\/api\.fontshare\.com\//, /\/\/cdn\.fontshare\.com\//],
+  getFamilies({ resources }) {
+    return resources.flatMap(resource => {
+      const url = parseUrl(resource.url);
+      if (!url || url.hostname !== 'api.fontshare.com') return [];
+
+      // f[]=general-sans@200,301,1 - weights end in 1 for italics, 1 and 2 are the variable roman and italic
+      return url.searchParams.getAll('f[]').map(spec => {
+        const [slug, variantList = ''] = spec.split('@');
+        const styles = variantList.split(',').filter(Boolean).map(variant => {
+          if (variant === '1' || variant === '2') {
+            return { weight: 'variable', style: variant === '2' ? 'italic' : 'normal' };
+          }
+          const weight = Number(variant);
+          return weight % 100 === 1
+            ? { weight: String(weight - 1), style: 'italic' }
+            : { weight: variant, style: 'normal' };
+        });
+        return { name: familyNameFromSlug(slug), styles, url: resource.url };
+      });
+    });
+  }
+};
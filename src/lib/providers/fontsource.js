@@ -0,0 +1,34 @@
+import { familyNameFromSlug } from './helpers.js';
+
+// @fontsource/inter@5/latin-400-italic.css, @fontsource-variable/inter/wght.css and
+// the API CDN's fontsource/fonts/inter@latest/latin-400-normal.woff2
+const PACKAGE_PATTERN = /\/(?:npm\/|)@fontsource(-variable)?\/([a-z0-9-]+)(?:@[^/]+)?\/?([^?#]*)/;
+const API_CDN_PATTERN = /\/fontsource\/fonts\/([a-z0-9-]+)(?:@[^/]+)?\/([^?#]*)/;
+
+/** Fontsource packages served straight from npm by jsDelivr or unpkg */
+export const fontsource = {
+  id: 'fontsource',
+  name: 'Fontsource (jsDelivr / unpkg)',
+  homepage: 'https://fontsource.org',
+  urlPatterns: [/\/\/cdn\.jsdelivr\.net\/(npm\/@fontsource|fontsource\/)/, /\/\/unpkg\.com\/@fontsource/],
+  getFamilies({ resources }) {
+    return resources.flatMap(resource => {
+      const packageMatch = resource.url.match(PACKAGE_PATTERN);
+      const apiMatch = packageMatch ? null : resource.url.match(API_CDN_PATTERN);
+      if (!packageMatch && !apiMatch) return [];
+
+      const [slug, file] = packageMatch ? [packageMatch[2], packageMatch[3]] : [apiMatch[1], apiMatch[2]];
+      const isVariable = Boolean(packageMatch?.[1]);
+      const styleMatch = file.match(/(?:^|[-/])(\d{3}|wght)(?:-(normal|italic))?(-italic)?\.(css|woff2?)$/);
+      const styles = styleMatch
+        ? [{
+          weight: styleMatch[1] === 'wght' ? 'variable' : styleMatch[1],
+          style: styleMatch[2] === 'italic' || styleMatch[3] ? 'italic' : 'normal'
+        }]
+        // index.css is the 400 weight (or the whole weight axis for variable packages)
+        : [{ weight: isVariable ? 'variable' : '400', style: 'normal' }];
+
+      return [{ name: familyNameFromSlug(slug), styles, url: resource.url }];
+    });
+  }
+};
@@ -0,0 +1,21 @@
+import { parseGoogleFontsUrl } from '../google-fonts.js';
+
+/** Google Fonts, loaded from fonts.googleapis.com with files on fonts.gstatic.com */
+export const google = {
+  id: 'google-fonts',
+  name: 'Google Fonts',
+  homepage: 'https://fonts.google.com',
+  urlPatterns: [/\/\/fonts\.googleapis\.com\//, /\/\/fonts\.gstatic\.com\//],
+  scriptSignatures: [{ pattern: /google\s*:\s*{\s*families\s*:/, description: 'Web Font Loader google module' }],
+  getFamilies({ resources }) {
+    return resources.flatMap(resource => {
+      const parsed = parseGoogleFontsUrl(resource.url);
+      if (!parsed) return [];
+      return parsed.families.map(family => ({
+        name: family.name,
+        styles: family.styles.map(style => ({ weight: style.weight, style: style.italic ? 'italic' : 'normal' })),
+        url: resource.url
+      }));
+    });
+  }
+};
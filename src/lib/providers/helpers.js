@@ -0,0 +1,28 @@
+/**
+ * Turn a URL slug such as `open-sans` into a family name (`Open Sans`).
+ * Names that already contain capitals or spaces are returned unchanged.
+ * @param {string} slug
+ * @returns {string}
+ */
+export function familyNameFromSlug(slug) {
+  const name = decodeURIComponent(slug).replace(/\+/g, ' ');
+  if (/[A-Z\s]/.test(name)) return name.trim();
+  return name
+    .split(/[-_]/)
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Parse a URL, returning null instead of throwing
+ * @param {string} href
+ * @returns {URL|null}
+ */
+export function parseUrl(href) {
+  try {
+    return new URL(href, 'https://localhost');
+  } catch (e) {
+    return null;
+  }
+}
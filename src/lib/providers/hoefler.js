@@ -0,0 +1,8 @@
+/** Hoefler&Co's Cloud.typography, which serves one stylesheet per project */
+export const hoefler = {
+  id: 'hoefler-co',
+  name: 'Hoefler&Co Cloud.typography',
+  homepage: 'https://www.typography.com',
+  urlPatterns: [/\/\/cloud\.typography\.com\//],
+  cssSignatures: [{ pattern: /Hoefler\s*(&|&amp;|and)\s*Co/i, description: 'Hoefler&Co copyright notice' }]
+};
@@ -0,0 +1,168 @@
+import { google } from './google.js';
+import { adobe } from './adobe.js';
+import { monotype } from './monotype.js';
+import { hoefler } from './hoefler.js';
+import { fontshare } from './fontshare.js';
+import { bunny } from './bunny.js';
+import { fontsource } from './fontsource.js';
+import { cloudflare } from './cloudflare.js';
+import { selfHostedGoogle } from './self-hosted-google.js';
+
+/**
+ * Every provider is a plain object:
+ * - `id`, `name`, `homepage`
+ * - `urlPatterns`: regexes matched against stylesheet, @import, script, preload,
+ *   preconnect and font file URLs
+ * - `scriptSignatures`: `{ pattern, description }` matched against inline scripts (embed codes)
+ * - `cssSignatures`: `{ pattern, description }` matched against stylesheet contents
+ * - `fallback`: only consider what no other provider recognised
+ * - `getFamilies(match)`: optional, families the matched URLs ask for as
+ *   `{ name, styles: [{ weight, style }], url }`; the @font-face rules of the
+ *   matched stylesheets and font files are always added
+ */
+const providers = [
+  google,
+  adobe,
+  monotype,
+  hoefler,
+  fontshare,
+  bunny,
+  fontsource,
+  cloudflare,
+  selfHostedGoogle
+];
+
+/**
+ * Add a provider to the registry
+ * @param {Object} provider - See the provider shape above
+ */
+export function registerFontProvider(provider) {
+  if (!provider?.id || !provider?.name) {
+    throw new Error('A font provider needs an id and a name');
+  }
+  const existing = providers.findIndex(candidate => candidate.id === provider.id);
+  if (existing !== -1) {
+    providers.splice(existing, 1, provider);
+  } else {
+    // Keep fallbacks last so they only see what the others left
+    const firstFallback = providers.findIndex(candidate => candidate.fallback);
+    providers.splice(provider.fallback || firstFallback === -1 ? providers.length : firstFallback, 0, provider);
+  }
+}
+
+/**
+ * @returns {Array} - The registered providers, in matching order
+ */
+export function getFontProviders() {
+  return [...providers];
+}
+
+/**
+ * Work out which font services a page uses
+ * @param {Object} page
+ * @param {Array} page.resources - Absolute URLs the page references, as `{ url, kind }`
+ * @param {Array} page.stylesheets - Parsed stylesheets as `{ id, url, source, content }`
+ * @param {Array} page.fontFaces - @font-face declarations with resolved `sources` and a `stylesheetId`
+ * @param {Array<string>} page.inlineScripts - The contents of inline scripts
+ * @returns {Array} - One entry per provider found, with its evidence and families
+ */
+export function detectFontProviders({ resources = [], stylesheets = [], fontFaces = [], inlineScripts = [] }) {
+  const claimedUrls = new Set();
+  const claimedStylesheets = new Set();
+  const results = [];
+
+  for (const provider of providers) {
+    const matchesUrl = (url) => Boolean(url) && (provider.urlPatterns || []).some(pattern => pattern.test(url));
+    const evidence = [];
+    const addEvidence = (kind, url, detail = null) => {
+      if (!evidence.some(item => item.kind === kind && item.url === url && item.detail === detail)) {
+        evidence.push({ kind, url, detail });
+      }
+    };
+
+    const matchedResources = resources.filter(resource =>
+      matchesUrl(resource.url) && !(provider.fallback && claimedUrls.has(resource.url))
+    );
+    matchedResources.forEach(resource => addEvidence(resource.kind, resource.url));
+
+    for (const script of inlineScripts) {
+      const signature = (provider.scriptSignatures || []).find(({ pattern }) => pattern.test(script));
+      if (signature) addEvidence('inline-script', null, signature.description);
+    }
+
+    const matchedStylesheets = stylesheets.filter(sheet => {
+      if (provider.fallback && claimedStylesheets.has(sheet.id)) return false;
+      if (matchesUrl(sheet.url)) return true;
+      const signature = (provider.cssSignatures || []).find(({ pattern }) => pattern.test(sheet.content || ''));
+      if (signature) addEvidence('css-signature', sheet.url || sheet.source, signature.description);
+      return Boolean(signature);
+    });
+    const matchedStylesheetIds = new Set(matchedStylesheets.map(sheet => sheet.id));
+
+    const matchedFontFaces = fontFaces.filter(fontFace =>
+      matchedStylesheetIds.has(fontFace.stylesheetId) ||
+      fontFace.sources.some(source => matchesUrl(source.url) && !(provider.fallback && claimedUrls.has(source.url)))
+    );
+
+    if (evidence.length === 0 && matchedFontFaces.length === 0) continue;
+
+    matchedResources.forEach(resource => claimedUrls.add(resource.url));
+    matchedStylesheets.forEach(sheet => claimedStylesheets.add(sheet.id));
+    matchedFontFaces.forEach(fontFace => fontFace.sources.forEach(source => source.url && claimedUrls.add(source.url)));
+
+    const match = { resources: matchedResources, stylesheets: matchedStylesheets, fontFaces: matchedFontFaces };
+    results.push({
+      id: provider.id,
+      name: provider.name,
+      homepage: provider.homepage,
+      type: 'font-provider',
+      evidence,
+      families: mergeFamilies([
+        ...(provider.getFamilies ? provider.getFamilies(match) : []),
+        ...familiesFromFontFaces(matchedFontFaces)
+      ])
+    });
+  }
+
+  return results;
+}
+
+/**
+ * One family per @font-face family name, with a style per declaration
+ * @param {Array} fontFaces
+ * @returns {Array}
+ */
+function familiesFromFontFaces(fontFaces) {
+  return fontFaces.map(fontFace => ({
+    name: fontFace.fontFamily,
+    styles: [{ weight: fontFace.weight || '400', style: fontFace.style || 'normal' }],
+    url: fontFace.sources.find(source => source.url)?.url || null
+  }));
+}
+
+/**
+ * Merge family entries with the same name (ignoring case), keeping unique styles and URLs
+ * @param {Array} families - `{ name, styles, url }` entries
+ * @returns {Array} - `{ name, styles, urls }` entries
+ */
+function mergeFamilies(families) {
+  const merged = new Map();
+  for (const family of families) {
+    if (!family.name) continue;
+    const key = family.name.toLowerCase();
+    if (!merged.has(key)) {
+      merged.set(key, { name: family.name, styles: [], urls: [] });
+    }
+    const entry = merged.get(key);
+    for (const style of family.styles) {
+      const weight = style.weight === 'normal' ? '400' : style.weight === 'bold' ? '700' : String(style.weight);
+      if (!entry.styles.some(existing => existing.weight === weight && existing.style === style.style)) {
+        entry.styles.push({ weight, style: style.style });
+      }
+    }
+    if (family.url && !entry.urls.includes(family.url)) {
+      entry.urls.push(family.url);
+    }
+  }
+  return Array.from(merged.values());
+}
@@ -0,0 +1,15 @@
+/** Monotype's Fonts.com web fonts and MyFonts webfont kits */
+export const monotype = {
+  id: 'monotype',
+  name: 'Monotype (Fonts.com / MyFonts)',
+  homepage: 'https://www.monotype.com',
+  urlPatterns: [/\/\/fast\.fonts\.(net|com)\//, /\/\/hello\.myfonts\.net\//],
+  // Project IDs of the Fonts.com JS embed and the Web Font Loader's monotype module
+  scriptSignatures: [
+    { pattern: /MTIProjectId/, description: 'Fonts.com project ID' },
+    { pattern: /mtiFontTrackingCode/, description: 'Fonts.com tracking code' },
+    { pattern: /monotype\s*:\s*{\s*projectId\s*:/, description: 'Web Font Loader monotype module' }
+  ],
+  // Self-hosted MyFonts kits keep the license notice at the top of their CSS
+  cssSignatures: [{ pattern: /MyFonts Webfont Build/i, description: 'MyFonts webfont kit notice' }]
+};
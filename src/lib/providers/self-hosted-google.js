@@ -0,0 +1,16 @@
+/**
+ * Copies of Google Fonts served from the site itself, recognised by the subset
+ * comments Google puts before each @font-face or by google-webfonts-helper file names
+ */
+export const selfHostedGoogle = {
+  id: 'self-hosted-google-fonts',
+  name: 'Self-hosted Google Fonts',
+  homepage: 'https://fonts.google.com',
+  // Only looks at what no other provider claimed, so Google's own CSS doesn't count
+  fallback: true,
+  urlPatterns: [/\/[a-z0-9-]+-v\d+-[a-z0-9_-]+-(regular|italic|\d{3}(italic)?)\.(woff2?|ttf|eot|svg)([?#]|$)/i],
+  cssSignatures: [{
+    pattern: /\/\*\s*(latin|latin-ext|cyrillic|cyrillic-ext|greek|greek-ext|vietnamese)\s*\*\/\s*@font-face/,
+    description: 'Google Fonts subset comments (/* latin */)'
+  }]
+};
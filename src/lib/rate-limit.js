@@ -0,0 +1,163 @@
+import { findApiKey, getAnonymousLimits, getApiKeys, getRequestApiKey } from './api-keys.js';
+import { getUsageStore } from './usage-store.js';
+
+const MINUTE_SECONDS = 60;
+const DAY_SECONDS = 24 * 60 * 60;
+// Daily counters outlive their day so the usage view can show a week
+const USAGE_HISTORY_DAYS = 7;
+
+/**
+ * Authenticate an API call and count it against its limits: requests per minute, and scans
+ * per day (a batch of 20 URLs costs 20). Calls with a key are limited per key, calls
+ * without one per client IP
+ * @param {Request} request
+ * @param {Object} [options]
+ * @param {number} [options.cost=1] - How many scans the call runs
+ * @returns {Promise<Response|null>} - A 401 or 429 response to send instead, or null to go ahead
+ */
+export async function limitApiRequest(request, options) {
+  const rejection = await checkApiLimits(request, options);
+  if (!rejection) return null;
+  const { status, message, headers } = rejection;
+  const retryAfter = headers['Retry-After'] ? Number(headers['Retry-After']) : undefined;
+  return Response.json({ error: message, retryAfter }, { status, headers });
+}
+
+/**
+ * The checks behind limitApiRequest, for routes that report errors in their own format
+ * @param {Request} request
+ * @param {Object} [options]
+ * @param {number} [options.cost=1] - How many scans the call runs
+ * @returns {Promise<Object|null>} - `{ status, code, message, headers }` when the call is refused:
+ *   code is API_KEY_REQUIRED, INVALID_API_KEY, RATE_LIMITED or QUOTA_EXCEEDED
+ */
+export async function checkApiLimits(request, { cost = 1 } = {}) {
+  const key = getRequestApiKey(request);
+  let client;
+  let limits;
+  if (key) {
+    const apiKey = findApiKey(key);
+    if (!apiKey) {
+      return rejectRequest(401, 'INVALID_API_KEY', 'Unknown API key', { 'WWW-Authenticate': 'Bearer' });
+    }
+    client = `key:${apiKey.name}`;
+    limits = apiKey;
+  } else {
+    limits = getAnonymousLimits();
+    if (limits.requestsPerMinute === 0) {
+      return rejectRequest(401, 'API_KEY_REQUIRED', 'An API key is required: send it as "Authorization: Bearer <key>"', { 'WWW-Authenticate': 'Bearer' });
+    }
+    client = `ip:${getClientIp(request)}`;
+  }
+
+  const now = Date.now();
+  const minute = Math.floor(now / (MINUTE_SECONDS * 1000));
+  const today = toDateKey(now);
+  const store = getUsageStore();
+
+  try {
+    const requests = await store.increment(`${client}:minute:${minute}`, 1, MINUTE_SECONDS);
+    if (!key) await store.increment(`anonymous:minute:${minute}`, 1, MINUTE_SECONDS);
+    if (limits.requestsPerMinute !== null && requests > limits.requestsPerMinute) {
+      const reset = (minute + 1) * MINUTE_SECONDS;
+      return rejectRequest(429, 'RATE_LIMITED', `Rate limit of ${limits.requestsPerMinute} requests per minute exceeded`, {
+        'Retry-After': String(Math.max(1, reset - Math.floor(now / 1000))),
+        'X-RateLimit-Limit': String(limits.requestsPerMinute),
+        'X-RateLimit-Remaining': '0',
+        'X-RateLimit-Reset': String(reset)
+      });
+    }
+
+    const dayTtl = (USAGE_HISTORY_DAYS + 1) * DAY_SECONDS;
+    const scans = await store.increment(`${client}:day:${today}`, cost, dayTtl);
+    if (limits.dailyQuota !== null && scans > limits.dailyQuota) {
+      // A refused call doesn't use up any of the quota
+      await store.increment(`${client}:day:${today}`, -cost, dayTtl);
+      const reset = (Math.floor(now / (DAY_SECONDS * 1000)) + 1) * DAY_SECONDS;
+      const remaining = Math.max(0, limits.dailyQuota - (scans - cost));
+      return rejectRequest(429, 'QUOTA_EXCEEDED', `Daily quota of ${limits.dailyQuota} scans ${remaining > 0 ? `has ${remaining} left, this call needs ${cost}` : 'is used up'}; it resets at midnight UTC`, {
+        'Retry-After': String(Math.max(1, reset - Math.floor(now / 1000))),
+        'X-Quota-Limit': String(limits.dailyQuota),
+        'X-Quota-Remaining': String(remaining),
+        'X-Quota-Reset': String(reset)
+      });
+    }
+    if (!key) await store.increment(`anonymous:day:${today}`, cost, dayTtl);
+  } catch (error) {
+    // An unreachable store shouldn't take the API down with it
+    console.error('Rate limiting skipped:', error.message);
+  }
+  return null;
+}
+
+/**
+ * Usage per API key, and for keyless calls as a whole, for the admin view
+ * @returns {Promise<Array>} - `{ name, requestsPerMinute, dailyQuota, thisMinute, today, days: [{ date, scans }] }`
+ *   per key, then one entry for anonymous calls (whose limits apply per IP)
+ */
+export async function getUsageReport() {
+  const now = Date.now();
+  const minute = Math.floor(now / (MINUTE_SECONDS * 1000));
+  const dates = Array.from({ length: USAGE_HISTORY_DAYS }, (_, index) => toDateKey(now - index * DAY_SECONDS * 1000));
+  const clients = [
+    ...getApiKeys().map(apiKey => ({ id: `key:${apiKey.name}`, name: apiKey.name, anonymous: false, limits: apiKey })),
+    { id: 'anonymous', name: 'Anonymous', anonymous: true, limits: getAnonymousLimits() }
+  ];
+
+  const store = getUsageStore();
+  return Promise.all(clients.map(async ({ id, name, anonymous, limits }) => {
+    const [thisMinute, ...days] = await store.getMany([
+      `${id}:minute:${minute}`,
+      ...dates.map(date => `${id}:day:${date}`)
+    ]);
+    return {
+      name,
+      anonymous,
+      requestsPerMinute: limits.requestsPerMinute,
+      dailyQuota: limits.dailyQuota,
+      thisMinute,
+      today: days[0],
+      days: dates.map((date, index) => ({ date, scans: days[index] }))
+    };
+  }));
+}
+
+/**
+ * @param {number} status
+ * @param {string} code
+ * @param {string} message
+ * @param {Object} headers
+ * @returns {Object}
+ */
+function rejectRequest(status, code, message, headers) {
+  return { status, code, message, headers };
+}
+
+/**
+ * The caller's IP. On Vercel that is x-real-ip, which its edge sets. Elsewhere it is read from
+ * the right of X-Forwarded-For, where the proxies in front of the app append what they saw:
+ * FONT_FINDER_TRUSTED_PROXIES says how many there are (1 by default), and anything to the left
+ * of the address the outermost one appended came from the client, so it isn't trusted
+ * @param {Request} request
+ * @returns {string}
+ */
+export function getClientIp(request) {
+  if (process.env.VERCEL) return request.headers.get('x-real-ip') || 'unknown';
+
+  const configured = Number(process.env.FONT_FINDER_TRUSTED_PROXIES);
+  const proxies = Number.isInteger(configured) && configured >= 1 ? configured : 1;
+  const hops = (request.headers.get('x-forwarded-for') || '')
+    .split(',')
+    .map(hop => hop.trim())
+    .filter(Boolean);
+  // Fewer hops than proxies: the outer ones didn't append, so the left-most is the closest there is
+  return hops[Math.max(0, hops.length - proxies)] || 'unknown';
+}
+
+/**
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {string} - The UTC date, YYYY-MM-DD
+ */
+function toDateKey(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
@@ -0,0 +1,28 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, test } from 'node:test';
+import { getClientIp } from './rate-limit.js';
+
+const requestFrom = (headers) => new Request('http://localhost/api/v1/fonts', { headers });
+
+describe('getClientIp', () => {
+  afterEach(() => {
+    delete process.env.FONT_FINDER_TRUSTED_PROXIES;
+    delete process.env.VERCEL;
+  });
+
+  test('takes the address the proxy appended, not what the client sent', () => {
+    assert.equal(getClientIp(requestFrom({ 'X-Forwarded-For': '1.1.1.1, 203.0.113.7' })), '203.0.113.7');
+    assert.equal(getClientIp(requestFrom({ 'X-Forwarded-For': '203.0.113.7' })), '203.0.113.7');
+    assert.equal(getClientIp(requestFrom({})), 'unknown');
+  });
+
+  test('skips the hops of each trusted proxy', () => {
+    process.env.FONT_FINDER_TRUSTED_PROXIES = '2';
+    assert.equal(getClientIp(requestFrom({ 'X-Forwarded-For': '1.1.1.1, 203.0.113.7, 10.0.0.2' })), '203.0.113.7');
+  });
+
+  test('uses x-real-ip on Vercel', () => {
+    process.env.VERCEL = '1';
+    assert.equal(getClientIp(requestFrom({ 'X-Forwarded-For': '1.1.1.1', 'X-Real-IP': '203.0.113.7' })), '203.0.113.7');
+  });
+});
@@ -0,0 +1,428 @@
+import { BlockedRequestError, checkUrl, safeFetch } from './safe-fetch.js';
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36';
+
+// Elements whose text is never rendered
+const SKIPPED_TAGS = new Set(['HEAD', 'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TITLE']);
+
+// Cap the per-element CDP round trips so huge pages stay within the function timeout
+const MAX_TEXT_ELEMENTS = 1500;
+const MAX_ELEMENTS_PER_FONT = 25;
+
+// Chromium fetches nothing itself (see loadRenderedPage): it can't resolve any host name,
+// so a request that escapes interception (a WebSocket, a service worker's fetch) fails
+const HOST_RESOLVER_RULES = '--host-resolver-rules=MAP * ~NOTFOUND';
+
+// Response headers that describe the body as it came over the wire, not as it is handed to Chromium
+const HOP_BY_HOP_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding', 'connection', 'keep-alive'];
+
+// The network error Chromium is told about when a request fails, by error code
+const ABORT_REASONS = {
+  ENOTFOUND: 'namenotresolved',
+  EAI_AGAIN: 'namenotresolved',
+  ECONNREFUSED: 'connectionrefused',
+  ECONNRESET: 'connectionreset',
+  ECONNABORTED: 'timedout',
+  ETIMEDOUT: 'timedout',
+  EHOSTUNREACH: 'addressunreachable',
+  ENETUNREACH: 'addressunreachable'
+};
+
+/**
+ * Launch a headless Chromium instance.
+ * On AWS Lambda (Vercel functions) the bundled chrome-aws-lambda binary is used
+ * with puppeteer-core; everywhere else the regular puppeteer install is used.
+ * @returns {Promise<import('puppeteer').Browser>}
+ */
+async function launchBrowser() {
+  if (process.env.AWS_LAMBDA_FUNCTION_VERSION) {
+    const chromium = (await import('chrome-aws-lambda')).default;
+    const puppeteerCore = (await import('puppeteer-core')).default;
+
+    return puppeteerCore.launch({
+      args: [...chromium.args, HOST_RESOLVER_RULES],
+      defaultViewport: chromium.defaultViewport,
+      executablePath: await chromium.executablePath,
+      headless: chromium.headless
+    });
+  }
+
+  const puppeteer = (await import('puppeteer')).default;
+  return puppeteer.launch({
+    headless: true,
+    executablePath: process.env.CHROME_EXECUTABLE_PATH || undefined,
+    args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', HOST_RESOLVER_RULES]
+  });
+}
+
+/**
+ * Make a request of the page with safeFetch and hand the response to Chromium. Redirects are
+ * handed over as they are, so Chromium follows them and each hop comes back through here
+ * @param {import('puppeteer').HTTPRequest} request - An intercepted request
+ * @param {AbortSignal|null} signal - Cancels the request
+ * @returns {Promise<void>}
+ * @throws {BlockedRequestError} - When safeFetch refuses the URL, the address or the size
+ */
+async function fulfilRequest(request, signal) {
+  const response = await safeFetch(request.url(), {
+    method: request.method(),
+    data: request.postData(),
+    headers: request.headers(),
+    responseType: 'arraybuffer',
+    validateStatus: () => true,
+    followRedirects: false,
+    signal
+  });
+
+  const headers = {};
+  for (const [name, value] of Object.entries(response.headers)) {
+    if (value !== undefined && !HOP_BY_HOP_HEADERS.includes(name.toLowerCase())) headers[name] = value;
+  }
+  await request.respond({ status: response.status, headers, body: response.data });
+}
+
+/**
+ * Load a page in headless Chromium and collect every stylesheet it ends up with
+ * @param {string} url - The page URL
+ * @param {Object} [options]
+ * @param {number} [options.timeout=30000] - Navigation timeout in milliseconds
+ * @param {Function} [options.onBlocked] - Called with the BlockedRequestError of each request the
+ *   page tried to make that safeFetch refused
+ * @param {AbortSignal} [options.signal] - Closes the browser, ending the page load and its requests
+ * @returns {Promise<{html: string, finalUrl: string, stylesheets: Array, renderedFonts: Array, fontFaces: Array, fontApiLoaded: Array}>}
+ *   The rendered HTML, stylesheets as `{ source, url, content }` objects, the
+ *   fonts the browser actually rendered text with, the state of `document.fonts`
+ *   and the fonts created through the CSS Font Loading API
+ */
+export async function loadRenderedPage(url, { timeout = 30000, onBlocked = () => {}, signal = null } = {}) {
+  await checkUrl(url);
+  const browser = await launchBrowser();
+  // Closing the browser ends whatever it is waiting for, so an abort closes it straight away
+  let closing = null;
+  const closeBrowser = () => {
+    closing ??= browser.close().catch(() => {});
+    return closing;
+  };
+  signal?.addEventListener('abort', closeBrowser, { once: true });
+
+  try {
+    signal?.throwIfAborted();
+    const page = await browser.newPage();
+    await page.setUserAgent(USER_AGENT);
+    await page.evaluateOnNewDocument(trackFontLoadingApi);
+
+    // Letting a checked request continue would have Chromium resolve the host again, maybe to
+    // another address (DNS rebinding), so every request the page makes is made by safeFetch,
+    // which checks the address it connects to, and its response handed back to Chromium
+    let blockedNavigation = null;
+    await page.setRequestInterception(true);
+    page.on('request', (request) => {
+      if (/^(data|blob|about):/i.test(request.url())) {
+        request.continue().catch(() => {});
+        return;
+      }
+      fulfilRequest(request, signal).catch((error) => {
+        if (!(error instanceof BlockedRequestError)) {
+          return request.abort(ABORT_REASONS[error.code] || 'failed');
+        }
+        onBlocked(error);
+        if (request.isNavigationRequest() && request.frame() === page.mainFrame()) blockedNavigation = error;
+        return request.abort('blockedbyclient');
+      }).catch(() => {
+        // The request was already handled, or the page has closed
+      });
+    });
+
+    // Keep the raw text of every stylesheet response so cross-origin sheets,
+    // whose cssRules the page is not allowed to read, can still be analysed
+    const stylesheetResponses = new Map();
+    page.on('response', async (response) => {
+      if (response.request().resourceType() !== 'stylesheet' || !response.ok()) return;
+      try {
+        stylesheetResponses.set(response.url(), await response.text());
+      } catch (e) {
+        // The body is not available for redirects and evicted resources
+      }
+    });
+
+    try {
+      await page.goto(url, { waitUntil: 'networkidle2', timeout });
+    } catch (error) {
+      throw blockedNavigation || error;
+    }
+    await page.evaluate(() => document.fonts.ready.then(() => undefined));
+
+    const sheets = await page.evaluate(collectStylesheets);
+    const renderedFonts = await collectRenderedFonts(page);
+    const fontFaces = await page.evaluate(() => Array.from(document.fonts).map(fontFace => ({
+      family: fontFace.family.replace(/^["']|["']$/g, ''),
+      weight: fontFace.weight,
+      style: fontFace.style,
+      status: fontFace.status
+    })));
+    const fontApiLoaded = await page.evaluate(() => (window.__fontFinderFontApi || []).map(entry => ({
+      family: entry.family,
+      url: entry.url,
+      loadTime: entry.loadTime,
+      status: entry.status,
+      addedToDocument: entry.addedToDocument,
+      weight: entry.weight,
+      style: entry.style,
+      type: 'font-api-font'
+    })));
+
+    const stylesheets = [];
+    for (const sheet of sheets) {
+      const content = sheet.content ?? (sheet.url ? stylesheetResponses.get(sheet.url) : null);
+      if (content) {
+        stylesheets.push({ source: sheet.source, url: sheet.url, content });
+      } else if (sheet.url) {
+        // Unreadable and not captured: let the caller fetch it like a static page would
+        stylesheets.push({ source: sheet.source, url: sheet.url, content: null });
+      }
+    }
+
+    return {
+      html: await page.content(),
+      finalUrl: page.url(),
+      stylesheets,
+      renderedFonts,
+      fontFaces,
+      fontApiLoaded
+    };
+  } catch (error) {
+    // Whatever failed after the browser was closed under it, the abort is why
+    signal?.throwIfAborted();
+    throw error;
+  } finally {
+    signal?.removeEventListener('abort', closeBrowser);
+    await closeBrowser();
+  }
+}
+
+/**
+ * Runs inside the page before any of its scripts: wrap the FontFace constructor,
+ * FontFace.prototype.load and document.fonts.add to record every font created
+ * through the CSS Font Loading API with its source URL and load timing.
+ */
+function trackFontLoadingApi() {
+  const entries = [];
+  const entriesByFontFace = new WeakMap();
+  const NativeFontFace = window.FontFace;
+  if (!NativeFontFace) return;
+
+  window.__fontFinderFontApi = entries;
+
+  const FontFace = function FontFace(family, source, descriptors = {}) {
+    const fontFace = new NativeFontFace(family, source, descriptors);
+    let url = null;
+    if (typeof source === 'string') {
+      const sourceUrl = source.match(/url\(\s*['"]?([^'")]+)['"]?\s*\)/)?.[1];
+      try {
+        url = sourceUrl ? new URL(sourceUrl, document.baseURI).href : null;
+      } catch (e) {
+        url = sourceUrl;
+      }
+    }
+
+    const entry = {
+      family: String(family).replace(/^["']|["']$/g, ''),
+      url,
+      weight: descriptors.weight || 'normal',
+      style: descriptors.style || 'normal',
+      status: 'unloaded',
+      addedToDocument: false,
+      startedAt: performance.now(),
+      loadTime: null
+    };
+    entries.push(entry);
+    entriesByFontFace.set(fontFace, entry);
+
+    fontFace.loaded.then(
+      () => {
+        entry.status = 'loaded';
+        entry.loadTime = performance.now() - entry.startedAt;
+      },
+      () => {
+        entry.status = 'error';
+      }
+    );
+    return fontFace;
+  };
+  FontFace.prototype = NativeFontFace.prototype;
+  window.FontFace = FontFace;
+
+  // URL-backed faces only start downloading on load() or first use, so time from there
+  const nativeLoad = NativeFontFace.prototype.load;
+  NativeFontFace.prototype.load = function load() {
+    const entry = entriesByFontFace.get(this);
+    if (entry && entry.status === 'unloaded') {
+      entry.status = 'loading';
+      entry.startedAt = performance.now();
+    }
+    return nativeLoad.call(this);
+  };
+
+  const nativeAdd = FontFaceSet.prototype.add;
+  FontFaceSet.prototype.add = function add(fontFace) {
+    const entry = entriesByFontFace.get(fontFace);
+    if (entry) entry.addedToDocument = true;
+    return nativeAdd.call(this, fontFace);
+  };
+}
+
+/**
+ * Runs inside the page: serialise document.styleSheets, adopted (constructed)
+ * stylesheets and the stylesheets of every open shadow root.
+ * Sheets whose rules can't be read (cross-origin) are returned with null content.
+ */
+function collectStylesheets() {
+  const results = [];
+  const seen = new Set();
+
+  const serialize = (sheet) => {
+    try {
+      return Array.from(sheet.cssRules).map(rule => rule.cssText).join('\n');
+    } catch (e) {
+      return null;
+    }
+  };
+
+  const collect = (sheet, source) => {
+    if (!sheet || seen.has(sheet)) return;
+    seen.add(sheet);
+    results.push({
+      source,
+      url: sheet.href || null,
+      content: serialize(sheet)
+    });
+  };
+
+  const collectRoot = (root, inShadowRoot) => {
+    for (const sheet of Array.from(root.styleSheets || [])) {
+      if (sheet.href) {
+        collect(sheet, 'external CSS file');
+      } else {
+        collect(sheet, inShadowRoot ? 'shadow root <style> tag' : 'inline <style> tag');
+      }
+    }
+    for (const sheet of Array.from(root.adoptedStyleSheets || [])) {
+      collect(sheet, 'constructed stylesheet');
+    }
+    for (const el of Array.from(root.querySelectorAll('*'))) {
+      if (el.shadowRoot) collectRoot(el.shadowRoot, true);
+    }
+  };
+
+  collectRoot(document, false);
+  return results;
+}
+
+/**
+ * Ask Chromium which platform font faces rendered the text of each element.
+ * Uses the DevTools protocol (CSS.getPlatformFontsForNode), which reports the
+ * face that was actually used after font fallback, with a glyph count.
+ * @param {import('puppeteer').Page} page - A loaded page
+ * @returns {Promise<Array>} - One entry per rendered font family with the elements it rendered
+ */
+async function collectRenderedFonts(page) {
+  const client = await page.target().createCDPSession();
+
+  try {
+    await client.send('DOM.enable');
+    await client.send('CSS.enable');
+
+    // pierce: true also returns shadow roots and same-process iframe documents
+    const { root } = await client.send('DOM.getDocument', { depth: -1, pierce: true });
+
+    const textElements = [];
+    const visit = (node) => {
+      if (textElements.length >= MAX_TEXT_ELEMENTS) return;
+      if (node.nodeType === 1 && SKIPPED_TAGS.has(node.nodeName)) return;
+
+      const textNode = (node.children || []).find(child => child.nodeType === 3 && child.nodeValue.trim());
+      if (node.nodeType === 1 && textNode) {
+        textElements.push({ node, text: textNode.nodeValue.trim() });
+      }
+
+      const children = [...(node.children || []), ...(node.shadowRoots || [])];
+      if (node.contentDocument) children.push(node.contentDocument);
+      children.forEach(visit);
+    };
+    visit(root);
+
+    const fonts = new Map();
+    for (const { node, text } of textElements) {
+      let platformFonts;
+      let fontFamily = '';
+      try {
+        ({ fonts: platformFonts } = await client.send('CSS.getPlatformFontsForNode', { nodeId: node.nodeId }));
+        const { computedStyle } = await client.send('CSS.getComputedStyleForNode', { nodeId: node.nodeId });
+        fontFamily = computedStyle.find(property => property.name === 'font-family')?.value || '';
+      } catch (e) {
+        // The node went away or isn't rendered (display: none)
+        continue;
+      }
+
+      const selector = describeNode(node);
+      for (const platformFont of platformFonts) {
+        if (!fonts.has(platformFont.familyName)) {
+          fonts.set(platformFont.familyName, {
+            name: platformFont.familyName,
+            postScriptNames: new Set(),
+            isCustomFont: platformFont.isCustomFont,
+            glyphCount: 0,
+            elementCount: 0,
+            elements: [],
+            declaredStacks: new Set()
+          });
+        }
+
+        const font = fonts.get(platformFont.familyName);
+        if (platformFont.postScriptName) font.postScriptNames.add(platformFont.postScriptName);
+        if (fontFamily) font.declaredStacks.add(fontFamily);
+        font.glyphCount += platformFont.glyphCount;
+        font.elementCount++;
+        if (font.elements.length < MAX_ELEMENTS_PER_FONT) {
+          font.elements.push({
+            selector,
+            text: text.length > 60 ? text.substring(0, 60) + '...' : text,
+            glyphCount: platformFont.glyphCount
+          });
+        }
+      }
+    }
+
+    return Array.from(fonts.values())
+      .map(font => ({
+        ...font,
+        postScriptNames: Array.from(font.postScriptNames),
+        declaredStacks: Array.from(font.declaredStacks)
+      }))
+      .sort((a, b) => b.glyphCount - a.glyphCount);
+  } finally {
+    await client.detach();
+  }
+}
+
+/**
+ * Build a short CSS-like description (tag#id.class) of a DOM.Node
+ * @param {Object} node - A CDP DOM.Node
+ * @returns {string}
+ */
+function describeNode(node) {
+  const attributes = {};
+  const flatAttributes = node.attributes || [];
+  for (let i = 0; i < flatAttributes.length; i += 2) {
+    attributes[flatAttributes[i]] = flatAttributes[i + 1];
+  }
+
+  let selector = node.localName || node.nodeName.toLowerCase();
+  if (attributes.id) {
+    selector += `#${attributes.id}`;
+  }
+  if (attributes.class && attributes.class.trim()) {
+    selector += attributes.class.trim().split(/\s+/).slice(0, 3).map(className => `.${className}`).join('');
+  }
+  return selector;
+}
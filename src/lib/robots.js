@@ -0,0 +1,112 @@
+/**
+ * Parse a robots.txt file
+ * @param {string} text - The robots.txt contents
+ * @returns {{groups: Array, sitemaps: Array<string>}} - Rule groups as
+ *   `{ userAgents, rules: [{ allow, path }], crawlDelay }` and the Sitemap: URLs
+ */
+export function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let group = null;
+  let lastWasUserAgent = false;
+
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!group || !lastWasUserAgent) {
+        group = { userAgents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.userAgents.push(value.toLowerCase());
+      lastWasUserAgent = true;
+      continue;
+    }
+    lastWasUserAgent = false;
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+    } else if (!group) {
+      continue;
+    } else if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything
+      if (value) group.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const delay = Number(value);
+      if (Number.isFinite(delay) && delay >= 0) group.crawlDelay = delay;
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+/**
+ * Pick the group that applies to a crawler: the one naming it, otherwise `*`
+ * @param {Object} robots - Result of parseRobotsTxt
+ * @param {string} userAgent - The crawler's product token
+ * @returns {Object|null}
+ */
+export function getRobotsGroup(robots, userAgent) {
+  const token = userAgent.toLowerCase();
+  return robots.groups.find(group => group.userAgents.some(agent => agent !== '*' && token.includes(agent)))
+    || robots.groups.find(group => group.userAgents.includes('*'))
+    || null;
+}
+
+/**
+ * Check whether robots.txt lets a crawler fetch a URL. The longest matching
+ * rule wins, and Allow wins a tie, as in RFC 9309.
+ * @param {Object} robots - Result of parseRobotsTxt
+ * @param {string} url - Absolute URL
+ * @param {string} userAgent - The crawler's product token
+ * @returns {boolean}
+ */
+export function isAllowedByRobots(robots, url, userAgent) {
+  const group = getRobotsGroup(robots, userAgent);
+  if (!group) return true;
+
+  const { pathname, search } = new URL(url);
+  const path = decodeURIComponentSafe(pathname) + search;
+
+  let best = null;
+  for (const rule of group.rules) {
+    if (!matchesRobotsPath(rule.path, path)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return best ? best.allow : true;
+}
+
+/**
+ * Match a robots.txt path pattern, where `*` is any sequence and a trailing `$` anchors the end
+ * @param {string} pattern
+ * @param {string} path
+ * @returns {boolean}
+ */
+function matchesRobotsPath(pattern, path) {
+  const anchored = pattern.endsWith('$');
+  const source = decodeURIComponentSafe(anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`).test(path);
+}
+
+/**
+ * @param {string} value
+ * @returns {string} - The decoded value, or the value itself when it isn't valid percent-encoding
+ */
+function decodeURIComponentSafe(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return value;
+  }
+}
@@ -0,0 +1,312 @@
+import axios, { AxiosError } from 'axios';
+import { lookup } from 'node:dns';
+import http from 'node:http';
+import https from 'node:https';
+import { BlockList, isIP } from 'node:net';
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36';
+
+export const ALLOWED_SCHEMES = ['http:', 'https:'];
+// FONT_FINDER_ALLOWED_PORTS replaces these with a comma separated list, or * for any port
+export const DEFAULT_ALLOWED_PORTS = [80, 443, 8080, 8443];
+export const MAX_REDIRECTS = 5;
+export const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+
+// What each kind of resource may be served as; a response without a Content-Type is let through
+const CONTENT_TYPES = {
+  html: ['text/html', 'application/xhtml+xml'],
+  css: ['text/css', 'text/plain'],
+  font: ['font/', 'application/font', 'application/x-font', 'application/vnd.ms-fontobject', 'application/octet-stream', 'binary/octet-stream'],
+  text: ['text/plain'],
+  xml: ['application/xml', 'text/xml']
+};
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Addresses a scan must never reach, by the name used in block reasons
+const BLOCKED_RANGES = [
+  ['unspecified', [['0.0.0.0', 8, 'ipv4'], ['::', 128, 'ipv6']]],
+  ['loopback', [['127.0.0.0', 8, 'ipv4'], ['::1', 128, 'ipv6']]],
+  ['private', [['10.0.0.0', 8, 'ipv4'], ['172.16.0.0', 12, 'ipv4'], ['192.168.0.0', 16, 'ipv4'], ['fc00::', 7, 'ipv6']]],
+  ['link-local', [['169.254.0.0', 16, 'ipv4'], ['fe80::', 10, 'ipv6']]],
+  ['carrier-grade NAT', [['100.64.0.0', 10, 'ipv4']]],
+  ['reserved', [
+    ['192.0.0.0', 24, 'ipv4'], ['192.0.2.0', 24, 'ipv4'], ['198.18.0.0', 15, 'ipv4'], ['198.51.100.0', 24, 'ipv4'],
+    ['203.0.113.0', 24, 'ipv4'], ['240.0.0.0', 4, 'ipv4'], ['2001:db8::', 32, 'ipv6']
+  ]],
+  ['multicast', [['224.0.0.0', 4, 'ipv4'], ['ff00::', 8, 'ipv6']]],
+  // BlockList matches IPv4-mapped addresses (::ffff:127.0.0.1) against the IPv4 ranges itself,
+  // NAT64 addresses embed an IPv4 address it doesn't look into
+  ['NAT64', [['64:ff9b::', 96, 'ipv6']]]
+].map(([name, subnets]) => {
+  const list = new BlockList();
+  subnets.forEach(([network, prefix, type]) => list.addSubnet(network, prefix, type));
+  return { name, list };
+});
+
+/**
+ * Add https:// to a URL typed without a scheme ("example.com/about"). A URL with a scheme is
+ * kept as it is, so one other than http(s) is refused by checkUrl rather than mangled
+ * @param {string} url
+ * @returns {string}
+ */
+export function normalizeUrl(url) {
+  const trimmed = url.trim();
+  return /^[a-z][a-z\d+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+}
+
+/**
+ * A request the fetch layer refused to make, or to finish
+ */
+export class BlockedRequestError extends Error {
+  /**
+   * @param {string} url - The URL that was blocked
+   * @param {string} reason - Why, e.g. "localhost resolves to 127.0.0.1, a loopback address"
+   */
+  constructor(url, reason) {
+    super(`Blocked ${url}: ${reason}`);
+    this.name = 'BlockedRequestError';
+    this.code = 'ERR_BLOCKED_REQUEST';
+    this.url = url;
+    this.reason = reason;
+  }
+}
+
+/**
+ * @returns {boolean} - Whether FONT_FINDER_ALLOW_PRIVATE_NETWORKS turns the address checks off,
+ *   for installs that are meant to scan an intranet (or local test pages)
+ */
+function allowsPrivateNetworks() {
+  return ['1', 'true', 'yes'].includes((process.env.FONT_FINDER_ALLOW_PRIVATE_NETWORKS || '').toLowerCase());
+}
+
+/**
+ * @returns {Array<number>|null} - The ports scans may connect to, or null for any
+ */
+function getAllowedPorts() {
+  const configured = process.env.FONT_FINDER_ALLOWED_PORTS;
+  if (!configured) return DEFAULT_ALLOWED_PORTS;
+  if (configured.trim() === '*') return null;
+  return configured.split(',').map(port => Number(port.trim())).filter(Number.isInteger);
+}
+
+/**
+ * @param {string} address - An IPv4 or IPv6 address
+ * @returns {string|null} - The name of the blocked range it is in, or null when it may be reached
+ */
+export function getBlockedRange(address) {
+  const type = isIP(address) === 6 ? 'ipv6' : 'ipv4';
+  return BLOCKED_RANGES.find(range => range.list.check(address, type))?.name ?? null;
+}
+
+/**
+ * Resolve a host name and check every address it resolves to
+ * @param {string} hostname
+ * @returns {Promise<string|null>} - Why the host is blocked, or null when it may be reached
+ */
+async function checkHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = isIP(host)
+    ? [{ address: host }]
+    : await new Promise((resolve, reject) => {
+      lookup(host, { all: true }, (error, results) => (error ? reject(error) : resolve(results)));
+    });
+
+  for (const { address } of addresses) {
+    const range = getBlockedRange(address);
+    if (range) {
+      return address === host ? `${address} is a ${range} address` : `${host} resolves to ${address}, a ${range} address`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a URL against the scheme and port allowlists and, unless
+ * FONT_FINDER_ALLOW_PRIVATE_NETWORKS is set, the addresses its host resolves to
+ * @param {string} url
+ * @returns {Promise<URL>} - The parsed URL
+ * @throws {BlockedRequestError} - When the URL, its port or an address of its host is not allowed
+ * @throws {Error} - When the host could not be resolved, with the lookup's code (e.g. ENOTFOUND)
+ */
+export async function checkUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new BlockedRequestError(url, 'not a valid URL');
+  }
+
+  if (!ALLOWED_SCHEMES.includes(parsed.protocol)) {
+    throw new BlockedRequestError(url, `the ${parsed.protocol.slice(0, -1)} scheme is not allowed, only ${ALLOWED_SCHEMES.map(scheme => scheme.slice(0, -1)).join(' and ')}`);
+  }
+  if (parsed.username || parsed.password) {
+    throw new BlockedRequestError(url, 'URLs with credentials are not allowed');
+  }
+
+  const port = Number(parsed.port) || (parsed.protocol === 'https:' ? 443 : 80);
+  const allowedPorts = getAllowedPorts();
+  if (allowedPorts && !allowedPorts.includes(port)) {
+    throw new BlockedRequestError(url, `port ${port} is not allowed, only ${allowedPorts.join(', ')}`);
+  }
+
+  if (!allowsPrivateNetworks()) {
+    let reason;
+    try {
+      reason = await checkHost(parsed.hostname);
+    } catch (error) {
+      // Not a block: the page is unreachable, as it would be without the check
+      const lookupError = new Error(`${parsed.hostname} could not be resolved (${error.code || error.message})`, { cause: error });
+      lookupError.code = error.code;
+      throw lookupError;
+    }
+    if (reason) throw new BlockedRequestError(url, reason);
+  }
+  return parsed;
+}
+
+/**
+ * dns.lookup for the HTTP agents: checks the addresses again as the connection is made,
+ * so a host can't pass checkUrl and then resolve somewhere private (DNS rebinding)
+ */
+function guardedLookup(hostname, options, callback) {
+  const lookupOptions = typeof options === 'object' ? options : { family: options };
+  lookup(hostname, { ...lookupOptions, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!allowsPrivateNetworks()) {
+      const blocked = addresses.find(({ address }) => getBlockedRange(address));
+      if (blocked) {
+        return callback(new BlockedRequestError(hostname, `${hostname} resolves to ${blocked.address}, a ${getBlockedRange(blocked.address)} address`));
+      }
+    }
+    if (lookupOptions.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ keepAlive: true, lookup: guardedLookup });
+const httpsAgent = new https.Agent({ keepAlive: true, lookup: guardedLookup });
+
+/**
+ * @param {string} contentType - A Content-Type header
+ * @param {string} expect - A key of CONTENT_TYPES
+ * @returns {boolean}
+ */
+function isExpectedContentType(contentType, expect) {
+  const mimeType = String(contentType || '').split(';')[0].trim().toLowerCase();
+  return !mimeType || CONTENT_TYPES[expect].some(allowed => mimeType.startsWith(allowed));
+}
+
+/**
+ * Make an HTTP request for a scan. Every URL (the first one and each redirect) is checked
+ * with checkUrl, redirects are capped at MAX_REDIRECTS, bodies at maxBytes, and the
+ * Content-Type must fit what was asked for
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {string} [options.method='GET']
+ * @param {*} [options.data] - A request body
+ * @param {string} [options.responseType='text'] - 'text' or 'arraybuffer'
+ * @param {number} [options.timeout=10000]
+ * @param {Object} [options.headers]
+ * @param {number} [options.maxBytes=DEFAULT_MAX_BYTES]
+ * @param {string|null} [options.expect] - 'html', 'css', 'font', 'text' or 'xml' to check the Content-Type
+ * @param {Function} [options.validateStatus] - As in axios; 2xx by default
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {boolean} [options.followRedirects=true] - false returns a redirect response as it is,
+ *   for a caller that follows (and so checks) each hop itself
+ * @returns {Promise<Object>} - The axios response, with `finalUrl` set to the URL after redirects
+ * @throws {BlockedRequestError} - When a URL, redirect, size or Content-Type is not allowed
+ */
+export async function safeFetch(url, {
+  method = 'GET',
+  data,
+  responseType = 'text',
+  timeout = 10000,
+  headers = {},
+  maxBytes = DEFAULT_MAX_BYTES,
+  expect = null,
+  validateStatus = status => status >= 200 && status < 300,
+  signal,
+  followRedirects = true
+} = {}) {
+  let currentUrl = url;
+  let currentMethod = method.toUpperCase();
+  let body = data;
+
+  for (let redirects = 0; ; redirects++) {
+    try {
+      await checkUrl(currentUrl);
+    } catch (error) {
+      if (redirects === 0 || !(error instanceof BlockedRequestError)) throw error;
+      throw new BlockedRequestError(currentUrl, `${error.reason} (redirected from ${url})`);
+    }
+
+    let response;
+    try {
+      response = await axios.request({
+        url: currentUrl,
+        method: currentMethod,
+        data: body,
+        responseType,
+        timeout,
+        headers: { 'User-Agent': USER_AGENT, ...headers },
+        httpAgent,
+        httpsAgent,
+        // Redirects are followed below, so every hop is checked
+        maxRedirects: 0,
+        maxContentLength: maxBytes,
+        validateStatus: () => true,
+        signal
+      });
+    } catch (error) {
+      if (error.code === 'ERR_BLOCKED_REQUEST' || error.cause?.code === 'ERR_BLOCKED_REQUEST') {
+        throw new BlockedRequestError(currentUrl, (error.cause || error).reason || error.message);
+      }
+      if (/maxContentLength/.test(error.message)) {
+        throw new BlockedRequestError(currentUrl, `the response is larger than ${formatBytes(maxBytes)}`);
+      }
+      throw error;
+    }
+
+    const location = response.headers.location;
+    if (followRedirects && REDIRECT_STATUSES.includes(response.status) && location) {
+      if (redirects >= MAX_REDIRECTS) {
+        throw new BlockedRequestError(url, `more than ${MAX_REDIRECTS} redirects`);
+      }
+      currentUrl = new URL(location, currentUrl).href;
+      // Like browsers: 303 (and 301/302 after a POST) continue as a GET without the body
+      if (response.status === 303 || (currentMethod === 'POST' && response.status !== 307 && response.status !== 308)) {
+        currentMethod = currentMethod === 'HEAD' ? 'HEAD' : 'GET';
+        body = undefined;
+      }
+      continue;
+    }
+
+    if (!validateStatus(response.status)) {
+      throw new AxiosError(
+        `Request failed with status code ${response.status}`,
+        response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+        response.config,
+        response.request,
+        response
+      );
+    }
+
+    const contentType = response.headers['content-type'];
+    if (expect && response.status !== 304 && !isExpectedContentType(contentType, expect)) {
+      throw new BlockedRequestError(currentUrl, `served as ${contentType.split(';')[0]}, which is not ${expect === 'font' ? 'a font' : expect.toUpperCase()}`);
+    }
+
+    response.finalUrl = currentUrl;
+    return response;
+  }
+}
+
+/**
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${Math.round(bytes / 1024 / 1024)} MB`;
+  return bytes >= 1024 ? `${Math.round(bytes / 1024)} KB` : `${bytes} bytes`;
+}
@@ -0,0 +1,29 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { toApiError } from './api-errors.js';
+import { BlockedRequestError, checkUrl, normalizeUrl } from './safe-fetch.js';
+
+describe('normalizeUrl', () => {
+  test('adds https:// only when there is no scheme', () => {
+    assert.equal(normalizeUrl(' example.com/about '), 'https://example.com/about');
+    assert.equal(normalizeUrl('HTTP://example.com'), 'HTTP://example.com');
+    assert.equal(normalizeUrl('ftp://example.com'), 'ftp://example.com');
+    assert.equal(normalizeUrl('httpbin.org'), 'https://httpbin.org');
+  });
+});
+
+describe('checkUrl', () => {
+  test('blocks private addresses, schemes and ports', async () => {
+    await assert.rejects(checkUrl('http://127.0.0.1/'), { name: 'BlockedRequestError', reason: '127.0.0.1 is a loopback address' });
+    await assert.rejects(checkUrl('ftp://example.com/'), BlockedRequestError);
+    await assert.rejects(checkUrl('http://example.com:22/'), BlockedRequestError);
+  });
+
+  test('fails a host that does not resolve as unreachable, not as blocked', async () => {
+    // .invalid never resolves (RFC 2606)
+    const error = await checkUrl('https://font-finder-test.invalid/').catch(caught => caught);
+    assert.ok(!(error instanceof BlockedRequestError));
+    assert.equal(error.code, 'ENOTFOUND');
+    assert.equal(toApiError(error).code, 'TARGET_UNREACHABLE');
+  });
+});
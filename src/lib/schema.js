@@ -0,0 +1,76 @@
+/**
+ * Check a value against a JSON Schema. Covers the keywords the API's schemas use: type
+ * (a name or a list of names), enum, properties, required, additionalProperties, items
+ * and $ref to `#/components/schemas/<name>`
+ * @param {*} value
+ * @param {Object} schema
+ * @param {Object} [options]
+ * @param {Object} [options.schemas] - The schemas $ref can point at, by name
+ * @param {string} [options.path='$'] - Where the value sits, for the error messages
+ * @returns {Array<{path: string, message: string}>} - Every mismatch; empty when the value is valid
+ */
+export function validateSchema(value, schema, { schemas = {}, path = '$' } = {}) {
+  const errors = [];
+  const visit = (current, currentSchema, currentPath) => {
+    if (currentSchema.$ref) {
+      const name = currentSchema.$ref.replace('#/components/schemas/', '');
+      if (!schemas[name]) throw new Error(`Unknown schema reference ${currentSchema.$ref}`);
+      visit(current, schemas[name], currentPath);
+      return;
+    }
+
+    if (currentSchema.type) {
+      const types = [].concat(currentSchema.type);
+      if (!types.some(type => matchesType(current, type))) {
+        errors.push({ path: currentPath, message: `expected ${types.join(' or ')}, got ${describeType(current)}` });
+        return;
+      }
+    }
+    if (currentSchema.enum && !currentSchema.enum.includes(current)) {
+      errors.push({ path: currentPath, message: `expected one of ${currentSchema.enum.map(item => JSON.stringify(item)).join(', ')}, got ${JSON.stringify(current)}` });
+      return;
+    }
+
+    if (Array.isArray(current) && currentSchema.items) {
+      current.forEach((item, index) => visit(item, currentSchema.items, `${currentPath}[${index}]`));
+    } else if (describeType(current) === 'object') {
+      for (const property of currentSchema.required || []) {
+        if (!(property in current)) errors.push({ path: currentPath, message: `missing required property "${property}"` });
+      }
+      for (const [property, propertyValue] of Object.entries(current)) {
+        const propertySchema = currentSchema.properties?.[property];
+        if (propertySchema) {
+          visit(propertyValue, propertySchema, `${currentPath}.${property}`);
+        } else if (currentSchema.additionalProperties === false) {
+          errors.push({ path: currentPath, message: `unexpected property "${property}"` });
+        } else if (typeof currentSchema.additionalProperties === 'object') {
+          visit(propertyValue, currentSchema.additionalProperties, `${currentPath}.${property}`);
+        }
+      }
+    }
+  };
+
+  visit(value, schema, path);
+  return errors;
+}
+
+/**
+ * @param {*} value
+ * @param {string} type - A JSON Schema type name
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return describeType(value) === type;
+}
+
+/**
+ * @param {*} value
+ * @returns {string} - The JSON Schema type name of a value
+ */
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
@@ -0,0 +1,346 @@
+import { getFontStacks } from './font-summary.js';
+import { splitFontFamilyList } from './css-parser.js';
+
+// Stylesheets whose @font-face rules are reproduced by the <link> snippets, or can't be reused at all
+const HOSTED_STYLESHEET_PATTERN = /\/\/(fonts\.googleapis\.com|use\.typekit\.net|p\.typekit\.net)\//;
+
+// Tailwind's default fontFamily keys, by the generic family that ends a stack
+const TAILWIND_GENERIC_KEYS = {
+  'sans-serif': 'sans',
+  serif: 'serif',
+  monospace: 'mono'
+};
+
+/**
+ * Build copyable code for using a site's fonts in a new project
+ * @param {Object} fontData - detectFonts result
+ * @returns {Array} - `{ id, label, language, code }` snippets; only the ones the data supports
+ */
+export function buildFontSnippets(fontData) {
+  const googleFamilies = collectGoogleFamilies(fontData);
+  const fontsourceFamilies = collectFontsourceFamilies(fontData, googleFamilies);
+  const snippets = [];
+
+  if (googleFamilies.length > 0) {
+    const cssUrl = buildCss2Url(googleFamilies);
+    snippets.push({
+      id: 'html-link',
+      label: 'HTML <link>',
+      language: 'html',
+      code: [
+        '<link rel="preconnect" href="https://fonts.googleapis.com">',
+        '<link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>',
+        `<link href="${cssUrl.replace(/&/g, '&amp;')}" rel="stylesheet">`
+      ].join('\n')
+    });
+    snippets.push({
+      id: 'css-import',
+      label: 'CSS @import',
+      language: 'css',
+      code: `@import url('${cssUrl}');`
+    });
+    snippets.push({
+      id: 'next-font',
+      label: 'next/font/google',
+      language: 'javascript',
+      code: buildNextFontSnippet(googleFamilies)
+    });
+  }
+
+  if (fontsourceFamilies.length > 0) {
+    snippets.push({
+      id: 'fontsource-install',
+      label: 'Fontsource install',
+      language: 'shell',
+      code: `npm install ${fontsourceFamilies.map(family => fontsourcePackage(family)).join(' ')}`
+    });
+    snippets.push({
+      id: 'fontsource-imports',
+      label: 'Fontsource imports',
+      language: 'javascript',
+      code: fontsourceFamilies.flatMap(family => fontsourceImports(family).map(path => `import '${path}';`)).join('\n')
+    });
+  }
+
+  const fontFaceRules = buildFontFaceRules(fontData.fontFaceDeclarations || []);
+  if (fontFaceRules) {
+    snippets.push({
+      id: 'font-face',
+      label: '@font-face rules',
+      language: 'css',
+      code: fontFaceRules
+    });
+  }
+
+  const stacks = getFontStacks(fontData);
+  if (stacks.length > 0) {
+    snippets.push({
+      id: 'tailwind',
+      label: 'Tailwind fontFamily',
+      language: 'javascript',
+      code: buildTailwindSnippet(stacks)
+    });
+  }
+
+  return snippets;
+}
+
+/**
+ * Merge the families requested from Google Fonts, and self-hosted copies of them, with their styles
+ * @param {Object} fontData
+ * @returns {Array<{name: string, styles: Array<{weight: string, italic: boolean}>}>}
+ */
+function collectGoogleFamilies(fontData) {
+  const families = new Map();
+  const add = (name, weight, italic) => {
+    const key = name.toLowerCase();
+    if (!families.has(key)) families.set(key, { name, styles: [] });
+    const normalizedWeight = normalizeWeight(weight);
+    const { styles } = families.get(key);
+    if (!styles.some(style => style.weight === normalizedWeight && style.italic === italic)) {
+      styles.push({ weight: normalizedWeight, italic });
+    }
+  };
+
+  for (const font of fontData.googleFonts || []) {
+    (font.styles || [{ weight: '400', italic: false }]).forEach(style => add(font.name, style.weight, style.italic));
+  }
+  const selfHosted = (fontData.fontProviders || []).find(provider => provider.id === 'self-hosted-google-fonts');
+  for (const family of selfHosted?.families || []) {
+    const styles = family.styles.length > 0 ? family.styles : [{ weight: '400', style: 'normal' }];
+    styles.forEach(style => add(family.name, style.weight, style.style === 'italic'));
+  }
+
+  return Array.from(families.values());
+}
+
+/**
+ * Every Google family is on Fontsource too; add the ones loaded from Fontsource's CDN
+ * @param {Object} fontData
+ * @param {Array} googleFamilies - Result of collectGoogleFamilies
+ * @returns {Array}
+ */
+function collectFontsourceFamilies(fontData, googleFamilies) {
+  const families = googleFamilies.map(family => ({ ...family, styles: [...family.styles] }));
+  const provider = (fontData.fontProviders || []).find(candidate => candidate.id === 'fontsource');
+  for (const family of provider?.families || []) {
+    let entry = families.find(candidate => candidate.name.toLowerCase() === family.name.toLowerCase());
+    if (!entry) {
+      entry = { name: family.name, styles: [] };
+      families.push(entry);
+    }
+    for (const style of family.styles) {
+      const weight = normalizeWeight(style.weight);
+      const italic = style.style === 'italic';
+      if (!entry.styles.some(existing => existing.weight === weight && existing.italic === italic)) {
+        entry.styles.push({ weight, italic });
+      }
+    }
+  }
+  return families;
+}
+
+/**
+ * @param {string|number} weight - e.g. '700', 'bold', '100 900', '100..900' or 'variable'
+ * @returns {string} - A numeric weight, a `min..max` range or 'variable'
+ */
+function normalizeWeight(weight) {
+  const value = String(weight ?? '400').trim().toLowerCase();
+  if (value === 'normal') return '400';
+  if (value === 'bold') return '700';
+  const range = value.match(/^(\d+)\s*(?:\.\.|\s)\s*(\d+)$/);
+  return range ? `${range[1]}..${range[2]}` : value;
+}
+
+/**
+ * @param {Object} family
+ * @returns {boolean} - Whether the family was loaded as a variable font (a weight range)
+ */
+function isVariableFamily(family) {
+  return family.styles.some(style => style.weight === 'variable' || style.weight.includes('..'));
+}
+
+/**
+ * Build one css2 API URL for all families
+ * @param {Array} families - Result of collectGoogleFamilies
+ * @returns {string}
+ */
+function buildCss2Url(families) {
+  const params = families.map(family => {
+    const name = encodeURIComponent(family.name).replace(/%20/g, '+');
+    const styles = family.styles
+      .map(style => ({ ...style, weight: style.weight === 'variable' ? '100..900' : style.weight }))
+      .sort((a, b) => Number(a.italic) - Number(b.italic) || parseInt(a.weight, 10) - parseInt(b.weight, 10));
+
+    if (styles.length === 1 && styles[0].weight === '400' && !styles[0].italic) {
+      return `family=${name}`;
+    }
+    if (styles.some(style => style.italic)) {
+      return `family=${name}:ital,wght@${styles.map(style => `${style.italic ? 1 : 0},${style.weight}`).join(';')}`;
+    }
+    return `family=${name}:wght@${styles.map(style => style.weight).join(';')}`;
+  });
+  return `https://fonts.googleapis.com/css2?${params.join('&')}&display=swap`;
+}
+
+/**
+ * next/font/google loader calls, exposing each family as a CSS variable
+ * @param {Array} families - Result of collectGoogleFamilies
+ * @returns {string}
+ */
+function buildNextFontSnippet(families) {
+  const loaders = families.map(family => {
+    const loader = family.name.replace(/[^A-Za-z0-9]+/g, '_');
+    const variable = toCamelCase(family.name);
+    const options = [`subsets: ['latin']`];
+
+    // Variable fonts load every weight; static ones need the list
+    if (!isVariableFamily(family)) {
+      const weights = Array.from(new Set(family.styles.map(style => style.weight)))
+        .sort((a, b) => parseInt(a, 10) - parseInt(b, 10));
+      options.push(`weight: [${weights.map(toJsString).join(', ')}]`);
+    }
+    const styles = Array.from(new Set(family.styles.map(style => (style.italic ? 'italic' : 'normal')))).sort().reverse();
+    if (styles.includes('italic')) {
+      options.push(`style: [${styles.map(toJsString).join(', ')}]`);
+    }
+    options.push(`display: 'swap'`, `variable: ${toJsString(`--font-${toSlug(family.name)}`)}`);
+
+    return { loader, variable, code: `const ${variable} = ${loader}({\n  ${options.join(',\n  ')}\n});` };
+  });
+
+  return [
+    `import { ${loaders.map(({ loader }) => loader).join(', ')} } from 'next/font/google';`,
+    '',
+    ...loaders.map(({ code }) => code),
+    '',
+    `// <html className={\`${loaders.map(({ variable }) => `\${${variable}.variable}`).join(' ')}\`}>`
+  ].join('\n');
+}
+
+/**
+ * @param {Object} family
+ * @returns {string} - The npm package for a family
+ */
+function fontsourcePackage(family) {
+  return `@fontsource${isVariableFamily(family) ? '-variable' : ''}/${toSlug(family.name)}`;
+}
+
+/**
+ * @param {Object} family
+ * @returns {Array<string>} - The stylesheets to import for the family's styles
+ */
+function fontsourceImports(family) {
+  const packageName = fontsourcePackage(family);
+  if (isVariableFamily(family)) {
+    const hasItalic = family.styles.some(style => style.italic);
+    return hasItalic ? [packageName, `${packageName}/wght-italic.css`] : [packageName];
+  }
+  return family.styles
+    .slice()
+    .sort((a, b) => parseInt(a.weight, 10) - parseInt(b.weight, 10) || Number(a.italic) - Number(b.italic))
+    .map(style => `${packageName}/${style.weight}${style.italic ? '-italic' : ''}.css`);
+}
+
+/**
+ * Rebuild the site's own @font-face rules with absolute URLs
+ * @param {Array} declarations - fontFaceDeclarations
+ * @returns {string} - The rules, or an empty string when there are none to reuse
+ */
+function buildFontFaceRules(declarations) {
+  const rules = [];
+  for (const declaration of declarations) {
+    if (HOSTED_STYLESHEET_PATTERN.test(declaration.source || '')) continue;
+
+    const src = (declaration.sources || [])
+      .map(source => {
+        if (source.local) return `local(${toCssString(source.local)})`;
+        if (!source.url) return null;
+        return `url(${toCssString(source.url)})${source.format ? ` format(${toCssString(source.format)})` : ''}`;
+      })
+      .filter(Boolean);
+    if (src.length === 0) continue;
+
+    const lines = [
+      `  font-family: ${toCssString(declaration.fontFamily)};`,
+      `  src: ${src.join(',\n       ')};`,
+      `  font-weight: ${declaration.weight || '400'};`,
+      `  font-style: ${declaration.style || 'normal'};`
+    ];
+    if (declaration.stretch && declaration.stretch !== 'normal') lines.push(`  font-stretch: ${declaration.stretch};`);
+    lines.push(`  font-display: ${declaration.display || 'swap'};`);
+    if (declaration.unicodeRange) lines.push(`  unicode-range: ${declaration.unicodeRange};`);
+
+    const rule = `@font-face {\n${lines.join('\n')}\n}`;
+    if (!rules.includes(rule)) rules.push(rule);
+  }
+
+  if (rules.length === 0) return '';
+  return ['/* Check each font\'s licence before self-hosting these files */', ...rules].join('\n\n');
+}
+
+/**
+ * A tailwind.config.js theme extension with one key per stack
+ * @param {Array<string>} stacks - Font stacks from getFontStacks
+ * @returns {string}
+ */
+function buildTailwindSnippet(stacks) {
+  const entries = [];
+  for (const stack of stacks) {
+    const families = splitFontFamilyList(stack);
+    const generic = families[families.length - 1]?.toLowerCase();
+    let key = TAILWIND_GENERIC_KEYS[generic];
+    if (!key || entries.some(entry => entry.key === key)) key = toSlug(families[0]);
+    if (entries.some(entry => entry.key === key)) continue;
+
+    // Names with spaces keep their quotes in the generated CSS
+    const values = families.map(family => toJsString(/\s/.test(family) ? `"${family}"` : family));
+    entries.push({ key, line: `${/^[a-z_$][\w$]*$/i.test(key) ? key : toJsString(key)}: [${values.join(', ')}]` });
+  }
+
+  return [
+    '// tailwind.config.js',
+    'module.exports = {',
+    '  theme: {',
+    '    extend: {',
+    '      fontFamily: {',
+    entries.map(entry => `        ${entry.line}`).join(',\n'),
+    '      }',
+    '    }',
+    '  }',
+    '};'
+  ].join('\n');
+}
+
+/**
+ * @param {string} name
+ * @returns {string} - e.g. 'open-sans'
+ */
+function toSlug(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * @param {string} name
+ * @returns {string} - A JavaScript identifier, e.g. 'openSans'
+ */
+function toCamelCase(name) {
+  const identifier = toSlug(name).replace(/-([a-z0-9])/g, (_, character) => character.toUpperCase());
+  return /^[a-z]/.test(identifier) ? identifier : `font${identifier.charAt(0).toUpperCase()}${identifier.slice(1)}`;
+}
+
+/**
+ * @param {string} value
+ * @returns {string} - A single-quoted JavaScript string literal
+ */
+function toJsString(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+}
+
+/**
+ * @param {string} value
+ * @returns {string} - A double-quoted CSS string
+ */
+function toCssString(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
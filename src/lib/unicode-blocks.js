@@ -0,0 +1,87 @@
+// Unicode blocks reported for font coverage, in code point order.
+// Not the full Unicode list: the blocks web fonts commonly cover plus the big CJK ranges.
+export const UNICODE_BLOCKS = [
+  { start: 0x0000, end: 0x007F, name: 'Basic Latin' },
+  { start: 0x0080, end: 0x00FF, name: 'Latin-1 Supplement' },
+  { start: 0x0100, end: 0x017F, name: 'Latin Extended-A' },
+  { start: 0x0180, end: 0x024F, name: 'Latin Extended-B' },
+  { start: 0x0250, end: 0x02AF, name: 'IPA Extensions' },
+  { start: 0x02B0, end: 0x02FF, name: 'Spacing Modifier Letters' },
+  { start: 0x0300, end: 0x036F, name: 'Combining Diacritical Marks' },
+  { start: 0x0370, end: 0x03FF, name: 'Greek and Coptic' },
+  { start: 0x0400, end: 0x04FF, name: 'Cyrillic' },
+  { start: 0x0500, end: 0x052F, name: 'Cyrillic Supplement' },
+  { start: 0x0530, end: 0x058F, name: 'Armenian' },
+  { start: 0x0590, end: 0x05FF, name: 'Hebrew' },
+  { start: 0x0600, end: 0x06FF, name: 'Arabic' },
+  { start: 0x0700, end: 0x074F, name: 'Syriac' },
+  { start: 0x0780, end: 0x07BF, name: 'Thaana' },
+  { start: 0x0900, end: 0x097F, name: 'Devanagari' },
+  { start: 0x0980, end: 0x09FF, name: 'Bengali' },
+  { start: 0x0A00, end: 0x0A7F, name: 'Gurmukhi' },
+  { start: 0x0A80, end: 0x0AFF, name: 'Gujarati' },
+  { start: 0x0B00, end: 0x0B7F, name: 'Oriya' },
+  { start: 0x0B80, end: 0x0BFF, name: 'Tamil' },
+  { start: 0x0C00, end: 0x0C7F, name: 'Telugu' },
+  { start: 0x0C80, end: 0x0CFF, name: 'Kannada' },
+  { start: 0x0D00, end: 0x0D7F, name: 'Malayalam' },
+  { start: 0x0D80, end: 0x0DFF, name: 'Sinhala' },
+  { start: 0x0E00, end: 0x0E7F, name: 'Thai' },
+  { start: 0x0E80, end: 0x0EFF, name: 'Lao' },
+  { start: 0x0F00, end: 0x0FFF, name: 'Tibetan' },
+  { start: 0x1000, end: 0x109F, name: 'Myanmar' },
+  { start: 0x10A0, end: 0x10FF, name: 'Georgian' },
+  { start: 0x1100, end: 0x11FF, name: 'Hangul Jamo' },
+  { start: 0x1200, end: 0x137F, name: 'Ethiopic' },
+  { start: 0x13A0, end: 0x13FF, name: 'Cherokee' },
+  { start: 0x1780, end: 0x17FF, name: 'Khmer' },
+  { start: 0x1800, end: 0x18AF, name: 'Mongolian' },
+  { start: 0x1C80, end: 0x1C8F, name: 'Cyrillic Extended-C' },
+  { start: 0x1C90, end: 0x1CBF, name: 'Georgian Extended' },
+  { start: 0x1CD0, end: 0x1CFF, name: 'Vedic Extensions' },
+  { start: 0x1D00, end: 0x1D7F, name: 'Phonetic Extensions' },
+  { start: 0x1DC0, end: 0x1DFF, name: 'Combining Diacritical Marks Supplement' },
+  { start: 0x1E00, end: 0x1EFF, name: 'Latin Extended Additional' },
+  { start: 0x1F00, end: 0x1FFF, name: 'Greek Extended' },
+  { start: 0x2000, end: 0x206F, name: 'General Punctuation' },
+  { start: 0x2070, end: 0x209F, name: 'Superscripts and Subscripts' },
+  { start: 0x20A0, end: 0x20CF, name: 'Currency Symbols' },
+  { start: 0x2100, end: 0x214F, name: 'Letterlike Symbols' },
+  { start: 0x2150, end: 0x218F, name: 'Number Forms' },
+  { start: 0x2190, end: 0x21FF, name: 'Arrows' },
+  { start: 0x2200, end: 0x22FF, name: 'Mathematical Operators' },
+  { start: 0x2300, end: 0x23FF, name: 'Miscellaneous Technical' },
+  { start: 0x2460, end: 0x24FF, name: 'Enclosed Alphanumerics' },
+  { start: 0x2500, end: 0x257F, name: 'Box Drawing' },
+  { start: 0x2580, end: 0x259F, name: 'Block Elements' },
+  { start: 0x25A0, end: 0x25FF, name: 'Geometric Shapes' },
+  { start: 0x2600, end: 0x26FF, name: 'Miscellaneous Symbols' },
+  { start: 0x2700, end: 0x27BF, name: 'Dingbats' },
+  { start: 0x2800, end: 0x28FF, name: 'Braille Patterns' },
+  { start: 0x2C60, end: 0x2C7F, name: 'Latin Extended-C' },
+  { start: 0x2DE0, end: 0x2DFF, name: 'Cyrillic Extended-A' },
+  { start: 0x2E00, end: 0x2E7F, name: 'Supplemental Punctuation' },
+  { start: 0x3000, end: 0x303F, name: 'CJK Symbols and Punctuation' },
+  { start: 0x3040, end: 0x309F, name: 'Hiragana' },
+  { start: 0x30A0, end: 0x30FF, name: 'Katakana' },
+  { start: 0x3130, end: 0x318F, name: 'Hangul Compatibility Jamo' },
+  { start: 0x3400, end: 0x4DBF, name: 'CJK Unified Ideographs Extension A' },
+  { start: 0x4E00, end: 0x9FFF, name: 'CJK Unified Ideographs' },
+  { start: 0xA640, end: 0xA69F, name: 'Cyrillic Extended-B' },
+  { start: 0xA720, end: 0xA7FF, name: 'Latin Extended-D' },
+  { start: 0xAB30, end: 0xAB6F, name: 'Latin Extended-E' },
+  { start: 0xAC00, end: 0xD7AF, name: 'Hangul Syllables' },
+  { start: 0xE000, end: 0xF8FF, name: 'Private Use Area' },
+  { start: 0xF900, end: 0xFAFF, name: 'CJK Compatibility Ideographs' },
+  { start: 0xFB00, end: 0xFB4F, name: 'Alphabetic Presentation Forms' },
+  { start: 0xFB50, end: 0xFDFF, name: 'Arabic Presentation Forms-A' },
+  { start: 0xFE20, end: 0xFE2F, name: 'Combining Half Marks' },
+  { start: 0xFE70, end: 0xFEFF, name: 'Arabic Presentation Forms-B' },
+  { start: 0xFF00, end: 0xFFEF, name: 'Halfwidth and Fullwidth Forms' },
+  { start: 0xFFF0, end: 0xFFFF, name: 'Specials' },
+  { start: 0x1D400, end: 0x1D7FF, name: 'Mathematical Alphanumeric Symbols' },
+  { start: 0x1F300, end: 0x1F5FF, name: 'Miscellaneous Symbols and Pictographs' },
+  { start: 0x1F600, end: 0x1F64F, name: 'Emoticons' },
+  { start: 0x1F680, end: 0x1F6FF, name: 'Transport and Map Symbols' },
+  { start: 0x1F900, end: 0x1F9FF, name: 'Supplemental Symbols and Pictographs' }
+];
@@ -0,0 +1,155 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { createClient } from 'redis';
+import { getDataDir } from './history-store.js';
+
+export const USAGE_STORES = ['memory', 'file', 'redis'];
+
+const REDIS_KEY_PREFIX = 'font-finder:usage:';
+const REDIS_CONNECT_TIMEOUT_MS = 5000;
+
+// Route handlers are bundled separately, so the store (and the memory store's counters) live on globalThis
+const state = globalThis.__fontFinderUsage || (globalThis.__fontFinderUsage = { store: null, counters: new Map() });
+
+/**
+ * Counters for rate limits and quotas. Every store has the same two methods:
+ *   increment(name, amount, ttlSeconds) - add to a counter, creating it with an expiry; resolves to the new count
+ *   getMany(names) - resolves to the current counts, 0 for counters that don't exist
+ * FONT_FINDER_USAGE_STORE picks the store: 'memory' (the default, per process), 'file' (a JSON file
+ * in the data directory, for a single server) or 'redis' (FONT_FINDER_REDIS_URL, shared between instances)
+ * @returns {Object} - The configured store
+ */
+export function getUsageStore() {
+  if (!state.store) {
+    const type = process.env.FONT_FINDER_USAGE_STORE || 'memory';
+    if (!USAGE_STORES.includes(type)) {
+      throw new Error(`Unknown FONT_FINDER_USAGE_STORE "${type}", expected one of: ${USAGE_STORES.join(', ')}`);
+    }
+    state.store = type === 'redis' ? createRedisStore(process.env.FONT_FINDER_REDIS_URL || 'redis://localhost:6379')
+      : type === 'file' ? createFileStore(path.join(getDataDir(), 'usage.json'))
+        : createMemoryStore(state.counters);
+  }
+  return state.store;
+}
+
+/**
+ * @param {Map} counters - Counter name to `{ count, expiresAt }`
+ * @returns {Object} - A usage store
+ */
+export function createMemoryStore(counters = new Map()) {
+  const read = (name) => {
+    const counter = counters.get(name);
+    if (counter && counter.expiresAt <= Date.now()) {
+      counters.delete(name);
+      return null;
+    }
+    return counter;
+  };
+
+  return {
+    async increment(name, amount, ttlSeconds) {
+      const counter = read(name) || { count: 0, expiresAt: Date.now() + ttlSeconds * 1000 };
+      counter.count += amount;
+      counters.set(name, counter);
+      return counter.count;
+    },
+    async getMany(names) {
+      return names.map(name => read(name)?.count ?? 0);
+    }
+  };
+}
+
+/**
+ * Counters in one JSON file. Writes are queued, so one process never loses an update;
+ * several processes sharing the file should use Redis instead
+ * @param {string} filePath
+ * @returns {Object} - A usage store
+ */
+export function createFileStore(filePath) {
+  let queue = Promise.resolve();
+
+  const load = async () => {
+    try {
+      const counters = JSON.parse(await readFile(filePath, 'utf8'));
+      const now = Date.now();
+      return Object.fromEntries(Object.entries(counters).filter(([, counter]) => counter.expiresAt > now));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  };
+
+  // Run one read-modify-write at a time
+  const exclusive = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    increment(name, amount, ttlSeconds) {
+      return exclusive(async () => {
+        const counters = await load();
+        const counter = counters[name] || { count: 0, expiresAt: Date.now() + ttlSeconds * 1000 };
+        counter.count += amount;
+        counters[name] = counter;
+
+        await mkdir(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await writeFile(tempPath, JSON.stringify(counters));
+        await rename(tempPath, filePath);
+        return counter.count;
+      });
+    },
+    async getMany(names) {
+      const counters = await load();
+      return names.map(name => counters[name]?.count ?? 0);
+    }
+  };
+}
+
+/**
+ * Counters as Redis keys that expire by themselves, on Redis or a server that speaks its
+ * protocol (Valkey, KeyDB, Dragonfly, managed Redis)
+ * @param {string} url - redis://[user:password@]host[:port][/db], or rediss:// for TLS
+ * @returns {Object} - A usage store
+ */
+export function createRedisStore(url) {
+  // Commands fail straight away while Redis is down, rather than waiting in a queue, and the
+  // next command connects again; checkApiLimits lets the call through when they fail
+  const client = createClient({
+    url,
+    disableOfflineQueue: true,
+    socket: { connectTimeout: REDIS_CONNECT_TIMEOUT_MS, reconnectStrategy: false }
+  });
+  client.on('error', () => {});
+  let connecting = null;
+
+  const connected = () => {
+    if (!connecting && !client.isOpen) {
+      connecting = client.connect().finally(() => {
+        connecting = null;
+      });
+    }
+    return connecting;
+  };
+
+  return {
+    async increment(name, amount, ttlSeconds) {
+      const key = REDIS_KEY_PREFIX + name;
+      await connected();
+      // One transaction, so a counter is never left without its expiry
+      const [, count] = await client.multi()
+        .set(key, 0, { condition: 'NX', expiration: { type: 'EX', value: ttlSeconds } })
+        .incrBy(key, amount)
+        .exec();
+      return count;
+    },
+    async getMany(names) {
+      if (names.length === 0) return [];
+      await connected();
+      const counts = await client.mGet(names.map(name => REDIS_KEY_PREFIX + name));
+      return counts.map(count => Number(count) || 0);
+    }
+  };
+}